@@ -1,147 +1,301 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.24;
 
-import { FHE, euint32, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
-import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
-
-contract ConfidentialLegalFeeAllocation is SepoliaConfig {
-
-    address public admin;
-    uint256 public totalCases;
-    uint256 public activeCases;
-
-    // Timeout and refund parameters
-    uint256 public constant DECRYPTION_TIMEOUT = 7 days;
-    uint256 public constant CASE_TIMEOUT = 90 days;
-
-    struct LegalCase {
-        uint256 caseId;
-        address[] parties;
-        euint64 totalFee;
-        euint32 complexity;
-        euint32 timeSpent;
-        bool isActive;
-        bool isSettled;
-        uint256 createdAt;
-        uint256 settledAt;
-        bytes32 caseHash;
-        uint256 decryptionRequestId;
-        bool decryptionRequested;
-        uint256 decryptionRequestTime;
-        bool isRefundable;
-    }
+import { FHE, euint32, euint64, externalEuint32, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig, ZamaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { Initializable } from "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import { UUPSUpgradeable } from "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import { LegalFeeAllocationBase } from "./base/LegalFeeAllocationBase.sol";
+import { LegalFeeMath } from "./libraries/LegalFeeMath.sol";
+
+/**
+ * @dev Deployed as the implementation behind a UUPS proxy (LegalFeeAllocationProxy). State lives in the proxy and
+ * is set up by `initialize`; an upgrade deploys a new implementation and module chain and points the proxy at it.
+ */
+contract ConfidentialLegalFeeAllocation is SepoliaConfig, Initializable, UUPSUpgradeable, LegalFeeAllocationBase {
+    // First module in the DELEGATECALL chain (see LegalFeeModule)
+    address private immutable firstModule;
 
-    struct PartyAllocation {
-        euint32 responsibility;
-        euint64 allocatedAmount;
-        euint32 contributionRatio;
-        bool hasPaid;
-        uint256 paymentDate;
+    /**
+     * @param _firstModule Head of the module chain, deployed beforehand
+     */
+    constructor(address _firstModule) {
+        firstModule = _firstModule;
+        _disableInitializers();
     }
 
-    struct FeeCalculation {
-        euint64 baseFee;
-        euint32 complexityMultiplier;
-        euint32 timeMultiplier;
-        euint64 finalAmount;
-        bool isCalculated;
-        uint64 revealedAmount;
-        bool isRevealed;
+    /**
+     * @notice Set up a freshly deployed proxy; the caller becomes the owner
+     */
+    function initialize() external initializer {
+        // SepoliaConfig's constructor only configures the implementation's own storage
+        FHE.setCoprocessor(ZamaConfig.getSepoliaConfig());
+
+        admin = msg.sender;
+        totalCases = 0;
+        activeCases = 0;
+        disputeWindow = 7 days;
+        defaultFeeScheduleId = _registerStandardFeeSchedule();
     }
 
-    mapping(uint256 => LegalCase) public cases;
-    mapping(uint256 => mapping(address => PartyAllocation)) public partyAllocations;
-    mapping(uint256 => FeeCalculation) public feeCalculations;
-    mapping(address => uint256[]) public partyCases;
-    mapping(uint256 => address[]) public caseParties;
-    mapping(uint256 => uint256) internal requestIdToCaseId;
-    mapping(uint256 => bool) public callbackProcessed;
-
-    event CaseCreated(uint256 indexed caseId, bytes32 indexed caseHash, uint256 partyCount);
-    event FeeCalculated(uint256 indexed caseId, address indexed calculator);
-    event AllocationUpdated(uint256 indexed caseId, address indexed party);
-    event PaymentRecorded(uint256 indexed caseId, address indexed party);
-    event CaseSettled(uint256 indexed caseId, uint256 settlementTime);
-    event ResponsibilityDistributed(uint256 indexed caseId, uint256 partyCount);
-    event DecryptionRequested(uint256 indexed caseId, uint256 requestId);
-    event DecryptionCompleted(uint256 indexed caseId, uint64 revealedAmount);
-    event DecryptionFailed(uint256 indexed caseId, string reason);
-    event RefundIssued(uint256 indexed caseId, address indexed party);
-    event TimeoutTriggered(uint256 indexed caseId, string reason);
-
-    modifier onlyAdmin() {
-        require(msg.sender == admin, "Unauthorized access");
-        _;
+    /**
+     * @dev Only the owner can move the proxy to a new implementation
+     */
+    function _authorizeUpgrade(address _newImplementation) internal view override onlyAdmin {
+        require(_newImplementation != address(this), "Invalid implementation");
     }
 
-    modifier onlyParty(uint256 _caseId) {
-        require(isPartyInCase(_caseId, msg.sender), "Not authorized party");
-        _;
+    function createCase(
+        address[] calldata _parties,
+        uint64 _totalFee,
+        uint32 _complexity,
+        string calldata _caseDescription
+    ) external onlyRole(CASE_MANAGER_ROLE) whenNotPaused returns (uint256) {
+        _validateAmount(_totalFee);
+        _validatePercentage(_complexity);
+
+        return _createCase(
+            _parties,
+            FHE.asEuint64(_totalFee),
+            FHE.asEuint32(_complexity),
+            abi.encodePacked(_totalFee, _complexity),
+            _caseDescription,
+            defaultFeeScheduleId
+        );
     }
 
-    modifier caseExists(uint256 _caseId) {
-        require(_caseId <= totalCases && cases[_caseId].caseId != 0, "Invalid case");
-        _;
+    /**
+     * @notice Create a case billed under a specific fee schedule
+     * @param _parties Addresses of the parties sharing the fee
+     * @param _totalFee Base fee
+     * @param _complexity Complexity rating (1-100)
+     * @param _caseDescription Case description, only committed to via the case hash
+     * @param _feeScheduleId Registered fee schedule to bill the case under
+     * @return Newly created case ID
+     */
+    function createCase(
+        address[] calldata _parties,
+        uint64 _totalFee,
+        uint32 _complexity,
+        string calldata _caseDescription,
+        uint256 _feeScheduleId
+    ) external onlyRole(CASE_MANAGER_ROLE) feeScheduleExists(_feeScheduleId) whenNotPaused returns (uint256) {
+        _validateAmount(_totalFee);
+        _validatePercentage(_complexity);
+
+        return _createCase(
+            _parties,
+            FHE.asEuint64(_totalFee),
+            FHE.asEuint32(_complexity),
+            abi.encodePacked(_totalFee, _complexity),
+            _caseDescription,
+            _feeScheduleId
+        );
     }
 
-    modifier caseActive(uint256 _caseId) {
-        require(cases[_caseId].isActive && !cases[_caseId].isSettled, "Case not active");
-        _;
+    /**
+     * @notice Create a case whose fee and complexity never appear in plaintext calldata
+     * @dev Encrypted values cannot be range-checked with require, so complexity is clamped to 1-100
+     * @param _parties Addresses of the parties sharing the fee
+     * @param _encryptedTotalFee Encrypted base fee handle
+     * @param _encryptedComplexity Encrypted complexity handle (1-100)
+     * @param _inputProof Proof covering both encrypted handles
+     * @param _caseDescription Case description, only committed to via the case hash
+     * @return Newly created case ID
+     */
+    function createCase(
+        address[] calldata _parties,
+        externalEuint64 _encryptedTotalFee,
+        externalEuint32 _encryptedComplexity,
+        bytes calldata _inputProof,
+        string calldata _caseDescription
+    ) external onlyRole(CASE_MANAGER_ROLE) whenNotPaused returns (uint256) {
+        return _createEncryptedCase(
+            _parties,
+            _encryptedTotalFee,
+            _encryptedComplexity,
+            _inputProof,
+            _caseDescription,
+            defaultFeeScheduleId
+        );
     }
 
-    constructor() {
-        admin = msg.sender;
-        totalCases = 0;
-        activeCases = 0;
+    /**
+     * @notice Create a case from encrypted inputs, billed under a specific fee schedule
+     * @param _parties Addresses of the parties sharing the fee
+     * @param _encryptedTotalFee Encrypted base fee handle
+     * @param _encryptedComplexity Encrypted complexity handle (1-100)
+     * @param _inputProof Proof covering both encrypted handles
+     * @param _caseDescription Case description, only committed to via the case hash
+     * @param _feeScheduleId Registered fee schedule to bill the case under
+     * @return Newly created case ID
+     */
+    function createCase(
+        address[] calldata _parties,
+        externalEuint64 _encryptedTotalFee,
+        externalEuint32 _encryptedComplexity,
+        bytes calldata _inputProof,
+        string calldata _caseDescription,
+        uint256 _feeScheduleId
+    ) external onlyRole(CASE_MANAGER_ROLE) feeScheduleExists(_feeScheduleId) whenNotPaused returns (uint256) {
+        return _createEncryptedCase(
+            _parties,
+            _encryptedTotalFee,
+            _encryptedComplexity,
+            _inputProof,
+            _caseDescription,
+            _feeScheduleId
+        );
     }
 
-    // ========== ENHANCED INPUT VALIDATION ==========
+    /**
+     * @notice Create a case whose parties are not revealed until fees have been calculated
+     * @dev Each party is given their salt off-chain. Until they prove membership with joinCase, a party is known to
+     * the contract only by a key derived from their commitment (see _partyKey), which responsibilities are set on.
+     * @param _partyCommitments keccak256(abi.encode(party, salt)) for each party
+     * @param _encryptedTotalFee Encrypted base fee handle
+     * @param _encryptedComplexity Encrypted complexity handle (1-100)
+     * @param _inputProof Proof covering both encrypted handles
+     * @param _caseDescription Case description, only committed to via the case hash
+     * @return Newly created case ID
+     */
+    function createPrivateCase(
+        bytes32[] calldata _partyCommitments,
+        externalEuint64 _encryptedTotalFee,
+        externalEuint32 _encryptedComplexity,
+        bytes calldata _inputProof,
+        string calldata _caseDescription
+    ) external onlyRole(CASE_MANAGER_ROLE) whenNotPaused returns (uint256) {
+        _validateArrayLength(_partyCommitments.length, 2, 20);
+        for (uint i = 0; i < _partyCommitments.length; i++) {
+            require(_partyCommitments[i] != bytes32(0), "Invalid commitment");
+            for (uint j = i + 1; j < _partyCommitments.length; j++) {
+                require(_partyCommitments[i] != _partyCommitments[j], "Duplicate party commitments");
+            }
+        }
 
-    function _validateAddress(address _addr) private pure {
-        require(_addr != address(0), "Invalid address: zero address");
-    }
+        (euint64 totalFee, euint32 complexity) = _fromExternalTerms(
+            _encryptedTotalFee,
+            _encryptedComplexity,
+            _inputProof
+        );
 
-    function _validateArrayLength(uint256 length, uint256 min, uint256 max) private pure {
-        require(length >= min && length <= max, "Invalid array length");
-    }
+        uint256 caseId = _openCase(
+            abi.encodePacked(_partyCommitments),
+            _partyCommitments.length,
+            totalFee,
+            complexity,
+            abi.encodePacked(FHE.toBytes32(totalFee), FHE.toBytes32(complexity)),
+            _caseDescription,
+            defaultFeeScheduleId
+        );
+        partyCommitments[caseId] = _partyCommitments;
 
-    function _validatePercentage(uint32 value) private pure {
-        require(value > 0 && value <= 100, "Percentage must be 1-100");
-    }
+        address[] memory partyKeys = new address[](_partyCommitments.length);
+        for (uint i = 0; i < _partyCommitments.length; i++) {
+            partyKeys[i] = _partyKey(_partyCommitments[i]);
+        }
+        cases[caseId].parties = partyKeys;
+        caseParties[caseId] = partyKeys;
+        _initializePartyAllocations(caseId, partyKeys);
 
-    function _validateAmount(uint64 amount) private pure {
-        require(amount > 0, "Amount must be positive");
+        return caseId;
     }
 
-    // ========== OVERFLOW PROTECTION ==========
+    /**
+     * @notice Create a case billed as a percentage of the amount recovered rather than under a fee schedule
+     * @dev The admin records the award and the stage the case resolved at with recordAward. Expenses are reimbursed
+     * out of the award before the percentage applies; time entries are not billed.
+     * @param _parties Addresses of the parties sharing the fee
+     * @param _encryptedComplexity Encrypted complexity handle (1-100)
+     * @param _stagePercentages Encrypted percentage of the net recovery per stage, earliest first (capped at 100)
+     * @param _inputProof Proof covering all encrypted handles
+     * @param _caseDescription Case description, only committed to via the case hash
+     * @return Newly created case ID
+     */
+    function createContingencyCase(
+        address[] calldata _parties,
+        externalEuint32 _encryptedComplexity,
+        externalEuint32[] calldata _stagePercentages,
+        bytes calldata _inputProof,
+        string calldata _caseDescription
+    ) external onlyRole(CASE_MANAGER_ROLE) whenNotPaused returns (uint256) {
+        _validateArrayLength(_stagePercentages.length, 1, LegalFeeMath.MAX_CONTINGENCY_STAGES);
+
+        euint32 complexity = FHE.min(FHE.max(FHE.fromExternal(_encryptedComplexity, _inputProof), 1), 100);
+        euint32[] memory percentages = new euint32[](_stagePercentages.length);
+        bytes memory terms = abi.encodePacked(FHE.toBytes32(complexity));
+        for (uint i = 0; i < percentages.length; i++) {
+            percentages[i] = FHE.min(FHE.fromExternal(_stagePercentages[i], _inputProof), 100);
+            terms = abi.encodePacked(terms, FHE.toBytes32(percentages[i]));
+        }
+
+        uint256 caseId = _createCase(
+            _parties,
+            FHE.asEuint64(0),
+            complexity,
+            terms,
+            _caseDescription,
+            defaultFeeScheduleId
+        );
+
+        ContingencyTerms storage contingency = contingencyTerms[caseId];
+        contingency.isContingency = true;
+        for (uint i = 0; i < percentages.length; i++) {
+            contingency.stagePercentages.push(percentages[i]);
+            FHE.allowThis(percentages[i]);
+        }
+
+        emit ContingencyCaseCreated(caseId, percentages.length);
 
-    function _safeAdd(uint256 a, uint256 b) private pure returns (uint256) {
-        uint256 c = a + b;
-        require(c >= a, "Addition overflow");
-        return c;
+        return caseId;
     }
 
-    function _safeSub(uint256 a, uint256 b) private pure returns (uint256) {
-        require(b <= a, "Subtraction underflow");
-        return a - b;
+    function _createEncryptedCase(
+        address[] calldata _parties,
+        externalEuint64 _encryptedTotalFee,
+        externalEuint32 _encryptedComplexity,
+        bytes calldata _inputProof,
+        string calldata _caseDescription,
+        uint256 _feeScheduleId
+    ) private returns (uint256) {
+        (euint64 totalFee, euint32 complexity) = _fromExternalTerms(
+            _encryptedTotalFee,
+            _encryptedComplexity,
+            _inputProof
+        );
+
+        return _createCase(
+            _parties,
+            totalFee,
+            complexity,
+            abi.encodePacked(FHE.toBytes32(totalFee), FHE.toBytes32(complexity)),
+            _caseDescription,
+            _feeScheduleId
+        );
     }
 
-    function _safeMul(uint256 a, uint256 b) private pure returns (uint256) {
-        if (a == 0) return 0;
-        uint256 c = a * b;
-        require(c / a == b, "Multiplication overflow");
-        return c;
+    /**
+     * @dev Verifies encrypted creation inputs and clamps complexity to 1-100
+     */
+    function _fromExternalTerms(
+        externalEuint64 _encryptedTotalFee,
+        externalEuint32 _encryptedComplexity,
+        bytes calldata _inputProof
+    ) private returns (euint64 totalFee, euint32 complexity) {
+        totalFee = FHE.fromExternal(_encryptedTotalFee, _inputProof);
+        complexity = FHE.min(FHE.max(FHE.fromExternal(_encryptedComplexity, _inputProof), 1), 100);
     }
 
-    function createCase(
+    function _createCase(
         address[] calldata _parties,
-        uint64 _totalFee,
-        uint32 _complexity,
-        string calldata _caseDescription
-    ) external onlyAdmin returns (uint256) {
+        euint64 _totalFee,
+        euint32 _complexity,
+        bytes memory _terms,
+        string calldata _caseDescription,
+        uint256 _feeScheduleId
+    ) private returns (uint256) {
         _validateArrayLength(_parties.length, 2, 20);
-        _validateAmount(_totalFee);
-        _validatePercentage(_complexity);
 
         // Validate all party addresses
         for (uint i = 0; i < _parties.length; i++) {
@@ -152,27 +306,58 @@ contract ConfidentialLegalFeeAllocation is SepoliaConfig {
             }
         }
 
+        uint256 caseId = _openCase(
+            abi.encodePacked(_parties),
+            _parties.length,
+            _totalFee,
+            _complexity,
+            _terms,
+            _caseDescription,
+            _feeScheduleId
+        );
+        cases[caseId].parties = _parties;
+        caseParties[caseId] = _parties;
+        for (uint i = 0; i < _parties.length; i++) {
+            partyCases[_parties[i]].push(caseId);
+        }
+        _initializePartyAllocations(caseId, _parties);
+
+        return caseId;
+    }
+
+    /**
+     * @dev Everything about a new case except its parties
+     * @param _membership Packed party addresses, or packed commitments for a private case, for the case hash
+     */
+    function _openCase(
+        bytes memory _membership,
+        uint256 _partyCount,
+        euint64 _totalFee,
+        euint32 _complexity,
+        bytes memory _terms,
+        string calldata _caseDescription,
+        uint256 _feeScheduleId
+    ) private returns (uint256) {
         totalCases = _safeAdd(totalCases, 1);
         uint256 caseId = totalCases;
 
-        euint64 encryptedTotalFee = FHE.asEuint64(_totalFee);
-        euint32 encryptedComplexity = FHE.asEuint32(_complexity);
+        euint32 initialTime = FHE.asEuint32(0);
+        euint64 initialLedger = FHE.asEuint64(0);
 
         bytes32 caseHash = keccak256(abi.encodePacked(
             caseId,
-            _parties,
-            _totalFee,
-            _complexity,
+            _membership,
+            _terms,
             _caseDescription,
             block.timestamp
         ));
 
         cases[caseId] = LegalCase({
             caseId: caseId,
-            parties: _parties,
-            totalFee: encryptedTotalFee,
-            complexity: encryptedComplexity,
-            timeSpent: FHE.asEuint32(0),
+            parties: new address[](0),
+            totalFee: _totalFee,
+            complexity: _complexity,
+            timeSpent: initialTime,
             isActive: true,
             isSettled: false,
             createdAt: block.timestamp,
@@ -181,329 +366,119 @@ contract ConfidentialLegalFeeAllocation is SepoliaConfig {
             decryptionRequestId: 0,
             decryptionRequested: false,
             decryptionRequestTime: 0,
-            isRefundable: false
+            isRefundable: false,
+            feeScheduleId: _feeScheduleId
         });
 
-        caseParties[caseId] = _parties;
+        caseTimeouts[caseId] = CaseTimeouts({
+            decryptionTimeout: DECRYPTION_TIMEOUT,
+            caseTimeout: CASE_TIMEOUT,
+            caseDeadline: block.timestamp + CASE_TIMEOUT,
+            extensionCount: 0
+        });
+        ledgerTotals[caseId] = initialLedger;
+        _assignCaseManager(caseId, msg.sender);
 
-        for (uint i = 0; i < _parties.length; i++) {
-            partyCases[_parties[i]].push(caseId);
-            partyAllocations[caseId][_parties[i]] = PartyAllocation({
-                responsibility: FHE.asEuint32(0),
-                allocatedAmount: FHE.asEuint64(0),
-                contributionRatio: FHE.asEuint32(0),
-                hasPaid: false,
-                paymentDate: 0
-            });
-        }
+        // Escrow defaults to native ETH paid out to the admin until configured otherwise
+        caseEscrows[caseId].payee = admin;
 
         activeCases = _safeAdd(activeCases, 1);
 
-        FHE.allowThis(encryptedTotalFee);
-        FHE.allowThis(encryptedComplexity);
+        FHE.allowThis(_totalFee);
+        FHE.allowThis(_complexity);
+        FHE.allowThis(initialTime);
+        FHE.allowThis(initialLedger);
 
-        emit CaseCreated(caseId, caseHash, _parties.length);
+        emit CaseCreated(caseId, caseHash, _partyCount);
 
         return caseId;
     }
 
-    function updateTimeSpent(
-        uint256 _caseId,
-        uint32 _additionalHours
-    ) external onlyAdmin caseExists(_caseId) caseActive(_caseId) {
-        require(_additionalHours > 0 && _additionalHours <= 1000, "Invalid time: 1-1000 hours");
+    function _initializePartyAllocations(uint256 _caseId, address[] memory _parties) private {
+        euint32 zeroRatio = FHE.asEuint32(0);
+        euint64 zeroAmount = FHE.asEuint64(0);
 
-        euint32 additionalTime = FHE.asEuint32(_additionalHours);
-        cases[_caseId].timeSpent = FHE.add(cases[_caseId].timeSpent, additionalTime);
+        for (uint i = 0; i < _parties.length; i++) {
+            partyAllocations[_caseId][_parties[i]] = PartyAllocation({
+                responsibility: zeroRatio,
+                allocatedAmount: zeroAmount,
+                contributionRatio: zeroRatio,
+                hasPaid: false,
+                paymentDate: 0,
+                depositedAmount: 0,
+                isRefunded: false,
+                declaredResponsibility: 0,
+                isResponsibilityEncrypted: false,
+                paidVersion: 0,
+                paidAllocation: euint64.wrap(0)
+            });
+        }
 
-        FHE.allowThis(cases[_caseId].timeSpent);
+        FHE.allowThis(zeroRatio);
+        FHE.allowThis(zeroAmount);
+    }
+
+    /**
+     * @dev Schedule 1, used until another default is chosen. Bills the same rates the contract used before
+     * schedules existed: 13 per hour plus 100 per complexity point.
+     */
+    function _registerStandardFeeSchedule() private returns (uint256) {
+        return _storeFeeSchedule(LegalFeeMath.FeeTerms({
+            hourlyRate: 13,
+            complexityRate: 100,
+            retainer: 0,
+            minimumFee: 0,
+            maximumFee: 0,
+            tierThresholds: new uint32[](0),
+            tierRates: new uint32[](0)
+        }));
     }
 
     function setResponsibilityRatio(
         uint256 _caseId,
         address _party,
         uint32 _responsibility
-    ) external onlyAdmin caseExists(_caseId) caseActive(_caseId) {
-        require(isPartyInCase(_caseId, _party), "Party not in case");
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(_isPartyInCase(_caseId, _party), "Party not in case");
         _validatePercentage(_responsibility);
 
-        euint32 encryptedResponsibility = FHE.asEuint32(_responsibility);
-        partyAllocations[_caseId][_party].responsibility = encryptedResponsibility;
-
-        FHE.allowThis(encryptedResponsibility);
-        FHE.allow(encryptedResponsibility, _party);
-
-        emit AllocationUpdated(_caseId, _party);
+        partyAllocations[_caseId][_party].declaredResponsibility = _responsibility;
+        partyAllocations[_caseId][_party].isResponsibilityEncrypted = false;
+        _setResponsibility(_caseId, _party, FHE.asEuint32(_responsibility));
     }
 
-    // ========== PRIVACY-PRESERVING DIVISION WITH RANDOM MULTIPLIERS ==========
-    // ========== GATEWAY CALLBACK PATTERN FOR ASYNCHRONOUS DECRYPTION ==========
-
     /**
-     * @notice Step 1: Calculate encrypted fee allocation
-     * @dev Uses privacy-preserving division with random multipliers to prevent information leakage
-     * @param _caseId Case ID to calculate fees for
+     * @notice Set a party's responsibility share from an encrypted percentage
+     * @dev Values above 100 are clamped to 100 instead of reverting
+     * @param _caseId Case ID to update
+     * @param _party Party whose share is being set
+     * @param _encryptedResponsibility Encrypted percentage handle
+     * @param _inputProof Proof for the encrypted handle
      */
-    function calculateFeeAllocation(
-        uint256 _caseId
-    ) external onlyAdmin caseExists(_caseId) caseActive(_caseId) {
-        LegalCase storage legalCase = cases[_caseId];
-
-        // Privacy-preserving calculation using scaled multiplication
-        // Avoids division to maintain FHE compatibility while preserving privacy
-
-        // Generate pseudo-random scaling factor from block hash (privacy obfuscation)
-        uint256 randomSeed = uint256(keccak256(abi.encodePacked(
-            block.timestamp,
-            block.prevrandao,
-            _caseId,
-            msg.sender
-        ))) % 100 + 100; // Random scale between 100-199 for noise injection
-
-        // Complexity adjustment: complexity * 100 (scaled to prevent precision loss)
-        // This replaces division with multiplication by inverse: (complexity/10)*1000 = complexity*100
-        euint64 complexityFactor = FHE.mul(
-            FHE.asEuint64(legalCase.complexity),
-            FHE.asEuint64(100)
-        );
-
-        // Time adjustment: timeSpent * 12.5 approximated as timeSpent * 13 (scaled)
-        // This replaces division: (timeSpent/40)*500 ≈ timeSpent*12.5
-        euint64 timeFactor = FHE.mul(
-            FHE.asEuint64(legalCase.timeSpent),
-            FHE.asEuint64(13)
-        );
-
-        // Add privacy noise using random scaling
-        euint64 noiseFactor = FHE.asEuint64(uint64(randomSeed));
-        euint64 adjustedComplexity = FHE.add(complexityFactor, noiseFactor);
-        euint64 adjustedTime = FHE.add(timeFactor, noiseFactor);
-
-        euint64 adjustmentFactor = FHE.add(adjustedComplexity, adjustedTime);
-        euint64 adjustedFee = FHE.add(legalCase.totalFee, adjustmentFactor);
-
-        feeCalculations[_caseId] = FeeCalculation({
-            baseFee: legalCase.totalFee,
-            complexityMultiplier: FHE.asEuint32(0), // Complexity applied via multiplication
-            timeMultiplier: FHE.asEuint32(0), // Time applied via multiplication
-            finalAmount: adjustedFee,
-            isCalculated: true,
-            revealedAmount: 0,
-            isRevealed: false
-        });
-
-        _distributeFeesToParties(_caseId, adjustedFee);
-
-        FHE.allowThis(adjustedFee);
-
-        emit FeeCalculated(_caseId, msg.sender);
-    }
-
-    /**
-     * @notice Step 2: Request decryption via Gateway callback
-     * @dev Initiates asynchronous decryption process for final fee amount
-     * @param _caseId Case ID to request decryption for
-     */
-    function requestFeeDecryption(
-        uint256 _caseId
-    ) external onlyAdmin caseExists(_caseId) caseActive(_caseId) {
-        LegalCase storage legalCase = cases[_caseId];
-        FeeCalculation storage calc = feeCalculations[_caseId];
-
-        require(calc.isCalculated, "Fee not calculated yet");
-        require(!legalCase.decryptionRequested, "Decryption already requested");
-        require(!calc.isRevealed, "Fee already revealed");
-
-        // Prepare ciphertexts array for decryption
-        bytes32[] memory cts = new bytes32[](1);
-        cts[0] = FHE.toBytes32(calc.finalAmount);
-
-        // Request decryption with callback
-        uint256 requestId = FHE.requestDecryption(cts, this.feeDecryptionCallback.selector);
-
-        legalCase.decryptionRequestId = requestId;
-        legalCase.decryptionRequested = true;
-        legalCase.decryptionRequestTime = block.timestamp;
-
-        requestIdToCaseId[requestId] = _caseId;
-
-        emit DecryptionRequested(_caseId, requestId);
-    }
-
-    /**
-     * @notice Step 3: Gateway callback receives decrypted value
-     * @dev Called by Zama Gateway after successful decryption
-     * @param requestId The decryption request ID
-     * @param cleartexts ABI-encoded decrypted values
-     * @param decryptionProof Cryptographic proof of correct decryption
-     */
-    function feeDecryptionCallback(
-        uint256 requestId,
-        bytes memory cleartexts,
-        bytes memory decryptionProof
-    ) external {
-        // Verify signatures and proof
-        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
-
-        // Retrieve case ID from request mapping
-        uint256 caseId = requestIdToCaseId[requestId];
-        require(caseId != 0, "Invalid request ID");
-        require(!callbackProcessed[requestId], "Callback already processed");
-
-        // Decode decrypted amount
-        (uint64 revealedAmount) = abi.decode(cleartexts, (uint64));
-
-        // Update fee calculation with revealed amount
-        FeeCalculation storage calc = feeCalculations[caseId];
-        calc.revealedAmount = revealedAmount;
-        calc.isRevealed = true;
-
-        // Mark callback as processed
-        callbackProcessed[requestId] = true;
-
-        emit DecryptionCompleted(caseId, revealedAmount);
-    }
-
-    /**
-     * @notice Handle decryption timeout - enable refunds after timeout period
-     * @dev Protects against permanent case lock if Gateway fails to respond
-     * @param _caseId Case ID to check timeout for
-     */
-    function handleDecryptionTimeout(
-        uint256 _caseId
-    ) external caseExists(_caseId) {
-        LegalCase storage legalCase = cases[_caseId];
-
-        require(legalCase.decryptionRequested, "No decryption requested");
-        require(!feeCalculations[_caseId].isRevealed, "Already revealed");
-        require(
-            block.timestamp >= legalCase.decryptionRequestTime + DECRYPTION_TIMEOUT,
-            "Timeout period not reached"
-        );
-
-        // Mark case as refundable due to decryption timeout
-        legalCase.isRefundable = true;
-
-        emit TimeoutTriggered(_caseId, "Decryption timeout - refunds enabled");
-        emit DecryptionFailed(_caseId, "Gateway callback timeout exceeded");
-    }
-
-    /**
-     * @notice Handle general case timeout - enable refunds for stale cases
-     * @dev Prevents permanent fund lock in inactive cases
-     * @param _caseId Case ID to check timeout for
-     */
-    function handleCaseTimeout(
-        uint256 _caseId
-    ) external caseExists(_caseId) caseActive(_caseId) {
-        LegalCase storage legalCase = cases[_caseId];
-
-        require(
-            block.timestamp >= legalCase.createdAt + CASE_TIMEOUT,
-            "Case timeout period not reached"
-        );
-
-        // Mark case as refundable due to inactivity
-        legalCase.isRefundable = true;
-
-        emit TimeoutTriggered(_caseId, "Case inactivity timeout - refunds enabled");
-    }
-
-    /**
-     * @notice Issue refund to party when case is marked refundable
-     * @dev Allows parties to recover stake when decryption fails or case times out
-     * @param _caseId Case ID to request refund for
-     */
-    function requestRefund(
-        uint256 _caseId
-    ) external onlyParty(_caseId) caseExists(_caseId) {
-        LegalCase storage legalCase = cases[_caseId];
-        PartyAllocation storage allocation = partyAllocations[_caseId][msg.sender];
-
-        require(legalCase.isRefundable, "Case not marked as refundable");
-        require(!allocation.hasPaid, "Already processed payment/refund");
-
-        // Mark as processed to prevent double refund
-        allocation.hasPaid = true;
-        allocation.paymentDate = block.timestamp;
-
-        emit RefundIssued(_caseId, msg.sender);
-    }
-
-    function _distributeFeesToParties(uint256 _caseId, euint64 _totalAdjustedFee) private {
-        address[] memory parties = caseParties[_caseId];
-
-        for (uint i = 0; i < parties.length; i++) {
-            address party = parties[i];
-            euint32 partyResponsibility = partyAllocations[_caseId][party].responsibility;
-
-            // Calculate party allocation: (totalFee * responsibility) / 100
-            // Since we can't divide, we multiply by responsibility and let
-            // the frontend/client handle the /100 scaling during decryption
-            euint64 allocatedAmount = FHE.mul(
-                _totalAdjustedFee,
-                FHE.asEuint64(partyResponsibility)
-            );
-
-            // Store the responsibility as contribution ratio
-            euint32 contributionRatio = partyResponsibility;
-
-            partyAllocations[_caseId][party].contributionRatio = contributionRatio;
-            partyAllocations[_caseId][party].allocatedAmount = allocatedAmount;
-
-            FHE.allowThis(contributionRatio);
-            FHE.allowThis(allocatedAmount);
-            FHE.allow(contributionRatio, party);
-            FHE.allow(allocatedAmount, party);
-        }
-
-        emit ResponsibilityDistributed(_caseId, parties.length);
-    }
-
-    function recordPayment(
-        uint256 _caseId
-    ) external onlyParty(_caseId) caseExists(_caseId) caseActive(_caseId) {
-        require(!partyAllocations[_caseId][msg.sender].hasPaid, "Already paid");
-        require(feeCalculations[_caseId].isCalculated, "Fees not calculated");
-
-        partyAllocations[_caseId][msg.sender].hasPaid = true;
-        partyAllocations[_caseId][msg.sender].paymentDate = block.timestamp;
-
-        emit PaymentRecorded(_caseId, msg.sender);
-
-        if (_allPartiesPaid(_caseId)) {
-            _settleCase(_caseId);
-        }
-    }
-
-    function _allPartiesPaid(uint256 _caseId) private view returns (bool) {
-        address[] memory parties = caseParties[_caseId];
-        for (uint i = 0; i < parties.length; i++) {
-            if (!partyAllocations[_caseId][parties[i]].hasPaid) {
-                return false;
-            }
-        }
-        return true;
-    }
-
-    function _settleCase(uint256 _caseId) private {
-        cases[_caseId].isActive = false;
-        cases[_caseId].isSettled = true;
-        cases[_caseId].settledAt = block.timestamp;
-        activeCases--;
+    function setResponsibilityRatio(
+        uint256 _caseId,
+        address _party,
+        externalEuint32 _encryptedResponsibility,
+        bytes calldata _inputProof
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(_isPartyInCase(_caseId, _party), "Party not in case");
 
-        emit CaseSettled(_caseId, block.timestamp);
+        partyAllocations[_caseId][_party].declaredResponsibility = 0;
+        partyAllocations[_caseId][_party].isResponsibilityEncrypted = true;
+        _setResponsibility(_caseId, _party, FHE.min(FHE.fromExternal(_encryptedResponsibility, _inputProof), 100));
     }
 
     function getPartyAllocation(
         uint256 _caseId,
         address _party
-    ) external view onlyParty(_caseId) returns (
+    ) external view onlyPartyOrAuditor(_caseId) returns (
         bool hasPaid,
-        uint256 paymentDate
+        uint256 paymentDate,
+        uint256 depositedAmount,
+        bool isRefunded
     ) {
         PartyAllocation storage allocation = partyAllocations[_caseId][_party];
-        return (allocation.hasPaid, allocation.paymentDate);
+        return (allocation.hasPaid, allocation.paymentDate, allocation.depositedAmount, allocation.isRefunded);
     }
 
     function getCaseInfo(
@@ -520,7 +495,7 @@ contract ConfidentialLegalFeeAllocation is SepoliaConfig {
         LegalCase storage legalCase = cases[_caseId];
         return (
             legalCase.caseId,
-            legalCase.parties.length,
+            caseParties[_caseId].length,
             legalCase.isActive,
             legalCase.isSettled,
             legalCase.createdAt,
@@ -529,108 +504,50 @@ contract ConfidentialLegalFeeAllocation is SepoliaConfig {
         );
     }
 
+    /**
+     * @notice Get a party's cases; only the party themselves and auditors may look
+     */
     function getPartyCases(address _party) external view returns (uint256[] memory) {
+        require(_canViewPartyCases(_party), "Unauthorized access");
         return partyCases[_party];
     }
 
+    /**
+     * @notice Get a case's parties; only its parties, its case manager and auditors may look
+     * @dev Parties of a private case who have not joined yet appear as the keys derived from their commitments
+     */
     function getCaseParties(uint256 _caseId) external view caseExists(_caseId) returns (address[] memory) {
+        require(_canViewParties(_caseId), "Unauthorized access");
         return caseParties[_caseId];
     }
 
-    function isPartyInCase(uint256 _caseId, address _party) public view returns (bool) {
-        address[] memory parties = caseParties[_caseId];
-        for (uint i = 0; i < parties.length; i++) {
-            if (parties[i] == _party) {
-                return true;
-            }
-        }
-        return false;
-    }
-
-    function getSystemStats() external view returns (
-        uint256 total,
-        uint256 active,
-        uint256 settled
-    ) {
-        return (totalCases, activeCases, totalCases - activeCases);
-    }
-
     /**
-     * @notice Get decryption status for a case
-     * @param _caseId Case ID to query
-     * @return requested Whether decryption was requested
-     * @return revealed Whether fee was successfully revealed
-     * @return requestId The decryption request ID
-     * @return requestTime When decryption was requested
+     * @notice Check whether an address is a party to a case
+     * @dev Anyone may check their own membership; otherwise restricted like getCaseParties. A private-case party
+     * who has not joined yet is only found by verifyMembership, which takes their salt.
      */
-    function getDecryptionStatus(
-        uint256 _caseId
-    ) external view caseExists(_caseId) returns (
-        bool requested,
-        bool revealed,
-        uint256 requestId,
-        uint256 requestTime
-    ) {
-        LegalCase storage legalCase = cases[_caseId];
-        FeeCalculation storage calc = feeCalculations[_caseId];
-
-        return (
-            legalCase.decryptionRequested,
-            calc.isRevealed,
-            legalCase.decryptionRequestId,
-            legalCase.decryptionRequestTime
-        );
+    function isPartyInCase(uint256 _caseId, address _party) external view returns (bool) {
+        require(msg.sender == _party || _canViewParties(_caseId), "Unauthorized access");
+        return _isPartyInCase(_caseId, _party);
     }
 
     /**
-     * @notice Get refund eligibility status for a case
-     * @param _caseId Case ID to query
-     * @return isRefundable Whether refunds are enabled
-     * @return decryptionTimedOut Whether decryption timeout occurred
-     * @return caseTimedOut Whether general case timeout occurred
+     * @notice Settle a case and release its escrow without waiting for every party to pay
+     * @dev Not available once the case is refundable, as the deposits then belong back to the parties
+     * @param _caseId Case ID to settle
      */
-    function getRefundStatus(
+    function emergencySettleCase(
         uint256 _caseId
-    ) external view caseExists(_caseId) returns (
-        bool isRefundable,
-        bool decryptionTimedOut,
-        bool caseTimedOut
-    ) {
-        LegalCase storage legalCase = cases[_caseId];
-
-        bool decTimeout = legalCase.decryptionRequested &&
-                          !feeCalculations[_caseId].isRevealed &&
-                          block.timestamp >= legalCase.decryptionRequestTime + DECRYPTION_TIMEOUT;
-
-        bool generalTimeout = legalCase.isActive &&
-                              block.timestamp >= legalCase.createdAt + CASE_TIMEOUT;
-
-        return (
-            legalCase.isRefundable,
-            decTimeout,
-            generalTimeout
-        );
+    ) external nonReentrant onlyRole(ARBITER_ROLE) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(!cases[_caseId].isRefundable, "Case is refundable");
+        _settleCase(_caseId);
     }
 
     /**
-     * @notice Get revealed fee amount (only available after successful decryption)
-     * @param _caseId Case ID to query
-     * @return revealed Whether the fee was revealed
-     * @return amount The revealed fee amount (0 if not revealed)
+     * @dev Fee calculation, escrow, payments and fee schedule management live in modules sharing this contract's
+     * storage; any selector not implemented here is forwarded to them.
      */
-    function getRevealedFee(
-        uint256 _caseId
-    ) external view caseExists(_caseId) returns (
-        bool revealed,
-        uint64 amount
-    ) {
-        FeeCalculation storage calc = feeCalculations[_caseId];
-        return (calc.isRevealed, calc.revealedAmount);
-    }
-
-    function emergencySettleCase(
-        uint256 _caseId
-    ) external onlyAdmin caseExists(_caseId) caseActive(_caseId) {
-        _settleCase(_caseId);
+    fallback() external payable {
+        _delegateTo(firstModule);
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,1366 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint8, euint32, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import { IERC7984 } from "../interfaces/IERC7984.sol";
+import { LegalFeeMath } from "../libraries/LegalFeeMath.sol";
+
+/**
+ * @title LegalFeeAllocationBase
+ * @notice Storage layout, events, modifiers and shared helpers for ConfidentialLegalFeeAllocation
+ * @dev The main contract and every module inherit this base so that they agree on storage when modules run
+ * through DELEGATECALL. Only append new state variables; never reorder or remove existing ones.
+ */
+abstract contract LegalFeeAllocationBase is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    address public admin;
+    uint256 public totalCases;
+    uint256 public activeCases;
+    uint256 public totalFeeSchedules;
+    uint256 public defaultFeeScheduleId;
+
+    // Timeout and refund parameters: defaults for new cases, and the bounds cases may be configured within
+    uint256 public constant DECRYPTION_TIMEOUT = 7 days;
+    uint256 public constant CASE_TIMEOUT = 90 days;
+    uint256 public constant MIN_DECRYPTION_TIMEOUT = 1 days;
+    uint256 public constant MAX_DECRYPTION_TIMEOUT = 30 days;
+    uint256 public constant MIN_CASE_TIMEOUT = 30 days;
+    uint256 public constant MAX_CASE_TIMEOUT = 5 * 365 days;
+    // Age at which a pending fee decryption may be cancelled and requested again
+    uint256 public constant DECRYPTION_RETRY_WINDOW = 12 hours;
+
+    // Roles; the owner (admin) implicitly holds every role
+    bytes32 public constant CASE_MANAGER_ROLE = keccak256("CASE_MANAGER_ROLE");
+    bytes32 public constant BILLING_CLERK_ROLE = keccak256("BILLING_CLERK_ROLE");
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    // Bounds for the period after a fee calculation during which parties may object
+    uint256 public constant MIN_DISPUTE_WINDOW = 1 days;
+    uint256 public constant MAX_DISPUTE_WINDOW = 30 days;
+
+    // Upper bound on installments per party, keeping the per-payment coverage check within FHE limits
+    uint256 public constant MAX_INSTALLMENTS = 12;
+
+    // Bounds for late-payment terms
+    uint256 public constant MAX_GRACE_PERIOD = 90 days;
+    uint32 public constant MAX_DAILY_INTEREST_BPS = 100;
+
+    // Largest page returned by the case queries
+    uint256 public constant MAX_PAGE_SIZE = 100;
+
+    struct LegalCase {
+        uint256 caseId;
+        address[] parties;
+        euint64 totalFee;
+        euint32 complexity;
+        euint32 timeSpent;
+        bool isActive;
+        bool isSettled;
+        uint256 createdAt;
+        uint256 settledAt;
+        bytes32 caseHash;
+        uint256 decryptionRequestId;
+        bool decryptionRequested;
+        uint256 decryptionRequestTime;
+        bool isRefundable;
+        uint256 feeScheduleId;
+    }
+
+    struct PartyAllocation {
+        euint32 responsibility;
+        euint64 allocatedAmount;
+        euint32 contributionRatio;
+        bool hasPaid;
+        uint256 paymentDate;
+        uint256 depositedAmount;
+        bool isRefunded;
+        uint32 declaredResponsibility; // plaintext ratio when set in the clear
+        bool isResponsibilityEncrypted;
+        uint32 paidVersion; // allocation version the party paid against
+        euint64 paidAllocation; // allocation the party paid
+    }
+
+    struct CaseEscrow {
+        address paymentToken; // address(0) for native ETH
+        address payee;
+        uint256 totalDeposited;
+        uint256 totalRefunded;
+        bool isReleased;
+        bool isConfidential; // paymentToken is an ERC-7984 confidential token
+        euint64 confidentialBalance;
+    }
+
+    struct ConfidentialPayment {
+        euint64 paidAmount;
+        uint256 verificationRequestId;
+        bool verificationPending;
+    }
+
+    struct PaymentVerification {
+        uint256 caseId;
+        address party;
+        uint32 allocationVersion; // allocation the payment was checked against
+    }
+
+    struct FeeCalculation {
+        euint64 baseFee;
+        euint32 complexityMultiplier;
+        euint32 timeMultiplier;
+        euint64 finalAmount;
+        bool isCalculated;
+        uint64 revealedAmount;
+        bool isRevealed;
+        uint256 feeScheduleId;
+        uint32 feeScheduleVersion;
+        uint256 calculatedAt;
+        uint32 version; // incremented by every calculation
+        bool isStale; // inputs changed since the calculation; payments wait for a recalculation
+    }
+
+    enum DisputeStatus {
+        None,
+        Open,
+        Upheld, // objection accepted; the calculation is withdrawn until fees are recalculated
+        Adjusted, // arbiter corrected responsibilities and recalculated
+        Dismissed // objection rejected; the calculation stands
+    }
+
+    enum CaseStatusFilter {
+        Active,
+        Settled,
+        Refundable,
+        Disputed // objection awaiting the arbiter
+    }
+
+    /**
+     * @dev Returned by the batched case queries; never stored
+     */
+    struct CaseSummary {
+        uint256 caseId;
+        address[] parties;
+        bool isActive;
+        bool isSettled;
+        bool isRefundable;
+        bool isCalculated;
+        bool isCancelled;
+        DisputeStatus disputeStatus;
+        uint256 createdAt;
+        uint256 settledAt;
+        bytes32 caseHash;
+    }
+
+    /**
+     * @dev Contingency cases bill a percentage of the recovered award instead of the fee schedule. The
+     * percentage depends on the stage the case resolved at (e.g. 33% before trial, 40% at trial).
+     */
+    struct ContingencyTerms {
+        bool isContingency;
+        euint32[] stagePercentages; // by stage, from the earliest
+        euint64 award; // recovered amount, recorded by the admin
+        euint8 stage; // index into stagePercentages; later stages use the last percentage
+        bool isAwardRecorded;
+        uint256 awardRecordedAt;
+        euint64 bill; // award share and reimbursed expenses, kept current while an award is recorded
+        euint32 percentage; // stage percentage the bill applies
+    }
+
+    /**
+     * @dev Insurance on a party's share: the party pays up to the deductible, the insurer pays the rest up to the
+     * coverage cap, and the party pays anything beyond the cap. The party's part is its allocatedAmount.
+     */
+    struct InsuranceCoverage {
+        euint64 coverageCap;
+        euint64 deductible;
+        euint64 coverageLimit; // deductible + coverageCap, beyond which the party pays again
+    }
+
+    /**
+     * @dev A litigation funder paying a percentage of a party's share (100 for all of it) in exchange for a cut
+     * of the party's recovery. The party's remaining part is its allocatedAmount.
+     */
+    struct FundingTerms {
+        euint32 fundedPercentage;
+        euint32 recoveryShare; // percentage of the party's recovery owed to the funder
+        euint64 repaymentCap; // most the funder recovers
+    }
+
+    enum ThirdPartyKind {
+        Insurer,
+        Funder
+    }
+
+    /**
+     * @dev Someone other than the party paying part of its share into the case escrow. A party has at most one,
+     * since it cannot be both insured and funded.
+     */
+    struct ThirdPartyPayer {
+        address payer;
+        ThirdPartyKind kind;
+        euint64 portion; // payer's part of the current share
+        bool hasPaid;
+        uint256 paymentDate;
+        uint256 depositedAmount;
+        bool isRefunded;
+        uint32 paidVersion; // allocation version the payer paid against
+        euint64 paidPortion; // portion the payer paid
+    }
+
+    enum ViewerKind {
+        Auditor,
+        Court,
+        Insurer
+    }
+
+    /**
+     * @dev One grant of decryption rights to a non-party viewer; kept after expiry or revocation as the access log
+     */
+    struct ViewerGrant {
+        address viewer;
+        ViewerKind kind;
+        uint8 fields; // VIEW_* flags of the encrypted fields covered
+        address grantedBy;
+        uint256 grantedAt;
+        uint256 expiresAt; // 0 if open-ended
+        address revokedBy;
+        uint256 revokedAt; // 0 unless revoked
+    }
+
+    enum DecryptionAttemptStatus {
+        Pending,
+        Revealed,
+        Cancelled, // abandoned by the owner so the decryption can be requested again
+        Superseded // fees were recalculated before the Gateway answered
+    }
+
+    struct DecryptionAttempt {
+        uint256 requestId;
+        uint256 requestedAt;
+        uint256 closedAt;
+        DecryptionAttemptStatus status;
+    }
+
+    /**
+     * @dev Settles the difference between what a party paid and what a later calculation allocates them.
+     * At most one of credit and shortfall is non-zero.
+     */
+    struct AllocationAdjustment {
+        uint32 paidVersion;
+        uint32 newVersion;
+        euint64 credit; // paid in excess of the new allocation
+        euint64 shortfall; // new allocation in excess of what was paid
+        uint256 recordedAt;
+    }
+
+    /**
+     * @dev Encrypted running totals across a set of cases. Only the contract can compute on them; auditors read
+     * them through snapshots they are given decryption rights to.
+     */
+    struct Analytics {
+        euint64 billedFees; // current bill of every case
+        euint64 hoursWorked; // non-voided time entries
+        euint64 complexityTotal;
+        uint256 caseCount; // cases whose fees have been calculated
+    }
+
+    struct AnalyticsSnapshot {
+        euint64 billedFees;
+        euint64 hoursWorked;
+        euint64 averageComplexity; // complexityTotal / caseCount, rounded down
+        uint256 caseCount;
+        uint256 takenAt;
+    }
+
+    struct CaseAnalytics {
+        address manager; // case manager the case's figures are attributed to
+        euint64 billedFee; // amount the case currently contributes to billedFees
+        bool isCounted; // included in caseCount and complexityTotal
+    }
+
+    /**
+     * @dev A party's acknowledgement of their responsibility, bound to the ciphertext they accepted
+     */
+    struct ResponsibilityAcceptance {
+        bytes32 responsibility; // handle of the accepted responsibility
+        uint256 acceptedAt;
+        bool isSigned; // given as an EIP-712 signature relayed by the case manager
+    }
+
+    struct TimeEntry {
+        address timekeeper;
+        bytes32 activityCode;
+        euint32 hoursWorked;
+        euint64 rate;
+        euint64 amount; // hoursWorked * rate
+        uint256 recordedAt;
+        bool isVoided;
+    }
+
+    struct Expense {
+        address submittedBy;
+        bytes32 category;
+        euint64 amount;
+        uint256 recordedAt;
+        bool isVoided;
+    }
+
+    struct AllocationReceipt {
+        uint64 amount;
+        uint32 contributionRatio;
+        uint32 allocationVersion; // calculation the receipt was requested against
+        uint256 issuedAt;
+        bytes32 receiptHash;
+        uint256 requestId;
+        bool isPending;
+    }
+
+    struct ReceiptRequest {
+        uint256 caseId;
+        address party;
+    }
+
+    struct CaseLifecycle {
+        bool isCancelled;
+        bool isArchived;
+        uint256 cancelledAt;
+        uint256 archivedAt;
+        uint32 reopenCount;
+        // Ledger items billed before the last reopening; they belong to a settled bill and cannot be voided
+        uint256 billedTimeEntries;
+        uint256 billedExpenses;
+    }
+
+    struct InstallmentPlan {
+        uint256[] dueDates;
+        euint64[] amounts;
+        euint64[] cumulativeDue; // total owed by each due date
+        euint64 totalPaid;
+        euint64 balance; // allocation still outstanding
+        uint256 paidInstallments;
+        uint256 verificationRequestId;
+        bool verificationPending;
+        bool isActive;
+    }
+
+    struct CaseTimeouts {
+        uint256 decryptionTimeout;
+        uint256 caseTimeout; // inactivity period, restarted by activity on the case
+        uint256 caseDeadline; // case becomes refundable after this unless there is further activity
+        uint32 extensionCount;
+    }
+
+    struct LatePaymentTerms {
+        uint256 gracePeriod;
+        euint64 lateFee; // flat fee charged once when a party becomes late
+        uint32 dailyInterestBps; // simple interest on the allocation, per day late
+        bool isSet;
+    }
+
+    struct LatePenalty {
+        euint64 principal; // allocation the interest is computed on
+        euint64 accrued; // total penalties added to the allocation
+        uint256 accruedUntil;
+        bool lateFeeCharged;
+        uint256 pausedTime; // PaymentPause.total already skipped when accruedUntil was set
+    }
+
+    // Time payments were refused since the current calculation, which the late-payment clock skips
+    struct PaymentPause {
+        uint256 since; // 0 while payments are open
+        uint256 total;
+    }
+
+    struct Dispute {
+        address filedBy;
+        bytes32 reasonHash;
+        uint256 filedAt;
+        DisputeStatus status;
+        uint256 resolvedAt;
+        address resolvedBy;
+    }
+
+    mapping(uint256 => LegalCase) public cases;
+    // Allocations are read through getPartyAllocation and getAllocationHandles, which are gated like membership
+    mapping(uint256 => mapping(address => PartyAllocation)) internal partyAllocations;
+    mapping(uint256 => FeeCalculation) public feeCalculations;
+    mapping(uint256 => LegalFeeMath.FeeSchedule) internal feeSchedules;
+    mapping(uint256 => CaseEscrow) public caseEscrows;
+    mapping(uint256 => mapping(address => ConfidentialPayment)) internal confidentialPayments;
+    mapping(uint256 => PaymentVerification) internal paymentVerifications;
+    // Membership is only exposed through views gated to the case's parties, its manager and auditors
+    mapping(address => uint256[]) internal partyCases;
+    mapping(uint256 => address[]) internal caseParties;
+    mapping(uint256 => uint256) internal requestIdToCaseId;
+    mapping(uint256 => bool) public callbackProcessed;
+
+    address public pendingAdmin;
+    mapping(bytes32 => mapping(address => bool)) internal roleMembers;
+    mapping(uint256 => address) public caseManagers;
+
+    uint256 public disputeWindow;
+    mapping(uint256 => Dispute) internal disputes;
+
+    mapping(uint256 => TimeEntry[]) internal timeEntries;
+    mapping(uint256 => Expense[]) internal expenses;
+    mapping(uint256 => euint64) internal ledgerTotals; // billable total of non-voided entries and expenses
+
+    mapping(uint256 => mapping(address => AllocationReceipt)) internal allocationReceipts;
+    mapping(uint256 => ReceiptRequest) internal receiptRequests;
+
+    uint256 public cancelledCases;
+    mapping(uint256 => CaseLifecycle) internal caseLifecycles;
+
+    mapping(uint256 => mapping(address => InstallmentPlan)) internal installmentPlans;
+
+    mapping(uint256 => LatePaymentTerms) internal latePaymentTerms;
+    mapping(uint256 => mapping(address => LatePenalty)) internal latePenalties;
+
+    // Circuit breaker: refunds and timeouts keep working while either is set
+    bool public paused;
+    mapping(uint256 => bool) public frozenCases;
+
+    mapping(uint256 => CaseTimeouts) internal caseTimeouts;
+
+    mapping(uint256 => DecryptionAttempt[]) internal decryptionAttempts;
+
+    mapping(uint256 => mapping(address => AllocationAdjustment[])) internal allocationAdjustments;
+
+    Analytics internal firmAnalytics;
+    mapping(address => Analytics) internal managerAnalytics;
+    mapping(uint256 => CaseAnalytics) internal caseAnalytics;
+    // auditor => case manager (address(0) for the whole firm) => latest snapshot
+    mapping(address => mapping(address => AnalyticsSnapshot)) internal analyticsSnapshots;
+
+    mapping(uint256 => bool) public acceptanceRequired;
+    mapping(uint256 => mapping(address => ResponsibilityAcceptance)) internal responsibilityAcceptances;
+
+    // keccak256(abi.encode(party, salt)) of each private-case party; caseParties holds _partyKey(commitment) until
+    // the party joins
+    mapping(uint256 => bytes32[]) internal partyCommitments;
+
+    mapping(uint256 => ViewerGrant[]) internal viewerGrants;
+    mapping(uint256 => mapping(address => uint256)) internal activeViewerGrants; // index + 1 into viewerGrants
+
+    mapping(uint256 => ContingencyTerms) internal contingencyTerms;
+    mapping(uint256 => euint64) internal expenseTotals; // non-voided expenses, a subset of ledgerTotals
+
+    mapping(uint256 => mapping(address => InsuranceCoverage)) internal insuranceCoverages; // by insured party
+    mapping(uint256 => mapping(address => FundingTerms)) internal fundingTerms; // by funded party
+
+    // The following are keyed by case and the party an insurer or funder pays for
+    mapping(uint256 => mapping(address => ThirdPartyPayer)) internal thirdPartyPayers;
+    mapping(uint256 => mapping(address => ConfidentialPayment)) internal thirdPartyPayments;
+    mapping(uint256 => mapping(address => AllocationAdjustment[])) internal thirdPartyAdjustments;
+    // Checks of insurers' and funders' payments against their portion; party is the party paid for
+    mapping(uint256 => PaymentVerification) internal thirdPartyPaymentVerifications;
+
+    // Private-case commitments whose party has joined, replacing their key with their address
+    mapping(uint256 => mapping(bytes32 => bool)) internal joinedCommitments;
+
+    // Calculation version each party last disputed; a party may object to each calculation once
+    mapping(uint256 => mapping(address => uint32)) internal disputedVersions;
+
+    mapping(uint256 => PaymentPause) internal paymentPauses;
+
+    // Fully paid cases whose settlement waits for the case to be unfrozen or the system unpaused
+    mapping(uint256 => bool) internal settlementDeferred;
+    uint256[] internal deferredSettlements; // settled, when no longer frozen, on unpause
+
+    // Plaintext deposited beyond a party's allocation, withdrawable by the party
+    mapping(uint256 => mapping(address => uint256)) internal overpayments;
+
+    event CaseCreated(uint256 indexed caseId, bytes32 indexed caseHash, uint256 partyCount);
+    event FeeCalculated(uint256 indexed caseId, address indexed calculator);
+    event AllocationUpdated(uint256 indexed caseId, address indexed party);
+    event PaymentRecorded(uint256 indexed caseId, address indexed party);
+    event CaseSettled(uint256 indexed caseId, uint256 settlementTime);
+    event ResponsibilityDistributed(uint256 indexed caseId, uint256 partyCount);
+    event DecryptionRequested(uint256 indexed caseId, uint256 requestId);
+    event DecryptionCompleted(uint256 indexed caseId, uint64 revealedAmount);
+    event DecryptionFailed(uint256 indexed caseId, string reason);
+    event RefundIssued(uint256 indexed caseId, address indexed party, uint256 amount);
+    event EscrowConfigured(
+        uint256 indexed caseId,
+        address indexed paymentToken,
+        address indexed payee,
+        bool isConfidential
+    );
+    event EscrowDeposited(uint256 indexed caseId, address indexed party, uint256 amount);
+    event EscrowReleased(uint256 indexed caseId, address indexed payee, uint256 amount);
+    event ConfidentialPaymentSubmitted(uint256 indexed caseId, address indexed party, uint256 requestId);
+    event ConfidentialPaymentVerified(uint256 indexed caseId, address indexed party, bool coversAllocation);
+    event ConfidentialRefundIssued(uint256 indexed caseId, address indexed party);
+    event ConfidentialEscrowReleased(uint256 indexed caseId, address indexed payee);
+    event TimeoutTriggered(uint256 indexed caseId, string reason);
+    event FeeScheduleRegistered(uint256 indexed scheduleId, address indexed registeredBy);
+    event FeeScheduleUpdated(uint256 indexed scheduleId, uint32 version);
+    event DefaultFeeScheduleChanged(uint256 indexed scheduleId);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event CaseManagerAssigned(uint256 indexed caseId, address indexed manager);
+    event DisputeFiled(uint256 indexed caseId, address indexed party, bytes32 reasonHash);
+    event DisputeResolved(uint256 indexed caseId, address indexed arbiter, DisputeStatus outcome);
+    event DisputeWindowChanged(uint256 window);
+    event TimeEntryRecorded(
+        uint256 indexed caseId,
+        uint256 indexed entryId,
+        address indexed timekeeper,
+        bytes32 activityCode
+    );
+    event TimeEntryVoided(uint256 indexed caseId, uint256 indexed entryId);
+    event ExpenseRecorded(uint256 indexed caseId, uint256 indexed expenseId, bytes32 category);
+    event ExpenseVoided(uint256 indexed caseId, uint256 indexed expenseId);
+    event AllocationReceiptRequested(uint256 indexed caseId, address indexed party, uint256 requestId);
+    event AllocationReceiptIssued(uint256 indexed caseId, address indexed party, uint64 amount, bytes32 receiptHash);
+    event PartyAdded(uint256 indexed caseId, address indexed party);
+    event PartyRemoved(uint256 indexed caseId, address indexed party);
+    event CaseCancelled(uint256 indexed caseId, address indexed cancelledBy);
+    event CaseReopened(uint256 indexed caseId, uint32 reopenCount);
+    event CaseArchived(uint256 indexed caseId);
+    event InstallmentPlanSet(uint256 indexed caseId, address indexed party, uint256 installmentCount);
+    event InstallmentPaymentSubmitted(uint256 indexed caseId, address indexed party, uint256 requestId);
+    event InstallmentBalanceVerified(uint256 indexed caseId, address indexed party, bool isPaidOff);
+    event InstallmentPaid(uint256 indexed caseId, address indexed party, uint256 installment);
+    event InstallmentOverdue(uint256 indexed caseId, address indexed party, uint256 installment, uint256 dueDate);
+    event LatePaymentTermsSet(uint256 indexed caseId, uint256 gracePeriod, uint32 dailyInterestBps);
+    event LatePenaltyApplied(uint256 indexed caseId, address indexed party, bool lateFeeCharged, uint256 daysCharged);
+    event SystemPaused(address indexed guardian, string reason);
+    event SystemUnpaused(address indexed guardian, string reason);
+    event CaseFrozen(uint256 indexed caseId, address indexed guardian, string reason);
+    event CaseUnfrozen(uint256 indexed caseId, address indexed guardian, string reason);
+    event SettlementDeferred(uint256 indexed caseId);
+    event OverpaymentCredited(uint256 indexed caseId, address indexed party, uint256 amount);
+    event OverpaymentWithdrawn(uint256 indexed caseId, address indexed party, uint256 amount);
+    event CaseTimeoutsConfigured(uint256 indexed caseId, uint256 decryptionTimeout, uint256 caseTimeout);
+    event CaseTimeoutExtended(uint256 indexed caseId, uint256 extension, uint256 newDeadline);
+    event DecryptionCancelled(uint256 indexed caseId, uint256 requestId);
+    event AllocationMarkedStale(uint256 indexed caseId, uint32 version);
+    event AllocationVersionCreated(uint256 indexed caseId, uint32 version);
+    event AllocationAdjusted(uint256 indexed caseId, address indexed party, uint32 paidVersion, uint32 newVersion);
+    event AnalyticsSnapshotTaken(address indexed auditor, address indexed manager, uint256 caseCount);
+    event ResponsibilityAcceptanceRequired(uint256 indexed caseId);
+    event ResponsibilityAccepted(uint256 indexed caseId, address indexed party, bool isSigned);
+    event PartyJoined(uint256 indexed caseId, bytes32 indexed commitment);
+    event ViewerAccessGranted(
+        uint256 indexed caseId,
+        address indexed viewer,
+        ViewerKind kind,
+        uint8 fields,
+        uint256 expiresAt
+    );
+    event ViewerAccessRevoked(uint256 indexed caseId, address indexed viewer, address indexed revokedBy);
+    event ContingencyCaseCreated(uint256 indexed caseId, uint256 stageCount);
+    event AwardRecorded(uint256 indexed caseId);
+    event InsuranceCoverageSet(uint256 indexed caseId, address indexed party, address indexed insurer);
+    event InsuranceCoverageRemoved(uint256 indexed caseId, address indexed party);
+    event FunderRegistered(uint256 indexed caseId, address indexed party, address indexed funder);
+    event FunderRemoved(uint256 indexed caseId, address indexed party, address indexed funder);
+    event ThirdPartyPaymentRecorded(uint256 indexed caseId, address indexed party, address indexed payer);
+    event ThirdPartyPaymentSubmitted(uint256 indexed caseId, address indexed party, uint256 requestId);
+    event ThirdPartyPaymentVerified(uint256 indexed caseId, address indexed party, bool coversPortion);
+    event ThirdPartyAllocationAdjusted(
+        uint256 indexed caseId,
+        address indexed party,
+        uint32 paidVersion,
+        uint32 newVersion
+    );
+
+    modifier onlyAdmin() {
+        require(msg.sender == admin, "Unauthorized access");
+        _;
+    }
+
+    modifier onlyRole(bytes32 _role) {
+        require(_hasRole(_role, msg.sender), "Unauthorized access");
+        _;
+    }
+
+    /**
+     * @dev The owner, or the case manager assigned to the case while they still hold CASE_MANAGER_ROLE
+     */
+    modifier onlyCaseManager(uint256 _caseId) {
+        require(
+            msg.sender == admin ||
+                (caseManagers[_caseId] == msg.sender && roleMembers[CASE_MANAGER_ROLE][msg.sender]),
+            "Unauthorized access"
+        );
+        _;
+    }
+
+    modifier onlyParty(uint256 _caseId) {
+        require(_isPartyInCase(_caseId, msg.sender), "Not authorized party");
+        _;
+    }
+
+    modifier onlyPartyOrAuditor(uint256 _caseId) {
+        require(
+            _isPartyInCase(_caseId, msg.sender) || _hasRole(AUDITOR_ROLE, msg.sender),
+            "Not authorized party"
+        );
+        _;
+    }
+
+    modifier caseExists(uint256 _caseId) {
+        require(_caseId <= totalCases && cases[_caseId].caseId != 0, "Invalid case");
+        _;
+    }
+
+    modifier caseActive(uint256 _caseId) {
+        require(cases[_caseId].isActive && !cases[_caseId].isSettled, "Case not active");
+        _;
+    }
+
+    modifier feeScheduleExists(uint256 _scheduleId) {
+        require(_scheduleId != 0 && _scheduleId <= totalFeeSchedules, "Invalid fee schedule");
+        _;
+    }
+
+    modifier whenNotPaused() {
+        _requireNotPaused();
+        _;
+    }
+
+    /**
+     * @dev Also fails while the whole system is paused
+     */
+    modifier whenNotFrozen(uint256 _caseId) {
+        _requireNotFrozen(_caseId);
+        _;
+    }
+
+    // ========== ENHANCED INPUT VALIDATION ==========
+
+    function _validateAddress(address _addr) internal pure {
+        require(_addr != address(0), "Invalid address: zero address");
+    }
+
+    function _validateArrayLength(uint256 length, uint256 min, uint256 max) internal pure {
+        require(length >= min && length <= max, "Invalid array length");
+    }
+
+    function _validatePercentage(uint32 value) internal pure {
+        require(value > 0 && value <= 100, "Percentage must be 1-100");
+    }
+
+    function _validateAmount(uint64 amount) internal pure {
+        require(amount > 0, "Amount must be positive");
+    }
+
+    // ========== OVERFLOW PROTECTION ==========
+
+    function _safeAdd(uint256 a, uint256 b) internal pure returns (uint256) {
+        uint256 c = a + b;
+        require(c >= a, "Addition overflow");
+        return c;
+    }
+
+    function _safeSub(uint256 a, uint256 b) internal pure returns (uint256) {
+        require(b <= a, "Subtraction underflow");
+        return a - b;
+    }
+
+    function _safeMul(uint256 a, uint256 b) internal pure returns (uint256) {
+        if (a == 0) return 0;
+        uint256 c = a * b;
+        require(c / a == b, "Multiplication overflow");
+        return c;
+    }
+
+    function _hasRole(bytes32 _role, address _account) internal view returns (bool) {
+        return _account == admin || roleMembers[_role][_account];
+    }
+
+    function _assignCaseManager(uint256 _caseId, address _manager) internal {
+        caseManagers[_caseId] = _manager;
+        emit CaseManagerAssigned(_caseId, _manager);
+    }
+
+    // ========== CIRCUIT BREAKER ==========
+
+    function _requireNotPaused() internal view {
+        require(!paused, "System paused");
+    }
+
+    function _requireNotFrozen(uint256 _caseId) internal view {
+        _requireNotPaused();
+        require(!frozenCases[_caseId], "Case frozen");
+    }
+
+    // ========== RESPONSIBILITY ACCEPTANCE ==========
+
+    /**
+     * @dev An acceptance only counts while the party's responsibility is still the ciphertext they accepted
+     */
+    function _hasAcceptedResponsibility(uint256 _caseId, address _party) internal view returns (bool) {
+        bytes32 accepted = responsibilityAcceptances[_caseId][_party].responsibility;
+        return accepted != bytes32(0) && accepted == FHE.toBytes32(partyAllocations[_caseId][_party].responsibility);
+    }
+
+    function _requireResponsibilitiesAccepted(uint256 _caseId) internal view {
+        if (!acceptanceRequired[_caseId]) {
+            return;
+        }
+        address[] storage parties = caseParties[_caseId];
+        for (uint i = 0; i < parties.length; i++) {
+            require(_hasAcceptedResponsibility(_caseId, parties[i]), "Responsibility not accepted");
+        }
+    }
+
+    // ========== TIMEOUTS ==========
+
+    /**
+     * @dev Restart the case's inactivity clock; never moves the deadline earlier than an extension set it
+     */
+    function _recordActivity(uint256 _caseId) internal {
+        CaseTimeouts storage timeouts = caseTimeouts[_caseId];
+        uint256 deadline = block.timestamp + _caseTimeout(_caseId);
+        if (deadline > timeouts.caseDeadline) {
+            timeouts.caseDeadline = deadline;
+        }
+    }
+
+    /**
+     * @dev Cases created before timeouts were configurable fall back to the defaults
+     */
+    function _caseTimeout(uint256 _caseId) internal view returns (uint256) {
+        uint256 timeout = caseTimeouts[_caseId].caseTimeout;
+        return timeout == 0 ? CASE_TIMEOUT : timeout;
+    }
+
+    function _caseDeadline(uint256 _caseId) internal view returns (uint256) {
+        uint256 deadline = caseTimeouts[_caseId].caseDeadline;
+        return deadline == 0 ? cases[_caseId].createdAt + CASE_TIMEOUT : deadline;
+    }
+
+    /**
+     * @return Time after which a pending fee decryption counts as failed, or 0 if none was requested
+     */
+    function _decryptionDeadline(uint256 _caseId) internal view returns (uint256) {
+        LegalCase storage legalCase = cases[_caseId];
+        if (!legalCase.decryptionRequested) {
+            return 0;
+        }
+        uint256 timeout = caseTimeouts[_caseId].decryptionTimeout;
+        return legalCase.decryptionRequestTime + (timeout == 0 ? DECRYPTION_TIMEOUT : timeout);
+    }
+
+    /**
+     * @dev Close the case's latest decryption attempt if the Gateway has not answered it yet
+     */
+    function _closeDecryptionAttempt(uint256 _caseId, DecryptionAttemptStatus _status) internal {
+        DecryptionAttempt[] storage attempts = decryptionAttempts[_caseId];
+        if (attempts.length == 0) {
+            return;
+        }
+        DecryptionAttempt storage attempt = attempts[attempts.length - 1];
+        if (attempt.status == DecryptionAttemptStatus.Pending) {
+            attempt.status = _status;
+            attempt.closedAt = block.timestamp;
+        }
+    }
+
+    // ========== ANALYTICS ==========
+
+    /**
+     * @dev Replaces the case's contribution to the billed totals with its new bill. A case joins the case count and
+     * complexity average when its fees are first calculated.
+     */
+    function _recordBilledAnalytics(uint256 _caseId, euint64 _billedFee) internal {
+        CaseAnalytics storage analytics = caseAnalytics[_caseId];
+        Analytics storage managerTotals = managerAnalytics[_analyticsManager(_caseId)];
+
+        if (!analytics.isCounted) {
+            analytics.isCounted = true;
+            euint64 complexity = FHE.asEuint64(cases[_caseId].complexity);
+            firmAnalytics.complexityTotal = FHE.add(firmAnalytics.complexityTotal, complexity);
+            managerTotals.complexityTotal = FHE.add(managerTotals.complexityTotal, complexity);
+            firmAnalytics.caseCount++;
+            managerTotals.caseCount++;
+
+            FHE.allowThis(firmAnalytics.complexityTotal);
+            FHE.allowThis(managerTotals.complexityTotal);
+        }
+
+        firmAnalytics.billedFees = FHE.add(FHE.sub(firmAnalytics.billedFees, analytics.billedFee), _billedFee);
+        managerTotals.billedFees = FHE.add(FHE.sub(managerTotals.billedFees, analytics.billedFee), _billedFee);
+        analytics.billedFee = _billedFee;
+
+        FHE.allowThis(firmAnalytics.billedFees);
+        FHE.allowThis(managerTotals.billedFees);
+    }
+
+    /**
+     * @dev Takes the case's current bill out of the billed totals once it will be refunded instead of paid.
+     * A released escrow means the bill was paid, and a reopened case keeps its settled bill there; only the
+     * supplemental one is taken out.
+     */
+    function _removeBilledAnalytics(uint256 _caseId) internal {
+        CaseAnalytics storage analytics = caseAnalytics[_caseId];
+        if (!FHE.isInitialized(analytics.billedFee) || caseEscrows[_caseId].isReleased) {
+            return;
+        }
+        Analytics storage managerTotals = managerAnalytics[analytics.manager];
+
+        firmAnalytics.billedFees = FHE.sub(firmAnalytics.billedFees, analytics.billedFee);
+        managerTotals.billedFees = FHE.sub(managerTotals.billedFees, analytics.billedFee);
+        analytics.billedFee = euint64.wrap(0);
+
+        FHE.allowThis(firmAnalytics.billedFees);
+        FHE.allowThis(managerTotals.billedFees);
+    }
+
+    function _recordHoursAnalytics(uint256 _caseId, euint32 _hoursWorked, bool _isCredit) internal {
+        Analytics storage managerTotals = managerAnalytics[_analyticsManager(_caseId)];
+        euint64 hoursWorked = FHE.asEuint64(_hoursWorked);
+
+        if (_isCredit) {
+            firmAnalytics.hoursWorked = FHE.add(firmAnalytics.hoursWorked, hoursWorked);
+            managerTotals.hoursWorked = FHE.add(managerTotals.hoursWorked, hoursWorked);
+        } else {
+            firmAnalytics.hoursWorked = FHE.sub(firmAnalytics.hoursWorked, hoursWorked);
+            managerTotals.hoursWorked = FHE.sub(managerTotals.hoursWorked, hoursWorked);
+        }
+
+        FHE.allowThis(firmAnalytics.hoursWorked);
+        FHE.allowThis(managerTotals.hoursWorked);
+    }
+
+    /**
+     * @dev A case's figures go to whoever manages it when it is first billed or has time recorded, and stay with
+     * that manager if the case is reassigned
+     */
+    function _analyticsManager(uint256 _caseId) internal returns (address manager) {
+        manager = caseAnalytics[_caseId].manager;
+        if (manager == address(0)) {
+            manager = caseManagers[_caseId];
+            caseAnalytics[_caseId].manager = manager;
+        }
+    }
+
+    // ========== FEE CALCULATION ==========
+
+    /**
+     * @dev Bills the case under its fee schedule, records the schedule version used and splits the bill across
+     * parties. Responsibility ratios must total 100%; see _distributeFeesToParties for how encrypted ratios are
+     * checked.
+     */
+    function _calculateFees(uint256 _caseId) internal {
+        _recordActivity(_caseId);
+        LegalCase storage legalCase = cases[_caseId];
+        bool hasEncryptedRatios = _checkDeclaredResponsibility(_caseId);
+        LegalFeeMath.FeeSchedule storage schedule = feeSchedules[legalCase.feeScheduleId];
+
+        (euint64 finalAmount, euint32 complexityRate) = _computeBill(_caseId, schedule);
+        uint32 version = feeCalculations[_caseId].version + 1;
+
+        feeCalculations[_caseId] = FeeCalculation({
+            baseFee: legalCase.totalFee,
+            complexityMultiplier: complexityRate, // Per-point rate of the complexity tier applied
+            timeMultiplier: FHE.asEuint32(0), // Time is billed per entry at its own rate (see ledgerTotals)
+            finalAmount: finalAmount,
+            isCalculated: true,
+            revealedAmount: 0,
+            isRevealed: false,
+            feeScheduleId: legalCase.feeScheduleId,
+            feeScheduleVersion: schedule.version,
+            calculatedAt: block.timestamp,
+            version: version,
+            isStale: false
+        });
+
+        // A decryption requested for an earlier calculation no longer applies
+        _closeDecryptionAttempt(_caseId, DecryptionAttemptStatus.Superseded);
+        // Penalties restart with the new allocation (see _distributeFeesToParties), and so does the clock
+        delete paymentPauses[_caseId];
+        legalCase.decryptionRequested = false;
+        legalCase.decryptionRequestId = 0;
+
+        _distributeFeesToParties(_caseId, finalAmount, hasEncryptedRatios);
+        _recordBilledAnalytics(_caseId, finalAmount);
+
+        FHE.allowThis(finalAmount);
+        FHE.allowThis(complexityRate);
+
+        emit FeeCalculated(_caseId, msg.sender);
+        emit AllocationVersionCreated(_caseId, version);
+    }
+
+    /**
+     * @dev On contingency cases complexityRate is the stage percentage applied; time entries are not billed
+     */
+    function _computeBill(
+        uint256 _caseId,
+        LegalFeeMath.FeeSchedule storage _schedule
+    ) private returns (euint64 bill, euint32 complexityRate) {
+        ContingencyTerms storage contingency = contingencyTerms[_caseId];
+        if (!contingency.isContingency) {
+            return LegalFeeMath.computeBill(
+                _schedule,
+                cases[_caseId].totalFee,
+                cases[_caseId].complexity,
+                ledgerTotals[_caseId]
+            );
+        }
+
+        require(contingency.isAwardRecorded, "Award not recorded");
+        return (contingency.bill, contingency.percentage);
+    }
+
+    /**
+     * @dev Run whenever the award or the expenses change rather than in calculateFeeAllocation: together with the
+     * share allocation, the contingency math would exceed the FHE computation depth allowed in one transaction
+     */
+    function _updateContingencyBill(uint256 _caseId) internal {
+        ContingencyTerms storage contingency = contingencyTerms[_caseId];
+        if (!contingency.isAwardRecorded) {
+            return;
+        }
+
+        (euint64 bill, euint32 percentage) = LegalFeeMath.computeContingencyBill(
+            contingency.award,
+            contingency.stage,
+            contingency.stagePercentages,
+            expenseTotals[_caseId]
+        );
+        contingency.bill = bill;
+        contingency.percentage = percentage;
+
+        FHE.allowThis(bill);
+        FHE.allowThis(percentage);
+    }
+
+    /**
+     * @dev Called whenever a fee input changes. Payments are refused until fees are recalculated.
+     */
+    function _markAllocationStale(uint256 _caseId) internal {
+        FeeCalculation storage calc = feeCalculations[_caseId];
+        if (calc.isCalculated && !calc.isStale) {
+            calc.isStale = true;
+            _pausePayments(_caseId);
+            emit AllocationMarkedStale(_caseId, calc.version);
+        }
+    }
+
+    /**
+     * @dev Stops the late-payment clock while payments are refused. It restarts on the next calculation, or when
+     * a dismissed dispute reopens payments.
+     */
+    function _pausePayments(uint256 _caseId) internal {
+        if (paymentPauses[_caseId].since == 0) {
+            paymentPauses[_caseId].since = block.timestamp;
+        }
+    }
+
+    function _resumePayments(uint256 _caseId) internal {
+        PaymentPause storage pause = paymentPauses[_caseId];
+        if (pause.since != 0) {
+            pause.total += block.timestamp - pause.since;
+            pause.since = 0;
+        }
+    }
+
+    function _setResponsibility(uint256 _caseId, address _party, euint32 _responsibility) internal {
+        _recordActivity(_caseId);
+        _markAllocationStale(_caseId);
+        partyAllocations[_caseId][_party].responsibility = _responsibility;
+
+        FHE.allowThis(_responsibility);
+        FHE.allow(_responsibility, _party);
+
+        emit AllocationUpdated(_caseId, _party);
+    }
+
+    /**
+     * @dev Requires plaintext-declared ratios to total exactly 100.
+     * Returns true when any ratio was submitted encrypted, in which case the total is checked homomorphically.
+     */
+    function _checkDeclaredResponsibility(uint256 _caseId) internal view returns (bool) {
+        address[] storage parties = caseParties[_caseId];
+        uint256 declaredTotal = 0;
+
+        for (uint i = 0; i < parties.length; i++) {
+            PartyAllocation storage allocation = partyAllocations[_caseId][parties[i]];
+            if (allocation.isResponsibilityEncrypted) {
+                return true;
+            }
+            declaredTotal += allocation.declaredResponsibility;
+        }
+
+        require(declaredTotal == 100, "Responsibilities must total 100");
+        return false;
+    }
+
+    /**
+     * @dev Shares come from LegalFeeMath.allocateShares, so they add up to the fee exactly with the rounding
+     * remainder on the first listed party. If encrypted ratios do not total 100, every allocation is set to
+     * type(uint64).max so no payment can cover it until the ratios are corrected and fees recalculated.
+     * Parties who already paid keep their paid status and get an adjustment record against the new share.
+     * An insured or funded party's share is split with its insurer or funder, and allocatedAmount holds the
+     * party's part.
+     */
+    function _distributeFeesToParties(uint256 _caseId, euint64 _totalAdjustedFee, bool _hasEncryptedRatios) internal {
+        address[] memory parties = caseParties[_caseId];
+        euint32[] memory responsibilities = new euint32[](parties.length);
+        for (uint i = 0; i < parties.length; i++) {
+            responsibilities[i] = partyAllocations[_caseId][parties[i]].responsibility;
+        }
+
+        (euint64[] memory shares, euint32 responsibilityTotal) = LegalFeeMath.allocateShares(
+            _totalAdjustedFee,
+            responsibilities
+        );
+        ebool ratiosValid = FHE.eq(responsibilityTotal, 100);
+
+        for (uint i = 0; i < parties.length; i++) {
+            address party = parties[i];
+            PartyAllocation storage allocation = partyAllocations[_caseId][party];
+
+            euint64 allocatedAmount = _splitInsuredShare(_caseId, party, shares[i], ratiosValid, _hasEncryptedRatios);
+            allocatedAmount = _splitFundedShare(
+                _caseId,
+                party,
+                allocatedAmount,
+                _totalAdjustedFee,
+                ratiosValid,
+                _hasEncryptedRatios
+            );
+            if (_hasEncryptedRatios) {
+                allocatedAmount = FHE.select(ratiosValid, allocatedAmount, FHE.asEuint64(type(uint64).max));
+            }
+
+            // Store the responsibility as contribution ratio
+            euint32 contributionRatio = responsibilities[i];
+
+            if (allocation.hasPaid) {
+                _recordAdjustment(_caseId, party, allocation.paidAllocation, allocatedAmount);
+            }
+
+            allocation.contributionRatio = contributionRatio;
+            allocation.allocatedAmount = allocatedAmount;
+            // Penalties belong to the bill being replaced
+            delete latePenalties[_caseId][party];
+
+            FHE.allowThis(contributionRatio);
+            FHE.allowThis(allocatedAmount);
+            FHE.allow(contributionRatio, party);
+            FHE.allow(allocatedAmount, party);
+        }
+
+        emit ResponsibilityDistributed(_caseId, parties.length);
+    }
+
+    /**
+     * @dev Gives the insurer its part of an insured party's share and returns the party's part; uninsured shares
+     * are returned unchanged. Each part is only decryptable by the one paying it.
+     */
+    function _splitInsuredShare(
+        uint256 _caseId,
+        address _party,
+        euint64 _share,
+        ebool _ratiosValid,
+        bool _hasEncryptedRatios
+    ) private returns (euint64 partyPortion) {
+        if (!_hasThirdPartyPayer(_caseId, _party, ThirdPartyKind.Insurer)) {
+            return _share;
+        }
+
+        InsuranceCoverage storage coverage = insuranceCoverages[_caseId][_party];
+        euint64 insurerPortion;
+        (insurerPortion, partyPortion) = LegalFeeMath.splitCoverage(
+            _share,
+            coverage.deductible,
+            coverage.coverageLimit
+        );
+        if (_hasEncryptedRatios) {
+            insurerPortion = FHE.select(_ratiosValid, insurerPortion, FHE.asEuint64(type(uint64).max));
+        }
+
+        _setThirdPartyPortion(_caseId, _party, insurerPortion);
+    }
+
+    /**
+     * @dev Gives the funder its part of a funded party's share and returns the party's part; other shares are
+     * returned unchanged. The funder's part is computed from the fee rather than the share so it does not add to
+     * the depth of FHE operations the share already needs. The funder is only allowed on the part it pays.
+     */
+    function _splitFundedShare(
+        uint256 _caseId,
+        address _party,
+        euint64 _share,
+        euint64 _fee,
+        ebool _ratiosValid,
+        bool _hasEncryptedRatios
+    ) private returns (euint64 partyPortion) {
+        if (!_hasThirdPartyPayer(_caseId, _party, ThirdPartyKind.Funder)) {
+            return _share;
+        }
+
+        euint32 responsibility = partyAllocations[_caseId][_party].responsibility;
+        euint32 fundedPercentage = fundingTerms[_caseId][_party].fundedPercentage;
+        euint64 funderPortion = LegalFeeMath.fundedPortion(_fee, responsibility, fundedPercentage);
+        partyPortion = FHE.sub(_share, funderPortion);
+        if (_hasEncryptedRatios) {
+            funderPortion = FHE.select(_ratiosValid, funderPortion, FHE.asEuint64(type(uint64).max));
+        }
+
+        _setThirdPartyPortion(_caseId, _party, funderPortion);
+    }
+
+    /**
+     * @dev Stores an insurer's or funder's part of the current share, recording an adjustment against what it paid
+     * for an earlier one. Only the payer is allowed on its part.
+     */
+    function _setThirdPartyPortion(uint256 _caseId, address _party, euint64 _portion) private {
+        ThirdPartyPayer storage payer = thirdPartyPayers[_caseId][_party];
+        if (payer.hasPaid) {
+            thirdPartyAdjustments[_caseId][_party].push(
+                _newAdjustment(_caseId, payer.paidVersion, payer.paidPortion, _portion, payer.payer)
+            );
+            emit ThirdPartyAllocationAdjusted(_caseId, _party, payer.paidVersion, feeCalculations[_caseId].version);
+        }
+
+        payer.portion = _portion;
+        FHE.allowThis(_portion);
+        FHE.allow(_portion, payer.payer);
+    }
+
+    function _hasThirdPartyPayer(
+        uint256 _caseId,
+        address _party,
+        ThirdPartyKind _kind
+    ) internal view returns (bool) {
+        ThirdPartyPayer storage payer = thirdPartyPayers[_caseId][_party];
+        return payer.payer != address(0) && payer.kind == _kind;
+    }
+
+    /**
+     * @dev Records the credit or shortfall between what a party paid and its share under the current calculation
+     */
+    function _recordAdjustment(uint256 _caseId, address _party, euint64 _paid, euint64 _newAmount) internal {
+        uint32 paidVersion = partyAllocations[_caseId][_party].paidVersion;
+        uint32 newVersion = feeCalculations[_caseId].version;
+
+        allocationAdjustments[_caseId][_party].push(_newAdjustment(_caseId, paidVersion, _paid, _newAmount, _party));
+
+        emit AllocationAdjusted(_caseId, _party, paidVersion, newVersion);
+    }
+
+    function _newAdjustment(
+        uint256 _caseId,
+        uint32 _paidVersion,
+        euint64 _paid,
+        euint64 _newAmount,
+        address _payer
+    ) private returns (AllocationAdjustment memory adjustment) {
+        euint64 overlap = FHE.min(_paid, _newAmount);
+        adjustment = AllocationAdjustment({
+            paidVersion: _paidVersion,
+            newVersion: feeCalculations[_caseId].version,
+            credit: FHE.sub(_paid, overlap),
+            shortfall: FHE.sub(_newAmount, overlap),
+            recordedAt: block.timestamp
+        });
+
+        FHE.allowThis(adjustment.credit);
+        FHE.allowThis(adjustment.shortfall);
+        FHE.allow(adjustment.credit, _payer);
+        FHE.allow(adjustment.shortfall, _payer);
+    }
+
+    function _storeFeeSchedule(LegalFeeMath.FeeTerms memory _terms) internal returns (uint256 scheduleId) {
+        totalFeeSchedules = _safeAdd(totalFeeSchedules, 1);
+        scheduleId = totalFeeSchedules;
+
+        LegalFeeMath.FeeSchedule storage schedule = feeSchedules[scheduleId];
+        schedule.terms = _terms;
+        schedule.version = 1;
+        schedule.registeredBy = msg.sender;
+
+        emit FeeScheduleRegistered(scheduleId, msg.sender);
+    }
+
+    function _markPaid(uint256 _caseId, address _party) internal {
+        PartyAllocation storage allocation = partyAllocations[_caseId][_party];
+        allocation.hasPaid = true;
+        allocation.paymentDate = block.timestamp;
+        allocation.paidVersion = feeCalculations[_caseId].version;
+        allocation.paidAllocation = allocation.allocatedAmount;
+
+        emit PaymentRecorded(_caseId, _party);
+
+        _settleIfAllPaid(_caseId);
+    }
+
+    /**
+     * @dev Gateway callbacks still record payments while the case is frozen or the system paused, but the escrow
+     * is only released once both are lifted
+     */
+    function _settleIfAllPaid(uint256 _caseId) internal {
+        if (!_allPartiesPaid(_caseId)) {
+            return;
+        }
+        if (!paused && !frozenCases[_caseId]) {
+            _settleCase(_caseId);
+            return;
+        }
+        if (!settlementDeferred[_caseId]) {
+            settlementDeferred[_caseId] = true;
+            deferredSettlements.push(_caseId);
+            emit SettlementDeferred(_caseId);
+        }
+    }
+
+    /**
+     * @dev Insured and funded parties also need their insurer or funder to have paid
+     */
+    function _allPartiesPaid(uint256 _caseId) internal view returns (bool) {
+        address[] memory parties = caseParties[_caseId];
+        for (uint i = 0; i < parties.length; i++) {
+            if (!partyAllocations[_caseId][parties[i]].hasPaid) {
+                return false;
+            }
+            ThirdPartyPayer storage payer = thirdPartyPayers[_caseId][parties[i]];
+            if (payer.payer != address(0) && !payer.hasPaid) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    function _settleCase(uint256 _caseId) internal {
+        cases[_caseId].isActive = false;
+        cases[_caseId].isSettled = true;
+        cases[_caseId].settledAt = block.timestamp;
+        activeCases--;
+
+        emit CaseSettled(_caseId, block.timestamp);
+
+        _releaseEscrow(_caseId);
+    }
+
+    /**
+     * @dev Pays out everything still held for the case (deposits minus refunds) to the payee
+     */
+    function _releaseEscrow(uint256 _caseId) internal {
+        CaseEscrow storage escrow = caseEscrows[_caseId];
+        if (escrow.isConfidential) {
+            _releaseConfidentialEscrow(_caseId, escrow);
+            return;
+        }
+
+        uint256 amount = _safeSub(escrow.totalDeposited, escrow.totalRefunded);
+
+        escrow.isReleased = true;
+
+        if (amount > 0) {
+            _transferOut(escrow.paymentToken, escrow.payee, amount);
+        }
+
+        emit EscrowReleased(_caseId, escrow.payee, amount);
+    }
+
+    function _releaseConfidentialEscrow(uint256 _caseId, CaseEscrow storage _escrow) internal {
+        _escrow.isReleased = true;
+
+        if (FHE.isInitialized(_escrow.confidentialBalance)) {
+            FHE.allowTransient(_escrow.confidentialBalance, _escrow.paymentToken);
+            IERC7984(_escrow.paymentToken).confidentialTransfer(_escrow.payee, _escrow.confidentialBalance);
+        }
+
+        emit ConfidentialEscrowReleased(_caseId, _escrow.payee);
+    }
+
+    function _transferOut(address _token, address _to, uint256 _amount) internal {
+        if (_token == address(0)) {
+            (bool success, ) = payable(_to).call{value: _amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            IERC20(_token).safeTransfer(_to, _amount);
+        }
+    }
+
+    /**
+     * @dev Encrypts a plaintext deposit total so it can be checked against an encrypted share. Totals beyond the
+     * uint64 range cover any share, so they saturate.
+     */
+    function _encryptDeposit(uint256 _deposited) internal returns (euint64) {
+        return FHE.asEuint64(_deposited > type(uint64).max ? type(uint64).max : uint64(_deposited));
+    }
+
+    // ========== PARTY MEMBERSHIP ==========
+
+    function _isPartyInCase(uint256 _caseId, address _party) internal view returns (bool) {
+        address[] memory parties = caseParties[_caseId];
+        for (uint i = 0; i < parties.length; i++) {
+            if (parties[i] == _party) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function _canViewParties(uint256 _caseId) internal view returns (bool) {
+        return _hasRole(AUDITOR_ROLE, msg.sender) ||
+            caseManagers[_caseId] == msg.sender ||
+            _isPartyInCase(_caseId, msg.sender);
+    }
+
+    function _canViewPartyCases(address _party) internal view returns (bool) {
+        return msg.sender == _party || _hasRole(AUDITOR_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Stand-in address for a private-case party until they join. Nobody holds its key, so it cannot act as
+     * the party, and it reveals nothing about them without the salt.
+     */
+    function _partyKey(bytes32 _commitment) internal pure returns (address) {
+        return address(uint160(uint256(_commitment)));
+    }
+
+    /**
+     * @dev Whether _party is the key of a private-case party who has not joined yet
+     */
+    function _isPendingParty(uint256 _caseId, address _party) internal view returns (bool) {
+        bytes32[] storage commitments = partyCommitments[_caseId];
+        for (uint i = 0; i < commitments.length; i++) {
+            if (_partyKey(commitments[i]) == _party && !joinedCommitments[_caseId][commitments[i]]) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Plain ETH transfers are rejected; deposits must go through recordPayment
+     */
+    receive() external payable {
+        revert("Use recordPayment");
+    }
+
+    /**
+     * @dev Forwards the current call to a module, which runs against this contract's storage
+     */
+    function _delegateTo(address _module) internal {
+        require(_module != address(0), "Unknown function");
+
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), _module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
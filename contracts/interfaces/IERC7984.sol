@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { euint64 } from "@fhevm/solidity/lib/FHE.sol";
+
+/**
+ * @title IERC7984
+ * @notice Subset of the ERC-7984 confidential fungible token interface used for encrypted fee payments
+ * @dev Amounts are FHE handles; callers must be granted ACL access to any handle they pass in
+ */
+interface IERC7984 {
+    function confidentialBalanceOf(address account) external view returns (euint64);
+
+    function isOperator(address holder, address spender) external view returns (bool);
+
+    function setOperator(address operator, uint48 until) external;
+
+    function confidentialTransfer(address to, euint64 amount) external returns (euint64 transferred);
+
+    function confidentialTransferFrom(
+        address from,
+        address to,
+        euint64 amount
+    ) external returns (euint64 transferred);
+}
@@ -0,0 +1,198 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint8, euint32, euint64 } from "@fhevm/solidity/lib/FHE.sol";
+
+/**
+ * @title LegalFeeMath
+ * @notice Encrypted fee arithmetic for ConfidentialLegalFeeAllocation
+ * @dev Deployed once and linked; public functions run via DELEGATECALL, so every FHE handle they create
+ * belongs to the calling contract and ACL grants apply to it.
+ */
+library LegalFeeMath {
+    uint32 public constant MAX_COMPLEXITY_TIERS = 5;
+    uint32 public constant MAX_CONTINGENCY_STAGES = 4;
+
+    struct FeeTerms {
+        uint64 hourlyRate; // rate for time recorded without its own rate (updateTimeSpent)
+        uint32 complexityRate; // billed per complexity point below the first tier
+        uint64 retainer; // flat amount added to every bill
+        uint64 minimumFee;
+        uint64 maximumFee; // 0 = uncapped
+        uint32[] tierThresholds; // ascending complexity lower bounds
+        uint32[] tierRates; // per-point complexity rate from the matching threshold upwards
+    }
+
+    struct FeeSchedule {
+        FeeTerms terms;
+        uint32 version;
+        address registeredBy;
+    }
+
+    /**
+     * @notice Check that fee terms are internally consistent
+     * @param _terms Terms to validate
+     */
+    function validateTerms(FeeTerms memory _terms) internal pure {
+        require(
+            _terms.maximumFee == 0 || _terms.maximumFee >= _terms.minimumFee,
+            "Cap below minimum fee"
+        );
+        require(_terms.tierThresholds.length == _terms.tierRates.length, "Tier length mismatch");
+        require(_terms.tierThresholds.length <= MAX_COMPLEXITY_TIERS, "Too many complexity tiers");
+
+        uint32 previousThreshold = 0;
+        for (uint i = 0; i < _terms.tierThresholds.length; i++) {
+            uint32 threshold = _terms.tierThresholds[i];
+            require(threshold > previousThreshold && threshold <= 100, "Invalid tier threshold");
+            previousThreshold = threshold;
+        }
+    }
+
+    /**
+     * @notice Compute a case's bill under a fee schedule
+     * @dev bill = clamp(baseFee + ledger + complexity * tierRate + retainer, minimumFee, maximumFee)
+     * @param _schedule Fee schedule applied to the case
+     * @param _baseFee Encrypted base fee agreed at case creation
+     * @param _complexity Encrypted complexity (1-100), selects the tier rate
+     * @param _ledgerAmount Encrypted total of the case's time entries (hours * rate) and expenses
+     * @return bill Encrypted billed amount
+     * @return complexityRate Encrypted per-point complexity rate that was applied
+     */
+    function computeBill(
+        FeeSchedule storage _schedule,
+        euint64 _baseFee,
+        euint32 _complexity,
+        euint64 _ledgerAmount
+    ) public returns (euint64 bill, euint32 complexityRate) {
+        FeeTerms storage terms = _schedule.terms;
+
+        complexityRate = _tierRate(terms, _complexity);
+        euint64 complexityCharge = FHE.mul(FHE.asEuint64(_complexity), FHE.asEuint64(complexityRate));
+
+        bill = FHE.add(FHE.add(_baseFee, _ledgerAmount), FHE.add(complexityCharge, terms.retainer));
+        bill = FHE.max(bill, terms.minimumFee);
+        if (terms.maximumFee > 0) {
+            bill = FHE.min(bill, terms.maximumFee);
+        }
+    }
+
+    /**
+     * @notice Compute a contingency case's bill from its recovered award
+     * @dev Expenses come off the top of the award and are reimbursed; the fee is the stage percentage of what
+     * remains: bill = min(expenses, award) + floor((award - min(expenses, award)) * percentage / 100)
+     * @param _award Encrypted recovered amount
+     * @param _stage Encrypted stage the case resolved at; stages past the last percentage use the last one
+     * @param _stagePercentages Encrypted percentage per stage (0-100), earliest first
+     * @param _expenses Encrypted total of the case's non-voided expenses
+     * @return bill Encrypted billed amount
+     * @return percentage Encrypted percentage that was applied
+     */
+    function computeContingencyBill(
+        euint64 _award,
+        euint8 _stage,
+        euint32[] memory _stagePercentages,
+        euint64 _expenses
+    ) public returns (euint64 bill, euint32 percentage) {
+        percentage = _stagePercentages[0];
+        for (uint i = 1; i < _stagePercentages.length; i++) {
+            percentage = FHE.select(FHE.ge(_stage, uint8(i)), _stagePercentages[i], percentage);
+        }
+
+        euint64 reimbursed = FHE.min(_expenses, _award);
+        euint64 netRecovery = FHE.sub(_award, reimbursed);
+        euint64 rate = FHE.asEuint64(percentage);
+        euint64 fee = FHE.add(
+            FHE.mul(FHE.div(netRecovery, 100), rate),
+            FHE.div(FHE.mul(FHE.rem(netRecovery, 100), rate), 100)
+        );
+
+        bill = FHE.add(reimbursed, fee);
+    }
+
+    /**
+     * @notice Split an insured party's share between the insurer and the party
+     * @dev The party pays the share up to the deductible, the insurer pays what is above it up to the coverage
+     * limit, and the party pays anything above the limit: insurerPortion = min(share, limit) - min(share, deductible)
+     * @param _share Encrypted share of the fee
+     * @param _deductible Encrypted deductible
+     * @param _coverageLimit Encrypted deductible + coverage cap
+     * @return insurerPortion Encrypted part paid by the insurer
+     * @return partyPortion Encrypted part paid by the party; the two add up to the share
+     */
+    function splitCoverage(
+        euint64 _share,
+        euint64 _deductible,
+        euint64 _coverageLimit
+    ) public returns (euint64 insurerPortion, euint64 partyPortion) {
+        insurerPortion = FHE.sub(FHE.min(_share, _coverageLimit), FHE.min(_share, _deductible));
+        partyPortion = FHE.sub(_share, insurerPortion);
+    }
+
+    /**
+     * @notice Compute the part of a party's share paid by a funder
+     * @dev floor(amount * responsibility * percentage / 10000), computed from the amount the shares are split from;
+     * never more than the party's share when the responsibilities are valid
+     * @param _amount Encrypted amount split between the parties
+     * @param _responsibility Encrypted responsibility of the funded party (0-100)
+     * @param _percentage Encrypted percentage of the party's share the funder pays (0-100)
+     * @return portion Encrypted part paid by the funder
+     */
+    function fundedPortion(
+        euint64 _amount,
+        euint32 _responsibility,
+        euint32 _percentage
+    ) public returns (euint64 portion) {
+        euint64 basisPoints = FHE.asEuint64(FHE.mul(_responsibility, _percentage));
+        portion = FHE.add(
+            FHE.mul(FHE.div(_amount, 10000), basisPoints),
+            FHE.div(FHE.mul(FHE.rem(_amount, 10000), basisPoints), 10000)
+        );
+    }
+
+    /**
+     * @notice Split an amount by responsibility percentages
+     * @dev Each share is floor(amount * responsibility / 100), computed as
+     * (amount / 100) * r + (amount % 100) * r / 100 so it cannot overflow. The first share is whatever the others
+     * leave of the amount, so it takes the rounding remainder and the shares always sum to the amount when the
+     * responsibilities total 100.
+     * @param _amount Encrypted amount to split
+     * @param _responsibilities Encrypted percentages, one per party
+     * @return shares Encrypted share per party, in input order
+     * @return responsibilityTotal Encrypted sum of the percentages
+     */
+    function allocateShares(
+        euint64 _amount,
+        euint32[] memory _responsibilities
+    ) public returns (euint64[] memory shares, euint32 responsibilityTotal) {
+        shares = new euint64[](_responsibilities.length);
+        euint64 perPercent = FHE.div(_amount, 100);
+        euint64 remainder = FHE.rem(_amount, 100);
+        euint64 otherShares;
+        responsibilityTotal = _responsibilities[0];
+
+        for (uint i = 1; i < _responsibilities.length; i++) {
+            euint64 responsibility = FHE.asEuint64(_responsibilities[i]);
+            shares[i] = FHE.add(
+                FHE.mul(perPercent, responsibility),
+                FHE.div(FHE.mul(remainder, responsibility), 100)
+            );
+            otherShares = i == 1 ? shares[i] : FHE.add(otherShares, shares[i]);
+            responsibilityTotal = FHE.add(responsibilityTotal, _responsibilities[i]);
+        }
+
+        // Same as computing the first share and adding the remainder, with fewer dependent FHE operations
+        shares[0] = FHE.sub(_amount, otherShares);
+    }
+
+    function _tierRate(FeeTerms storage _terms, euint32 _complexity) private returns (euint32 rate) {
+        rate = FHE.asEuint32(_terms.complexityRate);
+        for (uint i = 0; i < _terms.tierThresholds.length; i++) {
+            rate = FHE.select(
+                FHE.ge(_complexity, _terms.tierThresholds[i]),
+                FHE.asEuint32(_terms.tierRates[i]),
+                rate
+            );
+        }
+    }
+}
@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, ebool } from "@fhevm/solidity/lib/FHE.sol";
+import { SepoliaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+import { IERC7984 } from "../interfaces/IERC7984.sol";
+
+/**
+ * @title MockConfidentialToken
+ * @notice Minimal ERC-7984-style token used by the test suite to exercise confidential escrow
+ * @dev Transfers exceeding the sender's balance move an encrypted zero instead of reverting
+ */
+contract MockConfidentialToken is SepoliaConfig, IERC7984 {
+    mapping(address => euint64) private balances;
+    mapping(address => mapping(address => uint48)) private operators;
+
+    function mint(address _to, uint64 _amount) external {
+        euint64 balance = FHE.add(balances[_to], FHE.asEuint64(_amount));
+        balances[_to] = balance;
+
+        FHE.allowThis(balance);
+        FHE.allow(balance, _to);
+    }
+
+    function confidentialBalanceOf(address _account) external view returns (euint64) {
+        return balances[_account];
+    }
+
+    function isOperator(address _holder, address _spender) public view returns (bool) {
+        return _holder == _spender || block.timestamp <= operators[_holder][_spender];
+    }
+
+    function setOperator(address _operator, uint48 _until) external {
+        operators[msg.sender][_operator] = _until;
+    }
+
+    function confidentialTransfer(address _to, euint64 _amount) external returns (euint64) {
+        require(FHE.isSenderAllowed(_amount), "Amount not allowed");
+        return _transfer(msg.sender, _to, _amount);
+    }
+
+    function confidentialTransferFrom(address _from, address _to, euint64 _amount) external returns (euint64) {
+        require(isOperator(_from, msg.sender), "Not an operator");
+        require(FHE.isSenderAllowed(_amount), "Amount not allowed");
+        return _transfer(_from, _to, _amount);
+    }
+
+    function _transfer(address _from, address _to, euint64 _amount) private returns (euint64 transferred) {
+        ebool sufficient = FHE.ge(balances[_from], _amount);
+        transferred = FHE.select(sufficient, _amount, FHE.asEuint64(0));
+
+        euint64 fromBalance = FHE.sub(balances[_from], transferred);
+        euint64 toBalance = FHE.add(balances[_to], transferred);
+        balances[_from] = fromBalance;
+        balances[_to] = toBalance;
+
+        FHE.allowThis(fromBalance);
+        FHE.allow(fromBalance, _from);
+        FHE.allowThis(toBalance);
+        FHE.allow(toBalance, _to);
+
+        FHE.allowThis(transferred);
+        FHE.allow(transferred, _from);
+        FHE.allow(transferred, _to);
+        FHE.allowTransient(transferred, msg.sender);
+    }
+}
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { ConfidentialLegalFeeAllocation } from "../ConfidentialLegalFeeAllocation.sol";
+
+/**
+ * @title MockLegalFeeAllocationV2
+ * @notice Next implementation used by the test suite to exercise upgrades; appends one state variable
+ */
+contract MockLegalFeeAllocationV2 is ConfidentialLegalFeeAllocation {
+    uint256 public migratedAt;
+
+    constructor(address _firstModule) ConfidentialLegalFeeAllocation(_firstModule) {}
+
+    function initializeV2() external reinitializer(2) onlyAdmin {
+        migratedAt = block.timestamp;
+    }
+
+    function version() external pure returns (uint256) {
+        return 2;
+    }
+}
@@ -0,0 +1,116 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title AccessControlModule
+ * @notice Roles, two-step ownership transfer and per-case case manager assignment
+ * @dev The owner is stored in `admin` and implicitly holds every role.
+ */
+contract AccessControlModule is LegalFeeModule {
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    // ========== ROLES ==========
+
+    /**
+     * @notice Grant a role to an account
+     * @param _role CASE_MANAGER_ROLE, BILLING_CLERK_ROLE, AUDITOR_ROLE, ARBITER_ROLE or GUARDIAN_ROLE
+     * @param _account Account receiving the role
+     */
+    function grantRole(bytes32 _role, address _account) external onlyAdmin {
+        _validateRole(_role);
+        _validateAddress(_account);
+
+        if (!roleMembers[_role][_account]) {
+            roleMembers[_role][_account] = true;
+            emit RoleGranted(_role, _account, msg.sender);
+        }
+    }
+
+    /**
+     * @notice Revoke a role from an account
+     * @dev Revoking CASE_MANAGER_ROLE also removes access to the cases the account manages
+     * @param _role Role to revoke
+     * @param _account Account losing the role
+     */
+    function revokeRole(bytes32 _role, address _account) external onlyAdmin {
+        _validateRole(_role);
+        _removeRole(_role, _account);
+    }
+
+    /**
+     * @notice Give up a role held by the caller
+     * @param _role Role to renounce
+     */
+    function renounceRole(bytes32 _role) external {
+        require(roleMembers[_role][msg.sender], "Role not held");
+        _removeRole(_role, msg.sender);
+    }
+
+    /**
+     * @notice Check whether an account holds a role
+     * @dev Always true for the owner
+     */
+    function hasRole(bytes32 _role, address _account) external view returns (bool) {
+        return _hasRole(_role, _account);
+    }
+
+    // ========== OWNERSHIP ==========
+
+    /**
+     * @notice Start transferring ownership; takes effect once the new owner accepts
+     * @dev Passing address(0) cancels a pending transfer
+     * @param _newOwner Proposed owner
+     */
+    function transferOwnership(address _newOwner) external onlyAdmin {
+        pendingAdmin = _newOwner;
+        emit OwnershipTransferStarted(admin, _newOwner);
+    }
+
+    /**
+     * @notice Accept a pending ownership transfer
+     */
+    function acceptOwnership() external {
+        require(msg.sender == pendingAdmin, "Not pending owner");
+
+        address previousOwner = admin;
+        admin = msg.sender;
+        pendingAdmin = address(0);
+
+        emit OwnershipTransferred(previousOwner, msg.sender);
+    }
+
+    // ========== CASE MANAGERS ==========
+
+    /**
+     * @notice Hand a case over to another case manager
+     * @param _caseId Case ID to reassign
+     * @param _manager Account holding CASE_MANAGER_ROLE
+     */
+    function assignCaseManager(
+        uint256 _caseId,
+        address _manager
+    ) external onlyAdmin caseExists(_caseId) {
+        require(roleMembers[CASE_MANAGER_ROLE][_manager], "Not a case manager");
+        _assignCaseManager(_caseId, _manager);
+    }
+
+    function _validateRole(bytes32 _role) private pure {
+        require(
+            _role == CASE_MANAGER_ROLE ||
+                _role == BILLING_CLERK_ROLE ||
+                _role == AUDITOR_ROLE ||
+                _role == ARBITER_ROLE ||
+                _role == GUARDIAN_ROLE,
+            "Unknown role"
+        );
+    }
+
+    function _removeRole(bytes32 _role, address _account) private {
+        if (roleMembers[_role][_account]) {
+            roleMembers[_role][_account] = false;
+            emit RoleRevoked(_role, _account, msg.sender);
+        }
+    }
+}
@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title AllocationReceiptModule
+ * @notice Per-party access to allocation handles and opt-in public receipts of a party's own share
+ * @dev Parties can always decrypt their own handles client-side (user decryption), since
+ * calculateFeeAllocation grants them ACL access. A receipt instead publicly decrypts the share through the
+ * Gateway so anyone can check it against the stored receipt hash.
+ */
+contract AllocationReceiptModule is LegalFeeModule {
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    // ========== HANDLES ==========
+
+    /**
+     * @notice Get the encrypted handles of a party's allocation for client-side decryption
+     * @param _caseId Case ID to query
+     * @param _party Party address
+     * @return allocatedAmount Encrypted share of the fee, less any part an insurer pays
+     * @return contributionRatio Encrypted responsibility used for the share
+     * @return responsibility Encrypted responsibility currently set
+     */
+    function getAllocationHandles(
+        uint256 _caseId,
+        address _party
+    ) external view onlyPartyOrAuditor(_caseId) returns (
+        euint64 allocatedAmount,
+        euint32 contributionRatio,
+        euint32 responsibility
+    ) {
+        PartyAllocation storage allocation = partyAllocations[_caseId][_party];
+        return (allocation.allocatedAmount, allocation.contributionRatio, allocation.responsibility);
+    }
+
+    // ========== RECEIPTS ==========
+
+    /**
+     * @notice Publicly decrypt the caller's allocated amount and contribution ratio as a receipt
+     * @dev Opt-in: the decrypted values become public once the Gateway responds. The allocation must be current.
+     * @param _caseId Case ID to request a receipt for
+     * @return requestId Gateway decryption request ID
+     */
+    function requestAllocationReceipt(
+        uint256 _caseId
+    ) external onlyParty(_caseId) caseExists(_caseId) whenNotFrozen(_caseId) returns (uint256 requestId) {
+        FeeCalculation storage calc = feeCalculations[_caseId];
+        AllocationReceipt storage receipt = allocationReceipts[_caseId][msg.sender];
+        PartyAllocation storage allocation = partyAllocations[_caseId][msg.sender];
+
+        require(calc.isCalculated, "Fees not calculated");
+        require(!calc.isStale, "Allocation outdated");
+        // A pending request against an earlier calculation is superseded rather than blocking
+        require(!receipt.isPending || receipt.allocationVersion != calc.version, "Receipt already requested");
+
+        bytes32[] memory cts = new bytes32[](2);
+        cts[0] = FHE.toBytes32(allocation.allocatedAmount);
+        cts[1] = FHE.toBytes32(allocation.contributionRatio);
+        requestId = FHE.requestDecryption(cts, this.allocationReceiptCallback.selector);
+
+        receipt.requestId = requestId;
+        receipt.allocationVersion = calc.version;
+        receipt.isPending = true;
+        receiptRequests[requestId] = ReceiptRequest({ caseId: _caseId, party: msg.sender });
+
+        emit AllocationReceiptRequested(_caseId, msg.sender, requestId);
+    }
+
+    /**
+     * @notice Gateway callback with a party's decrypted allocation
+     * @param requestId The decryption request ID
+     * @param cleartexts ABI-encoded allocated amount and contribution ratio
+     * @param decryptionProof Cryptographic proof of correct decryption
+     */
+    function allocationReceiptCallback(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        ReceiptRequest memory request = receiptRequests[requestId];
+        require(request.caseId != 0, "Invalid request ID");
+        require(!callbackProcessed[requestId], "Callback already processed");
+
+        AllocationReceipt storage receipt = allocationReceipts[request.caseId][request.party];
+        require(receipt.requestId == requestId, "Superseded request");
+        callbackProcessed[requestId] = true;
+
+        (uint64 amount, uint32 contributionRatio) = abi.decode(cleartexts, (uint64, uint32));
+        receipt.amount = amount;
+        receipt.contributionRatio = contributionRatio;
+        receipt.issuedAt = block.timestamp;
+        receipt.isPending = false;
+        receipt.receiptHash = computeReceiptHash(
+            request.caseId,
+            request.party,
+            amount,
+            contributionRatio,
+            receipt.allocationVersion
+        );
+
+        emit AllocationReceiptIssued(request.caseId, request.party, amount, receipt.receiptHash);
+    }
+
+    /**
+     * @notice Get a party's latest allocation receipt
+     * @param _caseId Case ID to query
+     * @param _party Party address
+     */
+    function getAllocationReceipt(
+        uint256 _caseId,
+        address _party
+    ) external view onlyPartyOrAuditor(_caseId) returns (
+        bool isIssued,
+        bool isPending,
+        uint64 amount,
+        uint32 contributionRatio,
+        uint32 allocationVersion,
+        uint256 issuedAt,
+        bytes32 receiptHash
+    ) {
+        AllocationReceipt storage receipt = allocationReceipts[_caseId][_party];
+        return (
+            receipt.issuedAt != 0,
+            receipt.isPending,
+            receipt.amount,
+            receipt.contributionRatio,
+            receipt.allocationVersion,
+            receipt.issuedAt,
+            receipt.receiptHash
+        );
+    }
+
+    /**
+     * @notice Hash binding a receipt to this contract, case, party and calculation version
+     * @dev Lets a third party verify a receipt value presented off-chain
+     */
+    function computeReceiptHash(
+        uint256 _caseId,
+        address _party,
+        uint64 _amount,
+        uint32 _contributionRatio,
+        uint32 _allocationVersion
+    ) public view returns (bytes32) {
+        return keccak256(abi.encode(address(this), _caseId, _party, _amount, _contributionRatio, _allocationVersion));
+    }
+}
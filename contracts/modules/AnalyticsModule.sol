@@ -0,0 +1,93 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title AnalyticsModule
+ * @notice Encrypted firm-wide and per-case-manager totals of billed fees, hours and complexity
+ * @dev The totals are maintained homomorphically as time is recorded and fees are calculated, so no single
+ * case's figures are ever decrypted to compute them; a case is counted once its fees are first calculated.
+ * An auditor takes a snapshot, which grants them alone ACL access to the aggregate handles, and decrypts it
+ * client-side through the Gateway (user decryption).
+ */
+contract AnalyticsModule is LegalFeeModule {
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    /**
+     * @notice Get plaintext case counts
+     * @return total Cases created
+     * @return active Cases still open
+     * @return settled Cases settled (excluding cancelled ones)
+     */
+    function getSystemStats() external view returns (
+        uint256 total,
+        uint256 active,
+        uint256 settled
+    ) {
+        return (totalCases, activeCases, totalCases - activeCases - cancelledCases);
+    }
+
+    /**
+     * @notice Snapshot the current totals and let the caller decrypt them
+     * @dev Totals change with every case, time entry and calculation; take a new snapshot to see current figures
+     * @param _manager Case manager to report on, or address(0) for the whole firm
+     */
+    function takeAnalyticsSnapshot(address _manager) external onlyRole(AUDITOR_ROLE) whenNotPaused {
+        Analytics storage totals = _manager == address(0) ? firmAnalytics : managerAnalytics[_manager];
+
+        euint64 averageComplexity = totals.caseCount == 0
+            ? FHE.asEuint64(0)
+            : FHE.div(_orZero(totals.complexityTotal), uint64(totals.caseCount));
+
+        AnalyticsSnapshot storage snapshot = analyticsSnapshots[msg.sender][_manager];
+        snapshot.billedFees = _orZero(totals.billedFees);
+        snapshot.hoursWorked = _orZero(totals.hoursWorked);
+        snapshot.averageComplexity = averageComplexity;
+        snapshot.caseCount = totals.caseCount;
+        snapshot.takenAt = block.timestamp;
+
+        FHE.allowThis(snapshot.billedFees);
+        FHE.allowThis(snapshot.hoursWorked);
+        FHE.allowThis(averageComplexity);
+        FHE.allow(snapshot.billedFees, msg.sender);
+        FHE.allow(snapshot.hoursWorked, msg.sender);
+        FHE.allow(averageComplexity, msg.sender);
+
+        emit AnalyticsSnapshotTaken(msg.sender, _manager, totals.caseCount);
+    }
+
+    /**
+     * @notice Get the caller's latest snapshot for a scope
+     * @param _manager Case manager reported on, or address(0) for the whole firm
+     * @return billedFees Encrypted total of the cases' current bills
+     * @return hoursWorked Encrypted total of non-voided hours
+     * @return averageComplexity Encrypted average complexity, rounded down
+     * @return caseCount Number of cases covered
+     * @return takenAt When the snapshot was taken (0 if never)
+     */
+    function getAnalyticsSnapshot(address _manager) external view onlyRole(AUDITOR_ROLE) returns (
+        euint64 billedFees,
+        euint64 hoursWorked,
+        euint64 averageComplexity,
+        uint256 caseCount,
+        uint256 takenAt
+    ) {
+        AnalyticsSnapshot storage snapshot = analyticsSnapshots[msg.sender][_manager];
+        return (
+            snapshot.billedFees,
+            snapshot.hoursWorked,
+            snapshot.averageComplexity,
+            snapshot.caseCount,
+            snapshot.takenAt
+        );
+    }
+
+    /**
+     * @dev Totals nothing has been added to yet have no handle to grant access to
+     */
+    function _orZero(euint64 _value) private returns (euint64) {
+        return FHE.isInitialized(_value) ? _value : FHE.asEuint64(0);
+    }
+}
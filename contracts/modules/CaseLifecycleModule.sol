@@ -0,0 +1,263 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title CaseLifecycleModule
+ * @notice Amending a case's parties, cancelling, reopening for supplemental billing and archiving
+ * @dev Keeps caseParties, cases[].parties, partyCases and the activeCases / cancelledCases counters in step.
+ */
+contract CaseLifecycleModule is LegalFeeModule {
+    uint256 private constant MIN_PARTIES = 2;
+    uint256 private constant MAX_PARTIES = 20;
+
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    // ========== PARTIES ==========
+
+    /**
+     * @notice Add a party to a case before fees are calculated
+     * @dev Resets every party's responsibility, which must be set again before calculating
+     * @param _caseId Case ID to amend
+     * @param _party Party to add
+     */
+    function addParty(
+        uint256 _caseId,
+        address _party
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        _requireAmendable(_caseId);
+        _validateAddress(_party);
+        require(!_isPartyInCase(_caseId, _party), "Party already in case");
+        require(caseParties[_caseId].length < MAX_PARTIES, "Too many parties");
+
+        caseParties[_caseId].push(_party);
+        cases[_caseId].parties.push(_party);
+        partyCases[_party].push(_caseId);
+
+        _resetAllocations(_caseId);
+
+        emit PartyAdded(_caseId, _party);
+    }
+
+    /**
+     * @notice Remove a party from a case before fees are calculated
+     * @dev Resets the remaining parties' responsibility, which must be set again before calculating
+     * @param _caseId Case ID to amend
+     * @param _party Party to remove
+     */
+    function removeParty(
+        uint256 _caseId,
+        address _party
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        _requireAmendable(_caseId);
+        require(_isPartyInCase(_caseId, _party), "Party not in case");
+        require(!_isPendingParty(_caseId, _party), "Party not joined");
+        require(caseParties[_caseId].length > MIN_PARTIES, "Too few parties");
+
+        _removeAddress(caseParties[_caseId], _party);
+        _removeAddress(cases[_caseId].parties, _party);
+        _removeCaseId(partyCases[_party], _caseId);
+        delete partyAllocations[_caseId][_party];
+        delete insuranceCoverages[_caseId][_party];
+        delete fundingTerms[_caseId][_party];
+        delete thirdPartyPayers[_caseId][_party];
+
+        _resetAllocations(_caseId);
+
+        emit PartyRemoved(_caseId, _party);
+    }
+
+    // ========== TRANSITIONS ==========
+
+    /**
+     * @notice Close a case without settling it
+     * @dev Escrow is not released; the case becomes refundable so parties can recover their deposits
+     * @param _caseId Case ID to cancel
+     */
+    function cancelCase(
+        uint256 _caseId
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        LegalCase storage legalCase = cases[_caseId];
+        CaseLifecycle storage lifecycle = caseLifecycles[_caseId];
+
+        legalCase.isActive = false;
+        legalCase.isRefundable = true;
+        lifecycle.isCancelled = true;
+        lifecycle.cancelledAt = block.timestamp;
+        _removeBilledAnalytics(_caseId);
+
+        activeCases--;
+        cancelledCases = _safeAdd(cancelledCases, 1);
+
+        emit CaseCancelled(_caseId, msg.sender);
+    }
+
+    /**
+     * @notice Reopen a settled case for supplemental billing
+     * @dev The supplemental bill covers `_supplementalFee` plus time and expenses recorded after reopening,
+     * under the case's fee schedule. Payment status, escrow totals and the calculation start over; ledger items
+     * billed before reopening can no longer be voided. A contingency case instead bills its share of a further
+     * award, which has to be recorded before fees can be calculated again.
+     * @param _caseId Settled case to reopen
+     * @param _supplementalFee Base fee of the supplemental bill (may be 0)
+     */
+    function reopenCase(
+        uint256 _caseId,
+        uint64 _supplementalFee
+    ) external onlyAdmin caseExists(_caseId) whenNotFrozen(_caseId) {
+        LegalCase storage legalCase = cases[_caseId];
+        CaseLifecycle storage lifecycle = caseLifecycles[_caseId];
+
+        require(legalCase.isSettled, "Case not settled");
+        require(!lifecycle.isArchived, "Case is archived");
+
+        legalCase.isActive = true;
+        legalCase.isSettled = false;
+        legalCase.settledAt = 0;
+        legalCase.isRefundable = false;
+        legalCase.totalFee = FHE.asEuint64(_supplementalFee);
+        legalCase.complexity = FHE.asEuint32(0);
+        FHE.allowThis(legalCase.totalFee);
+        FHE.allowThis(legalCase.complexity);
+
+        ledgerTotals[_caseId] = FHE.asEuint64(0);
+        FHE.allowThis(ledgerTotals[_caseId]);
+        expenseTotals[_caseId] = euint64.wrap(0);
+        contingencyTerms[_caseId].isAwardRecorded = false;
+        lifecycle.billedTimeEntries = timeEntries[_caseId].length;
+        lifecycle.billedExpenses = expenses[_caseId].length;
+        lifecycle.reopenCount++;
+
+        feeCalculations[_caseId].isCalculated = false;
+        // The settled bill stays in the billed totals; the supplemental bill is added on top of it
+        caseAnalytics[_caseId].billedFee = euint64.wrap(0);
+        _resetEscrow(_caseId);
+
+        activeCases = _safeAdd(activeCases, 1);
+        _recordActivity(_caseId);
+
+        emit CaseReopened(_caseId, lifecycle.reopenCount);
+    }
+
+    /**
+     * @notice Archive a settled or cancelled case so it can no longer be reopened
+     * @param _caseId Case ID to archive
+     */
+    function archiveCase(uint256 _caseId) external onlyAdmin caseExists(_caseId) whenNotFrozen(_caseId) {
+        CaseLifecycle storage lifecycle = caseLifecycles[_caseId];
+
+        require(!cases[_caseId].isActive, "Case still active");
+        require(!lifecycle.isArchived, "Case already archived");
+
+        lifecycle.isArchived = true;
+        lifecycle.archivedAt = block.timestamp;
+
+        emit CaseArchived(_caseId);
+    }
+
+    /**
+     * @notice Get the lifecycle state of a case
+     * @param _caseId Case ID to query
+     */
+    function getCaseLifecycle(uint256 _caseId) external view caseExists(_caseId) returns (
+        bool isCancelled,
+        bool isArchived,
+        uint256 cancelledAt,
+        uint256 archivedAt,
+        uint32 reopenCount
+    ) {
+        CaseLifecycle storage lifecycle = caseLifecycles[_caseId];
+        return (
+            lifecycle.isCancelled,
+            lifecycle.isArchived,
+            lifecycle.cancelledAt,
+            lifecycle.archivedAt,
+            lifecycle.reopenCount
+        );
+    }
+
+    // ========== INTERNAL ==========
+
+    function _requireAmendable(uint256 _caseId) private view {
+        CaseEscrow storage escrow = caseEscrows[_caseId];
+        require(!feeCalculations[_caseId].isCalculated, "Fees already calculated");
+        require(
+            escrow.totalDeposited == 0 && !FHE.isInitialized(escrow.confidentialBalance),
+            "Escrow already funded"
+        );
+    }
+
+    function _resetAllocations(uint256 _caseId) private {
+        euint32 zeroRatio = FHE.asEuint32(0);
+        euint64 zeroAmount = FHE.asEuint64(0);
+
+        address[] storage parties = caseParties[_caseId];
+        for (uint i = 0; i < parties.length; i++) {
+            PartyAllocation storage allocation = partyAllocations[_caseId][parties[i]];
+            allocation.responsibility = zeroRatio;
+            allocation.allocatedAmount = zeroAmount;
+            allocation.contributionRatio = zeroRatio;
+            allocation.declaredResponsibility = 0;
+            allocation.isResponsibilityEncrypted = false;
+        }
+
+        FHE.allowThis(zeroRatio);
+        FHE.allowThis(zeroAmount);
+    }
+
+    /**
+     * @dev The settled escrow was already paid out, so only the configuration is kept
+     */
+    function _resetEscrow(uint256 _caseId) private {
+        CaseEscrow storage escrow = caseEscrows[_caseId];
+        escrow.totalDeposited = 0;
+        escrow.totalRefunded = 0;
+        escrow.isReleased = false;
+        escrow.confidentialBalance = euint64.wrap(0);
+
+        address[] storage parties = caseParties[_caseId];
+        for (uint i = 0; i < parties.length; i++) {
+            PartyAllocation storage allocation = partyAllocations[_caseId][parties[i]];
+            allocation.hasPaid = false;
+            allocation.paymentDate = 0;
+            allocation.depositedAmount = 0;
+            allocation.isRefunded = false;
+            delete confidentialPayments[_caseId][parties[i]];
+            delete installmentPlans[_caseId][parties[i]];
+
+            ThirdPartyPayer storage payer = thirdPartyPayers[_caseId][parties[i]];
+            payer.hasPaid = false;
+            payer.paymentDate = 0;
+            payer.depositedAmount = 0;
+            payer.isRefunded = false;
+            delete thirdPartyPayments[_caseId][parties[i]];
+        }
+    }
+
+    /// @dev Order-preserving so the first listed party keeps receiving the rounding remainder
+    function _removeAddress(address[] storage _list, address _item) private {
+        uint256 length = _list.length;
+        for (uint i = 0; i < length; i++) {
+            if (_list[i] == _item) {
+                for (uint j = i; j + 1 < length; j++) {
+                    _list[j] = _list[j + 1];
+                }
+                _list.pop();
+                return;
+            }
+        }
+    }
+
+    function _removeCaseId(uint256[] storage _list, uint256 _caseId) private {
+        uint256 length = _list.length;
+        for (uint i = 0; i < length; i++) {
+            if (_list[i] == _caseId) {
+                _list[i] = _list[length - 1];
+                _list.pop();
+                return;
+            }
+        }
+    }
+}
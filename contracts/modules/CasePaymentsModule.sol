@@ -0,0 +1,493 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint8, euint64, ebool, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { IERC7984 } from "../interfaces/IERC7984.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title CasePaymentsModule
+ * @notice Escrow configuration, ETH/ERC-20/ERC-7984 payments and refunds for each case
+ */
+contract CasePaymentsModule is LegalFeeModule {
+    using SafeERC20 for IERC20;
+
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    /**
+     * @notice Configure the asset and payee used for a case's escrow
+     * @dev Can only be changed before any party has deposited funds
+     * @param _caseId Case ID to configure
+     * @param _paymentToken ERC-20 token to collect, or address(0) for native ETH
+     * @param _payee Address receiving the escrowed funds on settlement
+     */
+    function configureEscrow(
+        uint256 _caseId,
+        address _paymentToken,
+        address _payee
+    ) external onlyRole(BILLING_CLERK_ROLE) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        _configureEscrow(_caseId, _paymentToken, _payee, false);
+    }
+
+    /**
+     * @notice Collect a case's fees in an ERC-7984 confidential token
+     * @dev Payment amounts stay encrypted end to end; coverage of each allocation is checked homomorphically
+     * @param _caseId Case ID to configure
+     * @param _token Confidential token to collect
+     * @param _payee Address receiving the escrowed funds on settlement
+     */
+    function configureConfidentialEscrow(
+        uint256 _caseId,
+        address _token,
+        address _payee
+    ) external onlyRole(BILLING_CLERK_ROLE) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        _validateAddress(_token);
+        _configureEscrow(_caseId, _token, _payee, true);
+    }
+
+    function _configureEscrow(uint256 _caseId, address _token, address _payee, bool _isConfidential) private {
+        _validateAddress(_payee);
+        CaseEscrow storage escrow = caseEscrows[_caseId];
+        require(
+            escrow.totalDeposited == 0 && !FHE.isInitialized(escrow.confidentialBalance),
+            "Escrow already funded"
+        );
+
+        escrow.paymentToken = _token;
+        escrow.payee = _payee;
+        escrow.isConfidential = _isConfidential;
+
+        emit EscrowConfigured(_caseId, _token, _payee, _isConfidential);
+    }
+
+    /**
+     * @notice Return a party's escrowed deposit when case is marked refundable
+     * @dev Allows parties to recover stake when decryption fails or case times out
+     * @param _caseId Case ID to request refund for
+     */
+    function requestRefund(
+        uint256 _caseId
+    ) external nonReentrant onlyParty(_caseId) caseExists(_caseId) {
+        LegalCase storage legalCase = cases[_caseId];
+        CaseEscrow storage escrow = caseEscrows[_caseId];
+        PartyAllocation storage allocation = partyAllocations[_caseId][msg.sender];
+
+        require(legalCase.isRefundable, "Case not marked as refundable");
+        require(!escrow.isReleased, "Escrow already released");
+        require(!allocation.isRefunded, "Already refunded");
+
+        // Mark as processed to prevent double refund
+        allocation.isRefunded = true;
+
+        if (escrow.isConfidential) {
+            _refundConfidentialDeposit(_caseId, escrow);
+            return;
+        }
+
+        uint256 amount = allocation.depositedAmount;
+        require(amount > 0, "No deposit to refund");
+        escrow.totalRefunded = _safeAdd(escrow.totalRefunded, amount);
+
+        _transferOut(escrow.paymentToken, msg.sender, amount);
+
+        emit RefundIssued(_caseId, msg.sender, amount);
+    }
+
+    function _refundConfidentialDeposit(uint256 _caseId, CaseEscrow storage _escrow) private {
+        euint64 deposit = confidentialPayments[_caseId][msg.sender].paidAmount;
+        require(FHE.isInitialized(deposit), "No deposit to refund");
+
+        _escrow.confidentialBalance = FHE.sub(_escrow.confidentialBalance, deposit);
+        FHE.allowThis(_escrow.confidentialBalance);
+
+        FHE.allowTransient(deposit, _escrow.paymentToken);
+        IERC7984(_escrow.paymentToken).confidentialTransfer(msg.sender, deposit);
+
+        emit ConfidentialRefundIssued(_caseId, msg.sender);
+    }
+
+    /**
+     * @notice Withdraw what the caller deposited beyond their allocation
+     * @dev Credited when the payment that covered the allocation is verified
+     * @param _caseId Case ID the overpayment was made on
+     */
+    function withdrawOverpayment(uint256 _caseId) external nonReentrant caseExists(_caseId) {
+        uint256 amount = overpayments[_caseId][msg.sender];
+        require(amount > 0, "No overpayment to withdraw");
+
+        overpayments[_caseId][msg.sender] = 0;
+        _transferOut(caseEscrows[_caseId].paymentToken, msg.sender, amount);
+
+        emit OverpaymentWithdrawn(_caseId, msg.sender, amount);
+    }
+
+    /**
+     * @notice Get the plaintext deposit credited back to a party for exceeding its allocation
+     * @param _caseId Case ID to query
+     * @param _party Party address
+     * @return Overpayment not yet withdrawn
+     */
+    function getOverpayment(uint256 _caseId, address _party) external view caseExists(_caseId) returns (uint256) {
+        return overpayments[_caseId][_party];
+    }
+
+    /**
+     * @notice Deposit the party's payment in native ETH into the case escrow
+     * @param _caseId Case ID to pay for
+     */
+    function recordPayment(
+        uint256 _caseId
+    ) external payable nonReentrant onlyParty(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(caseEscrows[_caseId].paymentToken == address(0), "Case expects token payment");
+
+        _recordPayment(_caseId, msg.value);
+    }
+
+    /**
+     * @notice Deposit the party's payment in the case's ERC-20 token into escrow
+     * @dev Requires prior approval; credits the amount actually received
+     * @param _caseId Case ID to pay for
+     * @param _amount Token amount to transfer from the caller
+     */
+    function recordTokenPayment(
+        uint256 _caseId,
+        uint256 _amount
+    ) external nonReentrant onlyParty(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        IERC20 token = IERC20(caseEscrows[_caseId].paymentToken);
+        require(address(token) != address(0), "Case expects ETH payment");
+        require(!caseEscrows[_caseId].isConfidential, "Case expects confidential payment");
+
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), _amount);
+
+        _recordPayment(_caseId, token.balanceOf(address(this)) - balanceBefore);
+    }
+
+    /**
+     * @notice Pay an encrypted amount of the case's confidential token into escrow
+     * @dev Caller must have set this contract as operator on the token. The encrypted running total is
+     *      compared against the encrypted allocation with FHE.ge and only that single bit is decrypted
+     *      through the Gateway; paymentVerificationCallback then marks the party as paid.
+     * @param _caseId Case ID to pay for
+     * @param _encryptedAmount Encrypted token amount
+     * @param _inputProof Proof for the encrypted input
+     */
+    function recordConfidentialPayment(
+        uint256 _caseId,
+        externalEuint64 _encryptedAmount,
+        bytes calldata _inputProof
+    ) external nonReentrant onlyParty(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        CaseEscrow storage escrow = caseEscrows[_caseId];
+        ConfidentialPayment storage payment = confidentialPayments[_caseId][msg.sender];
+
+        require(escrow.isConfidential, "Case expects plaintext payment");
+        require(!payment.verificationPending, "Payment verification pending");
+        _requirePaymentOpen(_caseId);
+        _recordActivity(_caseId);
+        InstallmentPlan storage plan = installmentPlans[_caseId][msg.sender];
+
+        euint64 amount = FHE.fromExternal(_encryptedAmount, _inputProof);
+        FHE.allowTransient(amount, escrow.paymentToken);
+        euint64 transferred = IERC7984(escrow.paymentToken).confidentialTransferFrom(
+            msg.sender,
+            address(this),
+            amount
+        );
+
+        payment.paidAmount = FHE.add(payment.paidAmount, transferred);
+        escrow.confidentialBalance = FHE.add(escrow.confidentialBalance, transferred);
+
+        FHE.allowThis(payment.paidAmount);
+        FHE.allow(payment.paidAmount, msg.sender);
+        FHE.allowThis(escrow.confidentialBalance);
+
+        if (plan.isActive) {
+            _applyInstallmentPayment(_caseId, plan, transferred);
+        } else {
+            _requestCoverageCheck(_caseId, payment, payment.paidAmount);
+        }
+    }
+
+    /**
+     * @dev Compares what the party has paid so far with its encrypted allocation and decrypts the result, along
+     * with the part of a plaintext deposit the escrow keeps. Plaintext deposits go through the same check,
+     * recording its state in the party's ConfidentialPayment.
+     */
+    function _requestCoverageCheck(uint256 _caseId, ConfidentialPayment storage _payment, euint64 _paid) private {
+        euint64 allocated = partyAllocations[_caseId][msg.sender].allocatedAmount;
+
+        bytes32[] memory cts = new bytes32[](2);
+        cts[0] = FHE.toBytes32(FHE.ge(_paid, allocated));
+        cts[1] = FHE.toBytes32(_amountKept(_caseId, _paid, allocated));
+        uint256 requestId = FHE.requestDecryption(cts, this.paymentVerificationCallback.selector);
+
+        _payment.verificationRequestId = requestId;
+        _payment.verificationPending = true;
+        paymentVerifications[requestId] = PaymentVerification({
+            caseId: _caseId,
+            party: msg.sender,
+            allocationVersion: feeCalculations[_caseId].version
+        });
+
+        emit ConfidentialPaymentSubmitted(_caseId, msg.sender, requestId);
+    }
+
+    /**
+     * @notice Gateway callback with the decrypted result of a payment check
+     * @dev A failed check leaves the deposit in escrow so the party can top it up. A check made against an
+     * allocation that has since changed does not mark the party as paid. A plaintext deposit beyond the allocation
+     * is credited back to the party once it is marked as paid.
+     * @param requestId The decryption request ID
+     * @param cleartexts ABI-encoded decrypted coverage flag and amount kept
+     * @param decryptionProof Cryptographic proof of correct decryption
+     */
+    function paymentVerificationCallback(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external nonReentrant {
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        PaymentVerification memory verification = paymentVerifications[requestId];
+        require(verification.caseId != 0, "Invalid request ID");
+        require(!callbackProcessed[requestId], "Callback already processed");
+
+        callbackProcessed[requestId] = true;
+        confidentialPayments[verification.caseId][verification.party].verificationPending = false;
+
+        (bool coversAllocation, uint64 amountKept) = abi.decode(cleartexts, (bool, uint64));
+        emit ConfidentialPaymentVerified(verification.caseId, verification.party, coversAllocation);
+
+        LegalCase storage legalCase = cases[verification.caseId];
+        if (coversAllocation && legalCase.isActive && !legalCase.isRefundable && _isCurrentAllocation(verification)) {
+            _creditOverpayment(verification.caseId, verification.party, amountKept);
+            _markPaid(verification.caseId, verification.party);
+        }
+    }
+
+    /**
+     * @notice Gateway callback with the decrypted balance and installment coverage of an installment payment
+     * @param requestId The decryption request ID
+     * @param cleartexts ABI-encoded paid-off flag, number of newly covered installments and amount kept
+     * @param decryptionProof Cryptographic proof of correct decryption
+     */
+    function installmentPaymentCallback(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external nonReentrant {
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        PaymentVerification memory verification = paymentVerifications[requestId];
+        require(verification.caseId != 0, "Invalid request ID");
+        require(!callbackProcessed[requestId], "Callback already processed");
+
+        InstallmentPlan storage plan = installmentPlans[verification.caseId][verification.party];
+        require(plan.verificationRequestId == requestId, "Superseded request");
+        callbackProcessed[requestId] = true;
+        plan.verificationPending = false;
+
+        (bool isPaidOff, uint8 newlyCovered, uint64 amountKept) = abi.decode(cleartexts, (bool, uint8, uint64));
+        emit InstallmentBalanceVerified(verification.caseId, verification.party, isPaidOff);
+
+        uint256 covered = isPaidOff ? plan.dueDates.length : plan.paidInstallments + newlyCovered;
+        for (uint i = plan.paidInstallments; i < covered; i++) {
+            emit InstallmentPaid(verification.caseId, verification.party, i);
+        }
+        plan.paidInstallments = covered;
+
+        LegalCase storage legalCase = cases[verification.caseId];
+        if (isPaidOff && legalCase.isActive && !legalCase.isRefundable && _isCurrentAllocation(verification)) {
+            _creditOverpayment(verification.caseId, verification.party, amountKept);
+            _markPaid(verification.caseId, verification.party);
+        }
+    }
+
+    /**
+     * @dev Deposits accumulate until they cover the party's encrypted allocation, which is checked through the
+     * Gateway like a confidential payment; only then is the party marked as paid.
+     */
+    function _recordPayment(uint256 _caseId, uint256 _amount) private {
+        _requirePaymentOpen(_caseId);
+        require(_amount > 0, "Payment amount required");
+        ConfidentialPayment storage payment = confidentialPayments[_caseId][msg.sender];
+        require(!payment.verificationPending, "Payment verification pending");
+        _recordActivity(_caseId);
+
+        PartyAllocation storage allocation = partyAllocations[_caseId][msg.sender];
+        allocation.depositedAmount = _safeAdd(allocation.depositedAmount, _amount);
+
+        CaseEscrow storage escrow = caseEscrows[_caseId];
+        escrow.totalDeposited = _safeAdd(escrow.totalDeposited, _amount);
+
+        emit EscrowDeposited(_caseId, msg.sender, _amount);
+
+        InstallmentPlan storage plan = installmentPlans[_caseId][msg.sender];
+        if (plan.isActive) {
+            require(_amount <= type(uint64).max, "Payment amount too large");
+            _applyInstallmentPayment(_caseId, plan, FHE.asEuint64(uint64(_amount)));
+            return;
+        }
+
+        _requestCoverageCheck(_caseId, payment, _encryptDeposit(allocation.depositedAmount));
+    }
+
+    /**
+     * @dev Credits a partial payment to the party's encrypted running balance, then decrypts whether the
+     * balance reached zero, how many further installments the total paid now covers and the amount kept.
+     */
+    function _applyInstallmentPayment(uint256 _caseId, InstallmentPlan storage _plan, euint64 _amount) private {
+        require(!_plan.verificationPending, "Payment verification pending");
+
+        euint64 allocated = partyAllocations[_caseId][msg.sender].allocatedAmount;
+        _plan.totalPaid = FHE.add(_plan.totalPaid, _amount);
+        _plan.balance = FHE.sub(allocated, FHE.min(_plan.totalPaid, allocated));
+
+        euint8 newlyCovered = FHE.asEuint8(0);
+        for (uint i = _plan.paidInstallments; i < _plan.dueDates.length; i++) {
+            ebool covers = FHE.ge(_plan.totalPaid, _plan.cumulativeDue[i]);
+            newlyCovered = FHE.add(newlyCovered, FHE.select(covers, FHE.asEuint8(1), FHE.asEuint8(0)));
+        }
+
+        FHE.allowThis(_plan.totalPaid);
+        FHE.allowThis(_plan.balance);
+        FHE.allow(_plan.totalPaid, msg.sender);
+        FHE.allow(_plan.balance, msg.sender);
+
+        bytes32[] memory cts = new bytes32[](3);
+        cts[0] = FHE.toBytes32(FHE.eq(_plan.balance, 0));
+        cts[1] = FHE.toBytes32(newlyCovered);
+        cts[2] = FHE.toBytes32(_amountKept(_caseId, _plan.totalPaid, allocated));
+        uint256 requestId = FHE.requestDecryption(cts, this.installmentPaymentCallback.selector);
+
+        _plan.verificationRequestId = requestId;
+        _plan.verificationPending = true;
+        paymentVerifications[requestId] = PaymentVerification({
+            caseId: _caseId,
+            party: msg.sender,
+            allocationVersion: feeCalculations[_caseId].version
+        });
+
+        emit InstallmentPaymentSubmitted(_caseId, msg.sender, requestId);
+    }
+
+    /**
+     * @dev Part of what the party paid that the escrow keeps for its allocation, so the rest of a plaintext deposit
+     * can be credited back. Decrypting it reveals the allocation of a party that paid in full; confidential
+     * escrows keep the whole payment, so nothing is revealed for them.
+     */
+    function _amountKept(uint256 _caseId, euint64 _paid, euint64 _allocated) private returns (euint64) {
+        return caseEscrows[_caseId].isConfidential ? FHE.asEuint64(0) : FHE.min(_paid, _allocated);
+    }
+
+    /**
+     * @dev Moves a plaintext deposit beyond the amount kept out of the party's deposit and the payee's release
+     */
+    function _creditOverpayment(uint256 _caseId, address _party, uint64 _kept) private {
+        PartyAllocation storage allocation = partyAllocations[_caseId][_party];
+        CaseEscrow storage escrow = caseEscrows[_caseId];
+        if (escrow.isConfidential || allocation.depositedAmount <= _kept) {
+            return;
+        }
+
+        uint256 excess = allocation.depositedAmount - _kept;
+        allocation.depositedAmount = _kept;
+        escrow.totalRefunded = _safeAdd(escrow.totalRefunded, excess);
+        overpayments[_caseId][_party] = _safeAdd(overpayments[_caseId][_party], excess);
+
+        emit OverpaymentCredited(_caseId, _party, excess);
+    }
+
+    function _requirePaymentOpen(uint256 _caseId) private view {
+        require(!partyAllocations[_caseId][msg.sender].hasPaid, "Already paid");
+        require(feeCalculations[_caseId].isCalculated, "Fees not calculated");
+        require(!feeCalculations[_caseId].isStale, "Allocation outdated");
+        require(!cases[_caseId].isRefundable, "Case is refundable");
+        require(disputes[_caseId].status != DisputeStatus.Open, "Case under dispute");
+    }
+
+    function _isCurrentAllocation(PaymentVerification memory _verification) private view returns (bool) {
+        FeeCalculation storage calc = feeCalculations[_verification.caseId];
+        return calc.isCalculated && !calc.isStale && calc.version == _verification.allocationVersion;
+    }
+
+    /**
+     * @notice Get the version of a case's current fee allocation
+     * @param _caseId Case ID to query
+     * @return version Number of calculations so far (0 if fees were never calculated)
+     * @return isStale Whether inputs changed since the last calculation; payments wait for a recalculation
+     * @return calculatedAt When the current version was calculated
+     */
+    function getAllocationVersion(uint256 _caseId) external view caseExists(_caseId) returns (
+        uint32 version,
+        bool isStale,
+        uint256 calculatedAt
+    ) {
+        FeeCalculation storage calc = feeCalculations[_caseId];
+        return (calc.version, calc.isStale, calc.calculatedAt);
+    }
+
+    /**
+     * @notice Get the adjustments recorded for a party whose allocation changed after they paid
+     * @param _caseId Case ID to query
+     * @param _party Party address
+     * @return adjustments One entry per recalculation since the party paid, oldest first; credit and shortfall
+     * are encrypted and decryptable by the party
+     */
+    function getAllocationAdjustments(
+        uint256 _caseId,
+        address _party
+    ) external view onlyPartyOrAuditor(_caseId) returns (AllocationAdjustment[] memory adjustments) {
+        return allocationAdjustments[_caseId][_party];
+    }
+
+    /**
+     * @notice Get a party's confidential payment status
+     * @param _caseId Case ID to query
+     * @param _party Party address
+     * @return paidAmount Encrypted total paid so far (decryptable by the party)
+     * @return verificationPending Whether a coverage check is awaiting the Gateway
+     * @return verificationRequestId Latest coverage check request ID
+     */
+    function getConfidentialPayment(
+        uint256 _caseId,
+        address _party
+    ) external view onlyPartyOrAuditor(_caseId) returns (
+        euint64 paidAmount,
+        bool verificationPending,
+        uint256 verificationRequestId
+    ) {
+        ConfidentialPayment storage payment = confidentialPayments[_caseId][_party];
+        return (payment.paidAmount, payment.verificationPending, payment.verificationRequestId);
+    }
+
+    /**
+     * @notice Get escrow details for a case
+     * @param _caseId Case ID to query
+     * @return paymentToken ERC-20 token collected, or address(0) for ETH
+     * @return payee Address receiving funds on settlement
+     * @return totalDeposited Sum of all party deposits
+     * @return totalRefunded Sum of deposits returned or credited back to parties
+     * @return isReleased Whether the escrow has been paid out
+     */
+    function getEscrowInfo(
+        uint256 _caseId
+    ) external view caseExists(_caseId) returns (
+        address paymentToken,
+        address payee,
+        uint256 totalDeposited,
+        uint256 totalRefunded,
+        bool isReleased
+    ) {
+        CaseEscrow storage escrow = caseEscrows[_caseId];
+        return (
+            escrow.paymentToken,
+            escrow.payee,
+            escrow.totalDeposited,
+            escrow.totalRefunded,
+            escrow.isReleased
+        );
+    }
+}
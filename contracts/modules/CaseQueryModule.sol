@@ -0,0 +1,159 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title CaseQueryModule
+ * @notice Paginated case listings and batched case summaries for dashboards
+ * @dev Pages hold at most MAX_PAGE_SIZE cases. Listings are ordered by case ID; the status filter scans every case,
+ * so it is meant for off-chain calls rather than transactions. Party membership is only shown to callers allowed to
+ * see it (the case's parties, its case manager and auditors).
+ */
+contract CaseQueryModule is LegalFeeModule {
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    /**
+     * @notice List case IDs in creation order
+     * @param _offset Number of cases to skip
+     * @param _limit Maximum number of IDs to return (at most MAX_PAGE_SIZE)
+     * @return caseIds IDs on this page
+     * @return total Number of cases overall
+     */
+    function getCases(
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory caseIds, uint256 total) {
+        total = totalCases;
+        (uint256 start, uint256 end) = _pageBounds(total, _offset, _limit);
+
+        caseIds = new uint256[](end - start);
+        for (uint i = start; i < end; i++) {
+            caseIds[i - start] = i + 1;
+        }
+    }
+
+    /**
+     * @notice List the IDs of cases in a given status
+     * @param _status Active, Settled, Refundable or Disputed (an objection awaiting the arbiter)
+     * @param _offset Number of matching cases to skip
+     * @param _limit Maximum number of IDs to return (at most MAX_PAGE_SIZE)
+     * @return caseIds IDs on this page
+     * @return total Number of matching cases
+     */
+    function getCasesByStatus(
+        CaseStatusFilter _status,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory caseIds, uint256 total) {
+        _validatePageSize(_limit);
+        caseIds = new uint256[](_limit);
+        uint256 count = 0;
+
+        for (uint256 caseId = 1; caseId <= totalCases; caseId++) {
+            if (!_hasStatus(caseId, _status)) {
+                continue;
+            }
+            if (total >= _offset && count < _limit) {
+                caseIds[count++] = caseId;
+            }
+            total++;
+        }
+
+        // Trim the unused tail of the page
+        assembly {
+            mstore(caseIds, count)
+        }
+    }
+
+    /**
+     * @notice List the IDs of a party's cases; only the party themselves and auditors may look
+     * @param _party Party address
+     * @param _offset Number of cases to skip
+     * @param _limit Maximum number of IDs to return (at most MAX_PAGE_SIZE)
+     * @return caseIds IDs on this page, in the order the party joined the cases
+     * @return total Number of cases the party is in
+     */
+    function getCasesByParty(
+        address _party,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory caseIds, uint256 total) {
+        require(_canViewPartyCases(_party), "Unauthorized access");
+        uint256[] storage partyCaseIds = partyCases[_party];
+        total = partyCaseIds.length;
+        (uint256 start, uint256 end) = _pageBounds(total, _offset, _limit);
+
+        caseIds = new uint256[](end - start);
+        for (uint i = start; i < end; i++) {
+            caseIds[i - start] = partyCaseIds[i];
+        }
+    }
+
+    /**
+     * @notice Get summaries of several cases in one call
+     * @param _caseIds Case IDs to look up (at most MAX_PAGE_SIZE)
+     * @return summaries One summary per ID, in the order requested; parties are left empty for cases the caller
+     * may not see the parties of
+     */
+    function getCasesInfo(
+        uint256[] calldata _caseIds
+    ) external view returns (CaseSummary[] memory summaries) {
+        _validatePageSize(_caseIds.length);
+        summaries = new CaseSummary[](_caseIds.length);
+
+        for (uint i = 0; i < _caseIds.length; i++) {
+            uint256 caseId = _caseIds[i];
+            require(caseId <= totalCases && cases[caseId].caseId != 0, "Invalid case");
+            summaries[i] = _summarize(caseId);
+        }
+    }
+
+    function _summarize(uint256 _caseId) private view returns (CaseSummary memory) {
+        LegalCase storage legalCase = cases[_caseId];
+        return CaseSummary({
+            caseId: _caseId,
+            parties: _canViewParties(_caseId) ? caseParties[_caseId] : new address[](0),
+            isActive: legalCase.isActive,
+            isSettled: legalCase.isSettled,
+            isRefundable: legalCase.isRefundable,
+            isCalculated: feeCalculations[_caseId].isCalculated,
+            isCancelled: caseLifecycles[_caseId].isCancelled,
+            disputeStatus: disputes[_caseId].status,
+            createdAt: legalCase.createdAt,
+            settledAt: legalCase.settledAt,
+            caseHash: legalCase.caseHash
+        });
+    }
+
+    function _hasStatus(uint256 _caseId, CaseStatusFilter _status) private view returns (bool) {
+        LegalCase storage legalCase = cases[_caseId];
+        if (_status == CaseStatusFilter.Active) {
+            return legalCase.isActive && !legalCase.isSettled;
+        }
+        if (_status == CaseStatusFilter.Settled) {
+            return legalCase.isSettled;
+        }
+        if (_status == CaseStatusFilter.Refundable) {
+            return legalCase.isRefundable;
+        }
+        return disputes[_caseId].status == DisputeStatus.Open;
+    }
+
+    function _pageBounds(
+        uint256 _total,
+        uint256 _offset,
+        uint256 _limit
+    ) private pure returns (uint256 start, uint256 end) {
+        _validatePageSize(_limit);
+        if (_offset >= _total) {
+            return (_total, _total);
+        }
+        start = _offset;
+        end = _total - _offset < _limit ? _total : _offset + _limit;
+    }
+
+    function _validatePageSize(uint256 _size) private pure {
+        require(_size > 0 && _size <= MAX_PAGE_SIZE, "Invalid page size");
+    }
+}
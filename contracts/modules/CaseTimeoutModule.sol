@@ -0,0 +1,183 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title CaseTimeoutModule
+ * @notice Per-case decryption and inactivity timeouts, their extensions, and the handlers that make a timed-out
+ * case refundable
+ * @dev New cases start with DECRYPTION_TIMEOUT and CASE_TIMEOUT. The inactivity deadline moves forward whenever
+ * the case sees activity (time and expense entries, responsibility changes, fee calculation, payments).
+ * The handlers stay callable while the system is paused or the case frozen.
+ */
+contract CaseTimeoutModule is LegalFeeModule {
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    /**
+     * @notice Set a case's timeouts while it is being set up
+     * @dev Only before fees are calculated. Restarts the inactivity clock with the new timeout.
+     * @param _caseId Case ID
+     * @param _decryptionTimeout Time the Gateway has to reveal the fee (MIN_DECRYPTION_TIMEOUT-MAX_DECRYPTION_TIMEOUT)
+     * @param _caseTimeout Inactivity period before the case becomes refundable (MIN_CASE_TIMEOUT-MAX_CASE_TIMEOUT)
+     */
+    function configureCaseTimeouts(
+        uint256 _caseId,
+        uint256 _decryptionTimeout,
+        uint256 _caseTimeout
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(!feeCalculations[_caseId].isCalculated, "Fees already calculated");
+        require(
+            _decryptionTimeout >= MIN_DECRYPTION_TIMEOUT && _decryptionTimeout <= MAX_DECRYPTION_TIMEOUT,
+            "Invalid decryption timeout"
+        );
+        require(_caseTimeout >= MIN_CASE_TIMEOUT && _caseTimeout <= MAX_CASE_TIMEOUT, "Invalid case timeout");
+
+        CaseTimeouts storage timeouts = caseTimeouts[_caseId];
+        timeouts.decryptionTimeout = _decryptionTimeout;
+        timeouts.caseTimeout = _caseTimeout;
+        timeouts.caseDeadline = block.timestamp + _caseTimeout;
+
+        emit CaseTimeoutsConfigured(_caseId, _decryptionTimeout, _caseTimeout);
+    }
+
+    /**
+     * @notice Push back a case's inactivity deadline, e.g. while proceedings are stayed
+     * @param _caseId Case ID
+     * @param _extension Time added to the current deadline; the result may be at most MAX_CASE_TIMEOUT from now
+     */
+    function extendCaseTimeout(
+        uint256 _caseId,
+        uint256 _extension
+    ) external onlyAdmin caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(!cases[_caseId].isRefundable, "Case is refundable");
+        require(_extension > 0, "Invalid extension");
+
+        uint256 deadline = _caseDeadline(_caseId);
+        uint256 newDeadline = (deadline > block.timestamp ? deadline : block.timestamp) + _extension;
+        require(newDeadline - block.timestamp <= MAX_CASE_TIMEOUT, "Extension too long");
+
+        CaseTimeouts storage timeouts = caseTimeouts[_caseId];
+        timeouts.caseDeadline = newDeadline;
+        timeouts.extensionCount++;
+
+        emit CaseTimeoutExtended(_caseId, _extension, newDeadline);
+    }
+
+    /**
+     * @notice Cancel a fee decryption the Gateway has not answered so that it can be requested again
+     * @dev Only once the request is DECRYPTION_RETRY_WINDOW old. A late callback for the cancelled request is
+     * rejected as superseded.
+     * @param _caseId Case ID
+     */
+    function cancelFeeDecryption(
+        uint256 _caseId
+    ) external onlyAdmin caseExists(_caseId) whenNotFrozen(_caseId) {
+        LegalCase storage legalCase = cases[_caseId];
+
+        require(legalCase.decryptionRequested, "No decryption requested");
+        require(!feeCalculations[_caseId].isRevealed, "Already revealed");
+        require(
+            block.timestamp >= legalCase.decryptionRequestTime + DECRYPTION_RETRY_WINDOW,
+            "Retry window not reached"
+        );
+
+        legalCase.decryptionRequested = false;
+        _closeDecryptionAttempt(_caseId, DecryptionAttemptStatus.Cancelled);
+
+        emit DecryptionCancelled(_caseId, legalCase.decryptionRequestId);
+    }
+
+    /**
+     * @notice Handle decryption timeout - enable refunds after timeout period
+     * @dev Protects against permanent case lock if Gateway fails to respond
+     * @param _caseId Case ID to check timeout for
+     */
+    function handleDecryptionTimeout(
+        uint256 _caseId
+    ) external caseExists(_caseId) {
+        LegalCase storage legalCase = cases[_caseId];
+
+        require(legalCase.decryptionRequested, "No decryption requested");
+        require(!feeCalculations[_caseId].isRevealed, "Already revealed");
+        require(block.timestamp >= _decryptionDeadline(_caseId), "Timeout period not reached");
+
+        // Mark case as refundable due to decryption timeout
+        legalCase.isRefundable = true;
+        _removeBilledAnalytics(_caseId);
+
+        emit TimeoutTriggered(_caseId, "Decryption timeout - refunds enabled");
+        emit DecryptionFailed(_caseId, "Gateway callback timeout exceeded");
+    }
+
+    /**
+     * @notice Handle general case timeout - enable refunds for stale cases
+     * @dev Prevents permanent fund lock in inactive cases
+     * @param _caseId Case ID to check timeout for
+     */
+    function handleCaseTimeout(
+        uint256 _caseId
+    ) external caseExists(_caseId) caseActive(_caseId) {
+        require(block.timestamp >= _caseDeadline(_caseId), "Case timeout period not reached");
+
+        // Mark case as refundable due to inactivity
+        cases[_caseId].isRefundable = true;
+        _removeBilledAnalytics(_caseId);
+
+        emit TimeoutTriggered(_caseId, "Case inactivity timeout - refunds enabled");
+    }
+
+    /**
+     * @notice Get a case's timeout settings
+     * @param _caseId Case ID to query
+     * @return decryptionTimeout Time the Gateway has to reveal the fee
+     * @return caseTimeout Inactivity period before the case becomes refundable
+     * @return caseDeadline Current inactivity deadline, including extensions
+     * @return extensionCount Number of extensions granted
+     */
+    function getCaseTimeouts(uint256 _caseId) external view caseExists(_caseId) returns (
+        uint256 decryptionTimeout,
+        uint256 caseTimeout,
+        uint256 caseDeadline,
+        uint32 extensionCount
+    ) {
+        CaseTimeouts storage timeouts = caseTimeouts[_caseId];
+        return (
+            timeouts.decryptionTimeout == 0 ? DECRYPTION_TIMEOUT : timeouts.decryptionTimeout,
+            _caseTimeout(_caseId),
+            _caseDeadline(_caseId),
+            timeouts.extensionCount
+        );
+    }
+
+    /**
+     * @notice Get refund eligibility status for a case
+     * @param _caseId Case ID to query
+     * @return isRefundable Whether refunds are enabled
+     * @return decryptionTimedOut Whether decryption timeout occurred
+     * @return caseTimedOut Whether general case timeout occurred
+     * @return decryptionDeadline When a pending fee decryption times out (0 if none was requested)
+     * @return caseDeadline When the case times out for inactivity
+     */
+    function getRefundStatus(
+        uint256 _caseId
+    ) external view caseExists(_caseId) returns (
+        bool isRefundable,
+        bool decryptionTimedOut,
+        bool caseTimedOut,
+        uint256 decryptionDeadline,
+        uint256 caseDeadline
+    ) {
+        LegalCase storage legalCase = cases[_caseId];
+        decryptionDeadline = _decryptionDeadline(_caseId);
+        caseDeadline = _caseDeadline(_caseId);
+
+        return (
+            legalCase.isRefundable,
+            decryptionDeadline != 0 && !feeCalculations[_caseId].isRevealed && block.timestamp >= decryptionDeadline,
+            legalCase.isActive && block.timestamp >= caseDeadline,
+            decryptionDeadline,
+            caseDeadline
+        );
+    }
+}
@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title CircuitBreakerModule
+ * @notice Global pause and per-case freeze, controlled by guardians
+ * @dev Pausing blocks every state-changing operation except refunds, timeouts, Gateway callbacks, role and
+ * ownership management and upgrades; freezing blocks the same operations on a single case. Refunds and timeouts
+ * stay open so that escrowed funds can always be recovered, and callbacks only complete requests made earlier
+ * (the Gateway does not retry them). A callback that completes a case's payments records them but leaves the
+ * escrow in place; the case settles when it is unfrozen or the system unpaused.
+ */
+contract CircuitBreakerModule is LegalFeeModule {
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    /**
+     * @notice Pause the whole system
+     * @param _reason Why the system is paused, for the event log
+     */
+    function pause(string calldata _reason) external onlyRole(GUARDIAN_ROLE) {
+        require(!paused, "System paused");
+        paused = true;
+        emit SystemPaused(msg.sender, _reason);
+    }
+
+    /**
+     * @notice Lift the global pause
+     * @param _reason Why the pause is lifted, for the event log
+     */
+    function unpause(string calldata _reason) external nonReentrant onlyRole(GUARDIAN_ROLE) {
+        require(paused, "System not paused");
+        paused = false;
+        emit SystemUnpaused(msg.sender, _reason);
+
+        // Cases still frozen stay deferred until they are unfrozen
+        uint256 kept = 0;
+        for (uint i = 0; i < deferredSettlements.length; i++) {
+            uint256 caseId = deferredSettlements[i];
+            if (frozenCases[caseId] && settlementDeferred[caseId]) {
+                deferredSettlements[kept++] = caseId;
+            } else {
+                _settleDeferred(caseId);
+            }
+        }
+        while (deferredSettlements.length > kept) {
+            deferredSettlements.pop();
+        }
+    }
+
+    /**
+     * @notice Freeze a single case, e.g. on suspected fraud
+     * @param _caseId Case ID
+     * @param _reason Why the case is frozen, for the event log
+     */
+    function freezeCase(
+        uint256 _caseId,
+        string calldata _reason
+    ) external onlyRole(GUARDIAN_ROLE) caseExists(_caseId) {
+        require(!frozenCases[_caseId], "Case frozen");
+        frozenCases[_caseId] = true;
+        emit CaseFrozen(_caseId, msg.sender, _reason);
+    }
+
+    /**
+     * @notice Unfreeze a case
+     * @param _caseId Case ID
+     * @param _reason Why the freeze is lifted, for the event log
+     */
+    function unfreezeCase(
+        uint256 _caseId,
+        string calldata _reason
+    ) external nonReentrant onlyRole(GUARDIAN_ROLE) caseExists(_caseId) {
+        require(frozenCases[_caseId], "Case not frozen");
+        frozenCases[_caseId] = false;
+        emit CaseUnfrozen(_caseId, msg.sender, _reason);
+
+        if (!paused) {
+            _settleDeferred(_caseId);
+        }
+    }
+
+    /**
+     * @dev Settles a case whose payments completed while it was held, unless it has been settled or made
+     * refundable since
+     */
+    function _settleDeferred(uint256 _caseId) private {
+        if (!settlementDeferred[_caseId]) {
+            return;
+        }
+        settlementDeferred[_caseId] = false;
+
+        LegalCase storage legalCase = cases[_caseId];
+        if (legalCase.isActive && !legalCase.isRefundable && _allPartiesPaid(_caseId)) {
+            _settleCase(_caseId);
+        }
+    }
+}
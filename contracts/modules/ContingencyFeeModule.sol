@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint8, euint64, externalEuint8, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title ContingencyFeeModule
+ * @notice Recording the recovered award of contingency cases (see createContingencyCase)
+ * @dev The award and the stage the case resolved at stay encrypted. The contingency bill is worked out from them
+ * (and the case's expenses) as they are recorded, and calculateFeeAllocation splits it like any other bill.
+ */
+contract ContingencyFeeModule is LegalFeeModule {
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    /**
+     * @notice Record the amount recovered and the stage the case resolved at
+     * @dev Replaces any earlier award, in which case fees have to be recalculated. Parties can decrypt the award.
+     * @param _caseId Contingency case ID
+     * @param _encryptedAward Encrypted recovered amount
+     * @param _encryptedStage Encrypted stage index (0 for the first percentage)
+     * @param _inputProof Proof covering both encrypted handles
+     */
+    function recordAward(
+        uint256 _caseId,
+        externalEuint64 _encryptedAward,
+        externalEuint8 _encryptedStage,
+        bytes calldata _inputProof
+    ) external onlyAdmin caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        ContingencyTerms storage contingency = contingencyTerms[_caseId];
+        require(contingency.isContingency, "Not a contingency case");
+
+        euint64 award = FHE.fromExternal(_encryptedAward, _inputProof);
+        euint8 stage = FHE.fromExternal(_encryptedStage, _inputProof);
+
+        contingency.award = award;
+        contingency.stage = stage;
+        contingency.isAwardRecorded = true;
+        contingency.awardRecordedAt = block.timestamp;
+
+        FHE.allowThis(award);
+        FHE.allowThis(stage);
+        address[] storage parties = caseParties[_caseId];
+        for (uint i = 0; i < parties.length; i++) {
+            FHE.allow(award, parties[i]);
+        }
+
+        _updateContingencyBill(_caseId);
+
+        _recordActivity(_caseId);
+        _markAllocationStale(_caseId);
+
+        emit AwardRecorded(_caseId);
+    }
+
+    /**
+     * @notice Get a case's contingency terms
+     * @param _caseId Case ID
+     * @return isContingency Whether the case is billed on contingency
+     * @return stageCount Number of stage percentages
+     * @return isAwardRecorded Whether an award has been recorded since the case was created or last reopened
+     * @return awardRecordedAt When the award was last recorded (0 if never)
+     */
+    function getContingencyTerms(uint256 _caseId) external view caseExists(_caseId) returns (
+        bool isContingency,
+        uint256 stageCount,
+        bool isAwardRecorded,
+        uint256 awardRecordedAt
+    ) {
+        ContingencyTerms storage contingency = contingencyTerms[_caseId];
+        return (
+            contingency.isContingency,
+            contingency.stagePercentages.length,
+            contingency.isAwardRecorded,
+            contingency.awardRecordedAt
+        );
+    }
+
+    /**
+     * @notice Get the handle of the recorded award, decryptable by the case's parties
+     * @param _caseId Case ID
+     */
+    function getAwardHandle(uint256 _caseId) external view caseExists(_caseId) returns (euint64) {
+        require(contingencyTerms[_caseId].isAwardRecorded, "Award not recorded");
+        return contingencyTerms[_caseId].award;
+    }
+}
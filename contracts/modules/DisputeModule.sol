@@ -0,0 +1,164 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE } from "@fhevm/solidity/lib/FHE.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title DisputeModule
+ * @notice Lets parties object to a calculated allocation and arbiters resolve the objection
+ * @dev While a dispute is open, payments and recalculation by the billing clerk are frozen for the case.
+ */
+contract DisputeModule is LegalFeeModule {
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    // ========== OBJECTIONS ==========
+
+    /**
+     * @notice Object to the case's calculated allocation
+     * @dev Must be filed within disputeWindow of the calculation, by a party that has not paid yet. Each party may
+     * object to a calculation once, so a dismissed objection cannot be refiled until fees are recalculated.
+     * @param _caseId Case ID to dispute
+     * @param _reasonHash Hash of the off-chain statement of reasons
+     */
+    function fileDispute(
+        uint256 _caseId,
+        bytes32 _reasonHash
+    ) external onlyParty(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        FeeCalculation storage calc = feeCalculations[_caseId];
+        require(calc.isCalculated, "Fees not calculated");
+        require(block.timestamp <= calc.calculatedAt + disputeWindow, "Dispute window closed");
+        require(disputes[_caseId].status != DisputeStatus.Open, "Dispute already open");
+        require(disputedVersions[_caseId][msg.sender] != calc.version, "Calculation already disputed");
+        require(!partyAllocations[_caseId][msg.sender].hasPaid, "Already paid");
+        require(_reasonHash != bytes32(0), "Reason required");
+
+        disputedVersions[_caseId][msg.sender] = calc.version;
+        _pausePayments(_caseId);
+        disputes[_caseId] = Dispute({
+            filedBy: msg.sender,
+            reasonHash: _reasonHash,
+            filedAt: block.timestamp,
+            status: DisputeStatus.Open,
+            resolvedAt: 0,
+            resolvedBy: address(0)
+        });
+
+        emit DisputeFiled(_caseId, msg.sender, _reasonHash);
+    }
+
+    // ========== ARBITRATION ==========
+
+    /**
+     * @notice Accept the objection and withdraw the calculation
+     * @dev Payments stay blocked until the case manager corrects the inputs and fees are recalculated
+     * @param _caseId Disputed case ID
+     */
+    function upholdDispute(
+        uint256 _caseId
+    ) external onlyRole(ARBITER_ROLE) caseExists(_caseId) whenNotFrozen(_caseId) {
+        _resolveDispute(_caseId, DisputeStatus.Upheld);
+        feeCalculations[_caseId].isCalculated = false;
+    }
+
+    /**
+     * @notice Accept the objection and correct responsibilities
+     * @dev The corrected ratios are plaintext; together with the unchanged ones they must total 100. The allocation
+     * is marked stale, so payments stay blocked until the billing clerk recalculates, which waits for the parties'
+     * acceptance of their new responsibility where the case requires it.
+     * @param _caseId Disputed case ID
+     * @param _parties Parties whose responsibility changes
+     * @param _responsibilities New percentages, one per party
+     */
+    function adjustDispute(
+        uint256 _caseId,
+        address[] calldata _parties,
+        uint32[] calldata _responsibilities
+    ) external onlyRole(ARBITER_ROLE) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(_parties.length == _responsibilities.length, "Length mismatch");
+        _resolveDispute(_caseId, DisputeStatus.Adjusted);
+
+        for (uint i = 0; i < _parties.length; i++) {
+            require(_isPartyInCase(_caseId, _parties[i]), "Party not in case");
+            _validatePercentage(_responsibilities[i]);
+
+            PartyAllocation storage allocation = partyAllocations[_caseId][_parties[i]];
+            allocation.declaredResponsibility = _responsibilities[i];
+            allocation.isResponsibilityEncrypted = false;
+            _setResponsibility(_caseId, _parties[i], FHE.asEuint32(_responsibilities[i]));
+        }
+
+        _checkDeclaredResponsibility(_caseId);
+        _markAllocationStale(_caseId);
+    }
+
+    /**
+     * @notice Reject the objection; the existing calculation stands and payments resume
+     * @param _caseId Disputed case ID
+     */
+    function dismissDispute(
+        uint256 _caseId
+    ) external onlyRole(ARBITER_ROLE) caseExists(_caseId) whenNotFrozen(_caseId) {
+        _resolveDispute(_caseId, DisputeStatus.Dismissed);
+        if (!feeCalculations[_caseId].isStale) {
+            _resumePayments(_caseId);
+        }
+    }
+
+    /**
+     * @notice Change how long parties have to object after fees are calculated
+     * @param _window New window, between MIN_DISPUTE_WINDOW and MAX_DISPUTE_WINDOW
+     */
+    function setDisputeWindow(uint256 _window) external onlyAdmin whenNotPaused {
+        require(_window >= MIN_DISPUTE_WINDOW && _window <= MAX_DISPUTE_WINDOW, "Invalid dispute window");
+        disputeWindow = _window;
+        emit DisputeWindowChanged(_window);
+    }
+
+    /**
+     * @notice Get the latest dispute on a case
+     * @param _caseId Case ID to query
+     * @return status None if no dispute was ever filed
+     * @return filedBy Party that objected
+     * @return reasonHash Hash of the statement of reasons
+     * @return filedAt Filing time
+     * @return windowClosesAt Deadline for objecting to the current calculation (0 if not calculated)
+     * @return resolvedAt Resolution time
+     * @return resolvedBy Arbiter that resolved the dispute
+     */
+    function getDisputeStatus(uint256 _caseId) external view caseExists(_caseId) returns (
+        DisputeStatus status,
+        address filedBy,
+        bytes32 reasonHash,
+        uint256 filedAt,
+        uint256 windowClosesAt,
+        uint256 resolvedAt,
+        address resolvedBy
+    ) {
+        Dispute storage dispute = disputes[_caseId];
+        FeeCalculation storage calc = feeCalculations[_caseId];
+        if (calc.isCalculated) {
+            windowClosesAt = calc.calculatedAt + disputeWindow;
+        }
+        return (
+            dispute.status,
+            dispute.filedBy,
+            dispute.reasonHash,
+            dispute.filedAt,
+            windowClosesAt,
+            dispute.resolvedAt,
+            dispute.resolvedBy
+        );
+    }
+
+    function _resolveDispute(uint256 _caseId, DisputeStatus _outcome) private {
+        Dispute storage dispute = disputes[_caseId];
+        require(dispute.status == DisputeStatus.Open, "No open dispute");
+
+        dispute.status = _outcome;
+        dispute.resolvedAt = block.timestamp;
+        dispute.resolvedBy = msg.sender;
+
+        emit DisputeResolved(_caseId, msg.sender, _outcome);
+    }
+}
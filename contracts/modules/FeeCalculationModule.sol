@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE } from "@fhevm/solidity/lib/FHE.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title FeeCalculationModule
+ * @notice Encrypted fee calculation and Gateway decryption of the final fee
+ * @dev The decryption callback is addressed to the main contract, which forwards it here like any other call
+ */
+contract FeeCalculationModule is LegalFeeModule {
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    // ========== GATEWAY CALLBACK PATTERN FOR ASYNCHRONOUS DECRYPTION ==========
+
+    /**
+     * @notice Step 1: Calculate encrypted fee allocation
+     * @dev See _calculateFees. Not allowed while a party's objection is awaiting the arbiter, or before every party
+     * has accepted their responsibility on cases that require it.
+     * @param _caseId Case ID to calculate fees for
+     */
+    function calculateFeeAllocation(
+        uint256 _caseId
+    ) external onlyRole(BILLING_CLERK_ROLE) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(disputes[_caseId].status != DisputeStatus.Open, "Case under dispute");
+        _requireResponsibilitiesAccepted(_caseId);
+
+        _calculateFees(_caseId);
+    }
+
+    /**
+     * @notice Step 2: Request decryption via Gateway callback
+     * @dev Initiates asynchronous decryption process for final fee amount
+     * @param _caseId Case ID to request decryption for
+     */
+    function requestFeeDecryption(
+        uint256 _caseId
+    ) external onlyRole(BILLING_CLERK_ROLE) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        LegalCase storage legalCase = cases[_caseId];
+        FeeCalculation storage calc = feeCalculations[_caseId];
+
+        require(calc.isCalculated, "Fee not calculated yet");
+        require(!legalCase.decryptionRequested, "Decryption already requested");
+        require(!calc.isRevealed, "Fee already revealed");
+
+        // Prepare ciphertexts array for decryption
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(calc.finalAmount);
+
+        // Request decryption with callback
+        uint256 requestId = FHE.requestDecryption(cts, this.feeDecryptionCallback.selector);
+
+        legalCase.decryptionRequestId = requestId;
+        legalCase.decryptionRequested = true;
+        legalCase.decryptionRequestTime = block.timestamp;
+
+        requestIdToCaseId[requestId] = _caseId;
+        decryptionAttempts[_caseId].push(DecryptionAttempt({
+            requestId: requestId,
+            requestedAt: block.timestamp,
+            closedAt: 0,
+            status: DecryptionAttemptStatus.Pending
+        }));
+
+        emit DecryptionRequested(_caseId, requestId);
+    }
+
+    /**
+     * @notice Step 3: Gateway callback receives decrypted value
+     * @dev Called by Zama Gateway after successful decryption
+     * @param requestId The decryption request ID
+     * @param cleartexts ABI-encoded decrypted values
+     * @param decryptionProof Cryptographic proof of correct decryption
+     */
+    function feeDecryptionCallback(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external {
+        // Verify signatures and proof
+        FHE.checkSignatures(requestId, cleartexts, decryptionProof);
+
+        // Retrieve case ID from request mapping
+        uint256 caseId = requestIdToCaseId[requestId];
+        require(caseId != 0, "Invalid request ID");
+        require(!callbackProcessed[requestId], "Callback already processed");
+        // Cancelled and recalculated requests are no longer current
+        require(
+            cases[caseId].decryptionRequested && cases[caseId].decryptionRequestId == requestId,
+            "Superseded request"
+        );
+
+        // Decode decrypted amount
+        (uint64 revealedAmount) = abi.decode(cleartexts, (uint64));
+
+        // Update fee calculation with revealed amount
+        FeeCalculation storage calc = feeCalculations[caseId];
+        calc.revealedAmount = revealedAmount;
+        calc.isRevealed = true;
+
+        // Mark callback as processed
+        callbackProcessed[requestId] = true;
+        _closeDecryptionAttempt(caseId, DecryptionAttemptStatus.Revealed);
+
+        emit DecryptionCompleted(caseId, revealedAmount);
+    }
+
+    /**
+     * @notice Get decryption status for a case
+     * @param _caseId Case ID to query
+     * @return requested Whether decryption was requested
+     * @return revealed Whether fee was successfully revealed
+     * @return requestId The decryption request ID
+     * @return requestTime When decryption was requested
+     * @return attempts Every decryption request made for the case, oldest first
+     */
+    function getDecryptionStatus(
+        uint256 _caseId
+    ) external view caseExists(_caseId) returns (
+        bool requested,
+        bool revealed,
+        uint256 requestId,
+        uint256 requestTime,
+        DecryptionAttempt[] memory attempts
+    ) {
+        LegalCase storage legalCase = cases[_caseId];
+        FeeCalculation storage calc = feeCalculations[_caseId];
+
+        return (
+            legalCase.decryptionRequested,
+            calc.isRevealed,
+            legalCase.decryptionRequestId,
+            legalCase.decryptionRequestTime,
+            decryptionAttempts[_caseId]
+        );
+    }
+
+    /**
+     * @notice Get revealed fee amount (only available after successful decryption)
+     * @param _caseId Case ID to query
+     * @return revealed Whether the fee was revealed
+     * @return amount The revealed fee amount (0 if not revealed)
+     */
+    function getRevealedFee(
+        uint256 _caseId
+    ) external view caseExists(_caseId) returns (
+        bool revealed,
+        uint64 amount
+    ) {
+        FeeCalculation storage calc = feeCalculations[_caseId];
+        return (calc.isRevealed, calc.revealedAmount);
+    }
+}
@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { LegalFeeMath } from "../libraries/LegalFeeMath.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title FeeScheduleModule
+ * @notice Registry of reusable fee schedules that cases are billed under
+ */
+contract FeeScheduleModule is LegalFeeModule {
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    // ========== FEE SCHEDULES ==========
+
+    /**
+     * @notice Register a reusable fee schedule that cases can be billed under
+     * @param _terms Hourly rate, complexity rate and tiers, retainer, minimum fee and cap (maximumFee, 0 for none)
+     * @return scheduleId ID to pass to createCase
+     */
+    function registerFeeSchedule(
+        LegalFeeMath.FeeTerms calldata _terms
+    ) external onlyRole(BILLING_CLERK_ROLE) whenNotPaused returns (uint256 scheduleId) {
+        LegalFeeMath.validateTerms(_terms);
+        scheduleId = _storeFeeSchedule(_terms);
+    }
+
+    /**
+     * @notice Replace a schedule's terms, bumping its version
+     * @dev Applies to every case calculated afterwards; past calculations keep the version they recorded
+     * @param _scheduleId Schedule to update
+     * @param _terms New terms
+     */
+    function updateFeeSchedule(
+        uint256 _scheduleId,
+        LegalFeeMath.FeeTerms calldata _terms
+    ) external onlyRole(BILLING_CLERK_ROLE) feeScheduleExists(_scheduleId) whenNotPaused {
+        LegalFeeMath.validateTerms(_terms);
+
+        LegalFeeMath.FeeSchedule storage schedule = feeSchedules[_scheduleId];
+        schedule.terms = _terms;
+        schedule.version += 1;
+
+        emit FeeScheduleUpdated(_scheduleId, schedule.version);
+    }
+
+    /**
+     * @notice Choose the schedule used by createCase when none is given
+     * @param _scheduleId Registered schedule ID
+     */
+    function setDefaultFeeSchedule(
+        uint256 _scheduleId
+    ) external onlyAdmin feeScheduleExists(_scheduleId) whenNotPaused {
+        defaultFeeScheduleId = _scheduleId;
+        emit DefaultFeeScheduleChanged(_scheduleId);
+    }
+
+    /**
+     * @notice Get a fee schedule's current terms and version
+     * @param _scheduleId Registered schedule ID
+     */
+    function getFeeSchedule(
+        uint256 _scheduleId
+    ) external view feeScheduleExists(_scheduleId) returns (
+        LegalFeeMath.FeeTerms memory terms,
+        uint32 version,
+        address registeredBy
+    ) {
+        LegalFeeMath.FeeSchedule storage schedule = feeSchedules[_scheduleId];
+        return (schedule.terms, schedule.version, schedule.registeredBy);
+    }
+}
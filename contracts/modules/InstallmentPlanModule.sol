@@ -0,0 +1,167 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title InstallmentPlanModule
+ * @notice Installment schedules that let a party pay its allocation in parts
+ * @dev Payments against a plan are credited in CasePaymentsModule; the party counts as paid, and the case can
+ * settle, only once its encrypted running balance reaches zero.
+ */
+contract InstallmentPlanModule is LegalFeeModule {
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    /**
+     * @notice Attach an installment schedule to a party's allocation
+     * @dev Replaces any existing plan; payments already made keep counting towards the balance. The amounts
+     * should add up to the allocation: whatever they total, the party is paid up only when the balance is zero.
+     * @param _caseId Case ID
+     * @param _party Party paying in installments
+     * @param _dueDates Strictly increasing future due dates, one per installment
+     * @param _amounts Encrypted amount due at each due date
+     * @param _inputProof Proof for the encrypted amounts
+     */
+    function setInstallmentPlan(
+        uint256 _caseId,
+        address _party,
+        uint256[] calldata _dueDates,
+        externalEuint64[] calldata _amounts,
+        bytes calldata _inputProof
+    ) external onlyRole(BILLING_CLERK_ROLE) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(_isPartyInCase(_caseId, _party), "Party not in case");
+        require(!_isPendingParty(_caseId, _party), "Party not joined");
+        require(feeCalculations[_caseId].isCalculated, "Fees not calculated");
+        require(!partyAllocations[_caseId][_party].hasPaid, "Already paid");
+        require(_dueDates.length > 0 && _dueDates.length <= MAX_INSTALLMENTS, "Invalid installment count");
+        require(_dueDates.length == _amounts.length, "Length mismatch");
+
+        InstallmentPlan storage plan = installmentPlans[_caseId][_party];
+        require(
+            !plan.verificationPending && !confidentialPayments[_caseId][_party].verificationPending,
+            "Payment verification pending"
+        );
+
+        if (!plan.isActive) {
+            euint64 allocated = partyAllocations[_caseId][_party].allocatedAmount;
+            plan.totalPaid = _initialTotalPaid(_caseId, _party);
+            plan.balance = FHE.sub(allocated, FHE.min(plan.totalPaid, allocated));
+            plan.isActive = true;
+        }
+
+        _storeInstallments(plan, _party, _dueDates, _amounts, _inputProof);
+
+        FHE.allowThis(plan.totalPaid);
+        FHE.allowThis(plan.balance);
+        FHE.allow(plan.totalPaid, _party);
+        FHE.allow(plan.balance, _party);
+
+        emit InstallmentPlanSet(_caseId, _party, _dueDates.length);
+    }
+
+    /**
+     * @notice Emit InstallmentOverdue for a party's earliest unpaid installment once its due date has passed
+     * @param _caseId Case ID
+     * @param _party Party with an installment plan
+     */
+    function reportOverdueInstallment(
+        uint256 _caseId,
+        address _party
+    ) external caseExists(_caseId) whenNotFrozen(_caseId) {
+        require(_isOverdue(_caseId, _party), "No overdue installment");
+
+        InstallmentPlan storage plan = installmentPlans[_caseId][_party];
+        emit InstallmentOverdue(_caseId, _party, plan.paidInstallments, plan.dueDates[plan.paidInstallments]);
+    }
+
+    /**
+     * @notice Get a party's installment schedule
+     * @param _caseId Case ID to query
+     * @param _party Party address
+     * @return dueDates Due date of each installment
+     * @return isPaid Whether each installment is covered by the payments so far
+     * @return isOverdue Whether the earliest unpaid installment is past due
+     * @return balance Encrypted allocation still outstanding (decryptable by the party)
+     * @return verificationPending Whether a payment is awaiting the Gateway
+     */
+    function getPaymentSchedule(
+        uint256 _caseId,
+        address _party
+    ) external view onlyPartyOrAuditor(_caseId) returns (
+        uint256[] memory dueDates,
+        bool[] memory isPaid,
+        bool isOverdue,
+        euint64 balance,
+        bool verificationPending
+    ) {
+        InstallmentPlan storage plan = installmentPlans[_caseId][_party];
+
+        isPaid = new bool[](plan.dueDates.length);
+        for (uint i = 0; i < plan.paidInstallments; i++) {
+            isPaid[i] = true;
+        }
+
+        return (plan.dueDates, isPaid, _isOverdue(_caseId, _party), plan.balance, plan.verificationPending);
+    }
+
+    /**
+     * @notice Get the encrypted amount due at each installment
+     * @param _caseId Case ID to query
+     * @param _party Party address
+     */
+    function getInstallmentAmounts(
+        uint256 _caseId,
+        address _party
+    ) external view onlyPartyOrAuditor(_caseId) returns (euint64[] memory) {
+        return installmentPlans[_caseId][_party].amounts;
+    }
+
+    function _storeInstallments(
+        InstallmentPlan storage _plan,
+        address _party,
+        uint256[] calldata _dueDates,
+        externalEuint64[] calldata _amounts,
+        bytes calldata _inputProof
+    ) private {
+        delete _plan.dueDates;
+        delete _plan.amounts;
+        delete _plan.cumulativeDue;
+        _plan.paidInstallments = 0;
+
+        euint64 cumulative = FHE.asEuint64(0);
+        for (uint i = 0; i < _dueDates.length; i++) {
+            require(_dueDates[i] > (i == 0 ? block.timestamp : _dueDates[i - 1]), "Invalid due dates");
+
+            euint64 amount = FHE.fromExternal(_amounts[i], _inputProof);
+            cumulative = FHE.add(cumulative, amount);
+
+            _plan.dueDates.push(_dueDates[i]);
+            _plan.amounts.push(amount);
+            _plan.cumulativeDue.push(cumulative);
+
+            FHE.allowThis(amount);
+            FHE.allow(amount, _party);
+            FHE.allowThis(cumulative);
+        }
+    }
+
+    function _isOverdue(uint256 _caseId, address _party) private view returns (bool) {
+        InstallmentPlan storage plan = installmentPlans[_caseId][_party];
+        return plan.isActive &&
+            !partyAllocations[_caseId][_party].hasPaid &&
+            plan.paidInstallments < plan.dueDates.length &&
+            block.timestamp > plan.dueDates[plan.paidInstallments];
+    }
+
+    /**
+     * @dev Deposits made before the plan, plaintext or confidential, count towards it
+     */
+    function _initialTotalPaid(uint256 _caseId, address _party) private returns (euint64 totalPaid) {
+        totalPaid = _encryptDeposit(partyAllocations[_caseId][_party].depositedAmount);
+        euint64 paidAmount = confidentialPayments[_caseId][_party].paidAmount;
+        if (FHE.isInitialized(paidAmount)) {
+            totalPaid = FHE.add(totalPaid, paidAmount);
+        }
+    }
+}
@@ -0,0 +1,255 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { ThirdPartyPaymentModule } from "./ThirdPartyPaymentModule.sol";
+
+/**
+ * @title InsuranceCoverageModule
+ * @notice Insurers paying part of a party's share up to an encrypted coverage cap, above an encrypted deductible
+ * @dev Each calculation splits an insured party's share into the party's part (its allocatedAmount) and the
+ * insurer's part. The insurer pays its part through ThirdPartyPaymentModule, and a case only settles once every
+ * insured party's insurer has paid as well.
+ */
+contract InsuranceCoverageModule is ThirdPartyPaymentModule {
+    constructor(address _nextModule) ThirdPartyPaymentModule(_nextModule) {}
+
+    // ========== COVERAGE ==========
+
+    /**
+     * @notice Insure a party's share, or replace its insurance
+     * @dev Fees have to be recalculated before anyone can pay again. Both the party and the insurer can decrypt
+     * the cap and deductible.
+     * @param _caseId Case ID
+     * @param _party Insured party
+     * @param _insurer Insurer paying the covered part
+     * @param _encryptedCoverageCap Encrypted most the insurer pays
+     * @param _encryptedDeductible Encrypted amount the party pays before coverage applies
+     * @param _inputProof Proof covering both encrypted handles
+     */
+    function setInsuranceCoverage(
+        uint256 _caseId,
+        address _party,
+        address _insurer,
+        externalEuint64 _encryptedCoverageCap,
+        externalEuint64 _encryptedDeductible,
+        bytes calldata _inputProof
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(_isPartyInCase(_caseId, _party), "Party not in case");
+        require(!_isPendingParty(_caseId, _party), "Party not joined");
+        _validateAddress(_insurer);
+        require(_insurer != _party, "Invalid insurer");
+        // The party's part cannot be split again within the calculation's FHE depth limit
+        require(!_hasThirdPartyPayer(_caseId, _party, ThirdPartyKind.Funder), "Party is funded");
+        _requireCoverageChangeable(_caseId, _party);
+
+        ThirdPartyPayer storage payer = thirdPartyPayers[_caseId][_party];
+        payer.payer = _insurer;
+        payer.kind = ThirdPartyKind.Insurer;
+
+        InsuranceCoverage storage coverage = insuranceCoverages[_caseId][_party];
+        coverage.coverageCap = FHE.fromExternal(_encryptedCoverageCap, _inputProof);
+        coverage.deductible = FHE.fromExternal(_encryptedDeductible, _inputProof);
+        _storeCoverageLimit(coverage);
+
+        FHE.allowThis(coverage.coverageCap);
+        FHE.allowThis(coverage.deductible);
+        FHE.allow(coverage.coverageCap, _party);
+        FHE.allow(coverage.deductible, _party);
+        FHE.allow(coverage.coverageCap, _insurer);
+        FHE.allow(coverage.deductible, _insurer);
+
+        _recordActivity(_caseId);
+        _markAllocationStale(_caseId);
+
+        emit InsuranceCoverageSet(_caseId, _party, _insurer);
+    }
+
+    /**
+     * @notice Stop insuring a party's share; the party pays all of it from the next calculation
+     * @param _caseId Case ID
+     * @param _party Insured party
+     */
+    function removeInsuranceCoverage(
+        uint256 _caseId,
+        address _party
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(_hasThirdPartyPayer(_caseId, _party, ThirdPartyKind.Insurer), "No insurance coverage");
+        _requireCoverageChangeable(_caseId, _party);
+
+        delete insuranceCoverages[_caseId][_party];
+        delete thirdPartyPayers[_caseId][_party];
+
+        _recordActivity(_caseId);
+        _markAllocationStale(_caseId);
+
+        emit InsuranceCoverageRemoved(_caseId, _party);
+    }
+
+    // ========== INSURER PAYMENTS ==========
+
+    /**
+     * @notice Deposit an insured party's covered part in native ETH
+     * @param _caseId Case ID to pay for
+     * @param _party Insured party
+     */
+    function recordInsurerPayment(
+        uint256 _caseId,
+        address _party
+    ) external payable nonReentrant caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        _payInEth(_caseId, _party);
+    }
+
+    /**
+     * @notice Deposit an insured party's covered part in the case's ERC-20 token
+     * @dev Requires prior approval; credits the amount actually received
+     * @param _caseId Case ID to pay for
+     * @param _party Insured party
+     * @param _amount Token amount to transfer from the caller
+     */
+    function recordInsurerTokenPayment(
+        uint256 _caseId,
+        address _party,
+        uint256 _amount
+    ) external nonReentrant caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        _payInToken(_caseId, _party, _amount);
+    }
+
+    /**
+     * @notice Pay an encrypted amount of the case's confidential token towards an insured party's covered part
+     * @dev Caller must have set this contract as operator on the token. Only whether the running total covers the
+     * insurer's part is decrypted; insurerPaymentVerificationCallback then marks the insurer as paid.
+     * @param _caseId Case ID to pay for
+     * @param _party Insured party
+     * @param _encryptedAmount Encrypted token amount
+     * @param _inputProof Proof for the encrypted input
+     */
+    function recordInsurerConfidentialPayment(
+        uint256 _caseId,
+        address _party,
+        externalEuint64 _encryptedAmount,
+        bytes calldata _inputProof
+    ) external nonReentrant caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        _payConfidentially(_caseId, _party, _encryptedAmount, _inputProof);
+    }
+
+    /**
+     * @notice Gateway callback with the decrypted result of an insurer's payment check
+     * @dev A failed check leaves the deposit in escrow so the insurer can top it up
+     * @param requestId The decryption request ID
+     * @param cleartexts ABI-encoded decrypted coverage flag and whether the party's own part is zero
+     * @param decryptionProof Cryptographic proof of correct decryption
+     */
+    function insurerPaymentVerificationCallback(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external nonReentrant {
+        _verifyPayment(requestId, cleartexts, decryptionProof);
+    }
+
+    /**
+     * @notice Return the insurer's deposit for an insured party when the case is marked refundable
+     * @param _caseId Case ID to request a refund for
+     * @param _party Insured party
+     */
+    function requestInsurerRefund(uint256 _caseId, address _party) external nonReentrant caseExists(_caseId) {
+        _refundPayer(_caseId, _party);
+    }
+
+    // ========== VIEWS ==========
+
+    /**
+     * @notice Get a party's insurance and whether the insurer has paid
+     * @dev Restricted to the insurer, the case's parties, its case manager and auditors
+     * @param _caseId Case ID
+     * @param _party Insured party
+     * @return insurer Insurer (address(0) if the party is not insured)
+     * @return hasPaid Whether the insurer paid its part of the current allocation
+     * @return paymentDate When the insurer paid
+     * @return depositedAmount Plaintext amount the insurer deposited (0 for confidential escrows)
+     */
+    function getInsuranceCoverage(uint256 _caseId, address _party) external view caseExists(_caseId) returns (
+        address insurer,
+        bool hasPaid,
+        uint256 paymentDate,
+        uint256 depositedAmount
+    ) {
+        ThirdPartyPayer storage payer = _viewablePayer(_caseId, _party);
+        return (payer.payer, payer.hasPaid, payer.paymentDate, payer.depositedAmount);
+    }
+
+    /**
+     * @notice Get the encrypted handles of a party's insurance
+     * @dev The party and the insurer can decrypt the cap and deductible; only the insurer can decrypt its portion
+     * @param _caseId Case ID
+     * @param _party Insured party
+     * @return coverageCap Most the insurer pays
+     * @return deductible Amount the party pays before coverage applies
+     * @return insurerPortion Insurer's part of the current share (uninitialized until fees are calculated)
+     */
+    function getInsuranceHandles(uint256 _caseId, address _party) external view caseExists(_caseId) returns (
+        euint64 coverageCap,
+        euint64 deductible,
+        euint64 insurerPortion
+    ) {
+        euint64 portion = _viewablePayer(_caseId, _party).portion;
+        InsuranceCoverage storage coverage = insuranceCoverages[_caseId][_party];
+        return (coverage.coverageCap, coverage.deductible, portion);
+    }
+
+    /**
+     * @notice Get the adjustments recorded for an insurer whose portion changed after it paid
+     * @param _caseId Case ID
+     * @param _party Insured party
+     * @return adjustments One entry per recalculation since the insurer paid, oldest first; credit and shortfall
+     * are encrypted and decryptable by the insurer
+     */
+    function getInsurerAdjustments(
+        uint256 _caseId,
+        address _party
+    ) external view caseExists(_caseId) returns (AllocationAdjustment[] memory adjustments) {
+        _viewablePayer(_caseId, _party);
+        return thirdPartyAdjustments[_caseId][_party];
+    }
+
+    // ========== INTERNAL ==========
+
+    /**
+     * @dev Saturates rather than wrapping, so a cap close to type(uint64).max means unlimited coverage
+     */
+    function _storeCoverageLimit(InsuranceCoverage storage _coverage) private {
+        euint64 coverageLimit = FHE.add(_coverage.deductible, _coverage.coverageCap);
+        coverageLimit = FHE.select(
+            FHE.lt(coverageLimit, _coverage.deductible),
+            FHE.asEuint64(type(uint64).max),
+            coverageLimit
+        );
+        _coverage.coverageLimit = coverageLimit;
+        FHE.allowThis(coverageLimit);
+    }
+
+    function _requirePayer(
+        uint256 _caseId,
+        address _party
+    ) internal view override returns (ThirdPartyPayer storage) {
+        require(
+            _hasThirdPartyPayer(_caseId, _party, ThirdPartyKind.Insurer) &&
+                thirdPartyPayers[_caseId][_party].payer == msg.sender,
+            "Not the insurer"
+        );
+        return thirdPartyPayers[_caseId][_party];
+    }
+
+    function _verificationCallback() internal pure override returns (bytes4) {
+        return this.insurerPaymentVerificationCallback.selector;
+    }
+
+    /**
+     * @dev Coverage is fixed once the party or the insurer has paid anything towards the share
+     */
+    function _requireCoverageChangeable(uint256 _caseId, address _party) private view {
+        require(!partyAllocations[_caseId][_party].hasPaid, "Party already paid");
+        require(!_payerHasDeposited(_caseId, _party), "Insurer payment made");
+    }
+}
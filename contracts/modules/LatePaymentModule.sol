@@ -0,0 +1,196 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title LatePaymentModule
+ * @notice Grace periods, late fees and simple interest on unpaid allocations
+ * @dev Penalties are added to the encrypted allocatedAmount homomorphically, so neither the debtor's balance
+ * nor the penalty is revealed to the other parties. Payment checks pick the higher allocation up automatically.
+ */
+contract LatePaymentModule is LegalFeeModule {
+    // Days of interest charged per accrual call
+    uint256 private constant MAX_ACCRUAL_DAYS = 365;
+
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    /**
+     * @notice Set the late-payment terms of a case
+     * @dev Applies to accruals made after the change
+     * @param _caseId Case ID
+     * @param _gracePeriod Time after the due date before penalties start (at most MAX_GRACE_PERIOD)
+     * @param _lateFee Encrypted flat fee charged once a party is late
+     * @param _inputProof Proof for the encrypted fee
+     * @param _dailyInterestBps Simple interest per day late, in basis points of the allocation
+     */
+    function setLatePaymentTerms(
+        uint256 _caseId,
+        uint256 _gracePeriod,
+        externalEuint64 _lateFee,
+        bytes calldata _inputProof,
+        uint32 _dailyInterestBps
+    ) external onlyRole(BILLING_CLERK_ROLE) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(_gracePeriod <= MAX_GRACE_PERIOD, "Grace period too long");
+        require(_dailyInterestBps <= MAX_DAILY_INTEREST_BPS, "Interest rate too high");
+
+        euint64 lateFee = FHE.fromExternal(_lateFee, _inputProof);
+        FHE.allowThis(lateFee);
+
+        latePaymentTerms[_caseId] = LatePaymentTerms({
+            gracePeriod: _gracePeriod,
+            lateFee: lateFee,
+            dailyInterestBps: _dailyInterestBps,
+            isSet: true
+        });
+
+        emit LatePaymentTermsSet(_caseId, _gracePeriod, _dailyInterestBps);
+    }
+
+    /**
+     * @notice Add the late fee and any interest due since the last accrual to a late party's allocation
+     * @dev Callable by anyone once the grace period has passed. Interest is charged per whole day late, on the
+     * allocation as it stood when the party first became late, for at most MAX_ACCRUAL_DAYS per call. The clock
+     * stops while payments are refused (open dispute, outdated allocation), as the party could not pay then.
+     * @param _caseId Case ID
+     * @param _party Unpaid party
+     */
+    function accrueLatePenalty(
+        uint256 _caseId,
+        address _party
+    ) external caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        LatePaymentTerms storage terms = latePaymentTerms[_caseId];
+        LatePenalty storage penalty = latePenalties[_caseId][_party];
+        PartyAllocation storage allocation = partyAllocations[_caseId][_party];
+
+        require(terms.isSet, "No late payment terms");
+        require(_isPartyInCase(_caseId, _party), "Party not in case");
+        require(feeCalculations[_caseId].isCalculated, "Fees not calculated");
+        require(paymentPauses[_caseId].since == 0, "Payments paused");
+        require(!allocation.hasPaid, "Already paid");
+        require(
+            !confidentialPayments[_caseId][_party].verificationPending &&
+                !installmentPlans[_caseId][_party].verificationPending,
+            "Payment verification pending"
+        );
+
+        uint256 daysLate = _chargeableDays(_caseId, _party, penalty, terms.gracePeriod);
+        bool chargeLateFee = !penalty.lateFeeCharged;
+        require(chargeLateFee || daysLate > 0, "Nothing to accrue");
+
+        if (!FHE.isInitialized(penalty.principal)) {
+            penalty.principal = allocation.allocatedAmount;
+            penalty.accrued = FHE.asEuint64(0);
+        }
+
+        euint64 amount = FHE.asEuint64(0);
+        if (chargeLateFee) {
+            amount = terms.lateFee;
+            penalty.lateFeeCharged = true;
+        }
+        if (daysLate > 0 && terms.dailyInterestBps > 0) {
+            amount = FHE.add(amount, _interest(penalty.principal, uint64(terms.dailyInterestBps) * uint64(daysLate)));
+        }
+
+        _applyPenalty(_caseId, _party, penalty, amount);
+
+        emit LatePenaltyApplied(_caseId, _party, chargeLateFee, daysLate);
+    }
+
+    /**
+     * @notice Get a party's late-payment status
+     * @param _caseId Case ID to query
+     * @param _party Party address
+     * @return lateFrom Time after which penalties accrue (due date plus grace period)
+     * @return isLate Whether the party is unpaid past lateFrom
+     * @return accruedUntil End of the period interest has been charged for
+     * @return accrued Encrypted total penalties added to the allocation (decryptable by the party)
+     */
+    function getLatePaymentStatus(
+        uint256 _caseId,
+        address _party
+    ) external view onlyPartyOrAuditor(_caseId) returns (
+        uint256 lateFrom,
+        bool isLate,
+        uint256 accruedUntil,
+        euint64 accrued
+    ) {
+        LatePenalty storage penalty = latePenalties[_caseId][_party];
+
+        if (feeCalculations[_caseId].isCalculated) {
+            lateFrom = _dueDate(_caseId, _party) + latePaymentTerms[_caseId].gracePeriod;
+            isLate = latePaymentTerms[_caseId].isSet &&
+                !partyAllocations[_caseId][_party].hasPaid &&
+                block.timestamp > lateFrom;
+        }
+
+        return (lateFrom, isLate, penalty.accruedUntil, penalty.accrued);
+    }
+
+    /**
+     * @dev Payment is due when fees are calculated, or at the earliest unpaid installment for parties on a plan
+     */
+    function _dueDate(uint256 _caseId, address _party) private view returns (uint256) {
+        InstallmentPlan storage plan = installmentPlans[_caseId][_party];
+        if (plan.isActive && plan.paidInstallments < plan.dueDates.length) {
+            return plan.dueDates[plan.paidInstallments];
+        }
+        return feeCalculations[_caseId].calculatedAt;
+    }
+
+    /**
+     * @dev Whole days of interest due, up to MAX_ACCRUAL_DAYS, moving accruedUntil past them. Pauses since the last
+     * accrual are skipped, or since the calculation for the first accrual, which extends the grace period.
+     */
+    function _chargeableDays(
+        uint256 _caseId,
+        address _party,
+        LatePenalty storage _penalty,
+        uint256 _gracePeriod
+    ) private returns (uint256 daysLate) {
+        uint256 lateFrom = _dueDate(_caseId, _party) + _gracePeriod;
+        bool isAccruing = _penalty.accruedUntil > lateFrom;
+        uint256 accrueFrom = isAccruing ? _penalty.accruedUntil : lateFrom;
+        uint256 paused = paymentPauses[_caseId].total - (isAccruing ? _penalty.pausedTime : 0);
+        require(block.timestamp > accrueFrom + paused, "Payment not late");
+
+        uint256 lateTime = block.timestamp - accrueFrom - paused;
+        daysLate = lateTime / 1 days;
+        if (daysLate > MAX_ACCRUAL_DAYS) {
+            daysLate = MAX_ACCRUAL_DAYS;
+        }
+
+        // The uncharged remainder is all unpaused time, so the pauses are behind accruedUntil from here on
+        _penalty.accruedUntil = block.timestamp - (lateTime - daysLate * 1 days);
+        _penalty.pausedTime = paymentPauses[_caseId].total;
+    }
+
+    /**
+     * @dev principal * rateBps / 10000, split so that the product stays within euint64 for wei-sized principals
+     */
+    function _interest(euint64 _principal, uint64 _rateBps) private returns (euint64) {
+        euint64 whole = FHE.mul(FHE.div(_principal, 10000), _rateBps);
+        euint64 remainder = FHE.div(FHE.mul(FHE.rem(_principal, 10000), _rateBps), 10000);
+        return FHE.add(whole, remainder);
+    }
+
+    function _applyPenalty(uint256 _caseId, address _party, LatePenalty storage _penalty, euint64 _amount) private {
+        PartyAllocation storage allocation = partyAllocations[_caseId][_party];
+        allocation.allocatedAmount = FHE.add(allocation.allocatedAmount, _amount);
+        _penalty.accrued = FHE.add(_penalty.accrued, _amount);
+
+        FHE.allowThis(allocation.allocatedAmount);
+        FHE.allow(allocation.allocatedAmount, _party);
+        FHE.allowThis(_penalty.principal);
+        FHE.allowThis(_penalty.accrued);
+        FHE.allow(_penalty.accrued, _party);
+
+        InstallmentPlan storage plan = installmentPlans[_caseId][_party];
+        if (plan.isActive) {
+            plan.balance = FHE.add(plan.balance, _amount);
+            FHE.allowThis(plan.balance);
+            FHE.allow(plan.balance, _party);
+        }
+    }
+}
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { LegalFeeAllocationBase } from "../base/LegalFeeAllocationBase.sol";
+
+/**
+ * @title LegalFeeModule
+ * @notice Base for feature modules executed by ConfidentialLegalFeeAllocation through DELEGATECALL
+ * @dev Modules form a chain: a selector a module does not implement is forwarded to the next one,
+ * and the last module reverts with "Unknown function".
+ */
+abstract contract LegalFeeModule is LegalFeeAllocationBase {
+    address private immutable nextModule;
+
+    constructor(address _nextModule) {
+        nextModule = _nextModule;
+    }
+
+    fallback() external payable {
+        _delegateTo(nextModule);
+    }
+}
@@ -0,0 +1,268 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint64, externalEuint32, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { ThirdPartyPaymentModule } from "./ThirdPartyPaymentModule.sol";
+
+/**
+ * @title LitigationFundingModule
+ * @notice Third-party funders paying part or all of a party's share in exchange for a cut of its recovery
+ * @dev Each calculation moves the funded percentage of the party's share onto the funder, who pays it through
+ * ThirdPartyPaymentModule; the case only settles once funders have paid as well. Funding terms are only
+ * decryptable by the party, and the funder is only allowed on the amounts it owes. Events name funded parties and
+ * their funders but no terms.
+ */
+contract LitigationFundingModule is ThirdPartyPaymentModule {
+    constructor(address _nextModule) ThirdPartyPaymentModule(_nextModule) {}
+
+    // ========== FUNDING ==========
+
+    /**
+     * @notice Register a funder for a party, or replace its funder
+     * @dev Fees have to be recalculated before anyone can pay again. An insured party cannot also be funded.
+     * @param _caseId Case ID
+     * @param _party Funded party
+     * @param _funder Funder paying the funded part
+     * @param _encryptedFundedPercentage Encrypted percentage of the party's share the funder pays (100 for all of it)
+     * @param _encryptedRecoveryShare Encrypted percentage of the party's recovery owed to the funder
+     * @param _encryptedRepaymentCap Encrypted most the funder recovers
+     * @param _inputProof Proof covering all encrypted handles
+     */
+    function registerFunder(
+        uint256 _caseId,
+        address _party,
+        address _funder,
+        externalEuint32 _encryptedFundedPercentage,
+        externalEuint32 _encryptedRecoveryShare,
+        externalEuint64 _encryptedRepaymentCap,
+        bytes calldata _inputProof
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(_isPartyInCase(_caseId, _party), "Party not in case");
+        require(!_isPendingParty(_caseId, _party), "Party not joined");
+        _validateAddress(_funder);
+        require(_funder != _party, "Invalid funder");
+        require(!_hasThirdPartyPayer(_caseId, _party, ThirdPartyKind.Insurer), "Party is insured");
+        _requireFundingChangeable(_caseId, _party);
+
+        ThirdPartyPayer storage payer = thirdPartyPayers[_caseId][_party];
+        payer.payer = _funder;
+        payer.kind = ThirdPartyKind.Funder;
+
+        FundingTerms storage funding = fundingTerms[_caseId][_party];
+        funding.fundedPercentage = FHE.min(FHE.fromExternal(_encryptedFundedPercentage, _inputProof), 100);
+        funding.recoveryShare = FHE.min(FHE.fromExternal(_encryptedRecoveryShare, _inputProof), 100);
+        funding.repaymentCap = FHE.fromExternal(_encryptedRepaymentCap, _inputProof);
+
+        FHE.allowThis(funding.fundedPercentage);
+        FHE.allowThis(funding.recoveryShare);
+        FHE.allowThis(funding.repaymentCap);
+        FHE.allow(funding.fundedPercentage, _party);
+        FHE.allow(funding.recoveryShare, _party);
+        FHE.allow(funding.repaymentCap, _party);
+
+        _recordActivity(_caseId);
+        _markAllocationStale(_caseId);
+
+        emit FunderRegistered(_caseId, _party, _funder);
+    }
+
+    /**
+     * @notice Stop funding a party; the party pays all of its share from the next calculation
+     * @param _caseId Case ID
+     * @param _party Funded party
+     */
+    function removeFunder(
+        uint256 _caseId,
+        address _party
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(_hasThirdPartyPayer(_caseId, _party, ThirdPartyKind.Funder), "No funder");
+        address funder = thirdPartyPayers[_caseId][_party].payer;
+        _requireFundingChangeable(_caseId, _party);
+
+        delete fundingTerms[_caseId][_party];
+        delete thirdPartyPayers[_caseId][_party];
+
+        _recordActivity(_caseId);
+        _markAllocationStale(_caseId);
+
+        emit FunderRemoved(_caseId, _party, funder);
+    }
+
+    // ========== FUNDER PAYMENTS ==========
+
+    /**
+     * @notice Deposit a funded party's funded part in native ETH
+     * @param _caseId Case ID to pay for
+     * @param _party Funded party
+     */
+    function recordFunderPayment(
+        uint256 _caseId,
+        address _party
+    ) external payable nonReentrant caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        _payInEth(_caseId, _party);
+    }
+
+    /**
+     * @notice Deposit a funded party's funded part in the case's ERC-20 token
+     * @dev Requires prior approval; credits the amount actually received
+     * @param _caseId Case ID to pay for
+     * @param _party Funded party
+     * @param _amount Token amount to transfer from the caller
+     */
+    function recordFunderTokenPayment(
+        uint256 _caseId,
+        address _party,
+        uint256 _amount
+    ) external nonReentrant caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        _payInToken(_caseId, _party, _amount);
+    }
+
+    /**
+     * @notice Pay an encrypted amount of the case's confidential token towards a funded party's funded part
+     * @dev Caller must have set this contract as operator on the token. Only whether the running total covers the
+     * funder's part is decrypted; funderPaymentVerificationCallback then marks the funder as paid.
+     * @param _caseId Case ID to pay for
+     * @param _party Funded party
+     * @param _encryptedAmount Encrypted token amount
+     * @param _inputProof Proof for the encrypted input
+     */
+    function recordFunderConfidentialPayment(
+        uint256 _caseId,
+        address _party,
+        externalEuint64 _encryptedAmount,
+        bytes calldata _inputProof
+    ) external nonReentrant caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        _payConfidentially(_caseId, _party, _encryptedAmount, _inputProof);
+    }
+
+    /**
+     * @notice Gateway callback with the decrypted result of a funder's payment check
+     * @dev A failed check leaves the deposit in escrow so the funder can top it up
+     * @param requestId The decryption request ID
+     * @param cleartexts ABI-encoded decrypted portion flag and whether the party's own part is zero
+     * @param decryptionProof Cryptographic proof of correct decryption
+     */
+    function funderPaymentVerificationCallback(
+        uint256 requestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
+    ) external nonReentrant {
+        _verifyPayment(requestId, cleartexts, decryptionProof);
+    }
+
+    /**
+     * @notice Return the funder's deposit for a funded party when the case is marked refundable
+     * @param _caseId Case ID to request a refund for
+     * @param _party Funded party
+     */
+    function requestFunderRefund(uint256 _caseId, address _party) external nonReentrant caseExists(_caseId) {
+        _refundPayer(_caseId, _party);
+    }
+
+    // ========== VIEWS ==========
+
+    /**
+     * @notice Get a party's funder and whether it has paid
+     * @dev Restricted to the funder, the case's parties, its case manager and auditors
+     * @param _caseId Case ID
+     * @param _party Funded party
+     * @return funder Funder (address(0) if the party is not funded)
+     * @return hasPaid Whether the funder paid its part of the current allocation
+     * @return paymentDate When the funder paid
+     * @return depositedAmount Plaintext amount the funder deposited (0 for confidential escrows)
+     */
+    function getFunding(uint256 _caseId, address _party) external view caseExists(_caseId) returns (
+        address funder,
+        bool hasPaid,
+        uint256 paymentDate,
+        uint256 depositedAmount
+    ) {
+        ThirdPartyPayer storage payer = _viewablePayer(_caseId, _party);
+        return (payer.payer, payer.hasPaid, payer.paymentDate, payer.depositedAmount);
+    }
+
+    /**
+     * @notice Get the encrypted handles of a party's funding
+     * @dev Only the party can decrypt the terms, and only the funder its portion
+     * @param _caseId Case ID
+     * @param _party Funded party
+     * @return fundedPercentage Percentage of the party's share the funder pays
+     * @return recoveryShare Percentage of the party's recovery owed to the funder
+     * @return repaymentCap Most the funder recovers
+     * @return funderPortion Funder's part of the current share (uninitialized until fees are calculated)
+     */
+    function getFundingHandles(uint256 _caseId, address _party) external view caseExists(_caseId) returns (
+        euint32 fundedPercentage,
+        euint32 recoveryShare,
+        euint64 repaymentCap,
+        euint64 funderPortion
+    ) {
+        euint64 portion = _viewablePayer(_caseId, _party).portion;
+        FundingTerms storage funding = fundingTerms[_caseId][_party];
+        return (funding.fundedPercentage, funding.recoveryShare, funding.repaymentCap, portion);
+    }
+
+    /**
+     * @notice List the parties of a case that have a funder
+     * @dev Restricted to the case's parties, its case manager and auditors
+     * @param _caseId Case ID
+     */
+    function getFundedParties(uint256 _caseId) external view caseExists(_caseId) returns (address[] memory funded) {
+        require(_canViewParties(_caseId), "Unauthorized access");
+
+        address[] storage parties = caseParties[_caseId];
+        funded = new address[](parties.length);
+        uint256 count = 0;
+        for (uint i = 0; i < parties.length; i++) {
+            if (_hasThirdPartyPayer(_caseId, parties[i], ThirdPartyKind.Funder)) {
+                funded[count++] = parties[i];
+            }
+        }
+
+        // Trim the unused tail
+        assembly {
+            mstore(funded, count)
+        }
+    }
+
+    /**
+     * @notice Get the adjustments recorded for a funder whose portion changed after it paid
+     * @param _caseId Case ID
+     * @param _party Funded party
+     * @return adjustments One entry per recalculation since the funder paid, oldest first; credit and shortfall
+     * are encrypted and decryptable by the funder
+     */
+    function getFunderAdjustments(
+        uint256 _caseId,
+        address _party
+    ) external view caseExists(_caseId) returns (AllocationAdjustment[] memory adjustments) {
+        _viewablePayer(_caseId, _party);
+        return thirdPartyAdjustments[_caseId][_party];
+    }
+
+    // ========== INTERNAL ==========
+
+    function _requirePayer(
+        uint256 _caseId,
+        address _party
+    ) internal view override returns (ThirdPartyPayer storage) {
+        require(
+            _hasThirdPartyPayer(_caseId, _party, ThirdPartyKind.Funder) &&
+                thirdPartyPayers[_caseId][_party].payer == msg.sender,
+            "Not the funder"
+        );
+        return thirdPartyPayers[_caseId][_party];
+    }
+
+    function _verificationCallback() internal pure override returns (bytes4) {
+        return this.funderPaymentVerificationCallback.selector;
+    }
+
+    /**
+     * @dev Funding is fixed once the party or the funder has paid anything towards the share
+     */
+    function _requireFundingChangeable(uint256 _caseId, address _party) private view {
+        require(!partyAllocations[_caseId][_party].hasPaid, "Party already paid");
+        require(!_payerHasDeposited(_caseId, _party), "Funder payment made");
+    }
+}
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE } from "@fhevm/solidity/lib/FHE.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title PartyMembershipModule
+ * @notice Joining private cases, whose parties are committed to as salted hashes instead of listed at creation
+ * @dev Until they join, a private-case party is only known by a key derived from their commitment: responsibilities
+ * are set and fees calculated on that key, so no calldata, storage slot or event names them. Joining is only possible
+ * once fees have been calculated and is the party's own transaction, which reveals them; it swaps the key for their
+ * address so they can decrypt their allocation and pay it.
+ */
+contract PartyMembershipModule is LegalFeeModule {
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    /**
+     * @notice Join a private case by proving you are one of its committed parties
+     * @param _caseId Case ID
+     * @param _salt Salt the case manager used in your commitment, keccak256(abi.encode(you, salt))
+     */
+    function joinCase(
+        uint256 _caseId,
+        bytes32 _salt
+    ) external caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(feeCalculations[_caseId].version > 0, "Fees not calculated");
+
+        bytes32 commitment = keccak256(abi.encode(msg.sender, _salt));
+        require(_isCommitted(_caseId, commitment), "Invalid membership proof");
+        require(!joinedCommitments[_caseId][commitment], "Party already joined");
+        require(!_isPartyInCase(_caseId, msg.sender), "Party already in case");
+
+        joinedCommitments[_caseId][commitment] = true;
+
+        address key = _partyKey(commitment);
+        _replaceAddress(caseParties[_caseId], key, msg.sender);
+        _replaceAddress(cases[_caseId].parties, key, msg.sender);
+        partyCases[msg.sender].push(_caseId);
+
+        partyAllocations[_caseId][msg.sender] = partyAllocations[_caseId][key];
+        latePenalties[_caseId][msg.sender] = latePenalties[_caseId][key];
+        delete partyAllocations[_caseId][key];
+        delete latePenalties[_caseId][key];
+
+        PartyAllocation storage allocation = partyAllocations[_caseId][msg.sender];
+        FHE.allow(allocation.responsibility, msg.sender);
+        FHE.allow(allocation.allocatedAmount, msg.sender);
+        FHE.allow(allocation.contributionRatio, msg.sender);
+        LatePenalty storage penalty = latePenalties[_caseId][msg.sender];
+        if (FHE.isInitialized(penalty.accrued)) {
+            FHE.allow(penalty.accrued, msg.sender);
+        }
+
+        emit PartyJoined(_caseId, commitment);
+    }
+
+    /**
+     * @notice Check a membership proof for a private case
+     * @dev The salt is the proof, so anyone holding it may check; true whether or not the party has joined
+     * @param _caseId Case ID
+     * @param _party Party address
+     * @param _salt Salt of the party's commitment
+     */
+    function verifyMembership(
+        uint256 _caseId,
+        address _party,
+        bytes32 _salt
+    ) external view caseExists(_caseId) returns (bool) {
+        return _isCommitted(_caseId, keccak256(abi.encode(_party, _salt)));
+    }
+
+    /**
+     * @notice Get how many of a private case's parties have joined
+     * @param _caseId Case ID
+     * @return joined Parties identified by their address
+     * @return pending Parties still only known by their commitment
+     */
+    function getPartyMembership(
+        uint256 _caseId
+    ) external view caseExists(_caseId) returns (uint256 joined, uint256 pending) {
+        bytes32[] storage commitments = partyCommitments[_caseId];
+        for (uint i = 0; i < commitments.length; i++) {
+            if (!joinedCommitments[_caseId][commitments[i]]) {
+                pending++;
+            }
+        }
+        return (caseParties[_caseId].length - pending, pending);
+    }
+
+    function _isCommitted(uint256 _caseId, bytes32 _commitment) private view returns (bool) {
+        bytes32[] storage commitments = partyCommitments[_caseId];
+        for (uint i = 0; i < commitments.length; i++) {
+            if (commitments[i] == _commitment) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function _replaceAddress(address[] storage _list, address _item, address _replacement) private {
+        for (uint i = 0; i < _list.length; i++) {
+            if (_list[i] == _item) {
+                _list[i] = _replacement;
+                return;
+            }
+        }
+    }
+}
@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE } from "@fhevm/solidity/lib/FHE.sol";
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import { MessageHashUtils } from "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title ResponsibilityAcceptanceModule
+ * @notice Party acceptance of encrypted responsibility ratios before fees are calculated
+ * @dev Opt-in per case. A party accepts the ciphertext handle of their current responsibility after decrypting it,
+ * either by calling acceptResponsibility or by signing an EIP-712 ResponsibilityAcceptance that the case manager
+ * relays. Setting a new responsibility (including an arbiter's adjustment) replaces the handle, so the party has to
+ * accept again before the next calculation.
+ */
+contract ResponsibilityAcceptanceModule is LegalFeeModule {
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant ACCEPTANCE_TYPEHASH =
+        keccak256("ResponsibilityAcceptance(uint256 caseId,address party,bytes32 responsibility,uint256 deadline)");
+
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    /**
+     * @notice Require every party to accept their responsibility before fees can be calculated
+     * @dev Not available on private cases, whose parties stay unidentified until fees have been calculated
+     * @param _caseId Case ID
+     */
+    function requireResponsibilityAcceptance(
+        uint256 _caseId
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(!feeCalculations[_caseId].isCalculated, "Fees already calculated");
+        require(!acceptanceRequired[_caseId], "Acceptance already required");
+        require(partyCommitments[_caseId].length == 0, "Not available for private cases");
+
+        acceptanceRequired[_caseId] = true;
+
+        emit ResponsibilityAcceptanceRequired(_caseId);
+    }
+
+    /**
+     * @notice Accept your current responsibility
+     * @param _caseId Case ID
+     * @param _responsibility Handle of the responsibility being accepted, as returned by getAllocationHandles
+     */
+    function acceptResponsibility(
+        uint256 _caseId,
+        bytes32 _responsibility
+    ) external onlyParty(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        _accept(_caseId, msg.sender, _responsibility, false);
+    }
+
+    /**
+     * @notice Relay a party's signed acceptance of their responsibility
+     * @dev The signature is over the EIP-712 ResponsibilityAcceptance(caseId, party, responsibility, deadline) in the
+     * domain {name: "ConfidentialLegalFeeAllocation", version: "1", chainId, verifyingContract: this contract}
+     * @param _caseId Case ID
+     * @param _party Party who signed
+     * @param _responsibility Handle of the responsibility being accepted
+     * @param _deadline Time after which the signature can no longer be relayed
+     * @param _signature Party's signature
+     */
+    function acceptResponsibilityBySig(
+        uint256 _caseId,
+        address _party,
+        bytes32 _responsibility,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(_isPartyInCase(_caseId, _party), "Party not in case");
+        require(block.timestamp <= _deadline, "Signature expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(ACCEPTANCE_TYPEHASH, _caseId, _party, _responsibility, _deadline)
+        );
+        bytes32 digest = MessageHashUtils.toTypedDataHash(_domainSeparator(), structHash);
+        require(ECDSA.recover(digest, _signature) == _party, "Invalid signature");
+
+        _accept(_caseId, _party, _responsibility, true);
+    }
+
+    /**
+     * @notice List the parties whose acceptance is still needed before fees can be calculated
+     * @dev Restricted to the case's parties, its case manager and auditors, like getCaseParties
+     * @param _caseId Case ID
+     * @return pending Parties without a valid acceptance of their current responsibility (empty if not required)
+     */
+    function getPendingAcceptances(
+        uint256 _caseId
+    ) external view caseExists(_caseId) returns (address[] memory pending) {
+        require(_canViewParties(_caseId), "Unauthorized access");
+
+        if (!acceptanceRequired[_caseId]) {
+            return pending;
+        }
+
+        address[] storage parties = caseParties[_caseId];
+        pending = new address[](parties.length);
+        uint256 count = 0;
+        for (uint i = 0; i < parties.length; i++) {
+            if (!_hasAcceptedResponsibility(_caseId, parties[i])) {
+                pending[count++] = parties[i];
+            }
+        }
+
+        // Trim the unused tail
+        assembly {
+            mstore(pending, count)
+        }
+    }
+
+    /**
+     * @notice Get a party's latest acceptance
+     * @dev Anyone may check their own acceptance; otherwise restricted like getPendingAcceptances
+     * @param _caseId Case ID
+     * @param _party Party address
+     * @return isAccepted Whether the acceptance covers the party's current responsibility
+     * @return acceptedAt When the party last accepted (0 if never)
+     * @return isSigned Whether it was a relayed signature
+     */
+    function getResponsibilityAcceptance(
+        uint256 _caseId,
+        address _party
+    ) external view caseExists(_caseId) returns (bool isAccepted, uint256 acceptedAt, bool isSigned) {
+        require(msg.sender == _party || _canViewParties(_caseId), "Unauthorized access");
+
+        ResponsibilityAcceptance storage acceptance = responsibilityAcceptances[_caseId][_party];
+        return (_hasAcceptedResponsibility(_caseId, _party), acceptance.acceptedAt, acceptance.isSigned);
+    }
+
+    function _accept(uint256 _caseId, address _party, bytes32 _responsibility, bool _isSigned) private {
+        require(acceptanceRequired[_caseId], "Acceptance not required");
+
+        bytes32 current = FHE.toBytes32(partyAllocations[_caseId][_party].responsibility);
+        require(current != bytes32(0), "Responsibility not set");
+        require(_responsibility == current, "Responsibility changed");
+
+        responsibilityAcceptances[_caseId][_party] = ResponsibilityAcceptance({
+            responsibility: _responsibility,
+            acceptedAt: block.timestamp,
+            isSigned: _isSigned
+        });
+
+        emit ResponsibilityAccepted(_caseId, _party, _isSigned);
+    }
+
+    /**
+     * @dev Computed on each call: under DELEGATECALL address(this) is the main contract, which signatures must name
+     */
+    function _domainSeparator() private view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                DOMAIN_TYPEHASH,
+                keccak256("ConfidentialLegalFeeAllocation"),
+                keccak256("1"),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+}
@@ -0,0 +1,244 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint64, ebool, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import { IERC7984 } from "../interfaces/IERC7984.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title ThirdPartyPaymentModule
+ * @notice Base for modules whose third parties pay part of a party's share, such as insurers and funders
+ * @dev A third party pays its encrypted portion (ThirdPartyPayer.portion) into the case escrow like a party would:
+ * plaintext deposits add up and confidential payments are credited to an encrypted total, and every payment is
+ * checked against the portion through the Gateway. A party whose own part is zero counts as paid once its third
+ * party has paid. Deposits are refunded to the third party when the case becomes refundable.
+ */
+abstract contract ThirdPartyPaymentModule is LegalFeeModule {
+    using SafeERC20 for IERC20;
+
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    // ========== HOOKS ==========
+
+    /**
+     * @dev Returns the party's third party if the caller is it, reverting with the module's own reason otherwise
+     */
+    function _requirePayer(uint256 _caseId, address _party) internal view virtual returns (ThirdPartyPayer storage);
+
+    /**
+     * @dev Gateway callback of the module that answers its payment checks by calling _verifyPayment
+     */
+    function _verificationCallback() internal pure virtual returns (bytes4);
+
+    // ========== PAYMENTS ==========
+
+    function _payInEth(uint256 _caseId, address _party) internal {
+        require(caseEscrows[_caseId].paymentToken == address(0), "Case expects token payment");
+
+        _recordDeposit(_caseId, _party, msg.value);
+    }
+
+    /**
+     * @dev Credits the amount actually received
+     */
+    function _payInToken(uint256 _caseId, address _party, uint256 _amount) internal {
+        IERC20 token = IERC20(caseEscrows[_caseId].paymentToken);
+        require(address(token) != address(0), "Case expects ETH payment");
+        require(!caseEscrows[_caseId].isConfidential, "Case expects confidential payment");
+
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), _amount);
+
+        _recordDeposit(_caseId, _party, token.balanceOf(address(this)) - balanceBefore);
+    }
+
+    /**
+     * @dev Caller must have set this contract as operator on the token
+     */
+    function _payConfidentially(
+        uint256 _caseId,
+        address _party,
+        externalEuint64 _encryptedAmount,
+        bytes calldata _inputProof
+    ) internal {
+        CaseEscrow storage escrow = caseEscrows[_caseId];
+        ConfidentialPayment storage payment = thirdPartyPayments[_caseId][_party];
+
+        require(escrow.isConfidential, "Case expects plaintext payment");
+        require(!payment.verificationPending, "Payment verification pending");
+        ThirdPartyPayer storage payer = _requirePaymentOpen(_caseId, _party);
+        _recordActivity(_caseId);
+
+        euint64 amount = FHE.fromExternal(_encryptedAmount, _inputProof);
+        FHE.allowTransient(amount, escrow.paymentToken);
+        euint64 transferred = IERC7984(escrow.paymentToken).confidentialTransferFrom(
+            msg.sender,
+            address(this),
+            amount
+        );
+
+        payment.paidAmount = FHE.add(payment.paidAmount, transferred);
+        escrow.confidentialBalance = FHE.add(escrow.confidentialBalance, transferred);
+
+        FHE.allowThis(payment.paidAmount);
+        FHE.allow(payment.paidAmount, msg.sender);
+        FHE.allowThis(escrow.confidentialBalance);
+
+        _requestPortionCheck(_caseId, _party, payment, payment.paidAmount, payer.portion);
+    }
+
+    /**
+     * @dev Marks the third party as paid when its payment covered its portion of the allocation still in force.
+     * A failed check leaves the deposit in escrow so the third party can top it up.
+     */
+    function _verifyPayment(uint256 _requestId, bytes memory _cleartexts, bytes memory _decryptionProof) internal {
+        FHE.checkSignatures(_requestId, _cleartexts, _decryptionProof);
+
+        PaymentVerification memory verification = thirdPartyPaymentVerifications[_requestId];
+        require(verification.caseId != 0, "Invalid request ID");
+        require(!callbackProcessed[_requestId], "Callback already processed");
+
+        callbackProcessed[_requestId] = true;
+        thirdPartyPayments[verification.caseId][verification.party].verificationPending = false;
+
+        (bool coversPortion, bool partyOwesNothing) = abi.decode(_cleartexts, (bool, bool));
+        emit ThirdPartyPaymentVerified(verification.caseId, verification.party, coversPortion);
+
+        LegalCase storage legalCase = cases[verification.caseId];
+        FeeCalculation storage calc = feeCalculations[verification.caseId];
+        bool isCurrent = calc.isCalculated && !calc.isStale && calc.version == verification.allocationVersion;
+        if (coversPortion && legalCase.isActive && !legalCase.isRefundable && isCurrent) {
+            _markPayerPaid(verification.caseId, verification.party, partyOwesNothing);
+        }
+    }
+
+    // ========== REFUNDS ==========
+
+    function _refundPayer(uint256 _caseId, address _party) internal {
+        ThirdPartyPayer storage payer = _requirePayer(_caseId, _party);
+        CaseEscrow storage escrow = caseEscrows[_caseId];
+
+        require(cases[_caseId].isRefundable, "Case not marked as refundable");
+        require(!escrow.isReleased, "Escrow already released");
+        require(!payer.isRefunded, "Already refunded");
+
+        payer.isRefunded = true;
+
+        if (escrow.isConfidential) {
+            euint64 deposit = thirdPartyPayments[_caseId][_party].paidAmount;
+            require(FHE.isInitialized(deposit), "No deposit to refund");
+
+            escrow.confidentialBalance = FHE.sub(escrow.confidentialBalance, deposit);
+            FHE.allowThis(escrow.confidentialBalance);
+
+            FHE.allowTransient(deposit, escrow.paymentToken);
+            IERC7984(escrow.paymentToken).confidentialTransfer(msg.sender, deposit);
+
+            emit ConfidentialRefundIssued(_caseId, msg.sender);
+            return;
+        }
+
+        uint256 amount = payer.depositedAmount;
+        require(amount > 0, "No deposit to refund");
+        escrow.totalRefunded = _safeAdd(escrow.totalRefunded, amount);
+
+        _transferOut(escrow.paymentToken, msg.sender, amount);
+
+        emit RefundIssued(_caseId, msg.sender, amount);
+    }
+
+    // ========== INTERNAL ==========
+
+    /**
+     * @dev Restricted to the third party, the case's parties, its case manager and auditors
+     */
+    function _viewablePayer(uint256 _caseId, address _party) internal view returns (ThirdPartyPayer storage) {
+        ThirdPartyPayer storage payer = thirdPartyPayers[_caseId][_party];
+        require(msg.sender == payer.payer || _canViewParties(_caseId), "Unauthorized access");
+        return payer;
+    }
+
+    function _payerHasDeposited(uint256 _caseId, address _party) internal view returns (bool) {
+        return thirdPartyPayers[_caseId][_party].depositedAmount > 0 ||
+            FHE.isInitialized(thirdPartyPayments[_caseId][_party].paidAmount);
+    }
+
+    /**
+     * @dev Plaintext deposits add up until they cover the encrypted portion, checked like confidential ones
+     */
+    function _recordDeposit(uint256 _caseId, address _party, uint256 _amount) private {
+        ThirdPartyPayer storage payer = _requirePaymentOpen(_caseId, _party);
+        require(_amount > 0, "Payment amount required");
+        ConfidentialPayment storage payment = thirdPartyPayments[_caseId][_party];
+        require(!payment.verificationPending, "Payment verification pending");
+        _recordActivity(_caseId);
+
+        payer.depositedAmount = _safeAdd(payer.depositedAmount, _amount);
+        CaseEscrow storage escrow = caseEscrows[_caseId];
+        escrow.totalDeposited = _safeAdd(escrow.totalDeposited, _amount);
+
+        emit EscrowDeposited(_caseId, msg.sender, _amount);
+
+        _requestPortionCheck(_caseId, _party, payment, _encryptDeposit(payer.depositedAmount), payer.portion);
+    }
+
+    /**
+     * @dev Also decrypts whether the party's own part is zero, which its never paying would reveal anyway
+     */
+    function _requestPortionCheck(
+        uint256 _caseId,
+        address _party,
+        ConfidentialPayment storage _payment,
+        euint64 _paid,
+        euint64 _portion
+    ) private {
+        ebool coversPortion = FHE.ge(_paid, _portion);
+        ebool partyOwesNothing = FHE.eq(partyAllocations[_caseId][_party].allocatedAmount, 0);
+
+        bytes32[] memory cts = new bytes32[](2);
+        cts[0] = FHE.toBytes32(coversPortion);
+        cts[1] = FHE.toBytes32(partyOwesNothing);
+        uint256 requestId = FHE.requestDecryption(cts, _verificationCallback());
+
+        _payment.verificationRequestId = requestId;
+        _payment.verificationPending = true;
+        thirdPartyPaymentVerifications[requestId] = PaymentVerification({
+            caseId: _caseId,
+            party: _party,
+            allocationVersion: feeCalculations[_caseId].version
+        });
+
+        emit ThirdPartyPaymentSubmitted(_caseId, _party, requestId);
+    }
+
+    function _markPayerPaid(uint256 _caseId, address _party, bool _partyOwesNothing) private {
+        ThirdPartyPayer storage payer = thirdPartyPayers[_caseId][_party];
+        payer.hasPaid = true;
+        payer.paymentDate = block.timestamp;
+        payer.paidVersion = feeCalculations[_caseId].version;
+        payer.paidPortion = payer.portion;
+
+        emit ThirdPartyPaymentRecorded(_caseId, _party, payer.payer);
+
+        // A party whose whole share is paid for has nothing to deposit, so the third party's payment settles it
+        if (_partyOwesNothing && !partyAllocations[_caseId][_party].hasPaid) {
+            _markPaid(_caseId, _party);
+        } else {
+            _settleIfAllPaid(_caseId);
+        }
+    }
+
+    function _requirePaymentOpen(
+        uint256 _caseId,
+        address _party
+    ) private view returns (ThirdPartyPayer storage payer) {
+        payer = _requirePayer(_caseId, _party);
+        require(!payer.hasPaid, "Already paid");
+        require(feeCalculations[_caseId].isCalculated, "Fees not calculated");
+        require(!feeCalculations[_caseId].isStale, "Allocation outdated");
+        require(!cases[_caseId].isRefundable, "Case is refundable");
+        require(disputes[_caseId].status != DisputeStatus.Open, "Case under dispute");
+    }
+}
@@ -0,0 +1,302 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint64, externalEuint32, externalEuint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title TimeLedgerModule
+ * @notice Itemized encrypted time entries and reimbursable expenses per case
+ * @dev Every entry adds to ledgerTotals, which calculateFeeAllocation bills on top of the base fee.
+ * Voiding an entry removes it from the total. Any change after fees are calculated marks the allocation stale
+ * until fees are recalculated.
+ */
+contract TimeLedgerModule is LegalFeeModule {
+    uint32 private constant MAX_HOURS_PER_ENTRY = 1000;
+
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    // ========== TIME ENTRIES ==========
+
+    /**
+     * @notice Record billable hours for the caller at the case's fee schedule hourly rate
+     * @param _caseId Case ID to update
+     * @param _additionalHours Hours worked, 1-1000
+     */
+    function updateTimeSpent(
+        uint256 _caseId,
+        uint32 _additionalHours
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(_additionalHours > 0 && _additionalHours <= MAX_HOURS_PER_ENTRY, "Invalid time: 1-1000 hours");
+
+        _recordScheduleRateEntry(_caseId, FHE.asEuint32(_additionalHours));
+    }
+
+    /**
+     * @notice Record encrypted billable hours for the caller at the case's fee schedule hourly rate
+     * @dev Values above 1000 hours are clamped to 1000 instead of reverting
+     * @param _caseId Case ID to update
+     * @param _encryptedHours Encrypted hours handle
+     * @param _inputProof Proof for the encrypted handle
+     */
+    function updateTimeSpent(
+        uint256 _caseId,
+        externalEuint32 _encryptedHours,
+        bytes calldata _inputProof
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        _recordScheduleRateEntry(_caseId, FHE.min(FHE.fromExternal(_encryptedHours, _inputProof), MAX_HOURS_PER_ENTRY));
+    }
+
+    /**
+     * @notice Record an itemized time entry with its own encrypted rate
+     * @dev Hours above 1000 are clamped to 1000. The timekeeper may decrypt the entry's hours and rate.
+     * @param _caseId Case ID to bill
+     * @param _timekeeper Attorney or staff member who did the work
+     * @param _encryptedHours Encrypted hours handle
+     * @param _encryptedRate Encrypted hourly rate handle
+     * @param _inputProof Proof covering both handles
+     * @param _activityCode Billing activity code (e.g. a UTBMS task code)
+     * @return entryId Index of the entry in the case's time ledger
+     */
+    function recordTimeEntry(
+        uint256 _caseId,
+        address _timekeeper,
+        externalEuint32 _encryptedHours,
+        externalEuint64 _encryptedRate,
+        bytes calldata _inputProof,
+        bytes32 _activityCode
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId)
+        returns (uint256 entryId)
+    {
+        _validateAddress(_timekeeper);
+
+        euint32 hoursWorked = FHE.min(FHE.fromExternal(_encryptedHours, _inputProof), MAX_HOURS_PER_ENTRY);
+        euint64 rate = FHE.fromExternal(_encryptedRate, _inputProof);
+
+        entryId = _recordTimeEntry(
+            _caseId,
+            _timekeeper,
+            hoursWorked,
+            rate,
+            FHE.mul(FHE.asEuint64(hoursWorked), rate),
+            _activityCode
+        );
+    }
+
+    /**
+     * @notice Void a time entry so it is no longer billed
+     * @param _caseId Case ID
+     * @param _entryId Entry index
+     */
+    function voidTimeEntry(
+        uint256 _caseId,
+        uint256 _entryId
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(_entryId < timeEntries[_caseId].length, "Invalid entry");
+        require(_entryId >= caseLifecycles[_caseId].billedTimeEntries, "Entry already settled");
+        TimeEntry storage entry = timeEntries[_caseId][_entryId];
+        require(!entry.isVoided, "Entry already voided");
+
+        entry.isVoided = true;
+        _adjustLedger(_caseId, entry.amount, false);
+
+        cases[_caseId].timeSpent = FHE.sub(cases[_caseId].timeSpent, entry.hoursWorked);
+        FHE.allowThis(cases[_caseId].timeSpent);
+        _recordHoursAnalytics(_caseId, entry.hoursWorked, false);
+
+        emit TimeEntryVoided(_caseId, _entryId);
+    }
+
+    // ========== EXPENSES ==========
+
+    /**
+     * @notice Record a reimbursable expense
+     * @param _caseId Case ID to bill
+     * @param _amount Expense amount
+     * @param _category Expense category code
+     * @return expenseId Index of the expense in the case's ledger
+     */
+    function recordExpense(
+        uint256 _caseId,
+        uint64 _amount,
+        bytes32 _category
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId)
+        returns (uint256)
+    {
+        _validateAmount(_amount);
+        return _recordExpense(_caseId, FHE.asEuint64(_amount), _category);
+    }
+
+    /**
+     * @notice Record a reimbursable expense with an encrypted amount
+     * @param _caseId Case ID to bill
+     * @param _encryptedAmount Encrypted amount handle
+     * @param _inputProof Proof for the encrypted handle
+     * @param _category Expense category code
+     * @return expenseId Index of the expense in the case's ledger
+     */
+    function recordExpense(
+        uint256 _caseId,
+        externalEuint64 _encryptedAmount,
+        bytes calldata _inputProof,
+        bytes32 _category
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId)
+        returns (uint256)
+    {
+        return _recordExpense(_caseId, FHE.fromExternal(_encryptedAmount, _inputProof), _category);
+    }
+
+    /**
+     * @notice Void an expense so it is no longer billed
+     * @param _caseId Case ID
+     * @param _expenseId Expense index
+     */
+    function voidExpense(
+        uint256 _caseId,
+        uint256 _expenseId
+    ) external onlyCaseManager(_caseId) caseExists(_caseId) caseActive(_caseId) whenNotFrozen(_caseId) {
+        require(_expenseId < expenses[_caseId].length, "Invalid expense");
+        require(_expenseId >= caseLifecycles[_caseId].billedExpenses, "Expense already settled");
+        Expense storage expense = expenses[_caseId][_expenseId];
+        require(!expense.isVoided, "Expense already voided");
+
+        expense.isVoided = true;
+        _adjustLedger(_caseId, expense.amount, false);
+        _adjustExpenses(_caseId, expense.amount, false);
+
+        emit ExpenseVoided(_caseId, _expenseId);
+    }
+
+    // ========== LEDGER VIEWS ==========
+
+    /**
+     * @notice Number of time entries and expenses recorded on a case, voided ones included
+     */
+    function getLedgerSize(uint256 _caseId) external view caseExists(_caseId) returns (
+        uint256 timeEntryCount,
+        uint256 expenseCount
+    ) {
+        return (timeEntries[_caseId].length, expenses[_caseId].length);
+    }
+
+    /**
+     * @notice Get a time entry's billing metadata; hours and rate stay encrypted
+     * @param _caseId Case ID
+     * @param _entryId Entry index
+     */
+    function getTimeEntry(
+        uint256 _caseId,
+        uint256 _entryId
+    ) external view onlyPartyOrAuditor(_caseId) returns (
+        address timekeeper,
+        bytes32 activityCode,
+        uint256 recordedAt,
+        bool isVoided
+    ) {
+        require(_entryId < timeEntries[_caseId].length, "Invalid entry");
+        TimeEntry storage entry = timeEntries[_caseId][_entryId];
+        return (entry.timekeeper, entry.activityCode, entry.recordedAt, entry.isVoided);
+    }
+
+    /**
+     * @notice Get an expense's billing metadata; the amount stays encrypted
+     * @param _caseId Case ID
+     * @param _expenseId Expense index
+     */
+    function getExpense(
+        uint256 _caseId,
+        uint256 _expenseId
+    ) external view onlyPartyOrAuditor(_caseId) returns (
+        address submittedBy,
+        bytes32 category,
+        uint256 recordedAt,
+        bool isVoided
+    ) {
+        require(_expenseId < expenses[_caseId].length, "Invalid expense");
+        Expense storage expense = expenses[_caseId][_expenseId];
+        return (expense.submittedBy, expense.category, expense.recordedAt, expense.isVoided);
+    }
+
+    function _recordScheduleRateEntry(uint256 _caseId, euint32 _hoursWorked) private {
+        uint64 hourlyRate = feeSchedules[cases[_caseId].feeScheduleId].terms.hourlyRate;
+
+        _recordTimeEntry(
+            _caseId,
+            msg.sender,
+            _hoursWorked,
+            FHE.asEuint64(hourlyRate),
+            FHE.mul(FHE.asEuint64(_hoursWorked), hourlyRate),
+            bytes32(0)
+        );
+    }
+
+    function _recordTimeEntry(
+        uint256 _caseId,
+        address _timekeeper,
+        euint32 _hoursWorked,
+        euint64 _rate,
+        euint64 _amount,
+        bytes32 _activityCode
+    ) private returns (uint256 entryId) {
+        entryId = timeEntries[_caseId].length;
+        timeEntries[_caseId].push(TimeEntry({
+            timekeeper: _timekeeper,
+            activityCode: _activityCode,
+            hoursWorked: _hoursWorked,
+            rate: _rate,
+            amount: _amount,
+            recordedAt: block.timestamp,
+            isVoided: false
+        }));
+
+        cases[_caseId].timeSpent = FHE.add(cases[_caseId].timeSpent, _hoursWorked);
+        _adjustLedger(_caseId, _amount, true);
+        _recordHoursAnalytics(_caseId, _hoursWorked, true);
+
+        FHE.allowThis(cases[_caseId].timeSpent);
+        FHE.allowThis(_hoursWorked);
+        FHE.allowThis(_rate);
+        FHE.allowThis(_amount);
+        FHE.allow(_hoursWorked, _timekeeper);
+        FHE.allow(_rate, _timekeeper);
+
+        emit TimeEntryRecorded(_caseId, entryId, _timekeeper, _activityCode);
+    }
+
+    function _recordExpense(uint256 _caseId, euint64 _amount, bytes32 _category) private returns (uint256 expenseId) {
+        expenseId = expenses[_caseId].length;
+        expenses[_caseId].push(Expense({
+            submittedBy: msg.sender,
+            category: _category,
+            amount: _amount,
+            recordedAt: block.timestamp,
+            isVoided: false
+        }));
+
+        _adjustLedger(_caseId, _amount, true);
+        _adjustExpenses(_caseId, _amount, true);
+        FHE.allowThis(_amount);
+
+        emit ExpenseRecorded(_caseId, expenseId, _category);
+    }
+
+    function _adjustLedger(uint256 _caseId, euint64 _amount, bool _isCredit) private {
+        _recordActivity(_caseId);
+        _markAllocationStale(_caseId);
+        ledgerTotals[_caseId] = _isCredit
+            ? FHE.add(ledgerTotals[_caseId], _amount)
+            : FHE.sub(ledgerTotals[_caseId], _amount);
+        FHE.allowThis(ledgerTotals[_caseId]);
+    }
+
+    /**
+     * @dev Contingency cases bill expenses but not time, so expenses are also totalled on their own
+     */
+    function _adjustExpenses(uint256 _caseId, euint64 _amount, bool _isCredit) private {
+        expenseTotals[_caseId] = _isCredit
+            ? FHE.add(expenseTotals[_caseId], _amount)
+            : FHE.sub(expenseTotals[_caseId], _amount);
+        FHE.allowThis(expenseTotals[_caseId]);
+        _updateContingencyBill(_caseId);
+    }
+}
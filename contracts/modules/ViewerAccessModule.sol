@@ -0,0 +1,187 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FHE, euint32, euint64 } from "@fhevm/solidity/lib/FHE.sol";
+import { LegalFeeModule } from "./LegalFeeModule.sol";
+
+/**
+ * @title ViewerAccessModule
+ * @notice Admin-granted decryption rights on a case's encrypted fields for auditors, courts and insurers
+ * @dev FHE permissions cannot be withdrawn, so a grant gives access to the ciphertexts current while it is active:
+ * the viewer calls refreshViewerAccess to be allowed on the latest handles. After a grant expires or is revoked,
+ * values computed later stay out of the viewer's reach, while those already shared remain decryptable.
+ */
+contract ViewerAccessModule is LegalFeeModule {
+    // Encrypted case fields a grant can cover
+    uint8 public constant VIEW_TOTAL_FEE = 1;
+    uint8 public constant VIEW_COMPLEXITY = 2;
+    uint8 public constant VIEW_TIME_SPENT = 4;
+    uint8 public constant VIEW_LEDGER_TOTAL = 8;
+    uint8 public constant VIEW_FINAL_FEE = 16;
+    uint8 private constant VIEW_ALL_FIELDS = 31;
+
+    constructor(address _nextModule) LegalFeeModule(_nextModule) {}
+
+    /**
+     * @notice Let a viewer decrypt some of a case's encrypted fields
+     * @dev Allows the viewer on the fields' current handles straight away
+     * @param _caseId Case ID
+     * @param _viewer Viewer's address
+     * @param _kind Capacity the viewer is acting in
+     * @param _fields VIEW_* flags of the fields to share
+     * @param _duration How long the grant lasts, or 0 until revoked
+     */
+    function grantViewerAccess(
+        uint256 _caseId,
+        address _viewer,
+        ViewerKind _kind,
+        uint8 _fields,
+        uint256 _duration
+    ) external onlyAdmin caseExists(_caseId) whenNotFrozen(_caseId) {
+        _validateAddress(_viewer);
+        require(_fields != 0 && _fields <= VIEW_ALL_FIELDS, "Invalid fields");
+        require(_activeGrantIndex(_caseId, _viewer) == 0, "Viewer already granted");
+
+        uint256 expiresAt = _duration == 0 ? 0 : block.timestamp + _duration;
+        viewerGrants[_caseId].push(ViewerGrant({
+            viewer: _viewer,
+            kind: _kind,
+            fields: _fields,
+            grantedBy: msg.sender,
+            grantedAt: block.timestamp,
+            expiresAt: expiresAt,
+            revokedBy: address(0),
+            revokedAt: 0
+        }));
+        activeViewerGrants[_caseId][_viewer] = viewerGrants[_caseId].length;
+
+        _allowFields(_caseId, _viewer, _fields);
+
+        emit ViewerAccessGranted(_caseId, _viewer, _kind, _fields, expiresAt);
+    }
+
+    /**
+     * @notice End a viewer's grant before it expires
+     * @param _caseId Case ID
+     * @param _viewer Viewer's address
+     */
+    function revokeViewerAccess(uint256 _caseId, address _viewer) external onlyAdmin caseExists(_caseId) {
+        uint256 index = _activeGrantIndex(_caseId, _viewer);
+        require(index != 0, "No active grant");
+
+        ViewerGrant storage grant = viewerGrants[_caseId][index - 1];
+        grant.revokedBy = msg.sender;
+        grant.revokedAt = block.timestamp;
+        delete activeViewerGrants[_caseId][_viewer];
+
+        emit ViewerAccessRevoked(_caseId, _viewer, msg.sender);
+    }
+
+    /**
+     * @notice Get decryption rights on the current handles of the fields you were granted
+     * @dev Needed after the case's fees, time or ledger change
+     * @param _caseId Case ID
+     */
+    function refreshViewerAccess(uint256 _caseId) external caseExists(_caseId) {
+        _allowFields(_caseId, msg.sender, _requireActiveGrant(_caseId).fields);
+    }
+
+    /**
+     * @notice Get the current handles of the fields you were granted
+     * @param _caseId Case ID
+     * @return totalFee Base fee
+     * @return complexity Complexity rating
+     * @return timeSpent Hours recorded
+     * @return ledgerTotal Billable total of time entries and expenses
+     * @return finalFee Calculated fee (uninitialized until fees are calculated)
+     * @dev Fields outside the grant are returned as uninitialized handles
+     */
+    function getViewerHandles(uint256 _caseId) external view caseExists(_caseId) returns (
+        euint64 totalFee,
+        euint32 complexity,
+        euint32 timeSpent,
+        euint64 ledgerTotal,
+        euint64 finalFee
+    ) {
+        uint8 fields = _requireActiveGrant(_caseId).fields;
+        LegalCase storage legalCase = cases[_caseId];
+
+        totalFee = _covers(fields, VIEW_TOTAL_FEE) ? legalCase.totalFee : totalFee;
+        complexity = _covers(fields, VIEW_COMPLEXITY) ? legalCase.complexity : complexity;
+        timeSpent = _covers(fields, VIEW_TIME_SPENT) ? legalCase.timeSpent : timeSpent;
+        ledgerTotal = _covers(fields, VIEW_LEDGER_TOTAL) ? ledgerTotals[_caseId] : ledgerTotal;
+        finalFee = _covers(fields, VIEW_FINAL_FEE) ? feeCalculations[_caseId].finalAmount : finalFee;
+    }
+
+    /**
+     * @notice Check whether a viewer can currently access a case
+     * @param _caseId Case ID
+     * @param _viewer Viewer's address
+     * @return isActive Whether the viewer holds an unexpired, unrevoked grant
+     * @return fields VIEW_* flags covered (0 if not active)
+     * @return expiresAt When the grant ends (0 if open-ended or not active)
+     */
+    function getViewerAccess(
+        uint256 _caseId,
+        address _viewer
+    ) external view caseExists(_caseId) returns (bool isActive, uint8 fields, uint256 expiresAt) {
+        uint256 index = _activeGrantIndex(_caseId, _viewer);
+        if (index == 0) {
+            return (false, 0, 0);
+        }
+        ViewerGrant storage grant = viewerGrants[_caseId][index - 1];
+        return (true, grant.fields, grant.expiresAt);
+    }
+
+    /**
+     * @notice Get every grant made on a case, oldest first, including expired and revoked ones
+     * @dev Restricted to the case's parties, its case manager and auditors
+     * @param _caseId Case ID
+     */
+    function getViewerGrants(uint256 _caseId) external view caseExists(_caseId) returns (ViewerGrant[] memory) {
+        require(_canViewParties(_caseId), "Unauthorized access");
+        return viewerGrants[_caseId];
+    }
+
+    /**
+     * @dev 1-based index of the viewer's grant if it is still running, otherwise 0
+     */
+    function _activeGrantIndex(uint256 _caseId, address _viewer) private view returns (uint256) {
+        uint256 index = activeViewerGrants[_caseId][_viewer];
+        if (index == 0) {
+            return 0;
+        }
+        uint256 expiresAt = viewerGrants[_caseId][index - 1].expiresAt;
+        return expiresAt == 0 || block.timestamp < expiresAt ? index : 0;
+    }
+
+    function _requireActiveGrant(uint256 _caseId) private view returns (ViewerGrant storage) {
+        uint256 index = _activeGrantIndex(_caseId, msg.sender);
+        require(index != 0, "No active grant");
+        return viewerGrants[_caseId][index - 1];
+    }
+
+    function _allowFields(uint256 _caseId, address _viewer, uint8 _fields) private {
+        LegalCase storage legalCase = cases[_caseId];
+
+        _allow(_covers(_fields, VIEW_TOTAL_FEE), euint64.unwrap(legalCase.totalFee), _viewer);
+        _allow(_covers(_fields, VIEW_COMPLEXITY), euint32.unwrap(legalCase.complexity), _viewer);
+        _allow(_covers(_fields, VIEW_TIME_SPENT), euint32.unwrap(legalCase.timeSpent), _viewer);
+        _allow(_covers(_fields, VIEW_LEDGER_TOTAL), euint64.unwrap(ledgerTotals[_caseId]), _viewer);
+        _allow(_covers(_fields, VIEW_FINAL_FEE), euint64.unwrap(feeCalculations[_caseId].finalAmount), _viewer);
+    }
+
+    /**
+     * @dev Fields that have never been computed (e.g. the fee before calculation) have no handle to share.
+     * ACL permissions are per handle whatever its type, so 32-bit handles go through the euint64 overload.
+     */
+    function _allow(bool _isCovered, bytes32 _handle, address _viewer) private {
+        if (_isCovered && _handle != bytes32(0)) {
+            FHE.allow(euint64.wrap(_handle), _viewer);
+        }
+    }
+
+    function _covers(uint8 _fields, uint8 _field) private pure returns (bool) {
+        return (_fields & _field) != 0;
+    }
+}
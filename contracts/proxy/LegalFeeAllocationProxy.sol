@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { ERC1967Proxy } from "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+/**
+ * @title LegalFeeAllocationProxy
+ * @notice Permanent address of the system; holds all state and delegates to the current
+ * ConfidentialLegalFeeAllocation implementation
+ */
+contract LegalFeeAllocationProxy is ERC1967Proxy {
+    /**
+     * @param _implementation Initial ConfidentialLegalFeeAllocation implementation
+     * @param _data Encoded `initialize()` call
+     */
+    constructor(address _implementation, bytes memory _data) ERC1967Proxy(_implementation, _data) {}
+}
@@ -1,5 +1,6 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("@nomicfoundation/hardhat-verify");
+require("@fhevm/hardhat-plugin");
 require("dotenv").config();
 
 /** @type import('hardhat/config').HardhatUserConfig */
@@ -12,6 +13,12 @@ module.exports = {
         runs: 200,
       },
       evmVersion: "cancun",
+      // Storage layouts are compared before upgrading the proxy (scripts/lib/storageLayout.js)
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
     },
   },
   networks: {
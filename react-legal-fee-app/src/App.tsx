@@ -6,14 +6,20 @@ import WalletConnect from './components/WalletConnect';
 import CreateCaseForm from './components/CreateCaseForm';
 import CaseManagement from './components/CaseManagement';
 import CasesList from './components/CasesList';
-import { CaseInfo, SystemStats, StatusType } from './types';
+import { CaseInfo, SystemStats, StatusType, DISPUTE_STATUSES } from './types';
 import { useFHE } from './hooks/useFHE';
 
 const CONTRACT_ADDRESS = '0x462368e2BeFEb579927821a6bdd571C68dA2EB26';
+// Cases fetched per call; the contract caps pages at MAX_PAGE_SIZE (100)
+const CASES_PAGE_SIZE = 50;
+
 const CONTRACT_ABI = [
   'function createCase(address[] calldata _parties, uint64 _totalFee, uint32 _complexity, string calldata _caseDescription) external returns (uint256)',
+  'function createCase(address[] calldata _parties, bytes32 _encryptedTotalFee, bytes32 _encryptedComplexity, bytes calldata _inputProof, string calldata _caseDescription) external returns (uint256)',
   'function updateTimeSpent(uint256 _caseId, uint32 _additionalHours) external',
+  'function updateTimeSpent(uint256 _caseId, bytes32 _encryptedHours, bytes calldata _inputProof) external',
   'function setResponsibilityRatio(uint256 _caseId, address _party, uint32 _responsibility) external',
+  'function setResponsibilityRatio(uint256 _caseId, address _party, bytes32 _encryptedResponsibility, bytes calldata _inputProof) external',
   'function calculateFeeAllocation(uint256 _caseId) external',
   'function recordPayment(uint256 _caseId) external',
   'function emergencySettleCase(uint256 _caseId) external',
@@ -22,7 +28,14 @@ const CONTRACT_ABI = [
   'function getCaseParties(uint256 _caseId) external view returns (address[])',
   'function getSystemStats() external view returns (uint256, uint256, uint256)',
   'function getPartyAllocation(uint256 _caseId, address _party) external view returns (bool, uint256)',
+  'function getAllocationHandles(uint256 _caseId, address _party) external view returns (bytes32 allocatedAmount, bytes32 contributionRatio, bytes32 responsibility)',
+  'function requestAllocationReceipt(uint256 _caseId) external returns (uint256)',
+  'function getAllocationReceipt(uint256 _caseId, address _party) external view returns (bool isIssued, bool isPending, uint64 amount, uint32 contributionRatio, uint32 allocationVersion, uint256 issuedAt, bytes32 receiptHash)',
+  'function getDisputeStatus(uint256 _caseId) external view returns (uint8 status, address filedBy, bytes32 reasonHash, uint256 filedAt, uint256 windowClosesAt, uint256 resolvedAt, address resolvedBy)',
   'function totalCases() external view returns (uint256)',
+  'function getCases(uint256 _offset, uint256 _limit) external view returns (uint256[] caseIds, uint256 total)',
+  'function getCasesByParty(address _party, uint256 _offset, uint256 _limit) external view returns (uint256[] caseIds, uint256 total)',
+  'function getCasesInfo(uint256[] _caseIds) external view returns (tuple(uint256 caseId, address[] parties, bool isActive, bool isSettled, bool isRefundable, bool isCalculated, bool isCancelled, uint8 disputeStatus, uint256 createdAt, uint256 settledAt, bytes32 caseHash)[] summaries)',
   'event CaseCreated(uint256 indexed caseId, bytes32 indexed caseHash, uint256 partyCount)',
   'event FeeCalculated(uint256 indexed caseId, address indexed calculator)',
   'event AllocationUpdated(uint256 indexed caseId, address indexed party)',
@@ -80,31 +93,35 @@ function App() {
 
     try {
       setLoading(true);
-      const totalCases = await contract.totalCases();
-      const totalCasesNum = totalCases.toNumber();
 
       const casesData: CaseInfo[] = [];
       const partiesData: { [caseId: number]: string[] } = {};
 
-      for (let i = 1; i <= totalCasesNum; i++) {
-        try {
-          const caseInfo = await contract.getCaseInfo(i);
-          const caseParties = await contract.getCaseParties(i);
+      // Two calls per page: the IDs, then every case's summary in one batch
+      let offset = 0;
+      let total = 1;
+      while (offset < total) {
+        const page = await contract.getCases(offset, CASES_PAGE_SIZE);
+        total = page.total.toNumber();
+        if (page.caseIds.length === 0) break;
 
+        const summaries = await contract.getCasesInfo(page.caseIds);
+        for (const summary of summaries) {
+          const id = summary.caseId.toNumber();
           casesData.push({
-            id: i,
-            partyCount: caseInfo[1].toNumber(),
-            isActive: caseInfo[2],
-            isCalculated: caseInfo[3],
-            createdAt: caseInfo[4].toNumber(),
-            settledAt: caseInfo[5].toNumber(),
-            caseHash: caseInfo[6],
+            id,
+            partyCount: summary.parties.length,
+            isActive: summary.isActive,
+            isCalculated: summary.isCalculated,
+            createdAt: summary.createdAt.toNumber(),
+            settledAt: summary.settledAt.toNumber(),
+            caseHash: summary.caseHash,
+            disputeStatus: DISPUTE_STATUSES[summary.disputeStatus],
           });
-
-          partiesData[i] = caseParties;
-        } catch (error) {
-          console.error(`Failed to load case ${i}:`, error);
+          partiesData[id] = summary.parties;
         }
+
+        offset += page.caseIds.length;
       }
 
       setCases(casesData);
@@ -57,9 +57,26 @@ const CaseManagement: React.FC<CaseManagementProps> = ({
         return;
       }
 
+      if (!fhe.isInitialized) {
+        onStatusChange('FHE client is not initialized. Please reconnect your wallet.', 'error');
+        return;
+      }
+
+      onStatusChange('Encrypting work hours...', 'info');
+
+      const encryptedHours = await fhe.encryptUint32(
+        parseInt(additionalHours),
+        CONTRACT_ADDRESS,
+        walletAddress
+      );
+
       onStatusChange('Updating work time...', 'info');
 
-      const tx = await contract.updateTimeSpent(selectedCase, additionalHours);
+      const tx = await contract['updateTimeSpent(uint256,bytes32,bytes)'](
+        selectedCase,
+        encryptedHours.handle,
+        encryptedHours.proof
+      );
       await tx.wait();
 
       setAdditionalHours('');
@@ -82,12 +99,26 @@ const CaseManagement: React.FC<CaseManagementProps> = ({
         return;
       }
 
+      if (!fhe.isInitialized) {
+        onStatusChange('FHE client is not initialized. Please reconnect your wallet.', 'error');
+        return;
+      }
+
+      onStatusChange('Encrypting responsibility ratio...', 'info');
+
+      const encryptedRatio = await fhe.encryptUint32(
+        parseInt(responsibilityRatio),
+        CONTRACT_ADDRESS,
+        walletAddress
+      );
+
       onStatusChange('Setting responsibility ratio...', 'info');
 
-      const tx = await contract.setResponsibilityRatio(
+      const tx = await contract['setResponsibilityRatio(uint256,address,bytes32,bytes)'](
         selectedCase,
         selectedParty,
-        responsibilityRatio
+        encryptedRatio.handle,
+        encryptedRatio.proof
       );
       await tx.wait();
 
@@ -181,6 +212,68 @@ const CaseManagement: React.FC<CaseManagementProps> = ({
     }
   };
 
+  const handleViewAllocation = async () => {
+    try {
+      if (!contract) {
+        onStatusChange('Please connect your wallet first', 'error');
+        return;
+      }
+
+      if (!selectedCase) {
+        onStatusChange('Please select a case', 'error');
+        return;
+      }
+
+      if (!fhe.isInitialized) {
+        onStatusChange('FHE client is not initialized. Please reconnect your wallet.', 'error');
+        return;
+      }
+
+      onStatusChange('Decrypting your allocation...', 'info');
+
+      const handles = await contract.getAllocationHandles(selectedCase, walletAddress);
+      const amount = await fhe.decryptUint64(handles.allocatedAmount, CONTRACT_ADDRESS, walletAddress);
+      const ratio = await fhe.decryptUint32(handles.contributionRatio, CONTRACT_ADDRESS, walletAddress);
+
+      onStatusChange(`Your allocation: ${amount.toString()} (${ratio}% responsibility)`, 'success');
+    } catch (error: any) {
+      console.error('Failed to decrypt allocation:', error);
+      onStatusChange('Failed to decrypt allocation: ' + error.message, 'error');
+    }
+  };
+
+  const handleRequestReceipt = async () => {
+    try {
+      if (!contract) {
+        onStatusChange('Please connect your wallet first', 'error');
+        return;
+      }
+
+      if (!selectedCase) {
+        onStatusChange('Please select a case', 'error');
+        return;
+      }
+
+      if (
+        !window.confirm(
+          'A receipt publicly reveals your allocated amount and responsibility ratio. Continue?'
+        )
+      ) {
+        return;
+      }
+
+      onStatusChange('Requesting allocation receipt...', 'info');
+
+      const tx = await contract.requestAllocationReceipt(selectedCase);
+      await tx.wait();
+
+      onStatusChange('Receipt requested! It will be issued once the Gateway responds.', 'success');
+    } catch (error: any) {
+      console.error('Failed to request receipt:', error);
+      onStatusChange('Failed to request receipt: ' + error.message, 'error');
+    }
+  };
+
   const formatAddress = (address: string) => {
     if (!address) return '';
     return `${address.substring(0, 6)}...${address.substring(38)}`;
@@ -261,6 +354,15 @@ const CaseManagement: React.FC<CaseManagementProps> = ({
               Emergency Settle
             </button>
           </div>
+
+          <div className="form-group">
+            <button className="btn btn-secondary" onClick={handleViewAllocation}>
+              View My Allocation
+            </button>
+            <button className="btn btn-secondary" onClick={handleRequestReceipt}>
+              Request Receipt
+            </button>
+          </div>
         </div>
       )}
     </div>
@@ -41,6 +41,9 @@ const CasesList: React.FC<CasesListProps> = ({ cases, parties, loading }) => {
                 <div className={`case-status ${caseItem.isActive ? 'active' : 'settled'}`}>
                   {caseItem.isActive ? 'Active' : 'Settled'}
                 </div>
+                {caseItem.disputeStatus === 'open' && (
+                  <div className="case-status disputed">Disputed</div>
+                )}
               </div>
               <p>
                 <strong>Number of Parties:</strong> {caseItem.partyCount}
@@ -49,6 +52,11 @@ const CasesList: React.FC<CasesListProps> = ({ cases, parties, loading }) => {
                 <strong>Created:</strong>{' '}
                 {new Date(caseItem.createdAt * 1000).toLocaleString()}
               </p>
+              {caseItem.disputeStatus !== 'none' && caseItem.disputeStatus !== 'open' && (
+                <p>
+                  <strong>Dispute:</strong> {caseItem.disputeStatus}
+                </p>
+              )}
               {caseItem.settledAt > 0 && (
                 <p>
                   <strong>Settled:</strong>{' '}
@@ -58,30 +58,23 @@ const CreateCaseForm: React.FC<CreateCaseFormProps> = ({
         const feeWei = ethers.utils.parseEther(totalFee);
         const feeWeiBigInt = BigInt(feeWei.toString());
 
-        // Encrypt totalFee as uint64
-        const encryptedFee = await fhe.encryptUint64(
+        // Encrypt totalFee (uint64) and complexity (uint32) under one input proof
+        const encryptedTerms = await fhe.encryptCaseTerms(
           feeWeiBigInt,
-          CONTRACT_ADDRESS,
-          walletAddress
-        );
-
-        // Encrypt complexity as uint32
-        const complexityNum = parseInt(complexity);
-        const encryptedComplexity = await fhe.encryptUint32(
-          complexityNum,
+          parseInt(complexity),
           CONTRACT_ADDRESS,
           walletAddress
         );
 
         onStatusChange('Creating case with encrypted data...', 'info');
 
-        // Call contract with encrypted values
-        const tx = await contract.createCase(
+        // Call the encrypted overload so fee and complexity never appear in calldata
+        const tx = await contract['createCase(address[],bytes32,bytes32,bytes,string)'](
           addresses,
-          encryptedFee.handle,
-          encryptedComplexity.handle,
-          caseDescription,
-          encryptedFee.proof
+          encryptedTerms.handles[0],
+          encryptedTerms.handles[1],
+          encryptedTerms.proof,
+          caseDescription
         );
         await tx.wait();
 
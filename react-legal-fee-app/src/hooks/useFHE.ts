@@ -4,12 +4,16 @@ import {
   getFHEClient,
   encryptUint32,
   encryptUint64,
+  encryptCaseTerms,
   encryptBool,
   decryptUint32,
   decryptUint64,
+  decryptViewerHandles,
   publicDecryptUint32,
   publicDecryptUint64,
   FHEClientConfig,
+  ViewerHandles,
+  ViewerFields,
 } from '../lib/fhe/client';
 
 export interface UseFHEResult {
@@ -19,9 +23,20 @@ export interface UseFHEResult {
   initialize: (config: FHEClientConfig) => Promise<void>;
   encryptUint32: (value: number, contractAddress: string, userAddress: string) => Promise<{ handle: string; proof: string }>;
   encryptUint64: (value: bigint, contractAddress: string, userAddress: string) => Promise<{ handle: string; proof: string }>;
+  encryptCaseTerms: (
+    totalFee: bigint,
+    complexity: number,
+    contractAddress: string,
+    userAddress: string
+  ) => Promise<{ handles: string[]; proof: string }>;
   encryptBool: (value: boolean, contractAddress: string, userAddress: string) => Promise<{ handle: string; proof: string }>;
   decryptUint32: (handle: string, contractAddress: string, userAddress: string) => Promise<number>;
   decryptUint64: (handle: string, contractAddress: string, userAddress: string) => Promise<bigint>;
+  decryptViewerHandles: (
+    handles: ViewerHandles,
+    contractAddress: string,
+    viewerAddress: string
+  ) => Promise<ViewerFields>;
   publicDecryptUint32: (handle: string) => Promise<number>;
   publicDecryptUint64: (handle: string) => Promise<bigint>;
 }
@@ -74,6 +89,16 @@ export function useFHE(): UseFHEResult {
     [isInitialized]
   );
 
+  const handleEncryptCaseTerms = useCallback(
+    async (totalFee: bigint, complexity: number, contractAddress: string, userAddress: string) => {
+      if (!isInitialized) {
+        throw new Error('FHE client not initialized');
+      }
+      return await encryptCaseTerms(totalFee, complexity, contractAddress, userAddress);
+    },
+    [isInitialized]
+  );
+
   const handleEncryptBool = useCallback(
     async (value: boolean, contractAddress: string, userAddress: string) => {
       if (!isInitialized) {
@@ -104,6 +129,16 @@ export function useFHE(): UseFHEResult {
     [isInitialized]
   );
 
+  const handleDecryptViewerHandles = useCallback(
+    async (handles: ViewerHandles, contractAddress: string, viewerAddress: string) => {
+      if (!isInitialized) {
+        throw new Error('FHE client not initialized');
+      }
+      return await decryptViewerHandles(handles, contractAddress, viewerAddress);
+    },
+    [isInitialized]
+  );
+
   const handlePublicDecryptUint32 = useCallback(
     async (handle: string) => {
       if (!isInitialized) {
@@ -131,9 +166,11 @@ export function useFHE(): UseFHEResult {
     initialize,
     encryptUint32: handleEncryptUint32,
     encryptUint64: handleEncryptUint64,
+    encryptCaseTerms: handleEncryptCaseTerms,
     encryptBool: handleEncryptBool,
     decryptUint32: handleDecryptUint32,
     decryptUint64: handleDecryptUint64,
+    decryptViewerHandles: handleDecryptViewerHandles,
     publicDecryptUint32: handlePublicDecryptUint32,
     publicDecryptUint64: handlePublicDecryptUint64,
   };
@@ -95,6 +95,30 @@ export async function encryptUint64(
   };
 }
 
+/**
+ * Encrypt a case's fee (uint64) and complexity (uint32) under a single input proof
+ */
+export async function encryptCaseTerms(
+  totalFee: bigint,
+  complexity: number,
+  contractAddress: string,
+  userAddress: string
+): Promise<{ handles: string[]; proof: string }> {
+  if (!clientInstance) {
+    throw new Error('FHEVM client not initialized');
+  }
+
+  const input = clientInstance.createEncryptedInput(contractAddress, userAddress);
+  input.add64(totalFee);
+  input.add32(complexity);
+  const encrypted = input.encrypt();
+
+  return {
+    handles: encrypted.handles,
+    proof: encrypted.inputProof,
+  };
+}
+
 /**
  * Encrypt a boolean value
  */
@@ -147,6 +171,52 @@ export async function decryptUint64(
   return await clientInstance.decrypt.uint64(handle, contractAddress, userAddress);
 }
 
+/**
+ * Handles returned by the contract's getViewerHandles
+ */
+export interface ViewerHandles {
+  totalFee: string;
+  complexity: string;
+  timeSpent: string;
+  ledgerTotal: string;
+  finalFee: string;
+}
+
+/**
+ * Decrypted case fields; null where the grant does not cover the field or it has no value yet
+ */
+export interface ViewerFields {
+  totalFee: bigint | null;
+  complexity: number | null;
+  timeSpent: number | null;
+  ledgerTotal: bigint | null;
+  finalFee: bigint | null;
+}
+
+/**
+ * Decrypt the case fields an auditor, court or insurer was granted (requires EIP-712 signature).
+ * Call refreshViewerAccess first if the case changed since the grant.
+ */
+export async function decryptViewerHandles(
+  handles: ViewerHandles,
+  contractAddress: string,
+  viewerAddress: string
+): Promise<ViewerFields> {
+  const isGranted = (handle: string) => handle !== ethers.constants.HashZero;
+  const decrypt32 = (handle: string) =>
+    isGranted(handle) ? decryptUint32(handle, contractAddress, viewerAddress) : Promise.resolve(null);
+  const decrypt64 = (handle: string) =>
+    isGranted(handle) ? decryptUint64(handle, contractAddress, viewerAddress) : Promise.resolve(null);
+
+  return {
+    totalFee: await decrypt64(handles.totalFee),
+    complexity: await decrypt32(handles.complexity),
+    timeSpent: await decrypt32(handles.timeSpent),
+    ledgerTotal: await decrypt64(handles.ledgerTotal),
+    finalFee: await decrypt64(handles.finalFee),
+  };
+}
+
 /**
  * Public decrypt a uint32 value (no signature required)
  */
@@ -6,8 +6,14 @@ export interface CaseInfo {
   createdAt: number;
   settledAt: number;
   caseHash: string;
+  disputeStatus: DisputeStatus;
 }
 
+// Mirrors the contract's DisputeStatus enum order
+export type DisputeStatus = 'none' | 'open' | 'upheld' | 'adjusted' | 'dismissed';
+
+export const DISPUTE_STATUSES: DisputeStatus[] = ['none', 'open', 'upheld', 'adjusted', 'dismissed'];
+
 export interface SystemStats {
   totalCases: number;
   activeCases: number;
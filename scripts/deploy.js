@@ -1,6 +1,8 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { MODULES, deployLegalFeeAllocation } = require("./lib/legalFeeAllocation");
+const { getStorageLayout } = require("./lib/storageLayout");
 
 /**
  * Deployment script for ConfidentialLegalFeeAllocation contract
@@ -33,29 +35,27 @@ async function main() {
 
   console.log("🚀 Starting deployment...\n");
 
-  // Deploy the contract
+  // Deploy the fee math library, the modules and the contract
   const startTime = Date.now();
-  const ConfidentialLegalFeeAllocation = await hre.ethers.getContractFactory(
-    "ConfidentialLegalFeeAllocation"
-  );
-
-  console.log("📦 Deploying ConfidentialLegalFeeAllocation contract...");
-  const contract = await ConfidentialLegalFeeAllocation.deploy();
 
-  console.log("⏳ Waiting for deployment confirmation...");
-  await contract.waitForDeployment();
+  console.log("📦 Deploying LegalFeeMath, modules, ConfidentialLegalFeeAllocation and its proxy...");
+  const { contract, contractAddress, implementationAddress, initData, libraries, modules, deploymentTransaction } =
+    await deployLegalFeeAllocation(hre);
 
-  const contractAddress = await contract.getAddress();
   const deploymentTime = ((Date.now() - startTime) / 1000).toFixed(2);
 
   console.log("\n✅ Deployment successful!\n");
   console.log("═══════════════════════════════════════════════════════");
   console.log("  Deployment Information");
   console.log("═══════════════════════════════════════════════════════");
-  console.log(`📄 Contract Address: ${contractAddress}`);
+  console.log(`📄 Contract Address (proxy): ${contractAddress}`);
+  console.log(`🧱 Implementation: ${implementationAddress}`);
   console.log(`🔗 Network: ${network.name}`);
   console.log(`⏱️  Deployment Time: ${deploymentTime}s`);
   console.log(`👤 Admin: ${deployerAddress}`);
+  for (const [name, address] of Object.entries({ ...libraries, ...modules })) {
+    console.log(`🧩 ${name}: ${address}`);
+  }
   console.log("═══════════════════════════════════════════════════════\n");
 
   // Generate Etherscan link
@@ -72,6 +72,11 @@ async function main() {
   const deploymentInfo = {
     contractName: "ConfidentialLegalFeeAllocation",
     contractAddress: contractAddress,
+    implementationName: "ConfidentialLegalFeeAllocation",
+    implementationAddress: implementationAddress,
+    proxyConstructorArguments: [implementationAddress, initData],
+    libraries: libraries,
+    modules: modules,
     network: network.name,
     chainId: Number(network.chainId),
     deployer: deployerAddress,
@@ -84,6 +89,8 @@ async function main() {
       optimizer: true,
       runs: 200,
     },
+    // Checked against the next implementation by scripts/upgrade.js
+    storageLayout: await getStorageLayout(hre, "ConfidentialLegalFeeAllocation"),
   };
 
   // Create deployments directory if it doesn't exist
@@ -107,7 +114,7 @@ async function main() {
   // Wait for block confirmations before verification
   if (network.chainId !== 31337n) {
     console.log("⏳ Waiting for 5 block confirmations before verification...");
-    await contract.deploymentTransaction().wait(5);
+    await deploymentTransaction.wait(5);
     console.log("✅ Block confirmations received\n");
 
     console.log("📝 Next steps:");
@@ -115,9 +122,9 @@ async function main() {
     console.log("   2. Test interaction: npm run interact");
     console.log("   3. Run simulation: npm run simulate\n");
 
-    console.log("💡 Verification command:");
+    console.log("💡 Implementation verification command:");
     console.log(
-      `   npx hardhat verify --network ${network.name} ${contractAddress}\n`
+      `   npx hardhat verify --network ${network.name} ${implementationAddress} ${modules[MODULES[0]]}\n`
     );
   }
 
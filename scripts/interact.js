@@ -1,6 +1,7 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { attachLegalFeeAllocation } = require("./lib/legalFeeAllocation");
 
 /**
  * Interaction script for ConfidentialLegalFeeAllocation contract
@@ -11,6 +12,9 @@ let contract;
 let deployer;
 let accounts;
 
+// ETH each party deposits into the case escrow
+const PAYMENT_AMOUNT = hre.ethers.parseEther("0.001");
+
 async function loadContract() {
   console.log("📖 Loading contract information...\n");
 
@@ -33,10 +37,7 @@ async function loadContract() {
   console.log(`📄 Contract Address: ${contractAddress}`);
   console.log(`🔗 Network: ${network.name}\n`);
 
-  const ConfidentialLegalFeeAllocation = await hre.ethers.getContractFactory(
-    "ConfidentialLegalFeeAllocation"
-  );
-  contract = ConfidentialLegalFeeAllocation.attach(contractAddress);
+  contract = await attachLegalFeeAllocation(hre, contractAddress);
 
   [deployer, ...accounts] = await hre.ethers.getSigners();
   console.log(`👤 Admin: ${await deployer.getAddress()}\n`);
@@ -199,7 +200,7 @@ async function calculateFees(caseId) {
   console.log("🔒 Individual allocations are encrypted and private\n");
 }
 
-async function recordPayment(caseId, partyIndex) {
+async function recordPayment(caseId, partyIndex, amount = PAYMENT_AMOUNT) {
   console.log("═══════════════════════════════════════════════════════");
   console.log("  Recording Payment");
   console.log("═══════════════════════════════════════════════════════\n");
@@ -208,14 +209,15 @@ async function recordPayment(caseId, partyIndex) {
   const partySigner = accounts[partyIndex];
 
   console.log(`📋 Case ID: ${caseId}`);
-  console.log(`👤 Party: ${await partySigner.getAddress()}\n`);
+  console.log(`👤 Party: ${await partySigner.getAddress()}`);
+  console.log(`💵 Deposit: ${hre.ethers.formatEther(amount)} ETH\n`);
 
-  console.log("💰 Recording payment...");
-  const tx = await contract.connect(partySigner).recordPayment(caseId);
+  console.log("💰 Depositing payment into escrow...");
+  const tx = await contract.connect(partySigner).recordPayment(caseId, { value: amount });
   console.log(`⏳ Transaction hash: ${tx.hash}`);
 
   await tx.wait();
-  console.log("✅ Payment recorded successfully!\n");
+  console.log("✅ Payment deposited; the Gateway checks it against the allocation\n");
 }
 
 async function demonstrateFullWorkflow() {
@@ -0,0 +1,202 @@
+/**
+ * Deployment helpers for ConfidentialLegalFeeAllocation and its modules
+ *
+ * The main contract forwards any function it does not implement to a chain of
+ * modules executed by DELEGATECALL. Modules are deployed last-to-first so each
+ * one can be given the address of the next. Contracts that use the LegalFeeMath
+ * library are linked against a single deployed instance.
+ *
+ * The main contract is a UUPS implementation behind LegalFeeAllocationProxy, so
+ * the system keeps its address and state across upgrades.
+ */
+
+const { getStorageLayout, assertStorageLayoutCompatible } = require("./storageLayout");
+
+// Module chain order, first to last
+const MODULES = [
+  "FeeCalculationModule",
+  "CasePaymentsModule",
+  "FeeScheduleModule",
+  "AccessControlModule",
+  "DisputeModule",
+  "TimeLedgerModule",
+  "AllocationReceiptModule",
+  "CaseLifecycleModule",
+  "InstallmentPlanModule",
+  "LatePaymentModule",
+  "CircuitBreakerModule",
+  "CaseTimeoutModule",
+  "AnalyticsModule",
+  "CaseQueryModule",
+  "ResponsibilityAcceptanceModule",
+  "PartyMembershipModule",
+  "ViewerAccessModule",
+  "ContingencyFeeModule",
+  "InsuranceCoverageModule",
+  "LitigationFundingModule",
+];
+
+/**
+ * Combined ABI of the main contract and every module
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @returns {Promise<Array<Object>>}
+ */
+async function getLegalFeeAllocationAbi(hre) {
+  const seen = new Set();
+  const abi = [];
+
+  for (const name of ["ConfidentialLegalFeeAllocation", ...MODULES]) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    for (const fragment of artifact.abi) {
+      const key = JSON.stringify(fragment);
+      if (fragment.type === "constructor" || seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+      abi.push(fragment);
+    }
+  }
+
+  return abi;
+}
+
+/**
+ * Library addresses a contract must be linked against
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} name Contract name
+ * @param {Object<string, string>} libraries Deployed library addresses by name
+ */
+async function librariesFor(hre, name, libraries) {
+  const { linkReferences } = await hre.artifacts.readArtifact(name);
+  const linked = {};
+  for (const file of Object.values(linkReferences)) {
+    for (const library of Object.keys(file)) {
+      linked[library] = libraries[library];
+    }
+  }
+  return linked;
+}
+
+/**
+ * Attach to a deployed instance using the combined ABI
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} address Main contract address
+ * @param {import("ethers").Signer} [signer]
+ */
+async function attachLegalFeeAllocation(hre, address, signer) {
+  return hre.ethers.getContractAt(await getLegalFeeAllocationAbi(hre), address, signer);
+}
+
+/**
+ * Deploy the fee math library, the module chain and an implementation of the main contract
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} [name] Implementation contract name
+ * @returns {Promise<{implementation: Contract, libraries: Object, modules: Object}>}
+ */
+async function deployImplementation(hre, name = "ConfidentialLegalFeeAllocation") {
+  const feeMath = await hre.ethers.deployContract("LegalFeeMath");
+  await feeMath.waitForDeployment();
+  const libraries = { LegalFeeMath: await feeMath.getAddress() };
+
+  const modules = {};
+  let nextModule = hre.ethers.ZeroAddress;
+  for (const moduleName of [...MODULES].reverse()) {
+    const module = await hre.ethers.deployContract(moduleName, [nextModule], {
+      libraries: await librariesFor(hre, moduleName, libraries),
+    });
+    await module.waitForDeployment();
+    nextModule = await module.getAddress();
+    modules[moduleName] = nextModule;
+  }
+
+  const implementation = await hre.ethers.deployContract(name, [nextModule], {
+    libraries: await librariesFor(hre, name, libraries),
+  });
+  await implementation.waitForDeployment();
+
+  return { implementation, libraries, modules };
+}
+
+/**
+ * Deploy the implementation and a proxy initialized with the deployer as admin
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @returns {Promise<{contract: Contract, contractAddress: string, implementationAddress: string,
+ *   libraries: Object, modules: Object}>}
+ */
+async function deployLegalFeeAllocation(hre) {
+  const { implementation, libraries, modules } = await deployImplementation(hre);
+  const implementationAddress = await implementation.getAddress();
+
+  const initData = implementation.interface.encodeFunctionData("initialize");
+  const proxy = await hre.ethers.deployContract("LegalFeeAllocationProxy", [
+    implementationAddress,
+    initData,
+  ]);
+  await proxy.waitForDeployment();
+  const contractAddress = await proxy.getAddress();
+
+  const contract = await attachLegalFeeAllocation(hre, contractAddress);
+  return {
+    contract,
+    contractAddress,
+    implementationAddress,
+    initData,
+    libraries,
+    modules,
+    deploymentTransaction: proxy.deploymentTransaction(),
+  };
+}
+
+/**
+ * Point the proxy at a new implementation after checking its storage layout
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} proxyAddress Address of LegalFeeAllocationProxy
+ * @param {Object} options
+ * @param {Object} options.previousLayout Storage layout of the implementation currently behind the proxy
+ * @param {string} [options.implementationName] Contract name of the new implementation
+ * @param {string} [options.call] Migration function to run in the upgrade transaction, e.g. "initializeV2"
+ * @param {Array} [options.args] Arguments for the migration function
+ * @param {import("ethers").Signer} [options.signer] Admin signer
+ * @returns {Promise<{implementationAddress: string, libraries: Object, modules: Object, layout: Object,
+ *   transaction: Object}>}
+ */
+async function upgradeLegalFeeAllocation(hre, proxyAddress, options) {
+  const {
+    previousLayout,
+    implementationName = "ConfidentialLegalFeeAllocation",
+    call,
+    args = [],
+    signer,
+  } = options;
+
+  // Refuse before deploying anything if existing state would be misread
+  const layout = await getStorageLayout(hre, implementationName);
+  assertStorageLayoutCompatible(previousLayout, layout);
+
+  const { implementation, libraries, modules } = await deployImplementation(
+    hre,
+    implementationName
+  );
+  const implementationAddress = await implementation.getAddress();
+  const data = call ? implementation.interface.encodeFunctionData(call, args) : "0x";
+
+  const proxy = await hre.ethers.getContractAt(
+    "ConfidentialLegalFeeAllocation",
+    proxyAddress,
+    signer
+  );
+  const transaction = await proxy.upgradeToAndCall(implementationAddress, data);
+  await transaction.wait();
+
+  return { implementationAddress, libraries, modules, layout, transaction };
+}
+
+module.exports = {
+  MODULES,
+  librariesFor,
+  getLegalFeeAllocationAbi,
+  attachLegalFeeAllocation,
+  deployImplementation,
+  deployLegalFeeAllocation,
+  upgradeLegalFeeAllocation,
+};
@@ -0,0 +1,128 @@
+/**
+ * Storage layout checks for upgrades of the ConfidentialLegalFeeAllocation proxy
+ *
+ * The proxy keeps all state, so a new implementation must leave every existing
+ * variable where it is. Layouts come from the compiler's `storageLayout` output
+ * (enabled in hardhat.config.js). Types are compared structurally because the
+ * compiler's type ids embed AST ids that change between builds.
+ */
+
+/**
+ * Storage layout of a compiled contract
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} name Contract name
+ * @returns {Promise<{storage: Array<Object>, types: Object}>}
+ */
+async function getStorageLayout(hre, name) {
+  const artifact = await hre.artifacts.readArtifact(name);
+  const fullyQualifiedName = `${artifact.sourceName}:${artifact.contractName}`;
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  const output = buildInfo?.output.contracts[artifact.sourceName][artifact.contractName];
+
+  if (!output?.storageLayout) {
+    throw new Error(`No storage layout for ${name}; enable "storageLayout" in outputSelection`);
+  }
+  return output.storageLayout;
+}
+
+/**
+ * Compare two types from their respective layouts
+ * @param {boolean} canGrow Structs may gain trailing members (only where nothing is stored after them)
+ * @returns {string|null} Reason the types are incompatible, if they are
+ */
+function compareTypes(previous, current, previousId, currentId, canGrow) {
+  const before = previous.types[previousId];
+  const after = current.types[currentId];
+
+  if (before.encoding !== after.encoding) {
+    return `encoding changed from ${before.encoding} to ${after.encoding}`;
+  }
+
+  if (before.encoding === "mapping") {
+    return (
+      compareTypes(previous, current, before.key, after.key, false) ||
+      compareTypes(previous, current, before.value, after.value, true)
+    );
+  }
+
+  if (before.encoding === "dynamic_array") {
+    return compareTypes(previous, current, before.base, after.base, false);
+  }
+
+  if (before.members) {
+    if (!after.members) {
+      return `${before.label} is no longer a struct`;
+    }
+    if (after.members.length < before.members.length) {
+      return `${before.label} lost members`;
+    }
+    if (!canGrow && after.numberOfBytes !== before.numberOfBytes) {
+      return `${before.label} changed size where other data follows it`;
+    }
+    for (let i = 0; i < before.members.length; i++) {
+      const reason = compareSlots(previous, current, before.members[i], after.members[i], false);
+      if (reason) {
+        return `${before.label}.${before.members[i].label}: ${reason}`;
+      }
+    }
+    return null;
+  }
+
+  if (before.label !== after.label || before.numberOfBytes !== after.numberOfBytes) {
+    return `type changed from ${before.label} to ${after.label}`;
+  }
+  if (before.base) {
+    return compareTypes(previous, current, before.base, after.base, false);
+  }
+  return null;
+}
+
+function compareSlots(previous, current, before, after, canGrow) {
+  if (!after || after.label !== before.label) {
+    return `expected ${before.label}, found ${after ? after.label : "nothing"}`;
+  }
+  if (after.slot !== before.slot || after.offset !== before.offset) {
+    return `moved from slot ${before.slot}+${before.offset} to ${after.slot}+${after.offset}`;
+  }
+  return compareTypes(previous, current, before.type, after.type, canGrow);
+}
+
+/**
+ * List incompatibilities between a deployed layout and the layout of a new implementation.
+ * Variables and struct members may only be appended.
+ * @param {{storage: Array<Object>, types: Object}} previous Layout of the deployed implementation
+ * @param {{storage: Array<Object>, types: Object}} current Layout of the new implementation
+ * @returns {Array<string>} Human-readable errors; empty when the upgrade is storage-safe
+ */
+function findStorageLayoutErrors(previous, current) {
+  const errors = [];
+  const last = previous.storage.length - 1;
+
+  previous.storage.forEach((variable, i) => {
+    // The last variable has nothing after it, so a struct stored there can still grow
+    const reason = compareSlots(previous, current, variable, current.storage[i], i === last);
+    if (reason) {
+      errors.push(`${variable.label}: ${reason}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Throw if the new layout is not a storage-safe upgrade of the previous one
+ * @param {{storage: Array<Object>, types: Object}} previous
+ * @param {{storage: Array<Object>, types: Object}} current
+ */
+function assertStorageLayoutCompatible(previous, current) {
+  const errors = findStorageLayoutErrors(previous, current);
+  if (errors.length > 0) {
+    throw new Error(`Incompatible storage layout:\n  - ${errors.join("\n  - ")}`);
+  }
+}
+
+module.exports = {
+  getStorageLayout,
+  findStorageLayoutErrors,
+  assertStorageLayoutCompatible,
+};
@@ -1,6 +1,7 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { attachLegalFeeAllocation } = require("./lib/legalFeeAllocation");
 
 /**
  * Simulation script for ConfidentialLegalFeeAllocation contract
@@ -11,6 +12,9 @@ let contract;
 let deployer;
 let accounts;
 
+// ETH each party deposits into the case escrow
+const PAYMENT_AMOUNT = hre.ethers.parseEther("0.001");
+
 async function loadContract() {
   console.log("📖 Loading contract for simulation...\n");
 
@@ -33,10 +37,7 @@ async function loadContract() {
   console.log(`📄 Contract Address: ${contractAddress}`);
   console.log(`🔗 Network: ${network.name}\n`);
 
-  const ConfidentialLegalFeeAllocation = await hre.ethers.getContractFactory(
-    "ConfidentialLegalFeeAllocation"
-  );
-  contract = ConfidentialLegalFeeAllocation.attach(contractAddress);
+  contract = await attachLegalFeeAllocation(hre, contractAddress);
 
   [deployer, ...accounts] = await hre.ethers.getSigners();
   console.log(`👤 Admin: ${await deployer.getAddress()}\n`);
@@ -86,10 +87,14 @@ async function scenario1_SimpleCase() {
 
   // Record payments
   console.log("💰 Recording payments...");
-  await (await contract.connect(accounts[0]).recordPayment(caseId)).wait();
-  await (await contract.connect(accounts[1]).recordPayment(caseId)).wait();
-
-  console.log("✅ Scenario 1 Complete: Case settled successfully!\n");
+  await (
+    await contract.connect(accounts[0]).recordPayment(caseId, { value: PAYMENT_AMOUNT })
+  ).wait();
+  await (
+    await contract.connect(accounts[1]).recordPayment(caseId, { value: PAYMENT_AMOUNT })
+  ).wait();
+
+  console.log("✅ Scenario 1 Complete: Case settles once the Gateway verifies both payments\n");
   return caseId;
 }
 
@@ -144,9 +149,15 @@ async function scenario2_ComplexMultiParty() {
 
   // Partial payments
   console.log("💰 Recording partial payments (3 out of 4 parties)...");
-  await (await contract.connect(accounts[0]).recordPayment(caseId)).wait();
-  await (await contract.connect(accounts[1]).recordPayment(caseId)).wait();
-  await (await contract.connect(accounts[2]).recordPayment(caseId)).wait();
+  await (
+    await contract.connect(accounts[0]).recordPayment(caseId, { value: PAYMENT_AMOUNT })
+  ).wait();
+  await (
+    await contract.connect(accounts[1]).recordPayment(caseId, { value: PAYMENT_AMOUNT })
+  ).wait();
+  await (
+    await contract.connect(accounts[2]).recordPayment(caseId, { value: PAYMENT_AMOUNT })
+  ).wait();
 
   console.log("⚠️  Scenario 2 Complete: Case partially paid (awaiting final payment)\n");
   return caseId;
@@ -195,11 +206,17 @@ async function scenario3_LowComplexityQuickSettlement() {
   await (await contract.calculateFeeAllocation(caseId)).wait();
 
   console.log("💰 Quick settlement - all parties paying...");
-  await (await contract.connect(accounts[0]).recordPayment(caseId)).wait();
-  await (await contract.connect(accounts[1]).recordPayment(caseId)).wait();
-  await (await contract.connect(accounts[2]).recordPayment(caseId)).wait();
-
-  console.log("✅ Scenario 3 Complete: Quick settlement achieved!\n");
+  await (
+    await contract.connect(accounts[0]).recordPayment(caseId, { value: PAYMENT_AMOUNT })
+  ).wait();
+  await (
+    await contract.connect(accounts[1]).recordPayment(caseId, { value: PAYMENT_AMOUNT })
+  ).wait();
+  await (
+    await contract.connect(accounts[2]).recordPayment(caseId, { value: PAYMENT_AMOUNT })
+  ).wait();
+
+  console.log("✅ Scenario 3 Complete: Case settles once the Gateway verifies the payments\n");
   return caseId;
 }
 
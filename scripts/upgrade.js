@@ -0,0 +1,98 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { upgradeLegalFeeAllocation } = require("./lib/legalFeeAllocation");
+
+/**
+ * Upgrade script for the ConfidentialLegalFeeAllocation proxy
+ * Checks the new implementation's storage layout against the one recorded at the
+ * last deployment or upgrade, then deploys it and points the proxy at it
+ *
+ * Environment:
+ *   IMPLEMENTATION  Contract name of the new implementation (default ConfidentialLegalFeeAllocation)
+ *   MIGRATION_CALL  Optional reinitializer to run in the upgrade transaction, e.g. initializeV2
+ */
+async function main() {
+  console.log("═══════════════════════════════════════════════════════");
+  console.log("  Confidential Legal Fee Allocation Upgrade");
+  console.log("═══════════════════════════════════════════════════════\n");
+
+  const network = await hre.ethers.provider.getNetwork();
+  console.log(`📡 Network: ${network.name} (Chain ID: ${network.chainId})`);
+
+  const deploymentsDir = path.join(__dirname, "..", "deployments");
+  const deploymentFilePath = path.join(deploymentsDir, `${network.name}_deployment.json`);
+
+  if (!fs.existsSync(deploymentFilePath)) {
+    console.error(`❌ Deployment file not found: ${deploymentFilePath}`);
+    console.error("   Please deploy the contract first using: npm run deploy\n");
+    process.exit(1);
+  }
+
+  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFilePath, "utf8"));
+  if (!deploymentInfo.storageLayout) {
+    console.error("❌ Deployment file has no storage layout to check the upgrade against");
+    console.error("   Redeploy with the current scripts/deploy.js\n");
+    process.exit(1);
+  }
+
+  const implementationName = process.env.IMPLEMENTATION || "ConfidentialLegalFeeAllocation";
+  const call = process.env.MIGRATION_CALL;
+
+  const [admin] = await hre.ethers.getSigners();
+  console.log(`👤 Admin: ${await admin.getAddress()}`);
+  console.log(`📄 Proxy: ${deploymentInfo.contractAddress}`);
+  console.log(`🧱 Current implementation: ${deploymentInfo.implementationAddress}`);
+  console.log(`🆕 New implementation: ${implementationName}${call ? ` (then ${call}())` : ""}\n`);
+
+  console.log("🔍 Checking storage layout and upgrading...");
+  const { implementationAddress, libraries, modules, layout, transaction } =
+    await upgradeLegalFeeAllocation(hre, deploymentInfo.contractAddress, {
+      previousLayout: deploymentInfo.storageLayout,
+      implementationName,
+      call,
+      signer: admin,
+    });
+
+  console.log("\n✅ Upgrade successful!\n");
+  console.log(`🧱 Implementation: ${implementationAddress}`);
+  console.log(`🧾 Transaction: ${transaction.hash}\n`);
+
+  const { sourceName } = await hre.artifacts.readArtifact(implementationName);
+  deploymentInfo.upgrades = [
+    ...(deploymentInfo.upgrades || []),
+    {
+      from: deploymentInfo.implementationAddress,
+      to: implementationAddress,
+      implementationName,
+      migrationCall: call || null,
+      transactionHash: transaction.hash,
+      upgradedAt: new Date().toISOString(),
+    },
+  ];
+  Object.assign(deploymentInfo, {
+    implementationName,
+    implementationSource: sourceName,
+    implementationAddress,
+    libraries,
+    modules,
+    storageLayout: layout,
+    verified: false,
+  });
+
+  fs.writeFileSync(deploymentFilePath, JSON.stringify(deploymentInfo, null, 2));
+
+  console.log(`💾 Deployment info updated: ${deploymentFilePath}\n`);
+  console.log("📝 Next step: npm run verify\n");
+}
+
+// Execute upgrade
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n❌ Upgrade failed:\n");
+    console.error(error.message);
+    process.exit(1);
+  });
+
+module.exports = main;
@@ -1,6 +1,7 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { MODULES, librariesFor } = require("./lib/legalFeeAllocation");
 
 /**
  * Contract verification script for Etherscan
@@ -51,11 +52,37 @@ async function main() {
   console.log("🔍 Starting Etherscan verification...\n");
 
   try {
-    // Verify the contract
+    // Verify the library and each module; a module's constructor takes the next module's address
+    const { libraries, modules } = deploymentInfo;
+    await hre.run("verify:verify", {
+      address: libraries.LegalFeeMath,
+      contract: "contracts/libraries/LegalFeeMath.sol:LegalFeeMath",
+    });
+    for (const [index, name] of MODULES.entries()) {
+      const nextModule = modules[MODULES[index + 1]] || hre.ethers.ZeroAddress;
+      await hre.run("verify:verify", {
+        address: modules[name],
+        constructorArguments: [nextModule],
+        libraries: await librariesFor(hre, name, libraries),
+        contract: `contracts/modules/${name}.sol:${name}`,
+      });
+    }
+
+    // Verify the implementation behind the proxy
+    const implementationName = deploymentInfo.implementationName || "ConfidentialLegalFeeAllocation";
+    const implementationSource = deploymentInfo.implementationSource || `contracts/${implementationName}.sol`;
+    await hre.run("verify:verify", {
+      address: deploymentInfo.implementationAddress,
+      constructorArguments: [modules[MODULES[0]]],
+      libraries: await librariesFor(hre, implementationName, libraries),
+      contract: `${implementationSource}:${implementationName}`,
+    });
+
+    // Verify the proxy, whose constructor arguments are those of the original deployment
     await hre.run("verify:verify", {
       address: contractAddress,
-      constructorArguments: [],
-      contract: "contracts/ConfidentialLegalFeeAllocation.sol:ConfidentialLegalFeeAllocation",
+      constructorArguments: deploymentInfo.proxyConstructorArguments,
+      contract: "contracts/proxy/LegalFeeAllocationProxy.sol:LegalFeeAllocationProxy",
     });
 
     console.log("\n✅ Contract verified successfully!\n");
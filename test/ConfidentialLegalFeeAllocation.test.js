@@ -1,5 +1,8 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, fhevm } = require("hardhat");
+const { deployContract, payAndVerify } = require("./helpers");
+
+const PAYMENT = ethers.parseEther("1");
 
 /**
  * Comprehensive Test Suite for ConfidentialLegalFeeAllocation Contract
@@ -23,13 +26,7 @@ describe("ConfidentialLegalFeeAllocation", function () {
 
   // Helper function to deploy fresh contract
   async function deployFixture() {
-    const ConfidentialLegalFeeAllocation = await ethers.getContractFactory(
-      "ConfidentialLegalFeeAllocation"
-    );
-    const instance = await ConfidentialLegalFeeAllocation.deploy();
-    await instance.waitForDeployment();
-    const address = await instance.getAddress();
-    return { contract: instance, contractAddress: address };
+    return deployContract();
   }
 
   before(async function () {
@@ -404,25 +401,45 @@ describe("ConfidentialLegalFeeAllocation", function () {
     });
 
     it("should record payment for authorized party", async function () {
-      const tx = await contract.connect(alice).recordPayment(1);
-      await expect(tx)
-        .to.emit(contract, "PaymentRecorded")
-        .withArgs(1, alice.address);
+      const tx = await contract.connect(alice).recordPayment(1, { value: PAYMENT });
+      await expect(tx).to.emit(contract, "ConfidentialPaymentSubmitted");
+
+      await fhevm.awaitDecryptionOracle();
+      const paid = await contract.queryFilter(contract.filters.PaymentRecorded(1, alice.address));
+      expect(paid).to.have.lengthOf(1);
     });
 
     it("should prevent duplicate payment recording", async function () {
-      await contract.connect(alice).recordPayment(1);
+      await contract.connect(alice).recordPayment(1, { value: PAYMENT });
+      await expect(
+        contract.connect(alice).recordPayment(1, { value: PAYMENT })
+      ).to.be.revertedWith("Payment verification pending");
 
+      await fhevm.awaitDecryptionOracle();
       await expect(
-        contract.connect(alice).recordPayment(1)
+        contract.connect(alice).recordPayment(1, { value: PAYMENT })
       ).to.be.revertedWith("Already paid");
     });
 
+    it("should not mark a party paid until the deposit covers its allocation", async function () {
+      await payAndVerify(contract, alice, 1, 1n);
+      expect((await contract.getPartyAllocation(1, alice.address)).hasPaid).to.be.false;
+
+      await payAndVerify(contract, alice, 1, PAYMENT);
+      const allocation = await contract.getPartyAllocation(1, alice.address);
+      expect(allocation.hasPaid).to.be.true;
+      // What the share does not need is credited back rather than kept as a deposit
+      const overpayment = await contract.getOverpayment(1, alice.address);
+      expect(allocation.depositedAmount + overpayment).to.equal(PAYMENT + 1n);
+      expect(allocation.depositedAmount).to.be.lessThan(PAYMENT);
+    });
+
     it("should settle case when all parties pay", async function () {
-      await contract.connect(alice).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
 
-      const tx = await contract.connect(bob).recordPayment(1);
-      await expect(tx).to.emit(contract, "CaseSettled").withArgs(1, await ethers.provider.getBlock("latest").then(b => b.timestamp));
+      const settled = await contract.queryFilter(contract.filters.CaseSettled(1));
+      expect(settled).to.have.lengthOf(1);
 
       const caseInfo = await contract.getCaseInfo(1);
       expect(caseInfo.isSettled).to.be.true;
@@ -431,7 +448,7 @@ describe("ConfidentialLegalFeeAllocation", function () {
 
     it("should revert when non-party records payment", async function () {
       await expect(
-        contract.connect(charlie).recordPayment(1)
+        contract.connect(charlie).recordPayment(1, { value: PAYMENT })
       ).to.be.revertedWith("Not authorized party");
     });
 
@@ -440,20 +457,20 @@ describe("ConfidentialLegalFeeAllocation", function () {
       await contract.createCase(parties, 30000, 40, "New case");
 
       await expect(
-        contract.connect(alice).recordPayment(2)
+        contract.connect(alice).recordPayment(2, { value: PAYMENT })
       ).to.be.revertedWith("Fees not calculated");
     });
 
     it("should retrieve payment status", async function () {
-      await contract.connect(alice).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
 
       const allocation = await contract.getPartyAllocation(1, alice.address);
       expect(allocation.hasPaid).to.be.true;
     });
 
     it("should update active cases count after settlement", async function () {
-      await contract.connect(alice).recordPayment(1);
-      await contract.connect(bob).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
 
       const stats = await contract.getSystemStats();
       expect(stats.active).to.equal(0);
@@ -508,11 +525,147 @@ describe("ConfidentialLegalFeeAllocation", function () {
       await contract.calculateFeeAllocation(1);
 
       await expect(
-        contract.connect(charlie).recordPayment(1)
+        contract.connect(charlie).recordPayment(1, { value: PAYMENT })
       ).to.be.revertedWith("Not authorized party");
     });
   });
 
+  // =====================================================
+  // 8b. ROLE-BASED ACCESS CONTROL TESTS (8 tests)
+  // =====================================================
+
+  describe("Role-Based Access Control", function () {
+    let CASE_MANAGER_ROLE, BILLING_CLERK_ROLE, AUDITOR_ROLE, ARBITER_ROLE;
+
+    beforeEach(async function () {
+      CASE_MANAGER_ROLE = await contract.CASE_MANAGER_ROLE();
+      BILLING_CLERK_ROLE = await contract.BILLING_CLERK_ROLE();
+      AUDITOR_ROLE = await contract.AUDITOR_ROLE();
+      ARBITER_ROLE = await contract.ARBITER_ROLE();
+    });
+
+    it("should grant and revoke roles with events", async function () {
+      await expect(contract.grantRole(BILLING_CLERK_ROLE, charlie.address))
+        .to.emit(contract, "RoleGranted")
+        .withArgs(BILLING_CLERK_ROLE, charlie.address, deployer.address);
+      expect(await contract.hasRole(BILLING_CLERK_ROLE, charlie.address)).to.be.true;
+
+      await expect(contract.revokeRole(BILLING_CLERK_ROLE, charlie.address))
+        .to.emit(contract, "RoleRevoked")
+        .withArgs(BILLING_CLERK_ROLE, charlie.address, deployer.address);
+      expect(await contract.hasRole(BILLING_CLERK_ROLE, charlie.address)).to.be.false;
+    });
+
+    it("should only let the owner manage roles", async function () {
+      await expect(
+        contract.connect(alice).grantRole(ARBITER_ROLE, alice.address)
+      ).to.be.revertedWith("Unauthorized access");
+      await expect(contract.grantRole(ethers.id("UNKNOWN_ROLE"), alice.address)).to.be.revertedWith(
+        "Unknown role"
+      );
+    });
+
+    it("should let an account renounce its own role", async function () {
+      await contract.grantRole(AUDITOR_ROLE, dave.address);
+
+      await expect(contract.connect(dave).renounceRole(AUDITOR_ROLE))
+        .to.emit(contract, "RoleRevoked")
+        .withArgs(AUDITOR_ROLE, dave.address, dave.address);
+      await expect(contract.connect(dave).renounceRole(AUDITOR_ROLE)).to.be.revertedWith(
+        "Role not held"
+      );
+    });
+
+    it("should restrict case operations to the assigned case manager", async function () {
+      await contract.grantRole(CASE_MANAGER_ROLE, charlie.address);
+      await contract.grantRole(CASE_MANAGER_ROLE, dave.address);
+
+      await expect(
+        contract
+          .connect(charlie)
+          .createCase([alice.address, bob.address], 50000, 50, "Managed case")
+      )
+        .to.emit(contract, "CaseManagerAssigned")
+        .withArgs(1, charlie.address);
+      expect(await contract.caseManagers(1)).to.equal(charlie.address);
+
+      await contract.connect(charlie).updateTimeSpent(1, 10);
+      await contract.connect(charlie).setResponsibilityRatio(1, alice.address, 60);
+      await expect(contract.connect(dave).updateTimeSpent(1, 10)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+
+      await contract.assignCaseManager(1, dave.address);
+      await contract.connect(dave).setResponsibilityRatio(1, bob.address, 40);
+      await expect(contract.connect(charlie).updateTimeSpent(1, 10)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+    });
+
+    it("should drop case access when the case manager role is revoked", async function () {
+      await contract.grantRole(CASE_MANAGER_ROLE, charlie.address);
+      await contract
+        .connect(charlie)
+        .createCase([alice.address, bob.address], 50000, 50, "Managed case");
+      await contract.revokeRole(CASE_MANAGER_ROLE, charlie.address);
+
+      await expect(contract.connect(charlie).updateTimeSpent(1, 10)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await expect(contract.assignCaseManager(1, charlie.address)).to.be.revertedWith(
+        "Not a case manager"
+      );
+    });
+
+    it("should map billing and settlement to their roles", async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Test case");
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await contract.grantRole(BILLING_CLERK_ROLE, charlie.address);
+      await contract.grantRole(ARBITER_ROLE, dave.address);
+
+      await expect(contract.connect(dave).calculateFeeAllocation(1)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await contract.connect(charlie).calculateFeeAllocation(1);
+
+      await expect(contract.connect(charlie).emergencySettleCase(1)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await expect(contract.connect(dave).emergencySettleCase(1)).to.emit(contract, "CaseSettled");
+    });
+
+    it("should let auditors read party allocations", async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Test case");
+
+      await expect(contract.connect(dave).getPartyAllocation(1, alice.address)).to.be.revertedWith(
+        "Not authorized party"
+      );
+
+      await contract.grantRole(AUDITOR_ROLE, dave.address);
+      const allocation = await contract.connect(dave).getPartyAllocation(1, alice.address);
+      expect(allocation.hasPaid).to.be.false;
+    });
+
+    it("should transfer ownership in two steps", async function () {
+      await expect(contract.transferOwnership(alice.address))
+        .to.emit(contract, "OwnershipTransferStarted")
+        .withArgs(deployer.address, alice.address);
+      expect(await contract.admin()).to.equal(deployer.address);
+
+      await expect(contract.connect(bob).acceptOwnership()).to.be.revertedWith("Not pending owner");
+      await expect(contract.connect(alice).acceptOwnership())
+        .to.emit(contract, "OwnershipTransferred")
+        .withArgs(deployer.address, alice.address);
+
+      expect(await contract.admin()).to.equal(alice.address);
+      expect(await contract.pendingAdmin()).to.equal(ethers.ZeroAddress);
+      await expect(contract.grantRole(AUDITOR_ROLE, dave.address)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+    });
+  });
+
   // =====================================================
   // 9. EMERGENCY SETTLEMENT TESTS (4 tests)
   // =====================================================
@@ -643,10 +796,12 @@ describe("ConfidentialLegalFeeAllocation", function () {
       await contract.setResponsibilityRatio(1, bob.address, 50);
       await contract.calculateFeeAllocation(1);
 
-      const tx = await contract.connect(alice).recordPayment(1);
+      const tx = await contract.connect(alice).recordPayment(1, { value: PAYMENT });
       const receipt = await tx.wait();
+      await fhevm.awaitDecryptionOracle();
 
-      expect(receipt.gasUsed).to.be.lt(300000);
+      // Includes the encrypted coverage check and its decryption request
+      expect(receipt.gasUsed).to.be.lt(500000);
     });
   });
 
@@ -686,8 +841,8 @@ describe("ConfidentialLegalFeeAllocation", function () {
       await contract.setResponsibilityRatio(1, bob.address, 50);
       await contract.calculateFeeAllocation(1);
 
-      await contract.connect(alice).recordPayment(1);
-      await contract.connect(bob).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
 
       const stats = await contract.getSystemStats();
       expect(stats.active).to.equal(0);
@@ -1,5 +1,8 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, fhevm } = require("hardhat");
+const { deployContract, payAndVerify } = require("./helpers");
+
+const PAYMENT = ethers.parseEther("1");
 
 /**
  * Edge Cases and Security Tests
@@ -12,13 +15,7 @@ describe("Edge Cases and Security", function () {
   let contractAddress;
 
   async function deployFixture() {
-    const ConfidentialLegalFeeAllocation = await ethers.getContractFactory(
-      "ConfidentialLegalFeeAllocation"
-    );
-    const instance = await ConfidentialLegalFeeAllocation.deploy();
-    await instance.waitForDeployment();
-    const address = await instance.getAddress();
-    return { contract: instance, contractAddress: address };
+    return deployContract();
   }
 
   before(async function () {
@@ -123,7 +120,7 @@ describe("Edge Cases and Security", function () {
       await contract.createCase(parties, 50000, 50, "Test case");
 
       await expect(
-        contract.connect(alice).recordPayment(1)
+        contract.connect(alice).recordPayment(1, { value: PAYMENT })
       ).to.be.revertedWith("Fees not calculated");
     });
 
@@ -208,8 +205,8 @@ describe("Edge Cases and Security", function () {
       await contract.setResponsibilityRatio(1, alice.address, 50);
       await contract.setResponsibilityRatio(1, bob.address, 50);
       await contract.calculateFeeAllocation(1);
-      await contract.connect(alice).recordPayment(1);
-      await contract.connect(bob).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
 
       // Try to settle again
       await expect(contract.emergencySettleCase(1)).to.be.revertedWith(
@@ -223,7 +220,7 @@ describe("Edge Cases and Security", function () {
       await contract.emergencySettleCase(1);
 
       await expect(
-        contract.connect(alice).recordPayment(1)
+        contract.connect(alice).recordPayment(1, { value: PAYMENT })
       ).to.be.revertedWith("Case not active");
     });
   });
@@ -284,7 +281,7 @@ describe("Edge Cases and Security", function () {
       await contract.calculateFeeAllocation(1);
 
       await expect(
-        contract.connect(charlie).recordPayment(1)
+        contract.connect(charlie).recordPayment(1, { value: PAYMENT })
       ).to.be.revertedWith("Not authorized party");
     });
   });
@@ -446,7 +443,7 @@ describe("Edge Cases and Security", function () {
       await contract.calculateFeeAllocation(1);
 
       for (let i = 0; i < parties.length; i++) {
-        await contract.connect(signers[i + 1]).recordPayment(1);
+        await payAndVerify(contract, signers[i + 1], 1);
       }
 
       const caseInfo = await contract.getCaseInfo(1);
@@ -454,6 +451,332 @@ describe("Edge Cases and Security", function () {
     });
   });
 
+  // =====================================================
+  // CASE LIFECYCLE TESTS
+  // =====================================================
+
+  describe("Case Lifecycle", function () {
+    async function createCase() {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Lifecycle case");
+    }
+
+    async function calculateAndPay() {
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await contract.calculateFeeAllocation(1);
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
+    }
+
+    it("should add a party before calculation and reset responsibilities", async function () {
+      await createCase();
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+
+      await expect(contract.addParty(1, charlie.address))
+        .to.emit(contract, "PartyAdded")
+        .withArgs(1, charlie.address);
+
+      expect(await contract.getCaseParties(1)).to.deep.equal([
+        alice.address,
+        bob.address,
+        charlie.address,
+      ]);
+      expect(await contract.getPartyCases(charlie.address)).to.deep.equal([1n]);
+      await expect(contract.calculateFeeAllocation(1)).to.be.revertedWith(
+        "Responsibilities must total 100"
+      );
+
+      await contract.setResponsibilityRatio(1, alice.address, 40);
+      await contract.setResponsibilityRatio(1, bob.address, 30);
+      await contract.setResponsibilityRatio(1, charlie.address, 30);
+      await expect(contract.calculateFeeAllocation(1)).to.emit(contract, "FeeCalculated");
+
+      await expect(contract.addParty(1, dave.address)).to.be.revertedWith(
+        "Fees already calculated"
+      );
+    });
+
+    it("should remove a party and keep party indexes consistent", async function () {
+      await contract.createCase(
+        [alice.address, bob.address, charlie.address],
+        50000,
+        50,
+        "Three-party case"
+      );
+
+      await expect(contract.removeParty(1, alice.address))
+        .to.emit(contract, "PartyRemoved")
+        .withArgs(1, alice.address);
+
+      expect(await contract.getCaseParties(1)).to.deep.equal([bob.address, charlie.address]);
+      expect(await contract.getPartyCases(alice.address)).to.deep.equal([]);
+      expect(await contract.isPartyInCase(1, alice.address)).to.be.false;
+      expect((await contract.getCaseInfo(1)).partyCount).to.equal(2);
+
+      await expect(contract.removeParty(1, bob.address)).to.be.revertedWith("Too few parties");
+      await expect(contract.removeParty(1, alice.address)).to.be.revertedWith("Party not in case");
+      await expect(contract.addParty(1, bob.address)).to.be.revertedWith("Party already in case");
+      await expect(contract.connect(eve).addParty(1, dave.address)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+    });
+
+    it("should cancel a case without settling and allow refunds", async function () {
+      await createCase();
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await contract.calculateFeeAllocation(1);
+      await payAndVerify(contract, alice, 1);
+
+      await expect(contract.cancelCase(1))
+        .to.emit(contract, "CaseCancelled")
+        .withArgs(1, deployer.address);
+
+      const caseInfo = await contract.getCaseInfo(1);
+      expect(caseInfo.isActive).to.be.false;
+      expect(caseInfo.isSettled).to.be.false;
+      expect((await contract.getCaseLifecycle(1)).isCancelled).to.be.true;
+
+      const stats = await contract.getSystemStats();
+      expect(stats.active).to.equal(0);
+      expect(stats.settled).to.equal(0);
+
+      await expect(contract.connect(bob).recordPayment(1, { value: PAYMENT })).to.be.revertedWith(
+        "Case not active"
+      );
+      // Alice gets back her deposit towards the share and what she paid beyond it
+      const { depositedAmount } = await contract.getPartyAllocation(1, alice.address);
+      await expect(contract.connect(alice).requestRefund(1)).to.changeEtherBalance(
+        alice,
+        depositedAmount
+      );
+      await expect(contract.connect(alice).withdrawOverpayment(1)).to.changeEtherBalance(
+        alice,
+        PAYMENT - depositedAmount
+      );
+      await expect(contract.cancelCase(1)).to.be.revertedWith("Case not active");
+    });
+
+    it("should reopen a settled case for supplemental billing", async function () {
+      await createCase();
+      await contract["recordExpense(uint256,uint64,bytes32)"](
+        1,
+        400,
+        ethers.encodeBytes32String("E112")
+      );
+      await calculateAndPay();
+
+      await expect(contract.reopenCase(1, 2000)).to.emit(contract, "CaseReopened").withArgs(1, 1);
+
+      const caseInfo = await contract.getCaseInfo(1);
+      expect(caseInfo.isActive).to.be.true;
+      expect(caseInfo.isSettled).to.be.false;
+      expect((await contract.getSystemStats()).active).to.equal(1);
+      expect((await contract.getPartyAllocation(1, alice.address)).hasPaid).to.be.false;
+      expect((await contract.getEscrowInfo(1)).isReleased).to.be.false;
+      await expect(contract.voidExpense(1, 0)).to.be.revertedWith("Expense already settled");
+
+      await expect(contract.connect(alice).recordPayment(1, { value: PAYMENT })).to.be.revertedWith(
+        "Fees not calculated"
+      );
+      await contract.calculateFeeAllocation(1);
+      await payAndVerify(contract, alice, 1);
+
+      // Only the supplemental deposits are released, not the already paid-out first bill
+      await payAndVerify(contract, bob, 1);
+      const released = await contract.queryFilter(contract.filters.EscrowReleased(1));
+      const deposited = async (party) =>
+        (await contract.getPartyAllocation(1, party.address)).depositedAmount;
+      expect(released).to.have.lengthOf(2);
+      expect(released[1].args.amount).to.equal((await deposited(alice)) + (await deposited(bob)));
+
+      // Everything paid beyond both bills stays available to the parties
+      const overpaid =
+        (await contract.getOverpayment(1, alice.address)) +
+        (await contract.getOverpayment(1, bob.address));
+      expect(released[0].args.amount + released[1].args.amount + overpaid).to.equal(PAYMENT * 4n);
+      expect(await ethers.provider.getBalance(contractAddress)).to.equal(overpaid);
+
+      await expect(contract.connect(eve).reopenCase(1, 0)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await expect(contract.reopenCase(2, 0)).to.be.revertedWith("Invalid case");
+    });
+
+    it("should archive closed cases and block reopening them", async function () {
+      await createCase();
+      await expect(contract.archiveCase(1)).to.be.revertedWith("Case still active");
+      await expect(contract.reopenCase(1, 0)).to.be.revertedWith("Case not settled");
+
+      await calculateAndPay();
+      await expect(contract.archiveCase(1)).to.emit(contract, "CaseArchived").withArgs(1);
+
+      expect((await contract.getCaseLifecycle(1)).isArchived).to.be.true;
+      expect(await contract.getPartyCases(alice.address)).to.deep.equal([1n]);
+      await expect(contract.archiveCase(1)).to.be.revertedWith("Case already archived");
+      await expect(contract.reopenCase(1, 0)).to.be.revertedWith("Case is archived");
+    });
+  });
+
+  // =====================================================
+  // CIRCUIT BREAKER TESTS
+  // =====================================================
+
+  describe("Circuit Breaker", function () {
+    let GUARDIAN_ROLE;
+
+    async function advance(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    beforeEach(async function () {
+      GUARDIAN_ROLE = await contract.GUARDIAN_ROLE();
+      await contract.grantRole(GUARDIAN_ROLE, eve.address);
+
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Paused case");
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await contract.calculateFeeAllocation(1);
+      await payAndVerify(contract, alice, 1);
+    });
+
+    it("should block state changes while paused but keep timeouts and refunds open", async function () {
+      await contract.requestFeeDecryption(1);
+
+      await expect(contract.connect(eve).pause("Oracle incident"))
+        .to.emit(contract, "SystemPaused")
+        .withArgs(eve.address, "Oracle incident");
+      expect(await contract.paused()).to.be.true;
+
+      await expect(
+        contract.createCase([alice.address, bob.address], 50000, 50, "Blocked")
+      ).to.be.revertedWith("System paused");
+      await expect(contract.connect(bob).recordPayment(1, { value: PAYMENT })).to.be.revertedWith(
+        "System paused"
+      );
+      await expect(contract.emergencySettleCase(1)).to.be.revertedWith("System paused");
+      await expect(contract.setDisputeWindow(2 * 24 * 60 * 60)).to.be.revertedWith("System paused");
+
+      // Funds can still be recovered
+      await advance(7 * 24 * 60 * 60);
+      await expect(contract.handleDecryptionTimeout(1)).to.emit(contract, "TimeoutTriggered");
+      const { depositedAmount } = await contract.getPartyAllocation(1, alice.address);
+      await expect(contract.connect(alice).requestRefund(1)).to.changeEtherBalance(
+        alice,
+        depositedAmount
+      );
+
+      // Administration keeps working so the incident can be handled
+      await contract.grantRole(GUARDIAN_ROLE, dave.address);
+
+      await expect(contract.connect(dave).unpause("Oracle restored"))
+        .to.emit(contract, "SystemUnpaused")
+        .withArgs(dave.address, "Oracle restored");
+      await expect(
+        contract.createCase([alice.address, bob.address], 50000, 50, "After pause")
+      ).to.emit(contract, "CaseCreated");
+    });
+
+    it("should freeze a single case", async function () {
+      await contract.createCase([charlie.address, dave.address], 20000, 30, "Unaffected case");
+
+      await expect(contract.connect(eve).freezeCase(1, "Suspected fraud"))
+        .to.emit(contract, "CaseFrozen")
+        .withArgs(1, eve.address, "Suspected fraud");
+      expect(await contract.frozenCases(1)).to.be.true;
+
+      await expect(contract.connect(bob).recordPayment(1, { value: PAYMENT })).to.be.revertedWith(
+        "Case frozen"
+      );
+      await expect(contract.calculateFeeAllocation(1)).to.be.revertedWith("Case frozen");
+      await expect(contract.cancelCase(1)).to.be.revertedWith("Case frozen");
+      await expect(contract.emergencySettleCase(1)).to.be.revertedWith("Case frozen");
+      await contract.setResponsibilityRatio(2, charlie.address, 50);
+
+      await advance(90 * 24 * 60 * 60);
+      await contract.handleCaseTimeout(1);
+      const { depositedAmount } = await contract.getPartyAllocation(1, alice.address);
+      await expect(contract.connect(alice).requestRefund(1)).to.changeEtherBalance(
+        alice,
+        depositedAmount
+      );
+
+      await expect(contract.connect(eve).unfreezeCase(1, "Cleared"))
+        .to.emit(contract, "CaseUnfrozen")
+        .withArgs(1, eve.address, "Cleared");
+      expect(await contract.frozenCases(1)).to.be.false;
+    });
+
+    it("should record a verified payment on a frozen case but settle only once unfrozen", async function () {
+      await contract.connect(bob).recordPayment(1, { value: PAYMENT });
+      await contract.connect(eve).freezeCase(1, "Suspected fraud");
+      await fhevm.awaitDecryptionOracle();
+
+      expect((await contract.getPartyAllocation(1, bob.address)).hasPaid).to.be.true;
+      expect(await contract.queryFilter(contract.filters.SettlementDeferred(1))).to.have.length(1);
+      expect((await contract.getCaseInfo(1)).isSettled).to.be.false;
+      expect((await contract.getEscrowInfo(1)).isReleased).to.be.false;
+
+      await expect(contract.connect(eve).unfreezeCase(1, "Cleared"))
+        .to.emit(contract, "CaseSettled")
+        .and.to.emit(contract, "EscrowReleased");
+    });
+
+    it("should settle cases completed during a pause once nothing holds them", async function () {
+      await contract.connect(bob).recordPayment(1, { value: PAYMENT });
+      await contract.connect(eve).pause("Incident");
+      await contract.connect(eve).freezeCase(1, "Under review");
+      await fhevm.awaitDecryptionOracle();
+      expect((await contract.getCaseInfo(1)).isSettled).to.be.false;
+
+      // Still frozen after the pause is lifted
+      await expect(contract.connect(eve).unpause("Resolved")).not.to.emit(contract, "CaseSettled");
+      await expect(contract.connect(eve).unfreezeCase(1, "Cleared")).to.emit(
+        contract,
+        "CaseSettled"
+      );
+
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Second case");
+      await contract.setResponsibilityRatio(2, alice.address, 50);
+      await contract.setResponsibilityRatio(2, bob.address, 50);
+      await contract.calculateFeeAllocation(2);
+      await payAndVerify(contract, alice, 2);
+      await contract.connect(bob).recordPayment(2, { value: PAYMENT });
+      await contract.connect(eve).pause("Incident");
+      await fhevm.awaitDecryptionOracle();
+      expect((await contract.getCaseInfo(2)).isSettled).to.be.false;
+
+      await expect(contract.connect(eve).unpause("Resolved")).to.emit(contract, "CaseSettled");
+      expect((await contract.getCaseInfo(2)).isSettled).to.be.true;
+    });
+
+    it("should restrict the circuit breaker to guardians", async function () {
+      await expect(contract.connect(alice).pause("No")).to.be.revertedWith("Unauthorized access");
+      await expect(contract.connect(alice).freezeCase(1, "No")).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await expect(contract.connect(eve).freezeCase(2, "No")).to.be.revertedWith("Invalid case");
+
+      await expect(contract.connect(eve).unpause("Not paused")).to.be.revertedWith(
+        "System not paused"
+      );
+      await expect(contract.connect(eve).unfreezeCase(1, "Not frozen")).to.be.revertedWith(
+        "Case not frozen"
+      );
+
+      await contract.connect(eve).pause("Incident");
+      await expect(contract.connect(eve).pause("Again")).to.be.revertedWith("System paused");
+
+      await contract.revokeRole(GUARDIAN_ROLE, eve.address);
+      await expect(contract.connect(eve).unpause("Revoked")).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await contract.unpause("Owner lifts the pause");
+    });
+  });
+
   // =====================================================
   // GAS LIMIT TESTS
   // =====================================================
@@ -1,5 +1,16 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
+const { deployContract, payAndVerify } = require("./helpers");
+const {
+  deployImplementation,
+  upgradeLegalFeeAllocation,
+} = require("../scripts/lib/legalFeeAllocation");
+const { getStorageLayout, findStorageLayoutErrors } = require("../scripts/lib/storageLayout");
+
+const { ethers, fhevm } = hre;
+
+const PAYMENT = ethers.parseEther("1");
 
 /**
  * Integration Tests for Complete Workflows
@@ -12,13 +23,7 @@ describe("Integration Workflows", function () {
   let contractAddress;
 
   async function deployFixture() {
-    const ConfidentialLegalFeeAllocation = await ethers.getContractFactory(
-      "ConfidentialLegalFeeAllocation"
-    );
-    const instance = await ConfidentialLegalFeeAllocation.deploy();
-    await instance.waitForDeployment();
-    const address = await instance.getAddress();
-    return { contract: instance, contractAddress: address };
+    return deployContract();
   }
 
   before(async function () {
@@ -59,11 +64,11 @@ describe("Integration Workflows", function () {
       await contract.calculateFeeAllocation(1);
 
       // Step 5: Both parties pay
-      await contract.connect(alice).recordPayment(1);
-      const tx = await contract.connect(bob).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
 
       // Step 6: Verify case settled
-      await expect(tx).to.emit(contract, "CaseSettled");
+      expect(await contract.queryFilter(contract.filters.CaseSettled(1))).to.have.lengthOf(1);
 
       const caseInfo = await contract.getCaseInfo(1);
       expect(caseInfo.isSettled).to.be.true;
@@ -83,7 +88,7 @@ describe("Integration Workflows", function () {
       await contract.calculateFeeAllocation(1);
 
       // Only alice pays
-      await contract.connect(alice).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
 
       // Case should still be active
       const caseInfo = await contract.getCaseInfo(1);
@@ -126,17 +131,17 @@ describe("Integration Workflows", function () {
       await contract.calculateFeeAllocation(1);
 
       // Step 5: Record payments sequentially
-      await contract.connect(alice).recordPayment(1);
-      await contract.connect(bob).recordPayment(1);
-      await contract.connect(charlie).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
+      await payAndVerify(contract, charlie, 1);
 
       // Case still active (dave hasn't paid)
       let stats = await contract.getSystemStats();
       expect(stats.active).to.equal(1);
 
       // Dave pays, case settles
-      const tx = await contract.connect(dave).recordPayment(1);
-      await expect(tx).to.emit(contract, "CaseSettled");
+      await payAndVerify(contract, dave, 1);
+      expect(await contract.queryFilter(contract.filters.CaseSettled(1))).to.have.lengthOf(1);
 
       stats = await contract.getSystemStats();
       expect(stats.settled).to.equal(1);
@@ -152,8 +157,8 @@ describe("Integration Workflows", function () {
       await contract.calculateFeeAllocation(1);
 
       // Alice and Bob pay
-      await contract.connect(alice).recordPayment(1);
-      await contract.connect(bob).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
 
       // Check payment statuses
       const aliceAllocation = await contract.getPartyAllocation(1, alice.address);
@@ -181,7 +186,7 @@ describe("Integration Workflows", function () {
       await contract.calculateFeeAllocation(1);
 
       // Only one party pays
-      await contract.connect(alice).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
 
       // Admin forces settlement
       const tx = await contract.emergencySettleCase(1);
@@ -244,8 +249,8 @@ describe("Integration Workflows", function () {
       await contract.setResponsibilityRatio(1, alice.address, 50);
       await contract.setResponsibilityRatio(1, bob.address, 50);
       await contract.calculateFeeAllocation(1);
-      await contract.connect(alice).recordPayment(1);
-      await contract.connect(bob).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
 
       // Emergency settle second case
       await contract.emergencySettleCase(2);
@@ -306,8 +311,8 @@ describe("Integration Workflows", function () {
       await contract.calculateFeeAllocation(1);
 
       // Complete payment and settlement
-      await contract.connect(alice).recordPayment(1);
-      await contract.connect(bob).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
 
       const caseInfo = await contract.getCaseInfo(1);
       expect(caseInfo.isSettled).to.be.true;
@@ -337,9 +342,9 @@ describe("Integration Workflows", function () {
       await contract.calculateFeeAllocation(1);
 
       // Complete workflow
-      await contract.connect(alice).recordPayment(1);
-      await contract.connect(bob).recordPayment(1);
-      await contract.connect(charlie).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
+      await payAndVerify(contract, charlie, 1);
 
       const caseInfo = await contract.getCaseInfo(1);
       expect(caseInfo.isSettled).to.be.true;
@@ -367,8 +372,8 @@ describe("Integration Workflows", function () {
         await contract.setResponsibilityRatio(i, alice.address, 50);
         await contract.setResponsibilityRatio(i, bob.address, 50);
         await contract.calculateFeeAllocation(i);
-        await contract.connect(alice).recordPayment(i);
-        await contract.connect(bob).recordPayment(i);
+        await payAndVerify(contract, alice, i);
+        await payAndVerify(contract, bob, i);
 
         const caseInfo = await contract.getCaseInfo(i);
         expect(caseInfo.isSettled).to.be.true;
@@ -396,8 +401,8 @@ describe("Integration Workflows", function () {
       await contract.setResponsibilityRatio(1, alice.address, 50);
       await contract.setResponsibilityRatio(1, bob.address, 50);
       await contract.calculateFeeAllocation(1);
-      await contract.connect(alice).recordPayment(1);
-      await contract.connect(bob).recordPayment(1);
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
 
       // Emergency settlement for case 2
       await contract.emergencySettleCase(2);
@@ -409,4 +414,3008 @@ describe("Integration Workflows", function () {
       expect(stats.settled).to.equal(2);
     });
   });
+
+  // =====================================================
+  // WORKFLOW 9: Escrowed Payments
+  // =====================================================
+
+  describe("Workflow 9: Escrowed Payments", function () {
+    const TOKEN_PAYMENT = 10n ** 9n;
+
+    async function calculatedCase(parties) {
+      await contract.createCase(parties, 50000, 50, "Escrow case");
+      await contract.updateTimeSpent(1, 40);
+      const share = Math.floor(100 / parties.length);
+      for (const [index, party] of parties.entries()) {
+        const remainder = index === 0 ? 100 % parties.length : 0;
+        await contract.setResponsibilityRatio(1, party, share + remainder);
+      }
+      await contract.calculateFeeAllocation(1);
+    }
+
+    async function allocationOf(party) {
+      const { allocatedAmount } = await contract.getAllocationHandles(1, party.address);
+      return fhevm.userDecryptEuint(FhevmType.euint64, allocatedAmount, contractAddress, party);
+    }
+
+    it("should hold ETH deposits until settlement and release them to the payee", async function () {
+      await calculatedCase([alice.address, bob.address]);
+      const aliceShare = await allocationOf(alice);
+      const bobShare = await allocationOf(bob);
+
+      await expect(
+        contract.connect(alice).recordPayment(1, { value: PAYMENT })
+      ).to.changeEtherBalances([alice, contract], [-PAYMENT, PAYMENT]);
+      await fhevm.awaitDecryptionOracle();
+
+      const escrow = await contract.getEscrowInfo(1);
+      expect(escrow.payee).to.equal(deployer.address);
+      expect(escrow.totalDeposited).to.equal(PAYMENT);
+      expect(escrow.isReleased).to.be.false;
+
+      await expect(
+        contract.connect(bob).recordPayment(1, { value: PAYMENT * 2n })
+      ).to.changeEtherBalances([bob, contract], [-(PAYMENT * 2n), PAYMENT * 2n]);
+      await fhevm.awaitDecryptionOracle();
+
+      // The payee gets the shares; what the parties paid beyond them is credited back
+      const released = await contract.queryFilter(contract.filters.EscrowReleased(1));
+      expect(released).to.have.lengthOf(1);
+      expect(released[0].args.payee).to.equal(deployer.address);
+      expect(released[0].args.amount).to.equal(aliceShare + bobShare);
+      expect(await ethers.provider.getBalance(contractAddress)).to.equal(
+        PAYMENT * 3n - aliceShare - bobShare
+      );
+
+      const allocation = await contract.connect(bob).getPartyAllocation(1, bob.address);
+      expect(allocation.depositedAmount).to.equal(bobShare);
+      expect(await contract.getOverpayment(1, bob.address)).to.equal(PAYMENT * 2n - bobShare);
+      expect((await contract.getEscrowInfo(1)).totalRefunded).to.equal(
+        PAYMENT * 3n - aliceShare - bobShare
+      );
+    });
+
+    it("should let parties withdraw what they paid beyond their share", async function () {
+      await calculatedCase([alice.address, bob.address]);
+      const aliceShare = await allocationOf(alice);
+
+      // Credited once the Gateway confirms the deposit covers the share
+      await payAndVerify(contract, alice, 1);
+      const [credited] = await contract.queryFilter(contract.filters.OverpaymentCredited(1));
+      expect(credited.args.party).to.equal(alice.address);
+      expect(credited.args.amount).to.equal(PAYMENT - aliceShare);
+
+      await expect(contract.connect(alice).withdrawOverpayment(1))
+        .to.emit(contract, "OverpaymentWithdrawn")
+        .withArgs(1, alice.address, PAYMENT - aliceShare);
+      expect(await contract.getOverpayment(1, alice.address)).to.equal(0);
+      await expect(contract.connect(alice).withdrawOverpayment(1)).to.be.revertedWith(
+        "No overpayment to withdraw"
+      );
+      expect(await ethers.provider.getBalance(contractAddress)).to.equal(aliceShare);
+
+      await payAndVerify(contract, bob, 1);
+      await expect(contract.connect(bob).withdrawOverpayment(1)).to.changeEtherBalances(
+        [bob, contract],
+        [PAYMENT - (await allocationOf(bob)), -(PAYMENT - (await allocationOf(bob)))]
+      );
+      expect(await ethers.provider.getBalance(contractAddress)).to.equal(0);
+    });
+
+    it("should mark a party paid when it deposits exactly its share", async function () {
+      await calculatedCase([alice.address, bob.address]);
+      const aliceShare = await allocationOf(alice);
+      const bobShare = await allocationOf(bob);
+
+      await payAndVerify(contract, alice, 1, aliceShare);
+      const allocation = await contract.connect(alice).getPartyAllocation(1, alice.address);
+      expect(allocation.hasPaid).to.be.true;
+      expect(allocation.depositedAmount).to.equal(aliceShare);
+      expect(await contract.getOverpayment(1, alice.address)).to.equal(0);
+
+      await payAndVerify(contract, bob, 1, bobShare);
+      expect(await contract.queryFilter(contract.filters.OverpaymentCredited(1))).to.be.empty;
+      const [released] = await contract.queryFilter(contract.filters.EscrowReleased(1));
+      expect(released.args.amount).to.equal(aliceShare + bobShare);
+      expect(await ethers.provider.getBalance(contractAddress)).to.equal(0);
+    });
+
+    it("should not mark a party paid one unit short of its share", async function () {
+      await calculatedCase([alice.address, bob.address]);
+      const aliceShare = await allocationOf(alice);
+
+      await payAndVerify(contract, alice, 1, aliceShare - 1n);
+      const [check] = await contract.queryFilter(contract.filters.ConfidentialPaymentVerified(1));
+      expect(check.args.coversAllocation).to.be.false;
+      expect((await contract.connect(alice).getPartyAllocation(1, alice.address)).hasPaid).to.be
+        .false;
+
+      await payAndVerify(contract, alice, 1, 1n);
+      const allocation = await contract.connect(alice).getPartyAllocation(1, alice.address);
+      expect(allocation.hasPaid).to.be.true;
+      expect(allocation.depositedAmount).to.equal(aliceShare);
+      expect(await contract.getOverpayment(1, alice.address)).to.equal(0);
+    });
+
+    it("should collect and release ERC-20 deposits to a configured payee", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy("Fee Token", "FEE");
+      await token.waitForDeployment();
+
+      await calculatedCase([alice.address, bob.address]);
+      await contract.configureEscrow(1, await token.getAddress(), charlie.address);
+
+      for (const party of [alice, bob]) {
+        await token.mint(party.address, TOKEN_PAYMENT);
+        await token.connect(party).approve(contractAddress, TOKEN_PAYMENT);
+      }
+
+      await expect(contract.connect(alice).recordPayment(1, { value: PAYMENT })).to.be.revertedWith(
+        "Case expects token payment"
+      );
+
+      await expect(
+        contract.connect(alice).recordTokenPayment(1, TOKEN_PAYMENT)
+      ).to.changeTokenBalances(token, [alice, contract], [-TOKEN_PAYMENT, TOKEN_PAYMENT]);
+      await fhevm.awaitDecryptionOracle();
+      await contract.connect(bob).recordTokenPayment(1, TOKEN_PAYMENT);
+      await fhevm.awaitDecryptionOracle();
+
+      const caseInfo = await contract.getCaseInfo(1);
+      const shares = (await allocationOf(alice)) + (await allocationOf(bob));
+      expect(caseInfo.isSettled).to.be.true;
+      expect(await token.balanceOf(charlie.address)).to.equal(shares);
+      expect(await token.balanceOf(contractAddress)).to.equal(TOKEN_PAYMENT * 2n - shares);
+
+      await contract.connect(alice).withdrawOverpayment(1);
+      await contract.connect(bob).withdrawOverpayment(1);
+      expect(await token.balanceOf(contractAddress)).to.equal(0);
+    });
+
+    it("should not mark underpaying parties as paid or settle the case", async function () {
+      await calculatedCase([alice.address, bob.address]);
+
+      await expect(contract.connect(alice).recordPayment(1, { value: 600 }))
+        .to.emit(contract, "ConfidentialPaymentSubmitted");
+      await fhevm.awaitDecryptionOracle();
+      await payAndVerify(contract, bob, 1, 400n);
+
+      const checks = await contract.queryFilter(contract.filters.ConfidentialPaymentVerified(1));
+      expect(checks.map((event) => event.args.coversAllocation)).to.deep.equal([false, false]);
+      expect((await contract.connect(alice).getPartyAllocation(1, alice.address)).hasPaid).to.be
+        .false;
+      expect((await contract.getCaseInfo(1)).isSettled).to.be.false;
+      expect((await contract.getEscrowInfo(1)).isReleased).to.be.false;
+
+      // Topping up re-checks the running total
+      await payAndVerify(contract, alice, 1);
+      const allocation = await contract.connect(alice).getPartyAllocation(1, alice.address);
+      expect(allocation.hasPaid).to.be.true;
+      expect(allocation.depositedAmount).to.equal(await allocationOf(alice));
+      const overpayment = await contract.getOverpayment(1, alice.address);
+      expect(allocation.depositedAmount + overpayment).to.equal(PAYMENT + 600n);
+      expect((await contract.getCaseInfo(1)).isSettled).to.be.false;
+    });
+
+    it("should not allow reconfiguring escrow after deposits", async function () {
+      await calculatedCase([alice.address, bob.address]);
+      await payAndVerify(contract, alice, 1);
+
+      await expect(
+        contract.configureEscrow(1, ethers.ZeroAddress, charlie.address)
+      ).to.be.revertedWith("Escrow already funded");
+    });
+
+    it("should reject payments without a deposit", async function () {
+      await calculatedCase([alice.address, bob.address]);
+
+      await expect(contract.connect(alice).recordPayment(1)).to.be.revertedWith(
+        "Payment amount required"
+      );
+    });
+
+    it("should return deposits on refund after case timeout", async function () {
+      await calculatedCase([alice.address, bob.address, charlie.address]);
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
+
+      await ethers.provider.send("evm_increaseTime", [90 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine", []);
+      await contract.handleCaseTimeout(1);
+
+      await expect(
+        contract.connect(charlie).recordPayment(1, { value: PAYMENT })
+      ).to.be.revertedWith("Case is refundable");
+
+      // Paid parties get their share back; what they paid beyond it was already credited
+      const aliceShare = await allocationOf(alice);
+      const bobShare = await allocationOf(bob);
+      await expect(contract.connect(alice).requestRefund(1))
+        .to.emit(contract, "RefundIssued")
+        .withArgs(1, alice.address, aliceShare);
+      await expect(contract.connect(bob).requestRefund(1)).to.changeEtherBalances(
+        [bob, contract],
+        [bobShare, -bobShare]
+      );
+
+      await expect(contract.connect(alice).requestRefund(1)).to.be.revertedWith("Already refunded");
+      await expect(contract.connect(charlie).requestRefund(1)).to.be.revertedWith(
+        "No deposit to refund"
+      );
+
+      const escrow = await contract.getEscrowInfo(1);
+      expect(escrow.totalRefunded).to.equal(PAYMENT * 2n);
+      await contract.connect(alice).withdrawOverpayment(1);
+      await contract.connect(bob).withdrawOverpayment(1);
+      expect(await ethers.provider.getBalance(contractAddress)).to.equal(0);
+    });
+
+    it("should release only unrefunded deposits on emergency settlement", async function () {
+      await calculatedCase([alice.address, bob.address]);
+      await payAndVerify(contract, alice, 1);
+
+      const aliceShare = await allocationOf(alice);
+      await expect(contract.emergencySettleCase(1)).to.changeEtherBalances(
+        [contract, deployer],
+        [-aliceShare, aliceShare]
+      );
+
+      const escrow = await contract.getEscrowInfo(1);
+      expect(escrow.isReleased).to.be.true;
+    });
+
+    it("should not emergency-settle a case whose deposits are refundable", async function () {
+      await calculatedCase([alice.address, bob.address]);
+      await payAndVerify(contract, alice, 1);
+
+      await ethers.provider.send("evm_increaseTime", [90 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine", []);
+      await contract.handleCaseTimeout(1);
+
+      await expect(contract.emergencySettleCase(1)).to.be.revertedWith("Case is refundable");
+      expect((await contract.getEscrowInfo(1)).isReleased).to.be.false;
+      await expect(contract.connect(alice).requestRefund(1)).to.changeEtherBalance(
+        alice,
+        await allocationOf(alice)
+      );
+    });
+  });
+
+  // =====================================================
+  // WORKFLOW 10: Confidential Token Payments
+  // =====================================================
+
+  describe("Workflow 10: Confidential Token Payments", function () {
+    let token, tokenAddress;
+
+    beforeEach(async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+
+      const MockConfidentialToken = await ethers.getContractFactory("MockConfidentialToken");
+      token = await MockConfidentialToken.deploy();
+      await token.waitForDeployment();
+      tokenAddress = await token.getAddress();
+
+      const operatorUntil = 2n ** 48n - 1n;
+      for (const party of [alice, bob]) {
+        await token.mint(party.address, 100_000_000n);
+        await token.connect(party).setOperator(contractAddress, operatorUntil);
+      }
+
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Confidential case");
+      await contract.updateTimeSpent(1, 40);
+      await contract.setResponsibilityRatio(1, alice.address, 60);
+      await contract.setResponsibilityRatio(1, bob.address, 40);
+      await contract.configureConfidentialEscrow(1, tokenAddress, charlie.address);
+      await contract.calculateFeeAllocation(1);
+    });
+
+    async function allocationOf(party) {
+      const { allocatedAmount } = await contract.getAllocationHandles(1, party.address);
+      return fhevm.userDecryptEuint(FhevmType.euint64, allocatedAmount, contractAddress, party);
+    }
+
+    async function payConfidential(party, amount) {
+      const input = fhevm.createEncryptedInput(contractAddress, party.address);
+      input.add64(amount);
+      const encrypted = await input.encrypt();
+
+      const tx = await contract
+        .connect(party)
+        .recordConfidentialPayment(1, encrypted.handles[0], encrypted.inputProof);
+      await fhevm.awaitDecryptionOracle();
+      return tx;
+    }
+
+    async function tokenBalanceOf(account) {
+      const handle = await token.confidentialBalanceOf(account.address);
+      return fhevm.userDecryptEuint(FhevmType.euint64, handle, tokenAddress, account);
+    }
+
+    it("should mark a party paid once the encrypted payment covers the allocation", async function () {
+      const owed = await allocationOf(alice);
+
+      await expect(payConfidential(alice, owed)).to.emit(contract, "ConfidentialPaymentSubmitted");
+
+      const allocation = await contract.connect(alice).getPartyAllocation(1, alice.address);
+      expect(allocation.hasPaid).to.be.true;
+      expect(await tokenBalanceOf(alice)).to.equal(100_000_000n - owed);
+    });
+
+    it("should keep an underpayment in escrow until it is topped up", async function () {
+      const owed = await allocationOf(alice);
+
+      await payConfidential(alice, owed - 1n);
+      let allocation = await contract.connect(alice).getPartyAllocation(1, alice.address);
+      expect(allocation.hasPaid).to.be.false;
+
+      const status = await contract.connect(alice).getConfidentialPayment(1, alice.address);
+      expect(status.verificationPending).to.be.false;
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint64, status.paidAmount, contractAddress, alice)
+      ).to.equal(owed - 1n);
+
+      await payConfidential(alice, 1n);
+      allocation = await contract.connect(alice).getPartyAllocation(1, alice.address);
+      expect(allocation.hasPaid).to.be.true;
+    });
+
+    it("should settle and release the encrypted escrow to the payee", async function () {
+      const aliceOwed = await allocationOf(alice);
+      const bobOwed = await allocationOf(bob);
+
+      await payConfidential(alice, aliceOwed);
+      await payConfidential(bob, bobOwed);
+
+      const caseInfo = await contract.getCaseInfo(1);
+      expect(caseInfo.isSettled).to.be.true;
+      expect(await tokenBalanceOf(charlie)).to.equal(aliceOwed + bobOwed);
+    });
+
+    it("should not mark a party paid against an allocation recalculated meanwhile", async function () {
+      const owed = await allocationOf(alice);
+      const input = fhevm.createEncryptedInput(contractAddress, alice.address);
+      input.add64(owed);
+      const encrypted = await input.encrypt();
+      await contract
+        .connect(alice)
+        .recordConfidentialPayment(1, encrypted.handles[0], encrypted.inputProof);
+
+      // Fees change before the Gateway answers the coverage check
+      await contract.updateTimeSpent(1, 10);
+      await contract.calculateFeeAllocation(1);
+
+      await fhevm.awaitDecryptionOracle();
+      const allocation = await contract.connect(alice).getPartyAllocation(1, alice.address);
+      expect(allocation.hasPaid).to.be.false;
+
+      await payConfidential(alice, (await allocationOf(alice)) - owed);
+      expect((await contract.connect(alice).getPartyAllocation(1, alice.address)).hasPaid).to.be
+        .true;
+    });
+
+    it("should reject plaintext payments for confidential escrow", async function () {
+      await expect(contract.connect(alice).recordPayment(1, { value: PAYMENT })).to.be.revertedWith(
+        "Case expects token payment"
+      );
+      await expect(contract.connect(alice).recordTokenPayment(1, 100n)).to.be.revertedWith(
+        "Case expects confidential payment"
+      );
+    });
+
+    it("should refund the encrypted deposit after case timeout", async function () {
+      const owed = await allocationOf(alice);
+      await payConfidential(alice, owed);
+
+      await ethers.provider.send("evm_increaseTime", [90 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine", []);
+      await contract.handleCaseTimeout(1);
+
+      await expect(contract.connect(alice).requestRefund(1))
+        .to.emit(contract, "ConfidentialRefundIssued")
+        .withArgs(1, alice.address);
+      expect(await tokenBalanceOf(alice)).to.equal(100_000_000n);
+
+      await expect(contract.connect(bob).requestRefund(1)).to.be.revertedWith(
+        "No deposit to refund"
+      );
+    });
+  });
+
+  describe("Workflow 11: Encrypted Case Inputs", function () {
+    beforeEach(function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+    });
+
+    async function encryptFor(signer, build) {
+      const input = fhevm.createEncryptedInput(contractAddress, signer.address);
+      build(input);
+      return input.encrypt();
+    }
+
+    async function createEncryptedCase(fee, complexity) {
+      const encrypted = await encryptFor(deployer, (input) => input.add64(fee).add32(complexity));
+      return contract["createCase(address[],bytes32,bytes32,bytes,string)"](
+        [alice.address, bob.address],
+        encrypted.handles[0],
+        encrypted.handles[1],
+        encrypted.inputProof,
+        "Encrypted case"
+      );
+    }
+
+    async function setEncryptedResponsibility(party, percentage) {
+      const encrypted = await encryptFor(deployer, (input) => input.add32(percentage));
+      return contract["setResponsibilityRatio(uint256,address,bytes32,bytes)"](
+        1,
+        party.address,
+        encrypted.handles[0],
+        encrypted.inputProof
+      );
+    }
+
+    async function responsibilityOf(party) {
+      const { responsibility } = await contract.getAllocationHandles(1, party.address);
+      return fhevm.userDecryptEuint(FhevmType.euint32, responsibility, contractAddress, party);
+    }
+
+    it("should create a case from encrypted fee and complexity", async function () {
+      await expect(createEncryptedCase(50000n, 50)).to.emit(contract, "CaseCreated");
+
+      const caseInfo = await contract.getCaseInfo(1);
+      expect(caseInfo.partyCount).to.equal(2);
+      expect(caseInfo.isActive).to.be.true;
+      expect(await contract.connect(alice).isPartyInCase(1, alice.address)).to.be.true;
+    });
+
+    it("should run the full allocation workflow on encrypted inputs", async function () {
+      await createEncryptedCase(50000n, 50);
+
+      const hours = await encryptFor(deployer, (input) => input.add32(40));
+      await contract["updateTimeSpent(uint256,bytes32,bytes)"](
+        1,
+        hours.handles[0],
+        hours.inputProof
+      );
+      await setEncryptedResponsibility(alice, 60);
+      await setEncryptedResponsibility(bob, 40);
+
+      await expect(contract.calculateFeeAllocation(1)).to.emit(contract, "FeeCalculated");
+
+      expect(await responsibilityOf(alice)).to.equal(60n);
+      expect(await responsibilityOf(bob)).to.equal(40n);
+    });
+
+    it("should clamp out-of-range encrypted responsibility to 100", async function () {
+      await createEncryptedCase(50000n, 50);
+
+      await expect(setEncryptedResponsibility(alice, 250))
+        .to.emit(contract, "AllocationUpdated")
+        .withArgs(1, alice.address);
+
+      expect(await responsibilityOf(alice)).to.equal(100n);
+    });
+
+    it("should reject encrypted inputs bound to another sender", async function () {
+      const encrypted = await encryptFor(alice, (input) => input.add64(50000n).add32(50));
+
+      await expect(
+        contract["createCase(address[],bytes32,bytes32,bytes,string)"](
+          [alice.address, bob.address],
+          encrypted.handles[0],
+          encrypted.handles[1],
+          encrypted.inputProof,
+          "Forged case"
+        )
+      ).to.be.reverted;
+    });
+
+    it("should still validate parties on the encrypted path", async function () {
+      const encrypted = await encryptFor(deployer, (input) => input.add64(50000n).add32(50));
+
+      await expect(
+        contract["createCase(address[],bytes32,bytes32,bytes,string)"](
+          [alice.address, alice.address],
+          encrypted.handles[0],
+          encrypted.handles[1],
+          encrypted.inputProof,
+          "Duplicate parties"
+        )
+      ).to.be.revertedWith("Duplicate party addresses");
+    });
+  });
+
+  describe("Workflow 12: Proportional Fee Allocation", function () {
+    async function allocationOf(party) {
+      const { allocatedAmount } = await contract.getAllocationHandles(1, party.address);
+      return fhevm.userDecryptEuint(FhevmType.euint64, allocatedAmount, contractAddress, party);
+    }
+
+    async function revealFinalAmount() {
+      await contract.requestFeeDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+      const { amount } = await contract.getRevealedFee(1);
+      return amount;
+    }
+
+    beforeEach(async function () {
+      await contract.createCase(
+        [alice.address, bob.address, charlie.address],
+        50001,
+        50,
+        "Three-way split"
+      );
+      await contract.updateTimeSpent(1, 37);
+    });
+
+    it("should reject calculation when plaintext ratios do not total 100", async function () {
+      await contract.setResponsibilityRatio(1, alice.address, 40);
+      await contract.setResponsibilityRatio(1, bob.address, 40);
+
+      await expect(contract.calculateFeeAllocation(1)).to.be.revertedWith(
+        "Responsibilities must total 100"
+      );
+
+      await contract.setResponsibilityRatio(1, charlie.address, 20);
+      await expect(contract.calculateFeeAllocation(1)).to.emit(contract, "FeeCalculated");
+    });
+
+    it("should split the final amount exactly, giving the remainder to the first party", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+
+      await contract.setResponsibilityRatio(1, alice.address, 33);
+      await contract.setResponsibilityRatio(1, bob.address, 33);
+      await contract.setResponsibilityRatio(1, charlie.address, 34);
+      await contract.calculateFeeAllocation(1);
+
+      const finalAmount = await revealFinalAmount();
+      const aliceShare = await allocationOf(alice);
+      const bobShare = await allocationOf(bob);
+      const charlieShare = await allocationOf(charlie);
+
+      expect(aliceShare + bobShare + charlieShare).to.equal(finalAmount);
+      expect(bobShare).to.equal((finalAmount * 33n) / 100n);
+      expect(charlieShare).to.equal((finalAmount * 34n) / 100n);
+      expect(aliceShare - (finalAmount * 33n) / 100n < 3n).to.be.true;
+    });
+
+    it("should fail closed when encrypted ratios do not total 100", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+
+      for (const [party, percentage] of [
+        [alice, 50],
+        [bob, 30],
+        [charlie, 30],
+      ]) {
+        const input = fhevm.createEncryptedInput(contractAddress, deployer.address);
+        const encrypted = await input.add32(percentage).encrypt();
+        await contract["setResponsibilityRatio(uint256,address,bytes32,bytes)"](
+          1,
+          party.address,
+          encrypted.handles[0],
+          encrypted.inputProof
+        );
+      }
+
+      await expect(contract.calculateFeeAllocation(1)).to.emit(contract, "FeeCalculated");
+      expect(await allocationOf(alice)).to.equal(2n ** 64n - 1n);
+      expect(await allocationOf(bob)).to.equal(2n ** 64n - 1n);
+    });
+  });
+
+  describe("Workflow 13: Fee Schedules", function () {
+    const TIERED_TERMS = {
+      hourlyRate: 200,
+      complexityRate: 10,
+      retainer: 1000,
+      minimumFee: 0,
+      maximumFee: 0,
+      tierThresholds: [60],
+      tierRates: [50],
+    };
+
+    async function billCase(caseId) {
+      await contract.setResponsibilityRatio(caseId, alice.address, 60);
+      await contract.setResponsibilityRatio(caseId, bob.address, 40);
+      await contract.calculateFeeAllocation(caseId);
+      await contract.requestFeeDecryption(caseId);
+      await fhevm.awaitDecryptionOracle();
+      const { amount } = await contract.getRevealedFee(caseId);
+      return amount;
+    }
+
+    it("should register a schedule and return its terms", async function () {
+      await expect(contract.registerFeeSchedule(TIERED_TERMS))
+        .to.emit(contract, "FeeScheduleRegistered")
+        .withArgs(2, deployer.address);
+
+      const { terms, version, registeredBy } = await contract.getFeeSchedule(2);
+      expect(terms.hourlyRate).to.equal(200);
+      expect(terms.tierRates).to.deep.equal([50n]);
+      expect(version).to.equal(1);
+      expect(registeredBy).to.equal(deployer.address);
+    });
+
+    it("should reject inconsistent terms and non-admin registration", async function () {
+      await expect(
+        contract.registerFeeSchedule({ ...TIERED_TERMS, minimumFee: 500, maximumFee: 100 })
+      ).to.be.revertedWith("Cap below minimum fee");
+      await expect(
+        contract.registerFeeSchedule({
+          ...TIERED_TERMS,
+          tierThresholds: [60, 40],
+          tierRates: [50, 60],
+        })
+      ).to.be.revertedWith("Invalid tier threshold");
+      await expect(contract.connect(alice).registerFeeSchedule(TIERED_TERMS)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+    });
+
+    it("should bill the default schedule without noise", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Default schedule");
+      await contract.updateTimeSpent(1, 10);
+
+      // 50000 + 10 hours * 13 + 50 complexity * 100
+      expect(await billCase(1)).to.equal(55130n);
+    });
+
+    it("should bill a case under its schedule and record the version", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+
+      await contract.registerFeeSchedule(TIERED_TERMS);
+      await contract["createCase(address[],uint64,uint32,string,uint256)"](
+        [alice.address, bob.address],
+        10000,
+        70,
+        "Tiered schedule",
+        2
+      );
+      await contract.updateTimeSpent(1, 5);
+
+      // 10000 + 5 hours * 200 + 70 complexity * 50 (upper tier) + 1000 retainer
+      expect(await billCase(1)).to.equal(15500n);
+
+      const calculation = await contract.feeCalculations(1);
+      expect(calculation.feeScheduleId).to.equal(2);
+      expect(calculation.feeScheduleVersion).to.equal(1);
+    });
+
+    it("should clamp the bill to the schedule cap and minimum", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+
+      await contract.registerFeeSchedule({ ...TIERED_TERMS, maximumFee: 12000 });
+      await contract.registerFeeSchedule({ ...TIERED_TERMS, minimumFee: 100000 });
+
+      for (const scheduleId of [2, 3]) {
+        await contract["createCase(address[],uint64,uint32,string,uint256)"](
+          [alice.address, bob.address],
+          10000,
+          70,
+          "Clamped schedule",
+          scheduleId
+        );
+      }
+
+      expect(await billCase(1)).to.equal(12000n);
+      expect(await billCase(2)).to.equal(100000n);
+    });
+
+    it("should version updates and apply a new default to later cases", async function () {
+      await contract.registerFeeSchedule(TIERED_TERMS);
+      await expect(contract.updateFeeSchedule(2, { ...TIERED_TERMS, hourlyRate: 250 }))
+        .to.emit(contract, "FeeScheduleUpdated")
+        .withArgs(2, 2);
+      await expect(contract.setDefaultFeeSchedule(2))
+        .to.emit(contract, "DefaultFeeScheduleChanged")
+        .withArgs(2);
+
+      await contract.createCase([alice.address, bob.address], 10000, 70, "New default");
+      await contract.setResponsibilityRatio(1, alice.address, 60);
+      await contract.setResponsibilityRatio(1, bob.address, 40);
+      await contract.calculateFeeAllocation(1);
+
+      const calculation = await contract.feeCalculations(1);
+      expect(calculation.feeScheduleId).to.equal(2);
+      expect(calculation.feeScheduleVersion).to.equal(2);
+    });
+
+    it("should reject unknown schedules", async function () {
+      await expect(
+        contract["createCase(address[],uint64,uint32,string,uint256)"](
+          [alice.address, bob.address],
+          10000,
+          70,
+          "Unknown schedule",
+          9
+        )
+      ).to.be.revertedWith("Invalid fee schedule");
+      await expect(contract.setDefaultFeeSchedule(0)).to.be.revertedWith("Invalid fee schedule");
+    });
+  });
+
+  describe("Workflow 14: Dispute Resolution", function () {
+    const REASON = ethers.id("Responsibility split ignores settlement terms");
+
+    beforeEach(async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Disputed case");
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await contract.calculateFeeAllocation(1);
+    });
+
+    it("should freeze payments and recalculation while a dispute is open", async function () {
+      await expect(contract.connect(alice).fileDispute(1, REASON))
+        .to.emit(contract, "DisputeFiled")
+        .withArgs(1, alice.address, REASON);
+
+      const status = await contract.getDisputeStatus(1);
+      expect(status.status).to.equal(1); // Open
+      expect(status.filedBy).to.equal(alice.address);
+      expect(status.reasonHash).to.equal(REASON);
+
+      await expect(contract.connect(bob).recordPayment(1, { value: PAYMENT })).to.be.revertedWith(
+        "Case under dispute"
+      );
+      await expect(contract.calculateFeeAllocation(1)).to.be.revertedWith("Case under dispute");
+      await expect(contract.connect(bob).fileDispute(1, REASON)).to.be.revertedWith(
+        "Dispute already open"
+      );
+    });
+
+    it("should resume payments once the arbiter dismisses the objection", async function () {
+      await contract.grantRole(await contract.ARBITER_ROLE(), dave.address);
+      await contract.connect(alice).fileDispute(1, REASON);
+
+      await expect(contract.connect(charlie).dismissDispute(1)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await expect(contract.connect(dave).dismissDispute(1))
+        .to.emit(contract, "DisputeResolved")
+        .withArgs(1, dave.address, 4); // Dismissed
+
+      const status = await contract.getDisputeStatus(1);
+      expect(status.resolvedBy).to.equal(dave.address);
+      await payAndVerify(contract, bob, 1);
+      expect(
+        await contract.queryFilter(contract.filters.PaymentRecorded(1, bob.address))
+      ).to.have.lengthOf(1);
+    });
+
+    it("should not let a party refile a dismissed objection", async function () {
+      await contract.grantRole(await contract.ARBITER_ROLE(), dave.address);
+      await contract.connect(alice).fileDispute(1, REASON);
+      await contract.connect(dave).dismissDispute(1);
+
+      await expect(contract.connect(alice).fileDispute(1, REASON)).to.be.revertedWith(
+        "Calculation already disputed"
+      );
+
+      // Another party still gets their own objection, and a recalculation can be disputed again
+      await contract.connect(bob).fileDispute(1, REASON);
+      await contract.connect(dave).adjustDispute(1, [alice.address, bob.address], [50, 50]);
+      await contract.calculateFeeAllocation(1);
+      await expect(contract.connect(bob).fileDispute(1, REASON)).to.emit(contract, "DisputeFiled");
+    });
+
+    it("should let the arbiter adjust responsibilities for recalculation", async function () {
+      await contract.connect(alice).fileDispute(1, REASON);
+
+      await expect(
+        contract.adjustDispute(1, [alice.address, bob.address], [30, 80])
+      ).to.be.revertedWith("Responsibilities must total 100");
+      await expect(contract.adjustDispute(1, [alice.address, bob.address], [30, 70]))
+        .to.emit(contract, "DisputeResolved")
+        .withArgs(1, deployer.address, 3) // Adjusted
+        .and.to.emit(contract, "AllocationMarkedStale")
+        .and.not.to.emit(contract, "FeeCalculated");
+      await expect(contract.connect(bob).recordPayment(1, { value: PAYMENT })).to.be.revertedWith(
+        "Allocation outdated"
+      );
+      await contract.calculateFeeAllocation(1);
+
+      if (fhevm.isMock) {
+        await contract.requestFeeDecryption(1);
+        await fhevm.awaitDecryptionOracle();
+        const { amount } = await contract.getRevealedFee(1);
+        const { allocatedAmount } = await contract.getAllocationHandles(1, bob.address);
+        const bobShare = await fhevm.userDecryptEuint(
+          FhevmType.euint64,
+          allocatedAmount,
+          contractAddress,
+          bob
+        );
+        expect(bobShare).to.equal((amount * 70n) / 100n);
+      }
+    });
+
+    it("should withdraw the calculation when the objection is upheld", async function () {
+      await contract.connect(bob).fileDispute(1, REASON);
+      await contract.upholdDispute(1);
+
+      expect((await contract.feeCalculations(1)).isCalculated).to.be.false;
+      await expect(contract.connect(bob).recordPayment(1, { value: PAYMENT })).to.be.revertedWith(
+        "Fees not calculated"
+      );
+
+      await contract.setResponsibilityRatio(1, alice.address, 60);
+      await contract.setResponsibilityRatio(1, bob.address, 40);
+      await contract.calculateFeeAllocation(1);
+      await payAndVerify(contract, bob, 1);
+      expect(
+        await contract.queryFilter(contract.filters.PaymentRecorded(1, bob.address))
+      ).to.have.lengthOf(1);
+    });
+
+    it("should only accept objections from unpaid parties within the window", async function () {
+      await expect(contract.connect(charlie).fileDispute(1, REASON)).to.be.revertedWith(
+        "Not authorized party"
+      );
+      await expect(contract.connect(alice).fileDispute(1, ethers.ZeroHash)).to.be.revertedWith(
+        "Reason required"
+      );
+
+      await payAndVerify(contract, bob, 1);
+      await expect(contract.connect(bob).fileDispute(1, REASON)).to.be.revertedWith("Already paid");
+
+      await ethers.provider.send("evm_increaseTime", [7 * 24 * 60 * 60 + 1]);
+      await ethers.provider.send("evm_mine", []);
+      await expect(contract.connect(alice).fileDispute(1, REASON)).to.be.revertedWith(
+        "Dispute window closed"
+      );
+    });
+
+    it("should bound the configurable dispute window", async function () {
+      await expect(contract.setDisputeWindow(14 * 24 * 60 * 60))
+        .to.emit(contract, "DisputeWindowChanged")
+        .withArgs(14 * 24 * 60 * 60);
+      await expect(contract.setDisputeWindow(60)).to.be.revertedWith("Invalid dispute window");
+
+      const { windowClosesAt } = await contract.getDisputeStatus(1);
+      const { calculatedAt } = await contract.feeCalculations(1);
+      expect(windowClosesAt).to.equal(calculatedAt + 14n * 24n * 60n * 60n);
+    });
+  });
+
+  describe("Workflow 15: Time and Expense Ledger", function () {
+    const RESEARCH = ethers.encodeBytes32String("L110");
+    const FILING_FEES = ethers.encodeBytes32String("E112");
+
+    async function recordEntry(timekeeper, hours, rate, activityCode) {
+      const input = fhevm.createEncryptedInput(contractAddress, deployer.address);
+      const encrypted = await input.add32(hours).add64(rate).encrypt();
+      return contract.recordTimeEntry(
+        1,
+        timekeeper,
+        encrypted.handles[0],
+        encrypted.handles[1],
+        encrypted.inputProof,
+        activityCode
+      );
+    }
+
+    async function billCase() {
+      await contract.calculateFeeAllocation(1);
+      await contract.requestFeeDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+      const { amount } = await contract.getRevealedFee(1);
+      return amount;
+    }
+
+    beforeEach(async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Itemized case");
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+    });
+
+    it("should bill time entries at their own rates plus expenses", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+
+      await expect(recordEntry(charlie.address, 10, 300, RESEARCH))
+        .to.emit(contract, "TimeEntryRecorded")
+        .withArgs(1, 0, charlie.address, RESEARCH);
+      await contract.updateTimeSpent(1, 5);
+      await expect(contract["recordExpense(uint256,uint64,bytes32)"](1, 2000, FILING_FEES))
+        .to.emit(contract, "ExpenseRecorded")
+        .withArgs(1, 0, FILING_FEES);
+
+      // 50000 + 10h * 300 + 5h * 13 (schedule rate) + 2000 expense + 50 complexity * 100
+      expect(await billCase()).to.equal(60065n);
+    });
+
+    it("should stop billing voided entries", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+
+      await recordEntry(charlie.address, 10, 300, RESEARCH);
+      await contract.updateTimeSpent(1, 5);
+      await contract["recordExpense(uint256,uint64,bytes32)"](1, 2000, FILING_FEES);
+
+      await expect(contract.voidTimeEntry(1, 0))
+        .to.emit(contract, "TimeEntryVoided")
+        .withArgs(1, 0);
+      await expect(contract.voidExpense(1, 0)).to.emit(contract, "ExpenseVoided").withArgs(1, 0);
+      await expect(contract.voidTimeEntry(1, 0)).to.be.revertedWith("Entry already voided");
+
+      expect(await billCase()).to.equal(55065n);
+    });
+
+    it("should show entry metadata to parties only", async function () {
+      await recordEntry(charlie.address, 3, 250, RESEARCH);
+      await contract["recordExpense(uint256,uint64,bytes32)"](1, 400, FILING_FEES);
+
+      const { timeEntryCount, expenseCount } = await contract.getLedgerSize(1);
+      expect(timeEntryCount).to.equal(1);
+      expect(expenseCount).to.equal(1);
+
+      const entry = await contract.connect(alice).getTimeEntry(1, 0);
+      expect(entry.timekeeper).to.equal(charlie.address);
+      expect(entry.activityCode).to.equal(RESEARCH);
+      expect(entry.recordedAt).to.be.greaterThan(0);
+      expect(entry.isVoided).to.be.false;
+
+      const expense = await contract.connect(bob).getExpense(1, 0);
+      expect(expense.submittedBy).to.equal(deployer.address);
+      expect(expense.category).to.equal(FILING_FEES);
+
+      await expect(contract.connect(dave).getTimeEntry(1, 0)).to.be.revertedWith(
+        "Not authorized party"
+      );
+      await expect(contract.connect(alice).getTimeEntry(1, 1)).to.be.revertedWith("Invalid entry");
+    });
+
+    it("should only let the case manager change the ledger", async function () {
+      await expect(
+        contract.connect(alice)["recordExpense(uint256,uint64,bytes32)"](1, 400, FILING_FEES)
+      ).to.be.revertedWith("Unauthorized access");
+      await expect(contract.connect(alice).voidTimeEntry(1, 0)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+    });
+  });
+
+  describe("Workflow 16: Allocation Receipts", function () {
+    beforeEach(async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Receipt case");
+      await contract.setResponsibilityRatio(1, alice.address, 60);
+      await contract.setResponsibilityRatio(1, bob.address, 40);
+      await contract.calculateFeeAllocation(1);
+    });
+
+    it("should expose allocation handles a party can decrypt client-side", async function () {
+      const handles = await contract.connect(alice).getAllocationHandles(1, alice.address);
+
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint64,
+          handles.allocatedAmount,
+          contractAddress,
+          alice
+        )
+      ).to.equal(33000n);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint32,
+          handles.contributionRatio,
+          contractAddress,
+          alice
+        )
+      ).to.equal(60n);
+
+      await expect(
+        contract.connect(charlie).getAllocationHandles(1, alice.address)
+      ).to.be.revertedWith("Not authorized party");
+    });
+
+    it("should issue a verifiable receipt for the requesting party only", async function () {
+      await expect(contract.connect(bob).requestAllocationReceipt(1)).to.emit(
+        contract,
+        "AllocationReceiptRequested"
+      );
+      await expect(contract.connect(bob).requestAllocationReceipt(1)).to.be.revertedWith(
+        "Receipt already requested"
+      );
+
+      let receipt = await contract.connect(bob).getAllocationReceipt(1, bob.address);
+      expect(receipt.isPending).to.be.true;
+      expect(receipt.isIssued).to.be.false;
+
+      await fhevm.awaitDecryptionOracle();
+
+      receipt = await contract.connect(bob).getAllocationReceipt(1, bob.address);
+      expect(receipt.isPending).to.be.false;
+      expect(receipt.isIssued).to.be.true;
+      expect(receipt.amount).to.equal(22000n);
+      expect(receipt.contributionRatio).to.equal(40n);
+      expect(receipt.receiptHash).to.equal(
+        await contract.computeReceiptHash(1, bob.address, 22000, 40, receipt.allocationVersion)
+      );
+
+      const aliceReceipt = await contract.connect(alice).getAllocationReceipt(1, alice.address);
+      expect(aliceReceipt.isIssued).to.be.false;
+    });
+
+    it("should require calculated fees and case membership", async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Uncalculated case");
+
+      await expect(contract.connect(alice).requestAllocationReceipt(2)).to.be.revertedWith(
+        "Fees not calculated"
+      );
+      await expect(contract.connect(charlie).requestAllocationReceipt(1)).to.be.revertedWith(
+        "Not authorized party"
+      );
+    });
+
+    it("should bind a receipt to the calculation it was requested against", async function () {
+      await contract.connect(alice).requestAllocationReceipt(1);
+      await fhevm.awaitDecryptionOracle();
+      const first = await contract.connect(alice).getAllocationReceipt(1, alice.address);
+
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await expect(contract.connect(alice).requestAllocationReceipt(1)).to.be.revertedWith(
+        "Allocation outdated"
+      );
+      await contract.calculateFeeAllocation(1);
+
+      await contract.connect(alice).requestAllocationReceipt(1);
+      await fhevm.awaitDecryptionOracle();
+      const second = await contract.connect(alice).getAllocationReceipt(1, alice.address);
+
+      expect(second.amount).to.equal(27500n);
+      expect(first.allocationVersion).to.equal(1n);
+      expect(second.allocationVersion).to.equal(2n);
+      expect(second.receiptHash).to.not.equal(first.receiptHash);
+    });
+  });
+
+  describe("Workflow 17: Installment Plans", function () {
+    const DAY = 24 * 60 * 60;
+    let dueDates;
+
+    async function setPlan(party, amounts, dates = dueDates) {
+      const input = fhevm.createEncryptedInput(contractAddress, deployer.address);
+      amounts.forEach((amount) => input.add64(amount));
+      const encrypted = await input.encrypt();
+      return contract.setInstallmentPlan(1, party, dates, encrypted.handles, encrypted.inputProof);
+    }
+
+    async function balanceOf(party) {
+      const { balance } = await contract.connect(party).getPaymentSchedule(1, party.address);
+      return fhevm.userDecryptEuint(FhevmType.euint64, balance, contractAddress, party);
+    }
+
+    beforeEach(async function () {
+      // 50000 + 50 * 100 complexity, split 50/50: 27500 each
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Installment case");
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await contract.calculateFeeAllocation(1);
+
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      dueDates = [now + 30 * DAY, now + 60 * DAY];
+    });
+
+    it("should accept partial payments and settle once the balance reaches zero", async function () {
+      await expect(setPlan(alice.address, [10000, 17500]))
+        .to.emit(contract, "InstallmentPlanSet")
+        .withArgs(1, alice.address, 2);
+
+      await expect(contract.connect(alice).recordPayment(1, { value: 10000 })).to.emit(
+        contract,
+        "InstallmentPaymentSubmitted"
+      );
+      await expect(contract.connect(alice).recordPayment(1, { value: 1 })).to.be.revertedWith(
+        "Payment verification pending"
+      );
+      await fhevm.awaitDecryptionOracle();
+
+      let schedule = await contract.connect(alice).getPaymentSchedule(1, alice.address);
+      expect(schedule.dueDates).to.deep.equal(dueDates.map(BigInt));
+      expect(schedule.isPaid).to.deep.equal([true, false]);
+      expect(await balanceOf(alice)).to.equal(17500n);
+      expect((await contract.getPartyAllocation(1, alice.address)).hasPaid).to.be.false;
+
+      await payAndVerify(contract, bob, 1);
+      expect((await contract.getCaseInfo(1)).isSettled).to.be.false;
+
+      await contract.connect(alice).recordPayment(1, { value: 17500 });
+      await fhevm.awaitDecryptionOracle();
+
+      schedule = await contract.connect(alice).getPaymentSchedule(1, alice.address);
+      expect(schedule.isPaid).to.deep.equal([true, true]);
+      expect(await balanceOf(alice)).to.equal(0n);
+      expect((await contract.getCaseInfo(1)).isSettled).to.be.true;
+      expect((await contract.getPartyAllocation(1, alice.address)).depositedAmount).to.equal(
+        27500n
+      );
+    });
+
+    it("should count payments made before the plan", async function () {
+      await contract.connect(alice).recordPayment(1, { value: 10000 });
+      await fhevm.awaitDecryptionOracle();
+
+      await setPlan(alice.address, [10000, 17500]);
+      expect(await balanceOf(alice)).to.equal(17500n);
+
+      await contract.connect(alice).recordPayment(1, { value: 17500 });
+      await fhevm.awaitDecryptionOracle();
+
+      const schedule = await contract.connect(alice).getPaymentSchedule(1, alice.address);
+      expect(schedule.isPaid).to.deep.equal([true, true]);
+      expect(await balanceOf(alice)).to.equal(0n);
+      expect((await contract.getPartyAllocation(1, alice.address)).hasPaid).to.be.true;
+    });
+
+    it("should detect overdue installments", async function () {
+      await setPlan(alice.address, [10000, 17500]);
+      await expect(contract.reportOverdueInstallment(1, alice.address)).to.be.revertedWith(
+        "No overdue installment"
+      );
+
+      await ethers.provider.send("evm_increaseTime", [31 * DAY]);
+      await ethers.provider.send("evm_mine", []);
+
+      const schedule = await contract.connect(alice).getPaymentSchedule(1, alice.address);
+      expect(schedule.isOverdue).to.be.true;
+      await expect(contract.reportOverdueInstallment(1, alice.address))
+        .to.emit(contract, "InstallmentOverdue")
+        .withArgs(1, alice.address, 0, dueDates[0]);
+
+      await contract.connect(alice).recordPayment(1, { value: 12000 });
+      await fhevm.awaitDecryptionOracle();
+      expect((await contract.connect(alice).getPaymentSchedule(1, alice.address)).isOverdue).to.be
+        .false;
+    });
+
+    it("should validate plans", async function () {
+      await expect(
+        contract.connect(alice).setInstallmentPlan(1, alice.address, dueDates, [], "0x")
+      ).to.be.revertedWith("Unauthorized access");
+      await expect(setPlan(charlie.address, [10000, 17500])).to.be.revertedWith(
+        "Party not in case"
+      );
+      await expect(setPlan(alice.address, [10000])).to.be.revertedWith("Length mismatch");
+      await expect(
+        setPlan(alice.address, [10000, 17500], [dueDates[1], dueDates[0]])
+      ).to.be.revertedWith("Invalid due dates");
+
+      await payAndVerify(contract, bob, 1);
+      await expect(setPlan(bob.address, [10000, 17500])).to.be.revertedWith("Already paid");
+    });
+  });
+
+  describe("Workflow 18: Late Payment Penalties", function () {
+    const DAY = 24 * 60 * 60;
+
+    async function setTerms(gracePeriod, lateFee, dailyInterestBps, caseId = 1) {
+      const input = fhevm.createEncryptedInput(contractAddress, deployer.address);
+      input.add64(lateFee);
+      const encrypted = await input.encrypt();
+      return contract.setLatePaymentTerms(
+        caseId,
+        gracePeriod,
+        encrypted.handles[0],
+        encrypted.inputProof,
+        dailyInterestBps
+      );
+    }
+
+    async function allocationOf(party, caseId = 1) {
+      const { allocatedAmount } = await contract
+        .connect(party)
+        .getAllocationHandles(caseId, party.address);
+      return fhevm.userDecryptEuint(FhevmType.euint64, allocatedAmount, contractAddress, party);
+    }
+
+    async function advance(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    beforeEach(async function () {
+      // 27500 owed by each party
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Late payment case");
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await contract.calculateFeeAllocation(1);
+    });
+
+    it("should charge the late fee and simple interest after the grace period", async function () {
+      await expect(setTerms(7 * DAY, 500, 10))
+        .to.emit(contract, "LatePaymentTermsSet")
+        .withArgs(1, 7 * DAY, 10);
+
+      await expect(contract.accrueLatePenalty(1, alice.address)).to.be.revertedWith(
+        "Payment not late"
+      );
+
+      await advance(17 * DAY + 60);
+      expect((await contract.connect(alice).getLatePaymentStatus(1, alice.address)).isLate).to.be
+        .true;
+
+      // 500 late fee + 27500 * 10 bps * 10 days
+      await expect(contract.connect(charlie).accrueLatePenalty(1, alice.address))
+        .to.emit(contract, "LatePenaltyApplied")
+        .withArgs(1, alice.address, true, 10);
+      expect(await allocationOf(alice)).to.equal(28275n);
+
+      const status = await contract.connect(alice).getLatePaymentStatus(1, alice.address);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint64, status.accrued, contractAddress, alice)
+      ).to.equal(775n);
+
+      await expect(contract.accrueLatePenalty(1, alice.address)).to.be.revertedWith(
+        "Nothing to accrue"
+      );
+
+      // Interest stays simple: computed on the original 27500, not on the penalised allocation
+      await advance(2 * DAY);
+      await contract.accrueLatePenalty(1, alice.address);
+      expect(await allocationOf(alice)).to.equal(28330n);
+      expect(await allocationOf(bob)).to.equal(27500n);
+    });
+
+    it("should charge interest on wei-sized allocations without wrapping", async function () {
+      await contract.createCase([alice.address, bob.address], 2n * 10n ** 18n, 50, "Large case");
+      await contract.setResponsibilityRatio(2, alice.address, 50);
+      await contract.setResponsibilityRatio(2, bob.address, 50);
+      await contract.calculateFeeAllocation(2);
+      await setTerms(0, 0, 100, 2);
+      const principal = await allocationOf(alice, 2);
+
+      await advance(365 * DAY + 60);
+      await contract.accrueLatePenalty(2, alice.address);
+
+      // 100 bps a day for a year on about 1e18
+      expect(await allocationOf(alice, 2)).to.equal(principal + (principal * 36500n) / 10000n);
+    });
+
+    it("should not charge for time payments were refused", async function () {
+      await setTerms(0, 0, 10);
+      await advance(2 * DAY + 60);
+      await contract.connect(alice).fileDispute(1, ethers.id("Share is wrong"));
+
+      await advance(5 * DAY);
+      await expect(contract.accrueLatePenalty(1, alice.address)).to.be.revertedWith(
+        "Payments paused"
+      );
+
+      // Two days before the dispute and one after it: 27500 * 10 bps * 3 days
+      await contract.dismissDispute(1);
+      await advance(DAY);
+      await expect(contract.accrueLatePenalty(1, alice.address))
+        .to.emit(contract, "LatePenaltyApplied")
+        .withArgs(1, alice.address, true, 3);
+      expect(await allocationOf(alice)).to.equal(27582n);
+
+      // An outdated allocation also stops the clock, and the recalculation starts it over
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await advance(DAY);
+      await expect(contract.accrueLatePenalty(1, alice.address)).to.be.revertedWith(
+        "Payments paused"
+      );
+      await contract.calculateFeeAllocation(1);
+      await expect(contract.accrueLatePenalty(1, alice.address))
+        .to.emit(contract, "LatePenaltyApplied")
+        .withArgs(1, alice.address, true, 0);
+    });
+
+    it("should stop accruing once the party has paid", async function () {
+      await setTerms(DAY, 0, 5);
+      await payAndVerify(contract, alice, 1);
+      await advance(3 * DAY);
+
+      await expect(contract.accrueLatePenalty(1, alice.address)).to.be.revertedWith("Already paid");
+      expect((await contract.connect(alice).getLatePaymentStatus(1, alice.address)).isLate).to.be
+        .false;
+    });
+
+    it("should validate late payment terms", async function () {
+      await expect(contract.accrueLatePenalty(1, alice.address)).to.be.revertedWith(
+        "No late payment terms"
+      );
+      await expect(setTerms(91 * DAY, 0, 10)).to.be.revertedWith("Grace period too long");
+      await expect(setTerms(DAY, 0, 101)).to.be.revertedWith("Interest rate too high");
+
+      const input = fhevm.createEncryptedInput(contractAddress, alice.address);
+      input.add64(0);
+      const encrypted = await input.encrypt();
+      await expect(
+        contract
+          .connect(alice)
+          .setLatePaymentTerms(1, DAY, encrypted.handles[0], encrypted.inputProof, 10)
+      ).to.be.revertedWith("Unauthorized access");
+    });
+  });
+
+  describe("Workflow 19: Upgrades", function () {
+    let previousLayout;
+
+    function upgradeToV2(options = {}) {
+      return upgradeLegalFeeAllocation(hre, contractAddress, {
+        previousLayout,
+        implementationName: "MockLegalFeeAllocationV2",
+        call: "initializeV2",
+        ...options,
+      });
+    }
+
+    beforeEach(async function () {
+      previousLayout = await getStorageLayout(hre, "ConfidentialLegalFeeAllocation");
+
+      // 27500 owed by each party; alice pays before the upgrade
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Pre-upgrade case");
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await contract.calculateFeeAllocation(1);
+      await payAndVerify(contract, alice, 1);
+      await contract.createCase([bob.address, charlie.address], 20000, 30, "Open case");
+    });
+
+    it("should keep cases, escrow and encrypted allocations across an upgrade", async function () {
+      const statsBefore = await contract.getSystemStats();
+      const handlesBefore = await contract.connect(bob).getAllocationHandles(1, bob.address);
+
+      const { implementationAddress } = await upgradeToV2();
+
+      const v2 = await ethers.getContractAt("MockLegalFeeAllocationV2", contractAddress);
+      expect(await v2.version()).to.equal(2n);
+      expect(await v2.migratedAt()).to.be.greaterThan(0n);
+      expect(implementationAddress).to.not.equal(ethers.ZeroAddress);
+
+      expect(await contract.admin()).to.equal(deployer.address);
+      expect(await contract.getSystemStats()).to.deep.equal(statsBefore);
+      expect((await contract.getEscrowInfo(1)).totalDeposited).to.equal(PAYMENT);
+      expect((await contract.connect(alice).getPartyAllocation(1, alice.address)).hasPaid).to.be
+        .true;
+
+      // Handles and their ACL entries belong to the proxy, so they stay decryptable
+      const handlesAfter = await contract.connect(bob).getAllocationHandles(1, bob.address);
+      expect(handlesAfter.allocatedAmount).to.equal(handlesBefore.allocatedAmount);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint64,
+          handlesAfter.allocatedAmount,
+          contractAddress,
+          bob
+        )
+      ).to.equal(27500n);
+
+      // Pre-upgrade cases keep working through the new implementation and modules
+      await payAndVerify(contract, bob, 1);
+      const [released] = await contract.queryFilter(contract.filters.EscrowReleased(1));
+      expect(released.args.amount).to.equal(27500n * 2n);
+      await contract.setResponsibilityRatio(2, bob.address, 60);
+      await contract.setResponsibilityRatio(2, charlie.address, 40);
+      await contract.calculateFeeAllocation(2);
+      expect((await contract.getSystemStats()).total).to.equal(2n);
+    });
+
+    it("should only let the admin upgrade, and only initialize once", async function () {
+      const { implementation } = await deployImplementation(hre, "MockLegalFeeAllocationV2");
+
+      await expect(
+        contract.connect(alice).upgradeToAndCall(await implementation.getAddress(), "0x")
+      ).to.be.revertedWith("Unauthorized access");
+      await expect(contract.initialize()).to.be.revertedWithCustomError(
+        contract,
+        "InvalidInitialization"
+      );
+      await expect(implementation.initialize()).to.be.revertedWithCustomError(
+        contract,
+        "InvalidInitialization"
+      );
+
+      await upgradeToV2();
+      const v2 = await ethers.getContractAt("MockLegalFeeAllocationV2", contractAddress);
+      await expect(v2.initializeV2()).to.be.revertedWithCustomError(v2, "InvalidInitialization");
+    });
+
+    it("should reject implementations that break the storage layout", async function () {
+      const v2Layout = await getStorageLayout(hre, "MockLegalFeeAllocationV2");
+      expect(findStorageLayoutErrors(previousLayout, v2Layout)).to.be.empty;
+
+      // A variable removed from the new implementation
+      const removed = structuredClone(v2Layout);
+      removed.storage.splice(1, 1);
+      expect(findStorageLayoutErrors(previousLayout, removed)).to.not.be.empty;
+
+      // Two variables swapped
+      const reordered = structuredClone(v2Layout);
+      [reordered.storage[1], reordered.storage[2]] = [reordered.storage[2], reordered.storage[1]];
+      expect(findStorageLayoutErrors(previousLayout, reordered)).to.not.be.empty;
+
+      // A struct that lost its last member
+      const shrunk = structuredClone(v2Layout);
+      const struct = Object.values(shrunk.types).find((type) => type.members?.length > 1);
+      struct.members.pop();
+      expect(findStorageLayoutErrors(previousLayout, shrunk)).to.not.be.empty;
+
+      // The deployed implementation had state the new one lacks: refused before anything is deployed
+      const deployed = structuredClone(previousLayout);
+      deployed.storage.push({ ...v2Layout.storage.at(-1), label: "futureState" });
+      let error;
+      try {
+        await upgradeToV2({ previousLayout: deployed });
+      } catch (e) {
+        error = e;
+      }
+      expect(error?.message).to.include("Incompatible storage layout").and.include("futureState");
+    });
+  });
+
+  describe("Workflow 20: Case Timeouts", function () {
+    const DAY = 24 * 60 * 60;
+
+    async function advance(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    async function now() {
+      return BigInt((await ethers.provider.getBlock("latest")).timestamp);
+    }
+
+    beforeEach(async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Long-running case");
+    });
+
+    it("should start with the default timeouts and accept per-case ones within bounds", async function () {
+      const createdAt = (await contract.getCaseInfo(1)).createdAt;
+      let timeouts = await contract.getCaseTimeouts(1);
+      expect(timeouts.decryptionTimeout).to.equal(7n * BigInt(DAY));
+      expect(timeouts.caseTimeout).to.equal(90n * BigInt(DAY));
+      expect(timeouts.caseDeadline).to.equal(createdAt + 90n * BigInt(DAY));
+
+      await expect(contract.configureCaseTimeouts(1, 14 * DAY, 2 * 365 * DAY))
+        .to.emit(contract, "CaseTimeoutsConfigured")
+        .withArgs(1, 14 * DAY, 2 * 365 * DAY);
+      timeouts = await contract.getCaseTimeouts(1);
+      expect(timeouts.caseDeadline).to.equal((await now()) + BigInt(2 * 365 * DAY));
+
+      await advance(91 * DAY);
+      await expect(contract.handleCaseTimeout(1)).to.be.revertedWith(
+        "Case timeout period not reached"
+      );
+      expect((await contract.getRefundStatus(1)).caseTimedOut).to.be.false;
+
+      await expect(contract.configureCaseTimeouts(1, DAY / 2, 90 * DAY)).to.be.revertedWith(
+        "Invalid decryption timeout"
+      );
+      await expect(contract.configureCaseTimeouts(1, 7 * DAY, 6 * 365 * DAY)).to.be.revertedWith(
+        "Invalid case timeout"
+      );
+      await expect(
+        contract.connect(alice).configureCaseTimeouts(1, 7 * DAY, 90 * DAY)
+      ).to.be.revertedWith("Unauthorized access");
+
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await contract.calculateFeeAllocation(1);
+      await expect(contract.configureCaseTimeouts(1, 7 * DAY, 90 * DAY)).to.be.revertedWith(
+        "Fees already calculated"
+      );
+    });
+
+    it("should restart the inactivity clock on case activity", async function () {
+      await advance(80 * DAY);
+      await contract.updateTimeSpent(1, 10);
+      expect((await contract.getRefundStatus(1)).caseDeadline).to.equal(
+        (await now()) + BigInt(90 * DAY)
+      );
+
+      await advance(20 * DAY);
+      await expect(contract.handleCaseTimeout(1)).to.be.revertedWith(
+        "Case timeout period not reached"
+      );
+
+      await advance(70 * DAY);
+      expect((await contract.getRefundStatus(1)).caseTimedOut).to.be.true;
+      await expect(contract.handleCaseTimeout(1)).to.emit(contract, "TimeoutTriggered");
+    });
+
+    it("should let the admin extend the deadline", async function () {
+      const { caseDeadline } = await contract.getCaseTimeouts(1);
+
+      await expect(contract.extendCaseTimeout(1, 30 * DAY))
+        .to.emit(contract, "CaseTimeoutExtended")
+        .withArgs(1, 30 * DAY, caseDeadline + BigInt(30 * DAY));
+      expect((await contract.getCaseTimeouts(1)).extensionCount).to.equal(1);
+
+      // Activity never pulls an extended deadline earlier
+      await contract.updateTimeSpent(1, 5);
+      expect((await contract.getRefundStatus(1)).caseDeadline).to.equal(
+        caseDeadline + BigInt(30 * DAY)
+      );
+
+      await expect(contract.connect(alice).extendCaseTimeout(1, DAY)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await expect(contract.extendCaseTimeout(1, 5 * 365 * DAY)).to.be.revertedWith(
+        "Extension too long"
+      );
+
+      await advance(120 * DAY);
+      await contract.handleCaseTimeout(1);
+      await expect(contract.extendCaseTimeout(1, DAY)).to.be.revertedWith("Case is refundable");
+    });
+
+    it("should report the decryption deadline", async function () {
+      await contract.configureCaseTimeouts(1, 2 * DAY, 90 * DAY);
+      expect((await contract.getRefundStatus(1)).decryptionDeadline).to.equal(0);
+
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await contract.calculateFeeAllocation(1);
+      await contract.requestFeeDecryption(1);
+
+      const status = await contract.getRefundStatus(1);
+      expect(status.decryptionDeadline).to.equal((await now()) + BigInt(2 * DAY));
+      expect(status.decryptionTimedOut).to.be.false;
+
+      await advance(2 * DAY);
+      expect((await contract.getRefundStatus(1)).decryptionTimedOut).to.be.true;
+      await expect(contract.handleDecryptionTimeout(1)).to.emit(contract, "DecryptionFailed");
+    });
+  });
+
+  describe("Workflow 21: Decryption Retry", function () {
+    const HOUR = 60 * 60;
+    const [PENDING, REVEALED, CANCELLED, SUPERSEDED] = [0n, 1n, 2n, 3n];
+
+    async function advance(seconds) {
+      await ethers.provider.send("evm_increaseTime", [seconds]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    async function attemptStatuses() {
+      const { attempts } = await contract.getDecryptionStatus(1);
+      return attempts.map((attempt) => attempt.status);
+    }
+
+    beforeEach(async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Stuck decryption");
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await contract.calculateFeeAllocation(1);
+      await contract.requestFeeDecryption(1);
+    });
+
+    afterEach(async function () {
+      // Answer requests left pending so that their rejected callbacks do not surface in later tests
+      for (let i = 0; i < 3; i++) {
+        try {
+          await fhevm.awaitDecryptionOracle();
+          return;
+        } catch (e) {
+          expect(e.message).to.include("Superseded request");
+        }
+      }
+    });
+
+    it("should only let the admin cancel a request older than the retry window", async function () {
+      expect(await attemptStatuses()).to.deep.equal([PENDING]);
+      await expect(contract.requestFeeDecryption(1)).to.be.revertedWith(
+        "Decryption already requested"
+      );
+      await expect(contract.cancelFeeDecryption(1)).to.be.revertedWith("Retry window not reached");
+
+      await advance(12 * HOUR);
+      await expect(contract.connect(alice).cancelFeeDecryption(1)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+
+      const { requestId } = await contract.getDecryptionStatus(1);
+      await expect(contract.cancelFeeDecryption(1))
+        .to.emit(contract, "DecryptionCancelled")
+        .withArgs(1, requestId);
+      await expect(contract.cancelFeeDecryption(1)).to.be.revertedWith("No decryption requested");
+    });
+
+    it("should reject the cancelled request's callback and reveal through a new one", async function () {
+      await advance(12 * HOUR);
+      const first = await contract.getDecryptionStatus(1);
+      await contract.cancelFeeDecryption(1);
+
+      // The Gateway finally answers the cancelled request
+      let error;
+      try {
+        await fhevm.awaitDecryptionOracle();
+      } catch (e) {
+        error = e;
+      }
+      expect(error?.message).to.include("Superseded request");
+      expect((await contract.getRevealedFee(1)).revealed).to.be.false;
+
+      await contract.requestFeeDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+
+      const status = await contract.getDecryptionStatus(1);
+      expect(status.revealed).to.be.true;
+      expect(status.requestId).to.not.equal(first.requestId);
+      expect(status.attempts.map((attempt) => attempt.requestId)).to.deep.equal([
+        first.requestId,
+        status.requestId,
+      ]);
+      expect(await attemptStatuses()).to.deep.equal([CANCELLED, REVEALED]);
+      expect(status.attempts[1].closedAt).to.be.greaterThan(status.attempts[0].closedAt);
+      expect((await contract.getRevealedFee(1)).amount).to.equal(55000n);
+
+      await expect(contract.cancelFeeDecryption(1)).to.be.revertedWith("Already revealed");
+    });
+
+    it("should mark a pending request superseded when fees are recalculated", async function () {
+      await contract.setResponsibilityRatio(1, alice.address, 60);
+      await contract.setResponsibilityRatio(1, bob.address, 40);
+      await contract.calculateFeeAllocation(1);
+      expect(await attemptStatuses()).to.deep.equal([SUPERSEDED]);
+
+      await contract.requestFeeDecryption(1);
+      expect(await attemptStatuses()).to.deep.equal([SUPERSEDED, PENDING]);
+    });
+  });
+
+  describe("Workflow 22: Allocation Versions", function () {
+    beforeEach(async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Changing inputs");
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await contract.calculateFeeAllocation(1);
+    });
+
+    it("should version each calculation and block payments while inputs are stale", async function () {
+      let version = await contract.getAllocationVersion(1);
+      expect(version.version).to.equal(1);
+      expect(version.isStale).to.be.false;
+
+      await expect(contract.updateTimeSpent(1, 10))
+        .to.emit(contract, "AllocationMarkedStale")
+        .withArgs(1, 1);
+      // Further changes to an already stale allocation do not emit again
+      await expect(
+        contract["recordExpense(uint256,uint64,bytes32)"](
+          1,
+          500,
+          ethers.encodeBytes32String("FILING")
+        )
+      ).to.not.emit(contract, "AllocationMarkedStale");
+      expect((await contract.getAllocationVersion(1)).isStale).to.be.true;
+
+      await expect(contract.connect(alice).recordPayment(1, { value: PAYMENT })).to.be.revertedWith(
+        "Allocation outdated"
+      );
+
+      await expect(contract.calculateFeeAllocation(1))
+        .to.emit(contract, "AllocationVersionCreated")
+        .withArgs(1, 2);
+      version = await contract.getAllocationVersion(1);
+      expect(version.version).to.equal(2);
+      expect(version.isStale).to.be.false;
+
+      await payAndVerify(contract, alice, 1);
+      expect((await contract.connect(alice).getPartyAllocation(1, alice.address)).hasPaid).to.be
+        .true;
+    });
+
+    it("should record a credit for a party who paid before a recalculation", async function () {
+      await payAndVerify(contract, alice, 1);
+
+      await contract.setResponsibilityRatio(1, alice.address, 40);
+      await contract.setResponsibilityRatio(1, bob.address, 60);
+      await expect(contract.calculateFeeAllocation(1))
+        .to.emit(contract, "AllocationAdjusted")
+        .withArgs(1, alice.address, 1, 2);
+
+      const [adjustment] = await contract.connect(alice).getAllocationAdjustments(1, alice.address);
+      expect(adjustment.paidVersion).to.equal(1);
+      expect(adjustment.newVersion).to.equal(2);
+      // 27500 paid against 50% of 55000, now 40%
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint64, adjustment.credit, contractAddress, alice)
+      ).to.equal(5500n);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint64,
+          adjustment.shortfall,
+          contractAddress,
+          alice
+        )
+      ).to.equal(0n);
+      expect(await contract.getAllocationAdjustments(1, bob.address)).to.have.lengthOf(0);
+      await expect(
+        contract.connect(charlie).getAllocationAdjustments(1, alice.address)
+      ).to.be.revertedWith("Not authorized party");
+
+      // Paying parties keep their status; the case settles once the rest pay the new version
+      await payAndVerify(contract, bob, 1);
+      expect((await contract.getCaseInfo(1)).isSettled).to.be.true;
+    });
+
+    it("should record a shortfall measured against what the party paid", async function () {
+      await payAndVerify(contract, alice, 1);
+
+      await contract.setResponsibilityRatio(1, alice.address, 60);
+      await contract.setResponsibilityRatio(1, bob.address, 40);
+      await contract.calculateFeeAllocation(1);
+      await contract.setResponsibilityRatio(1, alice.address, 70);
+      await contract.setResponsibilityRatio(1, bob.address, 30);
+      await contract.calculateFeeAllocation(1);
+
+      const adjustments = await contract.connect(alice).getAllocationAdjustments(1, alice.address);
+      expect(adjustments).to.have.lengthOf(2);
+      expect(adjustments[1].paidVersion).to.equal(1);
+      expect(adjustments[1].newVersion).to.equal(3);
+      expect(
+        await fhevm.userDecryptEuint(
+          FhevmType.euint64,
+          adjustments[1].shortfall,
+          contractAddress,
+          alice
+        )
+      ).to.equal(11000n);
+    });
+  });
+
+  describe("Workflow 23: Confidential Analytics", function () {
+    const AUDITOR_ROLE = ethers.id("AUDITOR_ROLE");
+    const CASE_MANAGER_ROLE = ethers.id("CASE_MANAGER_ROLE");
+
+    async function decryptSnapshot(auditor, manager = ethers.ZeroAddress) {
+      const snapshot = await contract.connect(auditor).getAnalyticsSnapshot(manager);
+      const decrypt = (handle) =>
+        fhevm.userDecryptEuint(FhevmType.euint64, handle, contractAddress, auditor);
+      return {
+        billedFees: await decrypt(snapshot.billedFees),
+        hoursWorked: await decrypt(snapshot.hoursWorked),
+        averageComplexity: await decrypt(snapshot.averageComplexity),
+        caseCount: snapshot.caseCount,
+      };
+    }
+
+    async function revealFee(caseId) {
+      await contract.requestFeeDecryption(caseId);
+      await fhevm.awaitDecryptionOracle();
+      return (await contract.getRevealedFee(caseId)).amount;
+    }
+
+    beforeEach(async function () {
+      await contract.grantRole(AUDITOR_ROLE, charlie.address);
+      await contract.grantRole(CASE_MANAGER_ROLE, dave.address);
+
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Firm case A");
+      await contract.createCase([alice.address, bob.address], 30000, 70, "Firm case B");
+      await contract
+        .connect(dave)
+        .createCase([alice.address, bob.address], 20000, 90, "Dave's case");
+
+      await contract.updateTimeSpent(1, 10);
+      await contract.updateTimeSpent(1, 4);
+      await contract.voidTimeEntry(1, 1);
+      await contract.connect(dave).updateTimeSpent(3, 5);
+
+      for (const caseId of [1, 3]) {
+        await contract.setResponsibilityRatio(caseId, alice.address, 50);
+        await contract.setResponsibilityRatio(caseId, bob.address, 50);
+        await contract.calculateFeeAllocation(caseId);
+      }
+    });
+
+    it("should let an auditor decrypt firm-wide totals", async function () {
+      await expect(contract.connect(charlie).takeAnalyticsSnapshot(ethers.ZeroAddress))
+        .to.emit(contract, "AnalyticsSnapshotTaken")
+        .withArgs(charlie.address, ethers.ZeroAddress, 2);
+
+      // Case 2 has no bill yet, so only cases 1 and 3 count towards the complexity average
+      const totals = await decryptSnapshot(charlie);
+      expect(totals.caseCount).to.equal(2);
+      expect(totals.hoursWorked).to.equal(15n);
+      expect(totals.averageComplexity).to.equal(70n);
+      expect(totals.billedFees).to.equal((await revealFee(1)) + (await revealFee(3)));
+    });
+
+    it("should keep per-manager totals", async function () {
+      await contract.connect(charlie).takeAnalyticsSnapshot(dave.address);
+      await contract.connect(charlie).takeAnalyticsSnapshot(deployer.address);
+
+      const daveTotals = await decryptSnapshot(charlie, dave.address);
+      expect(daveTotals.caseCount).to.equal(1);
+      expect(daveTotals.hoursWorked).to.equal(5n);
+      expect(daveTotals.averageComplexity).to.equal(90n);
+      expect(daveTotals.billedFees).to.equal(await revealFee(3));
+
+      const ownerTotals = await decryptSnapshot(charlie, deployer.address);
+      expect(ownerTotals.caseCount).to.equal(1);
+      expect(ownerTotals.averageComplexity).to.equal(50n);
+      expect(ownerTotals.billedFees).to.equal(await revealFee(1));
+    });
+
+    it("should replace a case's bill on recalculation instead of adding it again", async function () {
+      await contract.updateTimeSpent(1, 20);
+      await contract.calculateFeeAllocation(1);
+      await contract.connect(charlie).takeAnalyticsSnapshot(ethers.ZeroAddress);
+
+      const totals = await decryptSnapshot(charlie);
+      expect(totals.hoursWorked).to.equal(35n);
+      expect(totals.billedFees).to.equal((await revealFee(1)) + (await revealFee(3)));
+    });
+
+    it("should take the bill of a cancelled or timed-out case out of the totals", async function () {
+      const daveFee = await revealFee(3);
+      await contract.cancelCase(1);
+      await contract.connect(charlie).takeAnalyticsSnapshot(ethers.ZeroAddress);
+      await contract.connect(charlie).takeAnalyticsSnapshot(deployer.address);
+
+      const totals = await decryptSnapshot(charlie);
+      expect(totals.caseCount).to.equal(2);
+      expect(totals.billedFees).to.equal(daveFee);
+      expect((await decryptSnapshot(charlie, deployer.address)).billedFees).to.equal(0n);
+
+      await ethers.provider.send("evm_increaseTime", [90 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine", []);
+      await contract.handleCaseTimeout(3);
+      await contract.connect(charlie).takeAnalyticsSnapshot(ethers.ZeroAddress);
+      await contract.connect(charlie).takeAnalyticsSnapshot(dave.address);
+
+      expect((await decryptSnapshot(charlie)).billedFees).to.equal(0n);
+      expect((await decryptSnapshot(charlie, dave.address)).billedFees).to.equal(0n);
+    });
+
+    it("should restrict snapshots to auditors", async function () {
+      await expect(
+        contract.connect(alice).takeAnalyticsSnapshot(ethers.ZeroAddress)
+      ).to.be.revertedWith("Unauthorized access");
+      await expect(
+        contract.connect(alice).getAnalyticsSnapshot(ethers.ZeroAddress)
+      ).to.be.revertedWith("Unauthorized access");
+
+      await contract.connect(charlie).takeAnalyticsSnapshot(ethers.ZeroAddress);
+      const { billedFees } = await contract
+        .connect(charlie)
+        .getAnalyticsSnapshot(ethers.ZeroAddress);
+      let error;
+      try {
+        await fhevm.userDecryptEuint(FhevmType.euint64, billedFees, contractAddress, alice);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.not.be.undefined;
+    });
+  });
+
+  describe("Workflow 24: Case Queries", function () {
+    const REASON = ethers.id("Responsibility split ignores settlement terms");
+    const ACTIVE = 0;
+    const SETTLED = 1;
+    const REFUNDABLE = 2;
+    const DISPUTED = 3;
+
+    beforeEach(async function () {
+      for (const description of ["Open case", "Settled case", "Disputed case"]) {
+        await contract.createCase([alice.address, bob.address], 50000, 50, description);
+      }
+      await contract.createCase([charlie.address, dave.address], 20000, 30, "Stale case");
+
+      await contract.emergencySettleCase(2);
+
+      await contract.setResponsibilityRatio(3, alice.address, 50);
+      await contract.setResponsibilityRatio(3, bob.address, 50);
+      await contract.calculateFeeAllocation(3);
+      await contract.connect(alice).fileDispute(3, REASON);
+
+      await ethers.provider.send("evm_increaseTime", [90 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await contract.handleCaseTimeout(4);
+    });
+
+    it("should page through all cases", async function () {
+      let page = await contract.getCases(0, 3);
+      expect(page.caseIds).to.deep.equal([1n, 2n, 3n]);
+      expect(page.total).to.equal(4);
+
+      page = await contract.getCases(3, 3);
+      expect(page.caseIds).to.deep.equal([4n]);
+
+      page = await contract.getCases(4, 3);
+      expect(page.caseIds).to.deep.equal([]);
+      expect(page.total).to.equal(4);
+
+      await expect(contract.getCases(0, 0)).to.be.revertedWith("Invalid page size");
+      await expect(contract.getCases(0, 101)).to.be.revertedWith("Invalid page size");
+    });
+
+    it("should filter cases by status", async function () {
+      // A refundable case stays active until it is refunded
+      const active = await contract.getCasesByStatus(ACTIVE, 0, 10);
+      expect(active.caseIds).to.deep.equal([1n, 3n, 4n]);
+      expect(active.total).to.equal(3);
+
+      expect((await contract.getCasesByStatus(SETTLED, 0, 10)).caseIds).to.deep.equal([2n]);
+      expect((await contract.getCasesByStatus(REFUNDABLE, 0, 10)).caseIds).to.deep.equal([4n]);
+      expect((await contract.getCasesByStatus(DISPUTED, 0, 10)).caseIds).to.deep.equal([3n]);
+
+      const second = await contract.getCasesByStatus(ACTIVE, 1, 1);
+      expect(second.caseIds).to.deep.equal([3n]);
+      expect(second.total).to.equal(3);
+
+      const pastEnd = await contract.getCasesByStatus(ACTIVE, 3, 10);
+      expect(pastEnd.caseIds).to.deep.equal([]);
+      expect(pastEnd.total).to.equal(3);
+    });
+
+    it("should page through a party's cases", async function () {
+      let page = await contract.getCasesByParty(alice.address, 1, 5);
+      expect(page.caseIds).to.deep.equal([2n, 3n]);
+      expect(page.total).to.equal(3);
+
+      page = await contract.getCasesByParty(charlie.address, 0, 5);
+      expect(page.caseIds).to.deep.equal([4n]);
+      expect(page.total).to.equal(1);
+
+      page = await contract.getCasesByParty(deployer.address, 0, 5);
+      expect(page.caseIds).to.deep.equal([]);
+      expect(page.total).to.equal(0);
+    });
+
+    it("should return case summaries in one call", async function () {
+      const [disputed, settled, stale] = await contract.getCasesInfo([3, 2, 4]);
+
+      expect(disputed.caseId).to.equal(3);
+      expect(disputed.parties).to.deep.equal([alice.address, bob.address]);
+      expect(disputed.isActive).to.equal(true);
+      expect(disputed.isCalculated).to.equal(true);
+      expect(disputed.disputeStatus).to.equal(1); // Open
+
+      const [, , , , , settledAt, caseHash] = await contract.getCaseInfo(2);
+      expect(settled.isSettled).to.equal(true);
+      expect(settled.settledAt).to.equal(settledAt);
+      expect(settled.caseHash).to.equal(caseHash);
+
+      expect(stale.parties).to.deep.equal([charlie.address, dave.address]);
+      expect(stale.isRefundable).to.equal(true);
+      expect(stale.isCalculated).to.equal(false);
+
+      await expect(contract.getCasesInfo([1, 5])).to.be.revertedWith("Invalid case");
+      await expect(contract.getCasesInfo([0])).to.be.revertedWith("Invalid case");
+      await expect(contract.getCasesInfo([])).to.be.revertedWith("Invalid page size");
+    });
+  });
+
+  describe("Workflow 25: Responsibility Acceptance", function () {
+    async function responsibilityHandle(party, caseId = 1) {
+      return (await contract.connect(party).getAllocationHandles(caseId, party.address))
+        .responsibility;
+    }
+
+    async function signAcceptance(party, responsibility, deadline, caseId = 1) {
+      const domain = {
+        name: "ConfidentialLegalFeeAllocation",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: contractAddress,
+      };
+      const types = {
+        ResponsibilityAcceptance: [
+          { name: "caseId", type: "uint256" },
+          { name: "party", type: "address" },
+          { name: "responsibility", type: "bytes32" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      return party.signTypedData(domain, types, {
+        caseId,
+        party: party.address,
+        responsibility,
+        deadline,
+      });
+    }
+
+    beforeEach(async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Engagement letter case");
+      await contract.requireResponsibilityAcceptance(1);
+      await contract.setResponsibilityRatio(1, alice.address, 70);
+      await contract.setResponsibilityRatio(1, bob.address, 30);
+    });
+
+    it("should block calculation until every party accepts", async function () {
+      expect(await contract.getPendingAcceptances(1)).to.deep.equal([alice.address, bob.address]);
+      await expect(contract.connect(charlie).getPendingAcceptances(1)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await expect(
+        contract.connect(charlie).getResponsibilityAcceptance(1, alice.address)
+      ).to.be.revertedWith("Unauthorized access");
+      await expect(contract.calculateFeeAllocation(1)).to.be.revertedWith(
+        "Responsibility not accepted"
+      );
+
+      // Alice checks what she is accepting before acknowledging it
+      const handle = await responsibilityHandle(alice);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint32, handle, contractAddress, alice)
+      ).to.equal(70n);
+      await expect(contract.connect(alice).acceptResponsibility(1, handle))
+        .to.emit(contract, "ResponsibilityAccepted")
+        .withArgs(1, alice.address, false);
+
+      expect(await contract.getPendingAcceptances(1)).to.deep.equal([bob.address]);
+      await expect(contract.calculateFeeAllocation(1)).to.be.revertedWith(
+        "Responsibility not accepted"
+      );
+
+      await contract.connect(bob).acceptResponsibility(1, await responsibilityHandle(bob));
+      expect(await contract.getPendingAcceptances(1)).to.deep.equal([]);
+      await expect(contract.calculateFeeAllocation(1)).to.emit(contract, "FeeCalculated");
+    });
+
+    it("should require a new acceptance after a responsibility changes", async function () {
+      const accepted = await responsibilityHandle(alice);
+      await contract.connect(alice).acceptResponsibility(1, accepted);
+      expect((await contract.getResponsibilityAcceptance(1, alice.address)).isAccepted).to.equal(
+        true
+      );
+
+      await contract.setResponsibilityRatio(1, alice.address, 60);
+      await contract.setResponsibilityRatio(1, bob.address, 40);
+
+      const acceptance = await contract.getResponsibilityAcceptance(1, alice.address);
+      expect(acceptance.isAccepted).to.equal(false);
+      expect(acceptance.acceptedAt).to.be.greaterThan(0);
+      expect(await contract.getPendingAcceptances(1)).to.deep.equal([alice.address, bob.address]);
+
+      await expect(contract.connect(alice).acceptResponsibility(1, accepted)).to.be.revertedWith(
+        "Responsibility changed"
+      );
+    });
+
+    it("should require acceptance of an arbiter's adjustment before recalculating", async function () {
+      await contract.connect(alice).acceptResponsibility(1, await responsibilityHandle(alice));
+      await contract.connect(bob).acceptResponsibility(1, await responsibilityHandle(bob));
+      await contract.calculateFeeAllocation(1);
+
+      await contract.connect(bob).fileDispute(1, ethers.id("Bob's share is too high"));
+      await contract.adjustDispute(1, [alice.address, bob.address], [80, 20]);
+      expect(await contract.getPendingAcceptances(1)).to.deep.equal([alice.address, bob.address]);
+      await expect(contract.calculateFeeAllocation(1)).to.be.revertedWith(
+        "Responsibility not accepted"
+      );
+
+      await contract.connect(alice).acceptResponsibility(1, await responsibilityHandle(alice));
+      await contract.connect(bob).acceptResponsibility(1, await responsibilityHandle(bob));
+      await expect(contract.calculateFeeAllocation(1)).to.emit(contract, "FeeCalculated");
+    });
+
+    it("should accept signatures relayed by the case manager", async function () {
+      const handle = await responsibilityHandle(bob);
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const signature = await signAcceptance(bob, handle, deadline);
+
+      await expect(
+        contract
+          .connect(alice)
+          .acceptResponsibilityBySig(1, bob.address, handle, deadline, signature)
+      ).to.be.revertedWith("Unauthorized access");
+      await expect(
+        contract.acceptResponsibilityBySig(1, alice.address, handle, deadline, signature)
+      ).to.be.revertedWith("Invalid signature");
+
+      await expect(contract.acceptResponsibilityBySig(1, bob.address, handle, deadline, signature))
+        .to.emit(contract, "ResponsibilityAccepted")
+        .withArgs(1, bob.address, true);
+      const acceptance = await contract.getResponsibilityAcceptance(1, bob.address);
+      expect(acceptance.isAccepted).to.equal(true);
+      expect(acceptance.isSigned).to.equal(true);
+
+      const expired = (await ethers.provider.getBlock("latest")).timestamp - 1;
+      const late = await signAcceptance(bob, handle, expired);
+      await expect(
+        contract.acceptResponsibilityBySig(1, bob.address, handle, expired, late)
+      ).to.be.revertedWith("Signature expired");
+    });
+
+    it("should only apply to cases that opted in before calculation", async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Ordinary case");
+      await contract.setResponsibilityRatio(2, alice.address, 50);
+      await contract.setResponsibilityRatio(2, bob.address, 50);
+
+      expect(await contract.getPendingAcceptances(2)).to.deep.equal([]);
+      await expect(
+        contract.connect(alice).acceptResponsibility(2, await responsibilityHandle(alice, 2))
+      ).to.be.revertedWith("Acceptance not required");
+
+      await contract.calculateFeeAllocation(2);
+      await expect(contract.requireResponsibilityAcceptance(2)).to.be.revertedWith(
+        "Fees already calculated"
+      );
+      await expect(contract.requireResponsibilityAcceptance(1)).to.be.revertedWith(
+        "Acceptance already required"
+      );
+      await expect(
+        contract.connect(charlie).acceptResponsibility(1, ethers.ZeroHash)
+      ).to.be.revertedWith("Not authorized party");
+    });
+  });
+
+  describe("Workflow 26: Private Party Membership", function () {
+    const AUDITOR_ROLE = ethers.id("AUDITOR_ROLE");
+    const ALICE_SALT = ethers.id("alice salt");
+    const BOB_SALT = ethers.id("bob salt");
+
+    function commitment(party, salt) {
+      return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["address", "bytes32"], [party.address, salt])
+      );
+    }
+
+    // The address a party is known by until they join
+    function partyKey(party, salt) {
+      return ethers.getAddress(ethers.dataSlice(commitment(party, salt), 12));
+    }
+
+    async function createPrivateCase(commitments) {
+      const input = fhevm.createEncryptedInput(contractAddress, deployer.address);
+      input.add64(50000);
+      input.add32(50);
+      const encrypted = await input.encrypt();
+      return contract.createPrivateCase(
+        commitments,
+        encrypted.handles[0],
+        encrypted.handles[1],
+        encrypted.inputProof,
+        "Sealed matter"
+      );
+    }
+
+    async function calculatePrivateCase() {
+      return [
+        await createPrivateCase([commitment(alice, ALICE_SALT), commitment(bob, BOB_SALT)]),
+        await contract.setResponsibilityRatio(1, partyKey(alice, ALICE_SALT), 60),
+        await contract.setResponsibilityRatio(1, partyKey(bob, BOB_SALT), 40),
+        await contract.calculateFeeAllocation(1),
+      ];
+    }
+
+    it("should bill parties by commitment until they join", async function () {
+      await createPrivateCase([commitment(alice, ALICE_SALT), commitment(bob, BOB_SALT)]);
+      const keys = [partyKey(alice, ALICE_SALT), partyKey(bob, BOB_SALT)];
+
+      let membership = await contract.getPartyMembership(1);
+      expect(membership.joined).to.equal(0);
+      expect(membership.pending).to.equal(2);
+      expect((await contract.getCaseInfo(1)).partyCount).to.equal(2);
+      expect(await contract.getCaseParties(1)).to.deep.equal(keys);
+
+      // The salt is the proof, whoever checks it
+      expect(await contract.connect(charlie).verifyMembership(1, alice.address, ALICE_SALT)).to.be
+        .true;
+      expect(await contract.connect(charlie).verifyMembership(1, alice.address, BOB_SALT)).to.be
+        .false;
+
+      await expect(contract.connect(alice).joinCase(1, ALICE_SALT)).to.be.revertedWith(
+        "Fees not calculated"
+      );
+      await expect(contract.requireResponsibilityAcceptance(1)).to.be.revertedWith(
+        "Not available for private cases"
+      );
+      await expect(contract.setResponsibilityRatio(1, alice.address, 60)).to.be.revertedWith(
+        "Party not in case"
+      );
+      await contract.setResponsibilityRatio(1, keys[0], 60);
+      await contract.setResponsibilityRatio(1, keys[1], 40);
+      await expect(contract.calculateFeeAllocation(1)).to.emit(contract, "FeeCalculated");
+
+      await expect(contract.connect(bob).joinCase(1, ALICE_SALT)).to.be.revertedWith(
+        "Invalid membership proof"
+      );
+      await expect(contract.connect(charlie).joinCase(1, BOB_SALT)).to.be.revertedWith(
+        "Invalid membership proof"
+      );
+      await expect(contract.connect(alice).joinCase(1, ALICE_SALT))
+        .to.emit(contract, "PartyJoined")
+        .withArgs(1, commitment(alice, ALICE_SALT));
+      await expect(contract.connect(alice).joinCase(1, ALICE_SALT)).to.be.revertedWith(
+        "Party already joined"
+      );
+
+      membership = await contract.getPartyMembership(1);
+      expect(membership.joined).to.equal(1);
+      expect(membership.pending).to.equal(1);
+      expect(await contract.getCaseParties(1)).to.deep.equal([alice.address, keys[1]]);
+      expect(await contract.connect(alice).getPartyCases(alice.address)).to.deep.equal([1n]);
+
+      // Alice takes over the share billed to her key
+      const { responsibility } = await contract
+        .connect(alice)
+        .getAllocationHandles(1, alice.address);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint32, responsibility, contractAddress, alice)
+      ).to.equal(60n);
+      await payAndVerify(contract, alice, 1);
+      expect((await contract.getPartyAllocation(1, alice.address)).hasPaid).to.be.true;
+    });
+
+    it("should not name private-case parties anywhere before they join", async function () {
+      await contract.grantRole(AUDITOR_ROLE, dave.address);
+      const txs = await calculatePrivateCase();
+      const keys = [partyKey(alice, ALICE_SALT), partyKey(bob, BOB_SALT)];
+
+      // Neither the calldata nor the events of creating and billing the case mention the parties
+      for (const tx of txs) {
+        const receipt = await tx.wait();
+        for (const party of [alice, bob]) {
+          const address = party.address.slice(2).toLowerCase();
+          expect(tx.data.toLowerCase()).to.not.contain(address);
+          for (const log of receipt.logs) {
+            expect(log.data.toLowerCase()).to.not.contain(address);
+            expect(log.topics).to.not.include(ethers.zeroPadValue(party.address, 32));
+          }
+        }
+      }
+
+      // Not even the case manager or an auditor can find them
+      expect(contract.partyAllocations).to.equal(undefined);
+      for (const viewer of [deployer, dave]) {
+        const asViewer = contract.connect(viewer);
+        expect(await asViewer.getCaseParties(1)).to.deep.equal(keys);
+        expect((await asViewer.getCasesInfo([1]))[0].parties).to.deep.equal(keys);
+        expect(await asViewer.isPartyInCase(1, alice.address)).to.be.false;
+        expect(await asViewer.getPartyCases(alice.address)).to.deep.equal([]);
+      }
+      expect(await contract.connect(alice).isPartyInCase(1, alice.address)).to.be.false;
+      expect(await contract.getPendingAcceptances(1)).to.deep.equal([]);
+
+      // Arrangements naming the party wait until they join
+      await expect(contract.setInstallmentPlan(1, keys[0], [], [], "0x")).to.be.revertedWith(
+        "Party not joined"
+      );
+
+      await contract.connect(alice).joinCase(1, ALICE_SALT);
+      expect(await contract.connect(dave).isPartyInCase(1, alice.address)).to.be.true;
+      expect(await contract.connect(dave).isPartyInCase(1, bob.address)).to.be.false;
+    });
+
+    it("should only show membership to parties, case managers and auditors", async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Listed matter");
+      await contract.grantRole(AUDITOR_ROLE, dave.address);
+
+      await expect(contract.connect(charlie).getCaseParties(1)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await expect(contract.connect(charlie).isPartyInCase(1, alice.address)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await expect(contract.connect(charlie).getPartyCases(alice.address)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await expect(
+        contract.connect(charlie).getCasesByParty(alice.address, 0, 10)
+      ).to.be.revertedWith("Unauthorized access");
+      expect(await contract.connect(charlie).isPartyInCase(1, charlie.address)).to.equal(false);
+      expect(contract.partyAllocations).to.equal(undefined);
+      await expect(
+        contract.connect(charlie).getPartyAllocation(1, alice.address)
+      ).to.be.revertedWith("Not authorized party");
+      await expect(
+        contract.connect(charlie).getAllocationHandles(1, alice.address)
+      ).to.be.revertedWith("Not authorized party");
+
+      const [hidden] = await contract.connect(charlie).getCasesInfo([1]);
+      expect(hidden.parties).to.deep.equal([]);
+      const [shown] = await contract.connect(bob).getCasesInfo([1]);
+      expect(shown.parties).to.deep.equal([alice.address, bob.address]);
+
+      expect(await contract.connect(alice).getCaseParties(1)).to.deep.equal([
+        alice.address,
+        bob.address,
+      ]);
+      expect(await contract.connect(alice).getPartyCases(alice.address)).to.deep.equal([1n]);
+      expect(await contract.connect(dave).getPartyCases(bob.address)).to.deep.equal([1n]);
+      expect(await contract.connect(dave).isPartyInCase(1, bob.address)).to.equal(true);
+    });
+
+    it("should reject invalid and reused commitments", async function () {
+      await expect(
+        createPrivateCase([commitment(alice, ALICE_SALT), commitment(alice, ALICE_SALT)])
+      ).to.be.revertedWith("Duplicate party commitments");
+      await expect(
+        createPrivateCase([commitment(alice, ALICE_SALT), ethers.ZeroHash])
+      ).to.be.revertedWith("Invalid commitment");
+      await expect(createPrivateCase([commitment(alice, ALICE_SALT)])).to.be.revertedWith(
+        "Invalid array length"
+      );
+
+      // The same party committed twice can still only join once
+      await createPrivateCase([commitment(alice, ALICE_SALT), commitment(alice, BOB_SALT)]);
+      await contract.setResponsibilityRatio(1, partyKey(alice, ALICE_SALT), 50);
+      await contract.setResponsibilityRatio(1, partyKey(alice, BOB_SALT), 50);
+      await contract.calculateFeeAllocation(1);
+      await contract.connect(alice).joinCase(1, ALICE_SALT);
+      await expect(contract.connect(alice).joinCase(1, BOB_SALT)).to.be.revertedWith(
+        "Party already in case"
+      );
+    });
+  });
+
+  describe("Workflow 27: Viewer Access Grants", function () {
+    const COURT = 1;
+    const INSURER = 2;
+    const VIEW_TOTAL_FEE = 1;
+    const VIEW_COMPLEXITY = 2;
+    const VIEW_TIME_SPENT = 4;
+    const VIEW_FINAL_FEE = 16;
+    const DAY = 24 * 60 * 60;
+
+    async function decrypt(type, handle, viewer) {
+      return fhevm.userDecryptEuint(type, handle, contractAddress, viewer);
+    }
+
+    beforeEach(async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Court-supervised case");
+      await contract.updateTimeSpent(1, 10);
+    });
+
+    it("should let a viewer decrypt the fields they were granted", async function () {
+      await expect(
+        contract.grantViewerAccess(1, charlie.address, COURT, VIEW_TOTAL_FEE | VIEW_TIME_SPENT, 0)
+      )
+        .to.emit(contract, "ViewerAccessGranted")
+        .withArgs(1, charlie.address, COURT, VIEW_TOTAL_FEE | VIEW_TIME_SPENT, 0);
+
+      const access = await contract.getViewerAccess(1, charlie.address);
+      expect(access.isActive).to.equal(true);
+      expect(access.fields).to.equal(VIEW_TOTAL_FEE | VIEW_TIME_SPENT);
+
+      const handles = await contract.connect(charlie).getViewerHandles(1);
+      expect(await decrypt(FhevmType.euint64, handles.totalFee, charlie)).to.equal(50000n);
+      expect(await decrypt(FhevmType.euint32, handles.timeSpent, charlie)).to.equal(10n);
+      expect(handles.complexity).to.equal(ethers.ZeroHash);
+
+      // The fee only exists once calculated; the viewer refreshes to be allowed on it
+      await contract.grantViewerAccess(
+        1,
+        dave.address,
+        INSURER,
+        VIEW_FINAL_FEE | VIEW_COMPLEXITY,
+        0
+      );
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+      await contract.calculateFeeAllocation(1);
+      await contract.connect(dave).refreshViewerAccess(1);
+
+      const daveHandles = await contract.connect(dave).getViewerHandles(1);
+      expect(await decrypt(FhevmType.euint32, daveHandles.complexity, dave)).to.equal(50n);
+      await contract.requestFeeDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+      expect(await decrypt(FhevmType.euint64, daveHandles.finalFee, dave)).to.equal(
+        (await contract.getRevealedFee(1)).amount
+      );
+    });
+
+    it("should stop sharing new values after expiry or revocation", async function () {
+      await contract.grantViewerAccess(1, charlie.address, COURT, VIEW_TIME_SPENT, DAY);
+      await contract.grantViewerAccess(1, dave.address, INSURER, VIEW_TIME_SPENT, 0);
+
+      await expect(contract.revokeViewerAccess(1, dave.address))
+        .to.emit(contract, "ViewerAccessRevoked")
+        .withArgs(1, dave.address, deployer.address);
+      await expect(contract.connect(dave).refreshViewerAccess(1)).to.be.revertedWith(
+        "No active grant"
+      );
+
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await ethers.provider.send("evm_mine");
+      expect((await contract.getViewerAccess(1, charlie.address)).isActive).to.equal(false);
+      await expect(contract.connect(charlie).getViewerHandles(1)).to.be.revertedWith(
+        "No active grant"
+      );
+
+      await contract.updateTimeSpent(1, 5);
+      const { timeSpent } = await contract.cases(1);
+      for (const viewer of [charlie, dave]) {
+        let error;
+        try {
+          await decrypt(FhevmType.euint32, timeSpent, viewer);
+        } catch (e) {
+          error = e;
+        }
+        expect(error).to.not.be.undefined;
+      }
+    });
+
+    it("should log every grant and restrict who manages them", async function () {
+      await expect(
+        contract.connect(alice).grantViewerAccess(1, charlie.address, COURT, VIEW_TIME_SPENT, 0)
+      ).to.be.revertedWith("Unauthorized access");
+      await expect(contract.grantViewerAccess(1, charlie.address, COURT, 0, 0)).to.be.revertedWith(
+        "Invalid fields"
+      );
+      await expect(contract.grantViewerAccess(1, charlie.address, COURT, 32, 0)).to.be.revertedWith(
+        "Invalid fields"
+      );
+      await expect(contract.revokeViewerAccess(1, charlie.address)).to.be.revertedWith(
+        "No active grant"
+      );
+
+      await contract.grantViewerAccess(1, charlie.address, COURT, VIEW_TIME_SPENT, 0);
+      await expect(
+        contract.grantViewerAccess(1, charlie.address, COURT, VIEW_TOTAL_FEE, 0)
+      ).to.be.revertedWith("Viewer already granted");
+      await contract.revokeViewerAccess(1, charlie.address);
+      await contract.grantViewerAccess(1, charlie.address, COURT, VIEW_TOTAL_FEE, 0);
+
+      await expect(contract.connect(charlie).getViewerGrants(1)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      const log = await contract.connect(alice).getViewerGrants(1);
+      expect(log.length).to.equal(2);
+      expect(log[0].viewer).to.equal(charlie.address);
+      expect(log[0].fields).to.equal(VIEW_TIME_SPENT);
+      expect(log[0].revokedBy).to.equal(deployer.address);
+      expect(log[0].revokedAt).to.be.greaterThan(0);
+      expect(log[1].fields).to.equal(VIEW_TOTAL_FEE);
+      expect(log[1].revokedAt).to.equal(0);
+    });
+  });
+
+  describe("Workflow 28: Contingency Fees", function () {
+    const PRE_TRIAL = 0;
+    const AT_TRIAL = 1;
+    const COSTS = ethers.encodeBytes32String("E101");
+
+    async function createContingencyCase(percentages) {
+      const input = fhevm.createEncryptedInput(contractAddress, deployer.address).add32(50);
+      percentages.forEach((percentage) => input.add32(percentage));
+      const encrypted = await input.encrypt();
+      return contract.createContingencyCase(
+        [alice.address, bob.address],
+        encrypted.handles[0],
+        encrypted.handles.slice(1),
+        encrypted.inputProof,
+        "Personal injury claim"
+      );
+    }
+
+    async function recordAward(caseId, award, stage, signer = deployer) {
+      const encrypted = await fhevm
+        .createEncryptedInput(contractAddress, signer.address)
+        .add64(award)
+        .add8(stage)
+        .encrypt();
+      return contract
+        .connect(signer)
+        .recordAward(caseId, encrypted.handles[0], encrypted.handles[1], encrypted.inputProof);
+    }
+
+    async function billCase(caseId) {
+      await contract.setResponsibilityRatio(caseId, alice.address, 50);
+      await contract.setResponsibilityRatio(caseId, bob.address, 50);
+      await contract.calculateFeeAllocation(caseId);
+      await contract.requestFeeDecryption(caseId);
+      await fhevm.awaitDecryptionOracle();
+      const { amount } = await contract.getRevealedFee(caseId);
+      return amount;
+    }
+
+    it("should bill the stage percentage of the award net of expenses", async function () {
+      await expect(createContingencyCase([33, 40]))
+        .to.emit(contract, "ContingencyCaseCreated")
+        .withArgs(1, 2);
+      await createContingencyCase([33, 40]);
+
+      for (const caseId of [1, 2]) {
+        await contract["recordExpense(uint256,uint64,bytes32)"](caseId, 1000, COSTS);
+        // Time is not billed on contingency
+        await contract.updateTimeSpent(caseId, 10);
+      }
+      await contract["recordExpense(uint256,uint64,bytes32)"](2, 500, COSTS);
+      await contract.voidExpense(2, 1);
+
+      await expect(recordAward(1, 100000, PRE_TRIAL))
+        .to.emit(contract, "AwardRecorded")
+        .withArgs(1);
+      await recordAward(2, 100000, AT_TRIAL);
+
+      // 1000 reimbursed + 33% (then 40%) of the remaining 99000
+      expect(await billCase(1)).to.equal(33670n);
+      expect(await billCase(2)).to.equal(40600n);
+    });
+
+    it("should apply the last percentage past the final stage and keep fractions of a percent", async function () {
+      await createContingencyCase([25, 33]);
+      await recordAward(1, 1050, 3);
+
+      // 33% of 1050 = 346.5, rounded down
+      expect(await billCase(1)).to.equal(346n);
+    });
+
+    it("should reimburse expenses at most up to the award", async function () {
+      await createContingencyCase([33]);
+      await recordAward(1, 600, PRE_TRIAL);
+      // Expenses recorded after the award still come off it
+      await contract["recordExpense(uint256,uint64,bytes32)"](1, 1000, COSTS);
+
+      expect(await billCase(1)).to.equal(600n);
+    });
+
+    it("should require a recorded award and recalculation after it changes", async function () {
+      await createContingencyCase([33, 40]);
+      await contract.setResponsibilityRatio(1, alice.address, 50);
+      await contract.setResponsibilityRatio(1, bob.address, 50);
+
+      await expect(contract.calculateFeeAllocation(1)).to.be.revertedWith("Award not recorded");
+      await expect(contract.getAwardHandle(1)).to.be.revertedWith("Award not recorded");
+
+      await recordAward(1, 100000, PRE_TRIAL);
+      const terms = await contract.getContingencyTerms(1);
+      expect(terms.isContingency).to.equal(true);
+      expect(terms.stageCount).to.equal(2);
+      expect(terms.isAwardRecorded).to.equal(true);
+      expect(terms.awardRecordedAt).to.be.greaterThan(0);
+
+      const award = await contract.getAwardHandle(1);
+      expect(
+        await fhevm.userDecryptEuint(FhevmType.euint64, award, contractAddress, alice)
+      ).to.equal(100000n);
+
+      await contract.calculateFeeAllocation(1);
+      await expect(recordAward(1, 120000, AT_TRIAL)).to.emit(contract, "AllocationMarkedStale");
+    });
+
+    it("should restrict contingency terms", async function () {
+      await createContingencyCase([33]);
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Hourly case");
+
+      await expect(recordAward(1, 100000, PRE_TRIAL, alice)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await expect(recordAward(2, 100000, PRE_TRIAL)).to.be.revertedWith("Not a contingency case");
+      await expect(createContingencyCase([10, 20, 30, 40, 50])).to.be.revertedWith(
+        "Invalid array length"
+      );
+      expect((await contract.getContingencyTerms(2)).isContingency).to.equal(false);
+    });
+  });
+
+  describe("Workflow 29: Insurance Coverage", function () {
+    const DEDUCTIBLE = 1000;
+    const COVERAGE_CAP = 10000;
+
+    async function insure(party, insurer, cap = COVERAGE_CAP, deductible = DEDUCTIBLE) {
+      const encrypted = await fhevm
+        .createEncryptedInput(contractAddress, deployer.address)
+        .add64(cap)
+        .add64(deductible)
+        .encrypt();
+      return contract.setInsuranceCoverage(
+        1,
+        party.address,
+        insurer.address,
+        encrypted.handles[0],
+        encrypted.handles[1],
+        encrypted.inputProof
+      );
+    }
+
+    async function decrypt(handle, signer) {
+      return fhevm.userDecryptEuint(FhevmType.euint64, handle, contractAddress, signer);
+    }
+
+    // Alice's share; she is listed first so she also gets the rounding remainder
+    async function aliceShare() {
+      await contract.requestFeeDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+      const { amount } = await contract.getRevealedFee(1);
+      return amount - (amount * 40n) / 100n;
+    }
+
+    beforeEach(async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Insured defense");
+      await contract.setResponsibilityRatio(1, alice.address, 60);
+      await contract.setResponsibilityRatio(1, bob.address, 40);
+    });
+
+    it("should split an insured share between the insurer and the party", async function () {
+      await expect(insure(alice, charlie))
+        .to.emit(contract, "InsuranceCoverageSet")
+        .withArgs(1, alice.address, charlie.address);
+      await contract.calculateFeeAllocation(1);
+
+      const { allocatedAmount } = await contract.getAllocationHandles(1, alice.address);
+      const handles = await contract.connect(charlie).getInsuranceHandles(1, alice.address);
+      const partyPortion = await decrypt(allocatedAmount, alice);
+      const insurerPortion = await decrypt(handles.insurerPortion, charlie);
+      const share = await aliceShare();
+
+      // Alice pays the deductible and whatever exceeds the cap
+      expect(insurerPortion).to.equal(BigInt(COVERAGE_CAP));
+      expect(partyPortion).to.equal(share - BigInt(COVERAGE_CAP));
+      expect(await decrypt(handles.deductible, alice)).to.equal(BigInt(DEDUCTIBLE));
+    });
+
+    it("should leave the whole share to the party when it is within the deductible", async function () {
+      await insure(alice, charlie, COVERAGE_CAP, 1_000_000);
+      await contract.calculateFeeAllocation(1);
+
+      const { allocatedAmount } = await contract.getAllocationHandles(1, alice.address);
+      const handles = await contract.connect(charlie).getInsuranceHandles(1, alice.address);
+      expect(await decrypt(handles.insurerPortion, charlie)).to.equal(0n);
+      expect(await decrypt(allocatedAmount, alice)).to.equal(await aliceShare());
+    });
+
+    it("should only settle once the insurer has paid too", async function () {
+      await insure(alice, charlie);
+      await contract.calculateFeeAllocation(1);
+
+      await payAndVerify(contract, alice, 1);
+      await payAndVerify(contract, bob, 1);
+      expect((await contract.getCaseInfo(1)).isSettled).to.equal(false);
+
+      await expect(
+        contract.connect(dave).recordInsurerPayment(1, alice.address, { value: PAYMENT })
+      ).to.be.revertedWith("Not the insurer");
+      // A deposit short of the insurer's portion does not count as paid
+      await expect(
+        contract.connect(charlie).recordInsurerPayment(1, alice.address, { value: 1 })
+      ).to.emit(contract, "ThirdPartyPaymentSubmitted");
+      await fhevm.awaitDecryptionOracle();
+      let coverage = await contract.connect(charlie).getInsuranceCoverage(1, alice.address);
+      expect(coverage.hasPaid).to.equal(false);
+
+      await contract.connect(charlie).recordInsurerPayment(1, alice.address, { value: PAYMENT });
+      await fhevm.awaitDecryptionOracle();
+
+      const paid = await contract.queryFilter(contract.filters.ThirdPartyPaymentRecorded(1));
+      expect(paid.map((event) => event.args.payer)).to.deep.equal([charlie.address]);
+      coverage = await contract.connect(charlie).getInsuranceCoverage(1, alice.address);
+      expect(coverage.hasPaid).to.equal(true);
+      expect(coverage.depositedAmount).to.equal(PAYMENT + 1n);
+      const escrow = await contract.getEscrowInfo(1);
+      expect(escrow.totalDeposited).to.equal(PAYMENT * 3n + 1n);
+      expect(escrow.isReleased).to.equal(true);
+    });
+
+    it("should settle a fully covered party's share without a deposit from it", async function () {
+      await insure(alice, charlie, 1_000_000_000, 0);
+      await contract.calculateFeeAllocation(1);
+
+      const { allocatedAmount } = await contract.getAllocationHandles(1, alice.address);
+      expect(await decrypt(allocatedAmount, alice)).to.equal(0n);
+
+      await payAndVerify(contract, bob, 1);
+      await contract.connect(charlie).recordInsurerPayment(1, alice.address, { value: PAYMENT });
+      await fhevm.awaitDecryptionOracle();
+
+      // Alice never pays
+      const allocation = await contract.getPartyAllocation(1, alice.address);
+      expect(allocation.hasPaid).to.equal(true);
+      expect(allocation.depositedAmount).to.equal(0n);
+      expect((await contract.getCaseInfo(1)).isSettled).to.equal(true);
+      expect((await contract.getEscrowInfo(1)).totalDeposited).to.equal(PAYMENT * 2n);
+    });
+
+    it("should verify confidential insurer payments against the insurer's portion", async function () {
+      if (!fhevm.isMock) {
+        this.skip();
+      }
+
+      const MockConfidentialToken = await ethers.getContractFactory("MockConfidentialToken");
+      const token = await MockConfidentialToken.deploy();
+      await token.waitForDeployment();
+      await token.mint(charlie.address, 100_000_000n);
+      await token.connect(charlie).setOperator(contractAddress, 2n ** 48n - 1n);
+
+      await insure(alice, charlie);
+      await contract.configureConfidentialEscrow(1, await token.getAddress(), dave.address);
+      await contract.calculateFeeAllocation(1);
+
+      async function payAsInsurer(amount) {
+        const encrypted = await fhevm
+          .createEncryptedInput(contractAddress, charlie.address)
+          .add64(amount)
+          .encrypt();
+        const tx = await contract
+          .connect(charlie)
+          .recordInsurerConfidentialPayment(
+            1,
+            alice.address,
+            encrypted.handles[0],
+            encrypted.inputProof
+          );
+        await fhevm.awaitDecryptionOracle();
+        return tx;
+      }
+
+      await payAsInsurer(COVERAGE_CAP - 1);
+      let coverage = await contract.connect(charlie).getInsuranceCoverage(1, alice.address);
+      expect(coverage.hasPaid).to.equal(false);
+
+      await payAsInsurer(1);
+      coverage = await contract.connect(charlie).getInsuranceCoverage(1, alice.address);
+      expect(coverage.hasPaid).to.equal(true);
+
+      const checks = await contract.queryFilter(
+        contract.filters.ThirdPartyPaymentVerified(1, alice.address)
+      );
+      expect(checks.map((event) => event.args.coversPortion)).to.deep.equal([false, true]);
+    });
+
+    it("should recalculate portions when coverage changes", async function () {
+      await insure(alice, charlie);
+      await contract.calculateFeeAllocation(1);
+
+      await expect(contract.removeInsuranceCoverage(1, alice.address))
+        .to.emit(contract, "InsuranceCoverageRemoved")
+        .withArgs(1, alice.address)
+        .and.to.emit(contract, "AllocationMarkedStale");
+      await expect(
+        contract.connect(charlie).recordInsurerPayment(1, alice.address, { value: PAYMENT })
+      ).to.be.revertedWith("Not the insurer");
+
+      await contract.calculateFeeAllocation(1);
+      const { allocatedAmount } = await contract.getAllocationHandles(1, alice.address);
+      expect(await decrypt(allocatedAmount, alice)).to.equal(await aliceShare());
+    });
+
+    it("should refund the insurer's deposit when the case is cancelled", async function () {
+      await insure(alice, charlie);
+      await contract.calculateFeeAllocation(1);
+      await contract.connect(charlie).recordInsurerPayment(1, alice.address, { value: PAYMENT });
+      await fhevm.awaitDecryptionOracle();
+
+      await expect(insure(alice, dave)).to.be.revertedWith("Insurer payment made");
+
+      await contract.cancelCase(1);
+      await expect(
+        contract.connect(charlie).requestInsurerRefund(1, alice.address)
+      ).to.changeEtherBalance(charlie, PAYMENT);
+      await expect(
+        contract.connect(charlie).requestInsurerRefund(1, alice.address)
+      ).to.be.revertedWith("Already refunded");
+    });
+
+    it("should restrict who sets and sees coverage", async function () {
+      await expect(insure(dave, charlie)).to.be.revertedWith("Party not in case");
+      await expect(insure(alice, alice)).to.be.revertedWith("Invalid insurer");
+
+      const encrypted = await fhevm
+        .createEncryptedInput(contractAddress, alice.address)
+        .add64(COVERAGE_CAP)
+        .add64(DEDUCTIBLE)
+        .encrypt();
+      await expect(
+        contract
+          .connect(alice)
+          .setInsuranceCoverage(
+            1,
+            alice.address,
+            charlie.address,
+            encrypted.handles[0],
+            encrypted.handles[1],
+            encrypted.inputProof
+          )
+      ).to.be.revertedWith("Unauthorized access");
+
+      await insure(alice, charlie);
+      await expect(
+        contract.connect(dave).getInsuranceCoverage(1, alice.address)
+      ).to.be.revertedWith("Unauthorized access");
+      expect((await contract.connect(bob).getInsuranceCoverage(1, alice.address)).insurer).to.equal(
+        charlie.address
+      );
+
+      await contract.calculateFeeAllocation(1);
+      await payAndVerify(contract, alice, 1);
+      await expect(contract.removeInsuranceCoverage(1, alice.address)).to.be.revertedWith(
+        "Party already paid"
+      );
+    });
+  });
+
+  describe("Workflow 30: Litigation Funding", function () {
+    async function fund(party, funder, percentage = 100, recoveryShare = 30, repaymentCap = 50000) {
+      const encrypted = await fhevm
+        .createEncryptedInput(contractAddress, deployer.address)
+        .add32(percentage)
+        .add32(recoveryShare)
+        .add64(repaymentCap)
+        .encrypt();
+      return contract.registerFunder(
+        1,
+        party.address,
+        funder.address,
+        encrypted.handles[0],
+        encrypted.handles[1],
+        encrypted.handles[2],
+        encrypted.inputProof
+      );
+    }
+
+    async function decrypt(handle, signer, type = FhevmType.euint64) {
+      return fhevm.userDecryptEuint(type, handle, contractAddress, signer);
+    }
+
+    async function revealedFee() {
+      await contract.requestFeeDecryption(1);
+      await fhevm.awaitDecryptionOracle();
+      return (await contract.getRevealedFee(1)).amount;
+    }
+
+    beforeEach(async function () {
+      await contract.createCase([alice.address, bob.address], 50000, 50, "Funded claim");
+      await contract.setResponsibilityRatio(1, alice.address, 60);
+      await contract.setResponsibilityRatio(1, bob.address, 40);
+    });
+
+    it("should move a fully funded share onto the funder", async function () {
+      await expect(fund(bob, charlie))
+        .to.emit(contract, "FunderRegistered")
+        .withArgs(1, bob.address, charlie.address);
+      await contract.calculateFeeAllocation(1);
+
+      const { allocatedAmount } = await contract.getAllocationHandles(1, bob.address);
+      const handles = await contract.connect(charlie).getFundingHandles(1, bob.address);
+      const fee = await revealedFee();
+
+      expect(await decrypt(handles.funderPortion, charlie)).to.equal((fee * 40n) / 100n);
+      expect(await decrypt(allocatedAmount, bob)).to.equal(0n);
+    });
+
+    it("should split a partly funded share by the encrypted percentage", async function () {
+      await fund(alice, charlie, 25);
+      await contract.calculateFeeAllocation(1);
+
+      const { allocatedAmount } = await contract.getAllocationHandles(1, alice.address);
+      const handles = await contract.connect(charlie).getFundingHandles(1, alice.address);
+      const fee = await revealedFee();
+      // Alice is listed first, so her share also holds the rounding remainder
+      const share = fee - (fee * 40n) / 100n;
+      const funderPortion = (fee * 60n * 25n) / 10000n;
+
+      expect(await decrypt(handles.funderPortion, charlie)).to.equal(funderPortion);
+      expect(await decrypt(allocatedAmount, alice)).to.equal(share - funderPortion);
+
+      // Repayment terms are recorded for the party
+      expect(await decrypt(handles.fundedPercentage, alice, FhevmType.euint32)).to.equal(25n);
+      expect(await decrypt(handles.recoveryShare, alice, FhevmType.euint32)).to.equal(30n);
+      expect(await decrypt(handles.repaymentCap, alice)).to.equal(50000n);
+    });
+
+    it("should only settle once the funder has paid too", async function () {
+      await fund(bob, charlie);
+      await contract.calculateFeeAllocation(1);
+
+      // Bob's whole share is funded, so only Alice pays
+      await payAndVerify(contract, alice, 1);
+      expect((await contract.getCaseInfo(1)).isSettled).to.equal(false);
+
+      await expect(
+        contract.connect(dave).recordFunderPayment(1, bob.address, { value: PAYMENT })
+      ).to.be.revertedWith("Not the funder");
+      await expect(
+        contract.connect(charlie).recordFunderPayment(1, bob.address, { value: PAYMENT })
+      ).to.emit(contract, "ThirdPartyPaymentSubmitted");
+      await fhevm.awaitDecryptionOracle();
+
+      const [paid] = await contract.queryFilter(contract.filters.ThirdPartyPaymentRecorded(1));
+      expect(paid.args.party).to.equal(bob.address);
+      expect(paid.args.payer).to.equal(charlie.address);
+      expect((await contract.getCaseInfo(1)).isSettled).to.equal(true);
+
+      const funding = await contract.connect(charlie).getFunding(1, bob.address);
+      expect(funding.hasPaid).to.equal(true);
+      expect(funding.depositedAmount).to.equal(PAYMENT);
+      const allocation = await contract.getPartyAllocation(1, bob.address);
+      expect(allocation.hasPaid).to.equal(true);
+      expect(allocation.depositedAmount).to.equal(0n);
+      expect((await contract.getEscrowInfo(1)).totalDeposited).to.equal(PAYMENT * 2n);
+    });
+
+    it("should list funded parties and recalculate when funding is removed", async function () {
+      await fund(bob, charlie);
+      await contract.calculateFeeAllocation(1);
+      expect(await contract.connect(alice).getFundedParties(1)).to.deep.equal([bob.address]);
+
+      await expect(contract.removeFunder(1, bob.address))
+        .to.emit(contract, "FunderRemoved")
+        .withArgs(1, bob.address, charlie.address)
+        .and.to.emit(contract, "AllocationMarkedStale");
+      expect(await contract.connect(alice).getFundedParties(1)).to.deep.equal([]);
+
+      await contract.calculateFeeAllocation(1);
+      const { allocatedAmount } = await contract.getAllocationHandles(1, bob.address);
+      expect(await decrypt(allocatedAmount, bob)).to.equal(((await revealedFee()) * 40n) / 100n);
+    });
+
+    it("should refund the funder's deposit when the case is cancelled", async function () {
+      // Partly funded, so Bob still owes his part after the funder pays
+      await fund(bob, charlie, 50);
+      await contract.calculateFeeAllocation(1);
+      await contract.connect(charlie).recordFunderPayment(1, bob.address, { value: PAYMENT });
+      await fhevm.awaitDecryptionOracle();
+
+      await expect(fund(bob, dave)).to.be.revertedWith("Funder payment made");
+
+      await contract.cancelCase(1);
+      await expect(
+        contract.connect(charlie).requestFunderRefund(1, bob.address)
+      ).to.changeEtherBalance(charlie, PAYMENT);
+      await expect(
+        contract.connect(charlie).requestFunderRefund(1, bob.address)
+      ).to.be.revertedWith("Already refunded");
+    });
+
+    it("should not let a party be both insured and funded", async function () {
+      await fund(alice, charlie);
+
+      const encrypted = await fhevm
+        .createEncryptedInput(contractAddress, deployer.address)
+        .add64(10000)
+        .add64(1000)
+        .encrypt();
+      await expect(
+        contract.setInsuranceCoverage(
+          1,
+          alice.address,
+          dave.address,
+          encrypted.handles[0],
+          encrypted.handles[1],
+          encrypted.inputProof
+        )
+      ).to.be.revertedWith("Party is funded");
+
+      await contract.removeFunder(1, alice.address);
+      await contract.setInsuranceCoverage(
+        1,
+        alice.address,
+        dave.address,
+        encrypted.handles[0],
+        encrypted.handles[1],
+        encrypted.inputProof
+      );
+      await expect(fund(alice, charlie)).to.be.revertedWith("Party is insured");
+    });
+
+    it("should restrict who registers and sees funding", async function () {
+      await expect(fund(dave, charlie)).to.be.revertedWith("Party not in case");
+      await expect(fund(alice, alice)).to.be.revertedWith("Invalid funder");
+      await expect(contract.removeFunder(1, alice.address)).to.be.revertedWith("No funder");
+
+      await fund(alice, charlie);
+      await expect(contract.connect(dave).getFunding(1, alice.address)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      await expect(contract.connect(dave).getFundedParties(1)).to.be.revertedWith(
+        "Unauthorized access"
+      );
+      expect((await contract.connect(bob).getFunding(1, alice.address)).funder).to.equal(
+        charlie.address
+      );
+
+      await contract.calculateFeeAllocation(1);
+      await payAndVerify(contract, alice, 1);
+      await expect(contract.removeFunder(1, alice.address)).to.be.revertedWith(
+        "Party already paid"
+      );
+    });
+  });
 });
@@ -1,4 +1,7 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { deployLegalFeeAllocation } = require("../scripts/lib/legalFeeAllocation");
+
+const { ethers, fhevm } = hre;
 
 /**
  * Test Helper Utilities
@@ -6,16 +9,11 @@ const { ethers } = require("hardhat");
  */
 
 /**
- * Deploy a fresh instance of the contract
+ * Deploy a fresh instance of the contract together with its library and modules
  * @returns {Promise<{contract: Contract, contractAddress: string}>}
  */
 async function deployContract() {
-  const ConfidentialLegalFeeAllocation = await ethers.getContractFactory(
-    "ConfidentialLegalFeeAllocation"
-  );
-  const contract = await ConfidentialLegalFeeAllocation.deploy();
-  await contract.waitForDeployment();
-  const contractAddress = await contract.getAddress();
+  const { contract, contractAddress } = await deployLegalFeeAllocation(hre);
 
   return { contract, contractAddress };
 }
@@ -132,15 +130,40 @@ async function setupCompleteCase(contract, parties, options = {}) {
 }
 
 /**
- * Complete a case by having all parties pay
+ * Deposit a party's ETH payment and let the Gateway check it against the party's allocation
+ * @param {Contract} contract - Contract instance
+ * @param {Signer} signer - Paying party
+ * @param {number} caseId - Case ID
+ * @param {bigint} amount - ETH deposited
+ * @returns {Promise<TransactionResponse>} The deposit transaction
+ */
+async function payAndVerify(
+  contract,
+  signer,
+  caseId,
+  amount = ethers.parseEther("1")
+) {
+  const tx = await contract.connect(signer).recordPayment(caseId, { value: amount });
+  await fhevm.awaitDecryptionOracle();
+  return tx;
+}
+
+/**
+ * Complete a case by having all parties deposit into escrow
  * @param {Contract} contract - Contract instance
  * @param {number} caseId - Case ID
  * @param {Array<Signer>} partySigners - Array of signer objects
+ * @param {bigint} amount - ETH deposited by each party
  * @returns {Promise<void>}
  */
-async function completePayments(contract, caseId, partySigners) {
+async function completePayments(
+  contract,
+  caseId,
+  partySigners,
+  amount = ethers.parseEther("1")
+) {
   for (const signer of partySigners) {
-    await contract.connect(signer).recordPayment(caseId);
+    await payAndVerify(contract, signer, caseId, amount);
   }
 }
 
@@ -337,6 +360,7 @@ module.exports = {
   createSimpleCase,
   setEqualResponsibility,
   setupCompleteCase,
+  payAndVerify,
   completePayments,
   getCurrentTimestamp,
   increaseTime,